@@ -0,0 +1,3689 @@
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const { ReplyError } = require('ioredis')
+
+/**
+ * An in-memory fake of a Redis server and of its ioredis client, to unit-test code using
+ * RedisUtilFunctions without a server: pass it to setClient().
+ * It implements the commands the helpers send: strings, hashes, lists, sets, sorted sets,
+ * streams (XADD, XRANGE, consumer groups), generic key commands (SCAN, RENAME, COPY, DUMP / RESTORE, TTLs),
+ * pipelines and MULTI, the `JSON.*` commands of RedisJSON with simple JSONPaths
+ * (`$.a.b`, `$.list[0]`, `$.*`, legacy `.a.b`), the scripts of RedisUtilFunctions,
+ * pub/sub between the clients of a same fake and keyspace notifications
+ * (`CONFIG SET notify-keyspace-events`).
+ * Values are stored as strings, as Redis does. The scripts run their Lua source when fengari,
+ * a Lua VM in JavaScript, is installed (see LuaEngine), else their JavaScript handlers: the built-in
+ * ones of the scripts of RedisUtilFunctions, or the ones given to registerScript().
+ */
+
+const WRONGTYPE =
+    'WRONGTYPE Operation against a key holding the wrong kind of value'
+
+const JSON_TYPE = 'ReJSON-RL'
+
+const replyError = (message) => new ReplyError(message)
+
+const syntaxError = () => replyError('ERR syntax error')
+
+const sha1 = (str) => crypto.createHash('sha1').update(str).digest('hex')
+
+/**
+ * Parses an integer argument.
+ * @param {string} arg - the argument
+ * @param {string} [message] - the error message if it is not an integer
+ * @returns {number} the integer
+ */
+const toInt = function (arg, message) {
+    const str = String(arg)
+    if (!/^[+-]?\d+$/.test(str) || !Number.isSafeInteger(Number(str)))
+        throw replyError(
+            message || 'ERR value is not an integer or out of range'
+        )
+    return Number(str)
+}
+
+/**
+ * Parses a float argument, `inf`, `+inf` and `-inf` included.
+ * @param {string} arg - the argument
+ * @param {string} [message] - the error message if it is not a float
+ * @returns {number} the float
+ */
+const toFloat = function (arg, message) {
+    const str = String(arg).trim().toLowerCase()
+    if (str === 'inf' || str === '+inf') return Infinity
+    if (str === '-inf') return -Infinity
+    const num = Number(str)
+    if (!str || Number.isNaN(num))
+        throw replyError(message || 'ERR value is not a valid float')
+    return num
+}
+
+const formatFloat = (num) =>
+    num === Infinity ? 'inf' : num === -Infinity ? '-inf' : String(num)
+
+/**
+ * Builds a regular expression from a Redis glob pattern (`*`, `?`, `[a-z]`, `[^a]`, `\x`).
+ * @param {string} ptn - the pattern
+ * @returns {RegExp} the regular expression
+ */
+const globRegExp = function (ptn) {
+    const escape = (c) => c.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&')
+    let out = ''
+    for (let i = 0; i < ptn.length; ++i) {
+        const c = ptn[i]
+        if (c === '\\' && i + 1 < ptn.length) {
+            out += escape(ptn[++i])
+        } else if (c === '*') {
+            out += '.*'
+        } else if (c === '?') {
+            out += '.'
+        } else if (c === '[' && ptn.indexOf(']', i + 2) !== -1) {
+            const end = ptn.indexOf(']', i + 2)
+            let cls = ptn.substring(i + 1, end)
+            const negate = cls[0] === '^'
+            if (negate) cls = cls.substring(1)
+            cls = cls
+                .split('-')
+                .map((part) => part.replace(/\\?(.)/g, (m, x) => escape(x)))
+                .join('-')
+            out += '[' + (negate ? '^' : '') + cls + ']'
+            i = end
+        } else {
+            out += escape(c)
+        }
+    }
+    return new RegExp('^' + out + '$', 's')
+}
+
+/**
+ * Normalises the start and stop indexes of LRANGE, ZRANGE and friends.
+ * @returns {Array<number>|null} `[start, stop]`, both included, or null if the range is empty
+ */
+const listRange = function (start, stop, length) {
+    start = toInt(start)
+    stop = toInt(stop)
+    if (start < 0) start = Math.max(length + start, 0)
+    if (stop < 0) stop = length + stop
+    if (stop >= length) stop = length - 1
+    return start > stop ? null : [start, stop]
+}
+
+/**
+ * Parses a score bound of ZRANGEBYSCORE and friends, `(` making it exclusive.
+ * @returns {{value: number, exclusive: boolean}} the bound
+ */
+const scoreBound = function (arg) {
+    let str = String(arg)
+    const exclusive = str[0] === '('
+    if (exclusive) str = str.substring(1)
+    return {
+        value: toFloat(str, 'ERR min or max is not a float'),
+        exclusive,
+    }
+}
+
+const inBounds = (score, min, max) =>
+    (min.exclusive ? score > min.value : score >= min.value) &&
+    (max.exclusive ? score < max.value : score <= max.value)
+
+/**
+ * Returns the members of a sorted set as `[member, score]`, by score then member.
+ */
+const zsorted = function (zset) {
+    return [...zset].sort((a, b) =>
+        a[1] !== b[1]
+            ? a[1] < b[1]
+                ? -1
+                : 1
+            : a[0] < b[0]
+              ? -1
+              : a[0] > b[0]
+                ? 1
+                : 0
+    )
+}
+
+/**
+ * Parses a stream ID, `-` and `+` being the smallest and the greatest ones.
+ * @param {string} id - the ID, `ms-seq` or `ms`
+ * @param {number} seq - the sequence number if the ID has none
+ * @returns {Array<number>} `[ms, seq]`
+ */
+const streamId = function (id, seq) {
+    if (id === '-') return [0, 0]
+    if (id === '+') return [Infinity, Infinity]
+    const parts = /^(\d+)(?:-(\d+))?$/.exec(id)
+    if (!parts)
+        throw replyError(
+            'ERR Invalid stream ID specified as stream command argument'
+        )
+    return [Number(parts[1]), parts[2] === undefined ? seq : Number(parts[2])]
+}
+
+const compareIds = (a, b) => (a[0] !== b[0] ? a[0] - b[0] : a[1] - b[1])
+
+const isObject = (value) =>
+    !!value && typeof value === 'object' && !Array.isArray(value)
+
+const cloneJson = (value) =>
+    value === undefined ? value : JSON.parse(JSON.stringify(value))
+
+/**
+ * The type name of a JSON value, as JSON.TYPE returns it.
+ */
+const jsonTypeName = function (value) {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    if (typeof value === 'number')
+        return Number.isInteger(value) ? 'integer' : 'number'
+    return typeof value
+}
+
+const WILDCARD = Symbol('wildcard')
+
+/**
+ * Parses a RedisJSON path: a JSONPath starting with `$`, or a legacy path (`.a.b`, `a[0]`, `.`).
+ * Only child names, indexes and wildcards are supported, not filters or recursive descent.
+ * @param {string} [path='.'] - the path
+ * @returns {{legacy: boolean, segments: Array<string|number|symbol>}} the parsed path
+ */
+const parseJsonPath = function (path) {
+    path = path === undefined ? '.' : String(path)
+    const legacy = path[0] !== '$'
+    const unsupported = () =>
+        replyError(
+            'ERR JSON Path error: FakeRedis does not support the path "' +
+                path +
+                '"'
+        )
+    let str = path
+    if (legacy && str !== '.' && str[0] !== '.' && str[0] !== '[')
+        str = '.' + str
+    let segments = []
+    let i = legacy ? (str === '.' ? 1 : 0) : 1
+    while (i < str.length) {
+        if (str[i] === '.') {
+            if (str[i + 1] === '.') throw unsupported()
+            let j = i + 1
+            while (j < str.length && str[j] !== '.' && str[j] !== '[') ++j
+            const name = str.substring(i + 1, j)
+            if (!name) throw unsupported()
+            segments.push(name === '*' ? WILDCARD : name)
+            i = j
+        } else if (str[i] === '[') {
+            const end = str.indexOf(']', i)
+            if (end === -1) throw unsupported()
+            const inner = str.substring(i + 1, end).trim()
+            if (inner === '*') {
+                segments.push(WILDCARD)
+            } else if (/^-?\d+$/.test(inner)) {
+                segments.push(Number(inner))
+            } else if (/^(['"]).*\1$/.test(inner)) {
+                segments.push(inner.slice(1, -1))
+            } else {
+                throw unsupported()
+            }
+            i = end + 1
+        } else {
+            throw unsupported()
+        }
+    }
+    return { legacy, segments }
+}
+
+/**
+ * Finds the values of a parsed path in a JSON document.
+ * @returns {Array<{parent: Object|Array|null, key: string|number|null, value: *}>} the matches,
+ * the root one has a null parent
+ */
+const jsonResolve = function (root, segments) {
+    let matches = [{ parent: null, key: null, value: root }]
+    for (const segment of segments) {
+        let next = []
+        for (const { value } of matches) {
+            if (Array.isArray(value)) {
+                if (segment === WILDCARD) {
+                    value.forEach((item, key) =>
+                        next.push({ parent: value, key, value: item })
+                    )
+                } else if (typeof segment === 'number') {
+                    const key = segment < 0 ? value.length + segment : segment
+                    if (key >= 0 && key < value.length)
+                        next.push({ parent: value, key, value: value[key] })
+                }
+            } else if (isObject(value)) {
+                if (segment === WILDCARD) {
+                    Object.keys(value).forEach((key) =>
+                        next.push({ parent: value, key, value: value[key] })
+                    )
+                } else if (
+                    typeof segment === 'string' &&
+                    Object.prototype.hasOwnProperty.call(value, segment)
+                ) {
+                    next.push({
+                        parent: value,
+                        key: segment,
+                        value: value[segment],
+                    })
+                }
+            }
+        }
+        matches = next
+    }
+    return matches
+}
+
+/**
+ * Applies a JSON Merge Patch (RFC 7386): null values delete.
+ */
+const jsonMerge = function (target, patch) {
+    if (!isObject(patch)) return cloneJson(patch)
+    let out = isObject(target) ? Object.assign({}, target) : {}
+    for (const key of Object.keys(patch)) {
+        if (patch[key] === null) {
+            delete out[key]
+        } else {
+            out[key] = jsonMerge(out[key], patch[key])
+        }
+    }
+    return out
+}
+
+const parseJsonArg = function (json) {
+    try {
+        return JSON.parse(json)
+    } catch (err) {
+        throw replyError('ERR expected value: ' + err.message)
+    }
+}
+
+/**
+ * Copies a value, so that COPY and RESTORE don't share it with the source.
+ */
+const cloneValue = function (type, value) {
+    if (type === 'hash' || type === 'zset') return new Map(value)
+    if (type === 'set') return new Set(value)
+    if (type === 'list') return value.slice()
+    if (type === 'stream')
+        return {
+            entries: value.entries.map(([id, fields]) => [id, fields.slice()]),
+            last: value.last,
+        }
+    if (type === JSON_TYPE) return cloneJson(value)
+    return value
+}
+
+/**
+ * The DUMP payload of a value: not the Redis format, it can only be restored by a FakeRedis.
+ */
+const serialize = function (type, value) {
+    let data = value
+    if (type === 'hash' || type === 'set') data = [...value]
+    if (type === 'zset')
+        data = [...value].map(([member, score]) => [member, formatFloat(score)])
+    return 'FAKEDUMP' + JSON.stringify({ type, data })
+}
+
+const deserialize = function (payload) {
+    payload = String(payload)
+    let parsed = null
+    if (payload.indexOf('FAKEDUMP') === 0) {
+        try {
+            parsed = JSON.parse(payload.substring(8))
+        } catch (_err) {
+            parsed = null
+        }
+    }
+    if (!parsed || !parsed.type)
+        throw replyError('ERR DUMP payload version or checksum are wrong')
+    const { type, data } = parsed
+    if (type === 'hash') return { type, value: new Map(data) }
+    if (type === 'set') return { type, value: new Set(data) }
+    if (type === 'zset')
+        return {
+            type,
+            value: new Map(
+                data.map(([member, score]) => [member, toFloat(score)])
+            ),
+        }
+    return { type, value: data }
+}
+
+/**
+ * Converts the result of a script handler as Redis converts a Lua result:
+ * false and nil are a nil reply, true is 1, numbers are truncated to integers,
+ * and arrays stop at the first nil.
+ */
+const luaReply = function (value) {
+    if (value === null || value === undefined || value === false) return null
+    if (value === true) return 1
+    if (value instanceof Error) throw value
+    if (typeof value === 'number') return Math.trunc(value)
+    if (Array.isArray(value)) {
+        let out = []
+        for (const item of value) {
+            if (item === null || item === undefined) break
+            out.push(luaReply(item))
+        }
+        return out
+    }
+    return String(value)
+}
+
+/**
+ * Loads fengari, a Lua VM written in JavaScript, if it is installed, see LuaEngine.
+ * @returns {Object|null} the fengari module, null if it is not installed
+ */
+const loadFengari = function () {
+    const conf = process.env.FENGARICONF
+    //formats the integral numbers as Lua 5.1 does, 1 and not 1.0
+    process.env.FENGARICONF = JSON.stringify({ LUA_COMPAT_FLOATSTRING: true })
+    try {
+        return require('fengari')
+    } catch (_err) {
+        return null
+    } finally {
+        if (conf === undefined) delete process.env.FENGARICONF
+        else process.env.FENGARICONF = conf
+    }
+}
+
+/**
+ * Makes the numbers floats as in Lua 5.1, fengari's integers having 32 bits,
+ * and defines the globals Redis adds.
+ */
+const LUA_PRELUDE = `
+local lua_tonumber, lua_floor, lua_ceil = tonumber, math.floor, math.ceil
+tonumber = function(...)
+    local n = lua_tonumber(...)
+    if n then return n + 0.0 end
+    return n
+end
+math.floor = function(x) return lua_floor(x) + 0.0 end
+math.ceil = function(x) return lua_ceil(x) + 0.0 end
+unpack = table.unpack
+redis.LOG_DEBUG, redis.LOG_VERBOSE, redis.LOG_NOTICE, redis.LOG_WARNING = 0, 1, 2, 3
+`
+
+/**
+ * Runs the Lua scripts of a fake server with fengari, as Redis does: with the KEYS and ARGV globals
+ * (or arguments of the functions of FUNCTION LOAD), `redis.call()`, `redis.pcall()`, `redis.error_reply()`,
+ * `redis.status_reply()`, `redis.sha1hex()`, `redis.register_function()`, `cjson`, and the conversions
+ * between the Lua values and the replies.
+ * fengari implements Lua 5.3, whose numbers LUA_PRELUDE makes as close as it can to the ones of Lua 5.1.
+ */
+class LuaEngine {
+    /**
+     * @param {Object} fengari - the fengari module
+     */
+    constructor(fengari) {
+        const { lua, lauxlib, lualib, to_luastring } = fengari
+        this.fengari = fengari
+        this.L = lauxlib.luaL_newstate()
+        this.chunks = new Map()
+        this.functions = new Map()
+        this.server = null
+        this._registered = null
+        const L = this.L
+        lualib.luaL_openlibs(L)
+        const libs = {
+            redis: {
+                call: (L) => this._call(L, false),
+                pcall: (L) => this._call(L, true),
+                error_reply: (L) => this._reply_table(L, 'err'),
+                status_reply: (L) => this._reply_table(L, 'ok'),
+                sha1hex: (L) => {
+                    this._push(L, sha1(this._string(L, 1)))
+                    return 1
+                },
+                log: () => 0,
+                register_function: (L) => this._register(L),
+            },
+            cjson: {
+                encode: (L) => {
+                    this._push(L, JSON.stringify(this._json(L, 1)))
+                    return 1
+                },
+                decode: (L) => {
+                    let value
+                    try {
+                        value = JSON.parse(this._string(L, 1))
+                    } catch (err) {
+                        return lauxlib.luaL_error(L, to_luastring(err.message))
+                    }
+                    this._push(L, value)
+                    return 1
+                },
+            },
+        }
+        for (const lib of Object.keys(libs)) {
+            lua.lua_newtable(L)
+            for (const name of Object.keys(libs[lib])) {
+                lua.lua_pushjsfunction(L, libs[lib][name])
+                lua.lua_setfield(L, -2, to_luastring(name))
+            }
+            lua.lua_setglobal(L, to_luastring(lib))
+        }
+        this._load(LUA_PRELUDE, 'prelude')
+        lua.lua_call(L, 0, 0)
+    }
+
+    /**
+     * Runs a script, compiled once.
+     * @param {FakeRedis} server - the fake the script sends its commands to
+     * @param {string} source - the Lua source
+     * @param {Array<string>} keys - the KEYS
+     * @param {Array<string>} args - the ARGV
+     * @returns {*} the reply
+     */
+    eval(server, source, keys, args) {
+        const { lua } = this.fengari
+        const L = this.L
+        const sha = sha1(source)
+        if (!this.chunks.has(sha)) {
+            this._load(
+                source,
+                'user_script',
+                'Error compiling script (new function): '
+            )
+            this.chunks.set(sha, this._ref())
+        }
+        this._push(L, keys)
+        lua.lua_setglobal(L, this.fengari.to_luastring('KEYS'))
+        this._push(L, args)
+        lua.lua_setglobal(L, this.fengari.to_luastring('ARGV'))
+        lua.lua_rawgeti(L, lua.LUA_REGISTRYINDEX, this.chunks.get(sha))
+        return this._run(server, 0)
+    }
+
+    /**
+     * Runs the code of FUNCTION LOAD, registering its functions.
+     * @param {string} code - the library code, after its `#!lua` line
+     * @returns {Array<string>} the names of the functions, that fcall() can call
+     */
+    load(code) {
+        const { lua } = this.fengari
+        this._load(code, 'user_function', 'Error compiling function: ')
+        this._registered = []
+        try {
+            if (lua.lua_pcall(this.L, 0, 0, 0) !== lua.LUA_OK)
+                throw replyError(
+                    'ERR Error registering functions: ' +
+                        this._string(this.L, -1)
+                )
+            for (const [name, ref] of this._registered)
+                this.functions.set(name, ref)
+            return this._registered.map(([name]) => name)
+        } finally {
+            this._registered = null
+            lua.lua_settop(this.L, 0)
+        }
+    }
+
+    /**
+     * Runs a function of FUNCTION LOAD.
+     * @param {FakeRedis} server - the fake the function sends its commands to
+     * @param {string} name - the name of the function
+     * @param {Array<string>} keys - the keys, its first argument
+     * @param {Array<string>} args - the arguments, its second argument
+     * @returns {*} the reply
+     */
+    fcall(server, name, keys, args) {
+        const { lua } = this.fengari
+        lua.lua_rawgeti(this.L, lua.LUA_REGISTRYINDEX, this.functions.get(name))
+        this._push(this.L, keys)
+        this._push(this.L, args)
+        return this._run(server, 2)
+    }
+
+    _load(source, chunk_name, error_prefix) {
+        const { lua, lauxlib, to_luastring } = this.fengari
+        const status = lauxlib.luaL_loadbuffer(
+            this.L,
+            to_luastring(source),
+            null,
+            to_luastring('@' + chunk_name)
+        )
+        if (status !== lua.LUA_OK) {
+            const message = this._string(this.L, -1)
+            lua.lua_settop(this.L, 0)
+            throw replyError('ERR ' + (error_prefix || '') + message)
+        }
+    }
+
+    _ref() {
+        const { lua, lauxlib } = this.fengari
+        return lauxlib.luaL_ref(this.L, lua.LUA_REGISTRYINDEX)
+    }
+
+    _run(server, nargs) {
+        const { lua } = this.fengari
+        const L = this.L
+        this.server = server
+        try {
+            if (lua.lua_pcall(L, nargs, 1, 0) === lua.LUA_OK)
+                return luaReply(this._value(L, -1))
+            const error = this._value(L, -1)
+            throw error instanceof Error ? error : replyError('ERR ' + error)
+        } finally {
+            this.server = null
+            lua.lua_settop(L, 0)
+        }
+    }
+
+    /**
+     * redis.call() and redis.pcall(): sends a command to the fake, and pushes its reply.
+     */
+    _call(L, is_pcall) {
+        const { lua, lauxlib, to_luastring } = this.fengari
+        const count = lua.lua_gettop(L)
+        if (!count)
+            return lauxlib.luaL_error(
+                L,
+                to_luastring(
+                    'Please specify at least one argument for this redis lib call'
+                )
+            )
+        let args = []
+        for (let i = 1; i <= count; ++i) {
+            const type = lua.lua_type(L, i)
+            if (type !== lua.LUA_TSTRING && type !== lua.LUA_TNUMBER)
+                return lauxlib.luaL_error(
+                    L,
+                    to_luastring(
+                        'Lua redis lib command arguments must be strings or integers'
+                    )
+                )
+            args.push(this._string(L, i))
+        }
+        let reply
+        try {
+            reply = this.server._run(args[0].toLowerCase(), args.slice(1))
+        } catch (err) {
+            this._push(L, err)
+            return is_pcall ? 1 : lua.lua_error(L)
+        }
+        this._push(L, reply)
+        return 1
+    }
+
+    _reply_table(L, field) {
+        const { lua, to_luastring } = this.fengari
+        lua.lua_newtable(L)
+        this._push(L, this._string(L, 1))
+        lua.lua_setfield(L, -2, to_luastring(field))
+        return 1
+    }
+
+    _register(L) {
+        const { lua, lauxlib, to_luastring } = this.fengari
+        if (!this._registered)
+            return lauxlib.luaL_error(
+                L,
+                to_luastring(
+                    'redis.register_function can only be called on FUNCTION LOAD command'
+                )
+            )
+        if (
+            lua.lua_type(L, 1) !== lua.LUA_TSTRING ||
+            lua.lua_type(L, 2) !== lua.LUA_TFUNCTION
+        )
+            return lauxlib.luaL_error(
+                L,
+                to_luastring('wrong arguments given to redis.register_function')
+            )
+        const name = this._string(L, 1)
+        lua.lua_pushvalue(L, 2)
+        this._registered.push([
+            name,
+            lauxlib.luaL_ref(L, lua.LUA_REGISTRYINDEX),
+        ])
+        return 0
+    }
+
+    /**
+     * Returns a string or number argument as a string, formatting the numbers as Lua does.
+     */
+    _string(L, index) {
+        const bytes = this.fengari.lua.lua_tolstring(L, index)
+        return bytes ? Buffer.from(bytes).toString() : ''
+    }
+
+    /**
+     * Pushes a reply to the Lua stack, as Redis converts it: nil replies are false,
+     * arrays are tables, errors are tables with an `err` field.
+     */
+    _push(L, value) {
+        const { lua, to_luastring } = this.fengari
+        if (value === null || value === undefined || value === false) {
+            lua.lua_pushboolean(L, false)
+        } else if (value === true) {
+            lua.lua_pushboolean(L, true)
+        } else if (typeof value === 'number') {
+            lua.lua_pushnumber(L, value)
+        } else if (Buffer.isBuffer(value)) {
+            lua.lua_pushstring(L, new Uint8Array(value))
+        } else if (value instanceof Error) {
+            lua.lua_newtable(L)
+            lua.lua_pushstring(L, to_luastring(value.message))
+            lua.lua_setfield(L, -2, to_luastring('err'))
+        } else if (Array.isArray(value)) {
+            lua.lua_createtable(L, value.length, 0)
+            value.forEach((item, i) => {
+                this._push(L, item)
+                lua.lua_rawseti(L, -2, i + 1)
+            })
+        } else if (typeof value === 'object') {
+            lua.lua_newtable(L)
+            for (const field of Object.keys(value)) {
+                this._push(L, value[field])
+                lua.lua_setfield(L, -2, to_luastring(field))
+            }
+        } else {
+            lua.lua_pushstring(L, to_luastring(String(value)))
+        }
+    }
+
+    /**
+     * Returns a Lua value as Redis converts it to a reply: numbers are truncated, false is nil,
+     * tables are arrays up to their first nil, or errors and status replies with an `err` or `ok` field.
+     */
+    _value(L, index) {
+        const { lua, to_luastring } = this.fengari
+        switch (lua.lua_type(L, index)) {
+            case lua.LUA_TNUMBER:
+                return Math.trunc(lua.lua_tonumber(L, index))
+            case lua.LUA_TSTRING:
+                return this._string(L, index)
+            case lua.LUA_TBOOLEAN:
+                return lua.lua_toboolean(L, index) ? 1 : null
+            case lua.LUA_TTABLE: {
+                index = lua.lua_absindex(L, index)
+                for (const field of ['err', 'ok']) {
+                    const type = lua.lua_getfield(L, index, to_luastring(field))
+                    const message = this._string(L, -1)
+                    lua.lua_pop(L, 1)
+                    if (type === lua.LUA_TSTRING)
+                        return field === 'err' ? replyError(message) : message
+                }
+                let out = []
+                while (
+                    lua.lua_rawgeti(L, index, out.length + 1) !== lua.LUA_TNIL
+                ) {
+                    const item = this._value(L, -1)
+                    lua.lua_pop(L, 1)
+                    out.push(item === null ? false : item)
+                }
+                lua.lua_pop(L, 1)
+                return out
+            }
+            default:
+                return null
+        }
+    }
+
+    /**
+     * Returns a Lua value as cjson encodes it: tables with the keys 1 to n are arrays.
+     */
+    _json(L, index) {
+        const { lua } = this.fengari
+        switch (lua.lua_type(L, index)) {
+            case lua.LUA_TNUMBER:
+                return lua.lua_tonumber(L, index)
+            case lua.LUA_TSTRING:
+                return this._string(L, index)
+            case lua.LUA_TBOOLEAN:
+                return lua.lua_toboolean(L, index)
+            case lua.LUA_TTABLE: {
+                index = lua.lua_absindex(L, index)
+                let entries = []
+                lua.lua_pushnil(L)
+                while (lua.lua_next(L, index)) {
+                    const key =
+                        lua.lua_type(L, -2) === lua.LUA_TNUMBER
+                            ? lua.lua_tonumber(L, -2)
+                            : this._string_key(L)
+                    entries.push([key, this._json(L, -1)])
+                    lua.lua_pop(L, 1)
+                }
+                const is_array =
+                    entries.length &&
+                    entries.every(([key]) => typeof key === 'number') &&
+                    entries.every((_entry, i) =>
+                        entries.some(([key]) => key === i + 1)
+                    )
+                if (!is_array)
+                    return Object.fromEntries(
+                        entries.map(([key, value]) => [String(key), value])
+                    )
+                return entries
+                    .sort((a, b) => a[0] - b[0])
+                    .map(([, value]) => value)
+            }
+            default:
+                return null
+        }
+    }
+
+    /**
+     * Returns the string key of lua_next(), without converting it in place.
+     */
+    _string_key(L) {
+        const { lua } = this.fengari
+        lua.lua_pushvalue(L, -2)
+        const key = this._string(L, -1)
+        lua.lua_pop(L, 1)
+        return key
+    }
+}
+
+/**
+ * The handlers of the scripts of RedisUtilFunctions, by script name, run when fengari isn't installed.
+ * They are called as `handler(redis, KEYS, ARGV)`, `redis.call()` sending a command as in Lua
+ * (nil replies are null), and the KEYS and ARGV arrays starting at 0.
+ * They are copies of the Lua scripts: the tests check that both give the same replies and data.
+ */
+const SCRIPTS = {
+    rutil_lock: (redis, KEYS, ARGV) =>
+        redis.call('set', KEYS[0], ARGV[0], 'PX', ARGV[1], 'NX')
+            ? redis.call('incr', KEYS[1])
+            : false,
+    rutil_extend: (redis, KEYS, ARGV) =>
+        redis.call('get', KEYS[0]) === ARGV[0]
+            ? redis.call('pexpire', KEYS[0], ARGV[1])
+            : 0,
+    rutil_unlock: (redis, KEYS, ARGV) =>
+        redis.call('get', KEYS[0]) === ARGV[0] ? redis.call('del', KEYS[0]) : 0,
+    rutil_ratelimit: (redis, KEYS, ARGV) => {
+        const time = redis.call('time')
+        const now = Number(time[0]) * 1000 + Math.floor(Number(time[1]) / 1000)
+        const cost = Number(ARGV[0])
+        let allowed = 1
+        const states = KEYS.map((key, i) => ({
+            key,
+            algorithm: ARGV[i * 3 + 1],
+            limit: Number(ARGV[i * 3 + 2]),
+            window: Number(ARGV[i * 3 + 3]),
+            used: 0,
+            reset: 0,
+        }))
+        for (const state of states) {
+            const { key, limit, window } = state
+            if (state.algorithm === 'fixed') {
+                state.used = Number(redis.call('get', key) || '0')
+                state.reset = redis.call('pttl', key)
+                if (state.reset === -1) redis.call('pexpire', key, window)
+                if (state.reset < 0) state.reset = window
+                state.remaining = limit - state.used
+            } else if (state.algorithm === 'sliding') {
+                redis.call('zremrangebyscore', key, '-inf', now - window)
+                state.used = redis.call('zcard', key)
+                const oldest = redis.call('zrange', key, 0, 0, 'WITHSCORES')
+                if (oldest[1] !== undefined)
+                    state.reset = Number(oldest[1]) + window - now
+                state.remaining = limit - state.used
+            } else {
+                const bucket = redis.call('hmget', key, 'tokens', 'ts')
+                const tokens = Number(bucket[0] === null ? limit : bucket[0])
+                const ts = Number(bucket[1] === null ? now : bucket[1])
+                state.tokens = Math.min(
+                    limit,
+                    tokens + ((now - ts) * limit) / window
+                )
+                state.remaining = Math.floor(state.tokens)
+            }
+            if (state.remaining < cost) allowed = 0
+        }
+        let out = [allowed]
+        for (const state of states) {
+            const { key, limit, window } = state
+            if (allowed) {
+                state.remaining -= cost
+                if (state.algorithm === 'fixed') {
+                    redis.call('incrby', key, cost)
+                    if (state.used === 0) redis.call('pexpire', key, window)
+                } else if (state.algorithm === 'sliding') {
+                    for (let j = 1; j <= cost; ++j)
+                        redis.call(
+                            'zadd',
+                            key,
+                            now,
+                            now + ':' + (state.used + j)
+                        )
+                    redis.call('pexpire', key, window)
+                    if (state.used === 0) state.reset = window
+                } else {
+                    state.tokens -= cost
+                    redis.call(
+                        'hset',
+                        key,
+                        'tokens',
+                        String(state.tokens),
+                        'ts',
+                        now
+                    )
+                    redis.call('pexpire', key, window)
+                }
+            }
+            if (state.algorithm === 'token')
+                state.reset = Math.ceil(
+                    ((limit - state.tokens) * window) / limit
+                )
+            out.push(Math.max(state.remaining, 0), Math.max(state.reset, 0))
+        }
+        return out
+    },
+    rutil_cas: (redis, KEYS, ARGV) => {
+        const current = redis.call('get', KEYS[0])
+        if (ARGV[0] === '0' ? current !== null : current !== ARGV[1]) return 0
+        if (ARGV[3] && Number(ARGV[3]) > 0) {
+            redis.call('set', KEYS[0], ARGV[2], 'PX', ARGV[3])
+        } else {
+            redis.call('set', KEYS[0], ARGV[2])
+        }
+        return 1
+    },
+    rutil_jgetex: (redis, KEYS, ARGV) => {
+        const value = redis.call('json.get', KEYS[0], ARGV[0])
+        if (value !== null) redis.call('pexpire', KEYS[0], ARGV[1])
+        return value
+    },
+    rutil_cappedpush: (redis, KEYS, ARGV) => {
+        redis.call('lpush', KEYS[0], ...ARGV.slice(1))
+        redis.call('ltrim', KEYS[0], 0, Number(ARGV[0]) - 1)
+        return redis.call('llen', KEYS[0])
+    },
+    rutil_delfromset: (redis, KEYS, ARGV) => {
+        const rem = ARGV[0] === '1' ? 'zrem' : 'srem'
+        const del = ARGV[1] === 'unlink' ? 'unlink' : 'del'
+        let removed = 0
+        for (let i = 1; i < KEYS.length; ++i) {
+            if (redis.call(rem, KEYS[0], ARGV[i + 1]) === 1) {
+                redis.call(del, KEYS[i])
+                ++removed
+            }
+        }
+        return removed
+    },
+    rutil_qadd: (redis, KEYS, ARGV) => {
+        if (
+            ARGV[3] !== '0' &&
+            !redis.call('set', KEYS[2], ARGV[0], 'PX', ARGV[3], 'NX')
+        )
+            return false
+        const delay = Number(ARGV[2])
+        if (delay > 0) {
+            const time = redis.call('time')
+            const now =
+                Number(time[0]) * 1000 + Math.floor(Number(time[1]) / 1000)
+            const job = [ARGV[0], ARGV[1], Number(ARGV[4])]
+            redis.call('zadd', KEYS[1], now + delay, JSON.stringify(job))
+        } else {
+            redis.call(
+                'xadd',
+                KEYS[0],
+                '*',
+                'id',
+                ARGV[0],
+                'payload',
+                ARGV[1],
+                'attempts',
+                ARGV[4]
+            )
+        }
+        return ARGV[0]
+    },
+    rutil_qpromote: (redis, KEYS, ARGV) => {
+        const time = redis.call('time')
+        const now = Number(time[0]) * 1000 + Math.floor(Number(time[1]) / 1000)
+        const due = redis.call(
+            'zrangebyscore',
+            KEYS[0],
+            '-inf',
+            now,
+            'LIMIT',
+            0,
+            ARGV[0]
+        )
+        for (const member of due) {
+            const [id, payload, attempts] = JSON.parse(member)
+            redis.call(
+                'xadd',
+                KEYS[1],
+                '*',
+                'id',
+                id,
+                'payload',
+                payload,
+                'attempts',
+                attempts
+            )
+            redis.call('zrem', KEYS[0], member)
+        }
+        return due.length
+    },
+    rutil_qfail: (redis, KEYS, ARGV) => {
+        if (redis.call('xack', KEYS[0], ARGV[0], ARGV[1]) === 0) return -1
+        redis.call('xdel', KEYS[0], ARGV[1])
+        const delay = Number(ARGV[5])
+        if (delay < 0) {
+            redis.call(
+                'xadd',
+                KEYS[2],
+                'MAXLEN',
+                '~',
+                ARGV[7],
+                '*',
+                'id',
+                ARGV[2],
+                'payload',
+                ARGV[3],
+                'attempts',
+                ARGV[4],
+                'error',
+                ARGV[6]
+            )
+            return 0
+        }
+        const time = redis.call('time')
+        const now = Number(time[0]) * 1000 + Math.floor(Number(time[1]) / 1000)
+        const job = [ARGV[2], ARGV[3], Number(ARGV[4])]
+        redis.call('zadd', KEYS[1], now + delay, JSON.stringify(job))
+        return 1
+    },
+    rutil_modelincr: (redis, KEYS, ARGV) => {
+        if (ARGV[2] !== '') redis.call('hsetnx', KEYS[0], ARGV[0], ARGV[2])
+        const value = redis.call('hincrbyfloat', KEYS[0], ARGV[0], ARGV[1])
+        redis.call('zadd', KEYS[1], value, ARGV[3])
+        return value
+    },
+}
+
+/**
+ * The arity of the commands, as Redis counts it: the command name included,
+ * a negative arity being the minimum number of arguments.
+ */
+const ARITY = {}
+const setArity = (arity, commands) =>
+    commands.split(' ').forEach((command) => (ARITY[command] = arity))
+
+setArity(1, 'dbsize time')
+setArity(
+    2,
+    'get getdel incr decr strlen type persist ttl pttl expiretime pexpiretime dump keys echo select ' +
+        'hgetall hlen hkeys hvals llen smembers scard zcard xlen'
+)
+setArity(
+    3,
+    'setnx getset incrby decrby incrbyfloat append rename renamenx hget hexists hstrlen lindex ' +
+        'sismember zscore zrank zrevrank json.toggle'
+)
+setArity(
+    4,
+    'setex psetex hsetnx hincrby hincrbyfloat lrange ltrim lset lrem smove zincrby zcount ' +
+        'zremrangebyrank zremrangebyscore json.merge json.numincrby json.nummultby'
+)
+setArity(5, 'lmove')
+setArity(3, 'publish spublish')
+setArity(
+    -1,
+    'ping flushdb flushall info command unsubscribe punsubscribe sunsubscribe'
+)
+setArity(
+    -2,
+    'getex mget del unlink exists touch scan memory config subscribe psubscribe ssubscribe lpop rpop spop srandmember sunion sinter sdiff ' +
+        'zpopmin zpopmax script function json.get json.del json.forget json.type json.objkeys ' +
+        'json.objlen json.arrlen json.strlen json.arrpop json.clear'
+)
+setArity(
+    -3,
+    'set mset msetnx expire pexpire expireat pexpireat copy hmget hdel hscan lpush rpush lpushx ' +
+        'rpushx sadd srem smismember sunionstore sinterstore sdiffstore sscan zrem zmscore zscan ' +
+        'eval evalsha eval_ro evalsha_ro fcall fcall_ro json.mget xdel'
+)
+setArity(
+    -4,
+    'restore hset hmset zadd zrange zrevrange zrangebyscore zrevrangebyscore zunionstore ' +
+        'zinterstore xrange xrevrange json.set json.arrappend json.mset xtrim'
+)
+setArity(-5, 'zrangestore xadd json.arrinsert')
+setArity(-2, 'xgroup')
+setArity(-3, 'xpending')
+setArity(-4, 'xack')
+setArity(-6, 'xautoclaim xclaim')
+setArity(-7, 'xreadgroup')
+
+/**
+ * The commands of the fake, by lowercase name.
+ * They are called with the FakeRedis as `this` and the arguments as strings,
+ * and return the reply as the server sends it (HGETALL returns an array, the client makes it an object).
+ */
+const COMMANDS = {
+    //strings
+    get(key) {
+        const entry = this._lookup(key, 'string')
+        return entry ? entry.value : null
+    },
+    set(key, value, ...opts) {
+        let flags = {}
+        let expires_at = null
+        for (let i = 0; i < opts.length; ++i) {
+            const opt = opts[i].toUpperCase()
+            if (['NX', 'XX', 'GET', 'KEEPTTL'].includes(opt)) {
+                flags[opt] = true
+            } else if (
+                ['EX', 'PX', 'EXAT', 'PXAT'].includes(opt) &&
+                i + 1 < opts.length
+            ) {
+                const num = toInt(opts[++i])
+                if (num <= 0)
+                    throw replyError("ERR invalid expire time in 'set' command")
+                const ms = opt === 'EX' || opt === 'EXAT' ? num * 1000 : num
+                expires_at = opt.length === 2 ? this.now() + ms : ms
+            } else {
+                throw syntaxError()
+            }
+        }
+        if (flags.NX && flags.XX) throw syntaxError()
+        const old = this._lookup(key)
+        if (flags.GET && old && old.type !== 'string')
+            throw replyError(WRONGTYPE)
+        const previous = old ? old.value : null
+        if ((flags.NX && old) || (flags.XX && !old))
+            return flags.GET ? previous : null
+        const entry = this._store(key, 'string', value, flags.KEEPTTL)
+        if (expires_at !== null) entry.expiresAt = expires_at
+        return flags.GET ? previous : 'OK'
+    },
+    setnx(key, value) {
+        return COMMANDS.set.call(this, key, value, 'NX') ? 1 : 0
+    },
+    setex(key, seconds, value) {
+        return COMMANDS.set.call(this, key, value, 'EX', seconds)
+    },
+    psetex(key, ms, value) {
+        return COMMANDS.set.call(this, key, value, 'PX', ms)
+    },
+    getset(key, value) {
+        return COMMANDS.set.call(this, key, value, 'GET')
+    },
+    getdel(key) {
+        const entry = this._lookup(key, 'string')
+        if (!entry) return null
+        this._delete(key)
+        return entry.value
+    },
+    getex(key, ...opts) {
+        const entry = this._lookup(key, 'string')
+        if (!entry) return null
+        const opt = (opts[0] || '').toUpperCase()
+        if (opt === 'PERSIST') {
+            entry.expiresAt = null
+        } else if (opt) {
+            const num = toInt(opts[1])
+            const ms = opt === 'EX' || opt === 'EXAT' ? num * 1000 : num
+            if (!['EX', 'PX', 'EXAT', 'PXAT'].includes(opt)) throw syntaxError()
+            entry.expiresAt = opt.length === 2 ? this.now() + ms : ms
+        }
+        return entry.value
+    },
+    mget(...keys) {
+        return keys.map((key) => {
+            const entry = this._lookup(key)
+            return entry && entry.type === 'string' ? entry.value : null
+        })
+    },
+    mset(...pairs) {
+        if (pairs.length % 2)
+            throw replyError("ERR wrong number of arguments for 'mset' command")
+        for (let i = 0; i < pairs.length; i += 2)
+            this._store(pairs[i], 'string', pairs[i + 1])
+        return 'OK'
+    },
+    msetnx(...pairs) {
+        if (pairs.length % 2)
+            throw replyError(
+                "ERR wrong number of arguments for 'msetnx' command"
+            )
+        for (let i = 0; i < pairs.length; i += 2)
+            if (this._lookup(pairs[i])) return 0
+        COMMANDS.mset.apply(this, pairs)
+        return 1
+    },
+    incr(key) {
+        return this._incr(key, 1)
+    },
+    decr(key) {
+        return this._incr(key, -1)
+    },
+    incrby(key, num) {
+        return this._incr(key, toInt(num))
+    },
+    decrby(key, num) {
+        return this._incr(key, -toInt(num))
+    },
+    incrbyfloat(key, num) {
+        const entry = this._lookup(key, 'string')
+        const value = (entry ? toFloat(entry.value) : 0) + toFloat(num)
+        if (!Number.isFinite(value))
+            throw replyError('ERR increment would produce NaN or Infinity')
+        this._store(key, 'string', formatFloat(value), true)
+        return formatFloat(value)
+    },
+    append(key, value) {
+        const entry = this._lookup(key, 'string')
+        const next = (entry ? entry.value : '') + value
+        this._store(key, 'string', next, true)
+        return next.length
+    },
+    strlen(key) {
+        const entry = this._lookup(key, 'string')
+        return entry ? entry.value.length : 0
+    },
+
+    //keys
+    del(...keys) {
+        return keys.filter((key) => this._delete(key)).length
+    },
+    unlink(...keys) {
+        return COMMANDS.del.apply(this, keys)
+    },
+    exists(...keys) {
+        return keys.filter((key) => this._lookup(key)).length
+    },
+    touch(...keys) {
+        return COMMANDS.exists.apply(this, keys)
+    },
+    type(key) {
+        const entry = this._lookup(key)
+        return entry ? entry.type : 'none'
+    },
+    expire(key, seconds, ...flags) {
+        return this._expire(key, this.now() + toInt(seconds) * 1000, flags)
+    },
+    pexpire(key, ms, ...flags) {
+        return this._expire(key, this.now() + toInt(ms), flags)
+    },
+    expireat(key, seconds, ...flags) {
+        return this._expire(key, toInt(seconds) * 1000, flags)
+    },
+    pexpireat(key, ms, ...flags) {
+        return this._expire(key, toInt(ms), flags)
+    },
+    persist(key) {
+        const entry = this._lookup(key)
+        if (!entry || entry.expiresAt === null) return 0
+        entry.expiresAt = null
+        return 1
+    },
+    ttl(key) {
+        const ms = COMMANDS.pttl.call(this, key)
+        return ms < 0 ? ms : Math.round(ms / 1000)
+    },
+    pttl(key) {
+        const entry = this._lookup(key)
+        if (!entry) return -2
+        if (entry.expiresAt === null) return -1
+        return entry.expiresAt - this.now()
+    },
+    expiretime(key) {
+        const ms = COMMANDS.pexpiretime.call(this, key)
+        return ms < 0 ? ms : Math.floor(ms / 1000)
+    },
+    pexpiretime(key) {
+        const entry = this._lookup(key)
+        if (!entry) return -2
+        return entry.expiresAt === null ? -1 : entry.expiresAt
+    },
+    rename(source, target) {
+        const entry = this._lookup(source)
+        if (!entry) throw replyError('ERR no such key')
+        if (source === target) return 'OK'
+        this.state.data.delete(source)
+        this._delete(target)
+        entry.seq = ++this.state.seq
+        this.state.data.set(target, entry)
+        return 'OK'
+    },
+    renamenx(source, target) {
+        if (!this._lookup(source)) throw replyError('ERR no such key')
+        if (this._lookup(target)) return 0
+        COMMANDS.rename.call(this, source, target)
+        return 1
+    },
+    copy(source, target, ...opts) {
+        let replace = false
+        for (let i = 0; i < opts.length; ++i) {
+            const opt = opts[i].toUpperCase()
+            if (opt === 'REPLACE') {
+                replace = true
+            } else if (opt === 'DB' && opts[i + 1] === '0') {
+                ++i
+            } else {
+                throw syntaxError()
+            }
+        }
+        const entry = this._lookup(source)
+        if (!entry || (!replace && this._lookup(target))) return 0
+        if (source === target) return 0
+        const copy = this._store(
+            target,
+            entry.type,
+            cloneValue(entry.type, entry.value)
+        )
+        copy.expiresAt = entry.expiresAt
+        return 1
+    },
+    dump(key) {
+        const entry = this._lookup(key)
+        return entry ? serialize(entry.type, entry.value) : null
+    },
+    restore(key, ttl, payload, ...opts) {
+        let flags = {}
+        for (let i = 0; i < opts.length; ++i) {
+            const opt = opts[i].toUpperCase()
+            if (opt === 'REPLACE' || opt === 'ABSTTL') {
+                flags[opt] = true
+            } else if (opt === 'IDLETIME' || opt === 'FREQ') {
+                ++i
+            } else {
+                throw syntaxError()
+            }
+        }
+        ttl = toInt(ttl)
+        if (ttl < 0) throw replyError('ERR Invalid TTL value, must be >= 0')
+        if (!flags.REPLACE && this._lookup(key))
+            throw replyError('BUSYKEY Target key name already exists.')
+        const { type, value } = deserialize(payload)
+        this._delete(key)
+        const entry = this._store(key, type, value)
+        if (ttl) entry.expiresAt = flags.ABSTTL ? ttl : this.now() + ttl
+        return 'OK'
+    },
+    scan(cursor, ...opts) {
+        const { match, count, type } = this._scan_opts(opts, 'scan')
+        const from = toInt(cursor, 'ERR invalid cursor')
+        let keys = []
+        let next = 0
+        let examined = 0
+        for (const [key, entry] of this.state.data) {
+            if (entry.seq <= from) continue
+            if (examined++ >= count) {
+                //resumes before this key, which was not examined
+                next = entry.seq - 1
+                break
+            }
+            if (!this._lookup(key)) continue
+            if (match && !match.test(key)) continue
+            if (type && entry.type.toLowerCase() !== type) continue
+            keys.push(key)
+        }
+        return [String(next), keys]
+    },
+    keys(ptn) {
+        const re = globRegExp(ptn)
+        return [...this.state.data.keys()].filter(
+            (key) => re.test(key) && this._lookup(key)
+        )
+    },
+    dbsize() {
+        return [...this.state.data.keys()].filter((key) => this._lookup(key))
+            .length
+    },
+    flushdb() {
+        this.state.data.clear()
+        return 'OK'
+    },
+    flushall() {
+        this.state.data.clear()
+        return 'OK'
+    },
+    select(db) {
+        if (db !== '0') throw replyError('ERR DB index is out of range')
+        return 'OK'
+    },
+    ping(message) {
+        return message === undefined ? 'PONG' : message
+    },
+    echo(message) {
+        return message
+    },
+    time() {
+        const now = this.now()
+        return [String(Math.floor(now / 1000)), String((now % 1000) * 1000)]
+    },
+    info() {
+        let keys = 0
+        let expires = 0
+        for (const key of [...this.state.data.keys()]) {
+            const entry = this._lookup(key)
+            if (!entry) continue
+            ++keys
+            if (entry.expiresAt !== null) ++expires
+        }
+        return (
+            '# Server\r\nredis_version:7.4.0\r\nredis_mode:standalone\r\n' +
+            '# Keyspace\r\n' +
+            (keys ? 'db0:keys=' + keys + ',expires=' + expires + '\r\n' : '')
+        )
+    },
+    command(subcommand, ...names) {
+        subcommand = (subcommand || '').toUpperCase()
+        if (subcommand === 'COUNT') return Object.keys(COMMANDS).length
+        //no key specs: the callers fall back to the first argument being the key
+        if (subcommand === 'INFO') return names.map(() => null)
+        return []
+    },
+    memory(subcommand, key) {
+        if (String(subcommand).toUpperCase() !== 'USAGE')
+            throw replyError(
+                "ERR unknown subcommand '" + subcommand + "' of 'memory'"
+            )
+        const entry = this._lookup(key)
+        if (!entry) return null
+        return key.length + serialize(entry.type, entry.value).length + 48
+    },
+    config(subcommand, ...args) {
+        const config = this.state.config
+        subcommand = String(subcommand).toUpperCase()
+        if (subcommand === 'GET') {
+            if (args.length !== 1) throw syntaxError()
+            const regexp = globRegExp(args[0].toLowerCase())
+            return Object.keys(config)
+                .filter((name) => regexp.test(name))
+                .flatMap((name) => [name, config[name]])
+        }
+        if (subcommand === 'SET') {
+            if (!args.length || args.length % 2) throw syntaxError()
+            for (let i = 0; i < args.length; i += 2) {
+                const name = args[i].toLowerCase()
+                if (!(name in config))
+                    throw replyError(
+                        "ERR Unknown option or number of arguments for CONFIG SET - '" +
+                            args[i] +
+                            "'"
+                    )
+                config[name] = notifyFlags(args[i + 1])
+            }
+            return 'OK'
+        }
+        throw replyError(
+            "ERR unknown subcommand '" + subcommand + "' of 'config'"
+        )
+    },
+
+    //pub/sub
+    publish(channel, message) {
+        return this._publish(channel, message, false)
+    },
+    spublish(channel, message) {
+        return this._publish(channel, message, true)
+    },
+    subscribe(...channels) {
+        return this._subscribe('subscribe', channels)
+    },
+    psubscribe(...patterns) {
+        return this._subscribe('psubscribe', patterns)
+    },
+    ssubscribe(...channels) {
+        return this._subscribe('ssubscribe', channels)
+    },
+    unsubscribe(...channels) {
+        return this._unsubscribe('subscribe', channels)
+    },
+    punsubscribe(...patterns) {
+        return this._unsubscribe('psubscribe', patterns)
+    },
+    sunsubscribe(...channels) {
+        return this._unsubscribe('ssubscribe', channels)
+    },
+
+    //hashes
+    hset(key, ...pairs) {
+        if (!pairs.length || pairs.length % 2)
+            throw replyError("ERR wrong number of arguments for 'hset' command")
+        const hash = this._create(key, 'hash', () => new Map()).value
+        let added = 0
+        for (let i = 0; i < pairs.length; i += 2) {
+            if (!hash.has(pairs[i])) ++added
+            hash.set(pairs[i], pairs[i + 1])
+        }
+        return added
+    },
+    hmset(key, ...pairs) {
+        COMMANDS.hset.call(this, key, ...pairs)
+        return 'OK'
+    },
+    hsetnx(key, field, value) {
+        const entry = this._lookup(key, 'hash')
+        if (entry && entry.value.has(field)) return 0
+        return COMMANDS.hset.call(this, key, field, value)
+    },
+    hget(key, field) {
+        const entry = this._lookup(key, 'hash')
+        return entry && entry.value.has(field) ? entry.value.get(field) : null
+    },
+    hmget(key, ...fields) {
+        const entry = this._lookup(key, 'hash')
+        return fields.map((field) =>
+            entry && entry.value.has(field) ? entry.value.get(field) : null
+        )
+    },
+    hgetall(key) {
+        const entry = this._lookup(key, 'hash')
+        return entry ? [...entry.value].flat() : []
+    },
+    hdel(key, ...fields) {
+        const entry = this._lookup(key, 'hash')
+        if (!entry) return 0
+        const removed = fields.filter((field) => entry.value.delete(field))
+        this._reap(key, entry)
+        return removed.length
+    },
+    hlen(key) {
+        const entry = this._lookup(key, 'hash')
+        return entry ? entry.value.size : 0
+    },
+    hexists(key, field) {
+        const entry = this._lookup(key, 'hash')
+        return entry && entry.value.has(field) ? 1 : 0
+    },
+    hkeys(key) {
+        const entry = this._lookup(key, 'hash')
+        return entry ? [...entry.value.keys()] : []
+    },
+    hvals(key) {
+        const entry = this._lookup(key, 'hash')
+        return entry ? [...entry.value.values()] : []
+    },
+    hstrlen(key, field) {
+        const value = COMMANDS.hget.call(this, key, field)
+        return value === null ? 0 : value.length
+    },
+    hincrby(key, field, num) {
+        const hash = this._create(key, 'hash', () => new Map()).value
+        const value =
+            (hash.has(field)
+                ? toInt(hash.get(field), 'ERR hash value is not an integer')
+                : 0) + toInt(num)
+        hash.set(field, String(value))
+        return value
+    },
+    hincrbyfloat(key, field, num) {
+        const hash = this._create(key, 'hash', () => new Map()).value
+        const value =
+            (hash.has(field)
+                ? toFloat(hash.get(field), 'ERR hash value is not a float')
+                : 0) + toFloat(num)
+        hash.set(field, formatFloat(value))
+        return formatFloat(value)
+    },
+    hscan(key, cursor, ...opts) {
+        const { match, count, novalues } = this._scan_opts(opts, 'hscan')
+        const entry = this._lookup(key, 'hash')
+        return this._scan_items(
+            entry ? [...entry.value] : [],
+            cursor,
+            count,
+            ([field, value]) =>
+                match && !match.test(field)
+                    ? []
+                    : novalues
+                      ? [field]
+                      : [field, value]
+        )
+    },
+
+    //lists
+    lpush(key, ...values) {
+        const list = this._create(key, 'list', () => []).value
+        for (const value of values) list.unshift(value)
+        return list.length
+    },
+    rpush(key, ...values) {
+        const list = this._create(key, 'list', () => []).value
+        list.push(...values)
+        return list.length
+    },
+    lpushx(key, ...values) {
+        if (!this._lookup(key, 'list')) return 0
+        return COMMANDS.lpush.call(this, key, ...values)
+    },
+    rpushx(key, ...values) {
+        if (!this._lookup(key, 'list')) return 0
+        return COMMANDS.rpush.call(this, key, ...values)
+    },
+    lpop(key, count) {
+        return this._pop(key, count, true)
+    },
+    rpop(key, count) {
+        return this._pop(key, count, false)
+    },
+    llen(key) {
+        const entry = this._lookup(key, 'list')
+        return entry ? entry.value.length : 0
+    },
+    lrange(key, start, stop) {
+        const entry = this._lookup(key, 'list')
+        const list = entry ? entry.value : []
+        const range = listRange(start, stop, list.length)
+        return range ? list.slice(range[0], range[1] + 1) : []
+    },
+    ltrim(key, start, stop) {
+        const entry = this._lookup(key, 'list')
+        if (!entry) return 'OK'
+        const range = listRange(start, stop, entry.value.length)
+        entry.value = range ? entry.value.slice(range[0], range[1] + 1) : []
+        this._reap(key, entry)
+        return 'OK'
+    },
+    lindex(key, index) {
+        const entry = this._lookup(key, 'list')
+        if (!entry) return null
+        index = toInt(index)
+        if (index < 0) index += entry.value.length
+        return index >= 0 && index < entry.value.length
+            ? entry.value[index]
+            : null
+    },
+    lset(key, index, value) {
+        const entry = this._lookup(key, 'list')
+        if (!entry) throw replyError('ERR no such key')
+        index = toInt(index)
+        if (index < 0) index += entry.value.length
+        if (index < 0 || index >= entry.value.length)
+            throw replyError('ERR index out of range')
+        entry.value[index] = value
+        return 'OK'
+    },
+    lrem(key, count, value) {
+        const entry = this._lookup(key, 'list')
+        if (!entry) return 0
+        count = toInt(count)
+        let list = count < 0 ? entry.value.slice().reverse() : entry.value
+        let removed = 0
+        list = list.filter((item) => {
+            if (item !== value || (count && removed >= Math.abs(count)))
+                return true
+            ++removed
+            return false
+        })
+        entry.value = count < 0 ? list.reverse() : list
+        this._reap(key, entry)
+        return removed
+    },
+    lmove(source, target, from, to) {
+        from = from.toUpperCase()
+        to = to.toUpperCase()
+        if (![from, to].every((side) => side === 'LEFT' || side === 'RIGHT'))
+            throw syntaxError()
+        if (this._lookup(target) && !this._lookup(target, 'list'))
+            throw replyError(WRONGTYPE)
+        const value = this._pop(source, undefined, from === 'LEFT')
+        if (value === null) return null
+        COMMANDS[to === 'LEFT' ? 'lpush' : 'rpush'].call(this, target, value)
+        return value
+    },
+
+    //sets
+    sadd(key, ...members) {
+        const set = this._create(key, 'set', () => new Set()).value
+        const size = set.size
+        for (const member of members) set.add(member)
+        return set.size - size
+    },
+    srem(key, ...members) {
+        const entry = this._lookup(key, 'set')
+        if (!entry) return 0
+        const removed = members.filter((member) => entry.value.delete(member))
+        this._reap(key, entry)
+        return removed.length
+    },
+    smembers(key) {
+        const entry = this._lookup(key, 'set')
+        return entry ? [...entry.value] : []
+    },
+    sismember(key, member) {
+        const entry = this._lookup(key, 'set')
+        return entry && entry.value.has(member) ? 1 : 0
+    },
+    smismember(key, ...members) {
+        const entry = this._lookup(key, 'set')
+        return members.map((member) =>
+            entry && entry.value.has(member) ? 1 : 0
+        )
+    },
+    scard(key) {
+        const entry = this._lookup(key, 'set')
+        return entry ? entry.value.size : 0
+    },
+    spop(key, count) {
+        const entry = this._lookup(key, 'set')
+        const members = entry ? [...entry.value] : []
+        const popped = []
+        const num = count === undefined ? 1 : toInt(count)
+        while (popped.length < num && members.length) {
+            const i = Math.floor(Math.random() * members.length)
+            popped.push(members.splice(i, 1)[0])
+            entry.value.delete(popped[popped.length - 1])
+        }
+        if (entry) this._reap(key, entry)
+        if (count === undefined) return popped.length ? popped[0] : null
+        return popped
+    },
+    srandmember(key, count) {
+        const entry = this._lookup(key, 'set')
+        const members = entry ? [...entry.value] : []
+        if (count === undefined)
+            return members.length
+                ? members[Math.floor(Math.random() * members.length)]
+                : null
+        const num = toInt(count)
+        if (num >= 0)
+            return members.sort(() => Math.random() - 0.5).slice(0, num)
+        let out = []
+        for (let i = 0; i < -num && members.length; ++i)
+            out.push(members[Math.floor(Math.random() * members.length)])
+        return out
+    },
+    smove(source, target, member) {
+        const entry = this._lookup(source, 'set')
+        this._lookup(target, 'set')
+        if (!entry || !entry.value.delete(member)) return 0
+        this._reap(source, entry)
+        COMMANDS.sadd.call(this, target, member)
+        return 1
+    },
+    sunion(...keys) {
+        return [...this._combine('union', keys)]
+    },
+    sinter(...keys) {
+        return [...this._combine('inter', keys)]
+    },
+    sdiff(...keys) {
+        return [...this._combine('diff', keys)]
+    },
+    sunionstore(target, ...keys) {
+        return this._combine_store(target, 'union', keys)
+    },
+    sinterstore(target, ...keys) {
+        return this._combine_store(target, 'inter', keys)
+    },
+    sdiffstore(target, ...keys) {
+        return this._combine_store(target, 'diff', keys)
+    },
+    sscan(key, cursor, ...opts) {
+        const { match, count } = this._scan_opts(opts, 'sscan')
+        const entry = this._lookup(key, 'set')
+        return this._scan_items(
+            entry ? [...entry.value] : [],
+            cursor,
+            count,
+            (member) => (match && !match.test(member) ? [] : [member])
+        )
+    },
+
+    //sorted sets
+    zadd(key, ...args) {
+        let flags = {}
+        let i = 0
+        while (
+            i < args.length &&
+            ['NX', 'XX', 'GT', 'LT', 'CH', 'INCR'].includes(
+                args[i].toUpperCase()
+            )
+        )
+            flags[args[i++].toUpperCase()] = true
+        const pairs = args.slice(i)
+        if (!pairs.length || pairs.length % 2) throw syntaxError()
+        if (flags.NX && flags.XX)
+            throw replyError(
+                'ERR XX and NX options at the same time are not compatible'
+            )
+        if ((flags.GT && flags.LT) || (flags.NX && (flags.GT || flags.LT)))
+            throw replyError(
+                'ERR GT, LT, and/or NX options at the same time are not compatible'
+            )
+        if (flags.INCR && pairs.length !== 2)
+            throw replyError(
+                'ERR INCR option supports a single increment-element pair'
+            )
+        let scores = []
+        for (let j = 0; j < pairs.length; j += 2)
+            scores.push([toFloat(pairs[j]), pairs[j + 1]])
+        const entry = this._create(key, 'zset', () => new Map())
+        const zset = entry.value
+        let added = 0
+        let changed = 0
+        let result = null
+        for (const [score, member] of scores) {
+            const old = zset.get(member)
+            if (old === undefined) {
+                if (flags.XX) continue
+                zset.set(member, score)
+                ++added
+                result = score
+                continue
+            }
+            if (flags.NX) continue
+            const next = flags.INCR ? old + score : score
+            if ((flags.GT && next <= old) || (flags.LT && next >= old)) continue
+            if (next !== old) {
+                zset.set(member, next)
+                ++changed
+            }
+            result = next
+        }
+        this._reap(key, entry)
+        if (flags.INCR) return result === null ? null : formatFloat(result)
+        return flags.CH ? added + changed : added
+    },
+    zincrby(key, num, member) {
+        return COMMANDS.zadd.call(this, key, 'INCR', num, member)
+    },
+    zrem(key, ...members) {
+        const entry = this._lookup(key, 'zset')
+        if (!entry) return 0
+        const removed = members.filter((member) => entry.value.delete(member))
+        this._reap(key, entry)
+        return removed.length
+    },
+    zcard(key) {
+        const entry = this._lookup(key, 'zset')
+        return entry ? entry.value.size : 0
+    },
+    zscore(key, member) {
+        const entry = this._lookup(key, 'zset')
+        return entry && entry.value.has(member)
+            ? formatFloat(entry.value.get(member))
+            : null
+    },
+    zmscore(key, ...members) {
+        const entry = this._lookup(key, 'zset')
+        return members.map((member) =>
+            entry && entry.value.has(member)
+                ? formatFloat(entry.value.get(member))
+                : null
+        )
+    },
+    zrank(key, member) {
+        const entry = this._lookup(key, 'zset')
+        if (!entry || !entry.value.has(member)) return null
+        return zsorted(entry.value).findIndex(([m]) => m === member)
+    },
+    zrevrank(key, member) {
+        const rank = COMMANDS.zrank.call(this, key, member)
+        return rank === null ? null : this._lookup(key).value.size - rank - 1
+    },
+    zcount(key, min, max) {
+        return this._zitems(key, min, max, { byScore: true }).length
+    },
+    zrange(key, start, stop, ...opts) {
+        const parsed = this._zrange_opts(opts)
+        const items = this._zitems(key, start, stop, parsed)
+        return this._zreply(items, parsed.withScores)
+    },
+    zrangestore(target, key, start, stop, ...opts) {
+        const parsed = this._zrange_opts(opts)
+        if (parsed.withScores) throw syntaxError()
+        const items = this._zitems(key, start, stop, parsed)
+        this._delete(target)
+        if (items.length) this._store(target, 'zset', new Map(items))
+        return items.length
+    },
+    zrevrange(key, start, stop, ...opts) {
+        return COMMANDS.zrange.call(this, key, start, stop, 'REV', ...opts)
+    },
+    zrangebyscore(key, min, max, ...opts) {
+        return COMMANDS.zrange.call(this, key, min, max, 'BYSCORE', ...opts)
+    },
+    zrevrangebyscore(key, max, min, ...opts) {
+        return COMMANDS.zrange.call(
+            this,
+            key,
+            max,
+            min,
+            'BYSCORE',
+            'REV',
+            ...opts
+        )
+    },
+    zremrangebyrank(key, start, stop) {
+        return this._zremove(key, this._zitems(key, start, stop, {}))
+    },
+    zremrangebyscore(key, min, max) {
+        return this._zremove(
+            key,
+            this._zitems(key, min, max, { byScore: true })
+        )
+    },
+    zpopmin(key, count) {
+        return this._zpop(key, count, false)
+    },
+    zpopmax(key, count) {
+        return this._zpop(key, count, true)
+    },
+    zunionstore(target, numkeys, ...args) {
+        return this._zcombine_store(target, 'union', numkeys, args)
+    },
+    zinterstore(target, numkeys, ...args) {
+        return this._zcombine_store(target, 'inter', numkeys, args)
+    },
+    zscan(key, cursor, ...opts) {
+        const { match, count } = this._scan_opts(opts, 'zscan')
+        const entry = this._lookup(key, 'zset')
+        return this._scan_items(
+            entry ? [...entry.value] : [],
+            cursor,
+            count,
+            ([member, score]) =>
+                match && !match.test(member) ? [] : [member, formatFloat(score)]
+        )
+    },
+
+    //streams
+    xadd(key, ...args) {
+        let i = 0
+        let nomkstream = false
+        let maxlen = null
+        while (i < args.length) {
+            const opt = args[i].toUpperCase()
+            if (opt === 'NOMKSTREAM') {
+                nomkstream = true
+                ++i
+            } else if (opt === 'MAXLEN') {
+                i += ['=', '~'].includes(args[i + 1]) ? 2 : 1
+                maxlen = toInt(args[i++])
+            } else {
+                break
+            }
+        }
+        const fields = args.slice(i + 1)
+        if (i >= args.length || !fields.length || fields.length % 2)
+            throw replyError("ERR wrong number of arguments for 'xadd' command")
+        if (nomkstream && !this._lookup(key, 'stream')) return null
+        const stream = this._create(key, 'stream', () => ({
+            entries: [],
+            last: '0-0',
+        })).value
+        const last = streamId(stream.last, 0)
+        let id
+        if (args[i] === '*') {
+            const now = this.now()
+            id = now > last[0] ? [now, 0] : [last[0], last[1] + 1]
+        } else if (/^\d+-\*$/.test(args[i])) {
+            const ms = Number(args[i].split('-')[0])
+            id = [ms, ms === last[0] ? last[1] + 1 : 0]
+        } else {
+            id = streamId(args[i], 0)
+        }
+        if (compareIds(id, last) <= 0)
+            throw replyError(
+                'ERR The ID specified in XADD is equal or smaller than the target stream top item'
+            )
+        stream.last = id.join('-')
+        stream.entries.push([stream.last, fields])
+        if (maxlen !== null && stream.entries.length > maxlen)
+            stream.entries.splice(0, stream.entries.length - maxlen)
+        for (const wake of this.state.blocked) queueMicrotask(wake)
+        return stream.last
+    },
+    xgroup(subcommand, key, group, ...args) {
+        subcommand = String(subcommand).toUpperCase()
+        if (subcommand === 'CREATE') {
+            if (args.length < 1) throw syntaxError()
+            let entry = this._lookup(key, 'stream')
+            if (!entry) {
+                if (
+                    !args
+                        .slice(1)
+                        .some((arg) => arg.toUpperCase() === 'MKSTREAM')
+                )
+                    throw replyError(
+                        'ERR The XGROUP subcommand requires the key to exist. ' +
+                            'Note that for CREATE you may want to use the MKSTREAM option ' +
+                            'to create an empty stream automatically.'
+                    )
+                entry = this._store(key, 'stream', { entries: [], last: '0-0' })
+            }
+            const groups = this._xgroups(entry)
+            if (groups.has(group))
+                throw replyError('BUSYGROUP Consumer Group name already exists')
+            groups.set(group, {
+                last:
+                    args[0] === '$'
+                        ? entry.value.last
+                        : streamId(args[0], 0).join('-'),
+                pending: new Map(),
+                consumers: new Set(),
+            })
+            return 'OK'
+        }
+        if (subcommand === 'DESTROY') {
+            const entry = this._lookup(key, 'stream')
+            return entry && this._xgroups(entry).delete(group) ? 1 : 0
+        }
+        const state = this._xgroup(key, group, 'XGROUP')
+        if (subcommand === 'SETID') {
+            state.last =
+                args[0] === '$'
+                    ? this._lookup(key).value.last
+                    : streamId(args[0], 0).join('-')
+            return 'OK'
+        }
+        if (subcommand === 'CREATECONSUMER') {
+            if (state.consumers.has(args[0])) return 0
+            state.consumers.add(args[0])
+            return 1
+        }
+        if (subcommand === 'DELCONSUMER') {
+            let count = 0
+            for (const [id, pending] of state.pending) {
+                if (pending.consumer !== args[0]) continue
+                state.pending.delete(id)
+                ++count
+            }
+            state.consumers.delete(args[0])
+            return count
+        }
+        throw replyError(
+            "ERR unknown subcommand '" + subcommand + "' of 'xgroup'"
+        )
+    },
+    xreadgroup(...args) {
+        if (String(args[0]).toUpperCase() !== 'GROUP') throw syntaxError()
+        const [, group, consumer] = args
+        let count = Infinity
+        let block = null
+        let noack = false
+        let i = 3
+        for (; i < args.length; ++i) {
+            const opt = args[i].toUpperCase()
+            if (opt === 'COUNT') {
+                count = toInt(args[++i]) || Infinity
+            } else if (opt === 'BLOCK') {
+                block = toInt(args[++i])
+            } else if (opt === 'NOACK') {
+                noack = true
+            } else if (opt === 'STREAMS') {
+                break
+            } else {
+                throw syntaxError()
+            }
+        }
+        const streams = args.slice(i + 1)
+        if (i >= args.length || !streams.length || streams.length % 2)
+            throw replyError(
+                "ERR Unbalanced 'xreadgroup' list of streams: for each stream key an ID or '>' must be specified."
+            )
+        const keys = streams.slice(0, streams.length / 2)
+        const ids = streams.slice(streams.length / 2)
+        const read = () => {
+            let reply = []
+            keys.forEach((key, k) => {
+                const state = this._xgroup(key, group, 'XREADGROUP')
+                state.consumers.add(consumer)
+                const stream = this._lookup(key).value
+                if (ids[k] !== '>') {
+                    const from = streamId(ids[k], 0)
+                    const entries = [...state.pending]
+                        .filter(
+                            ([id, pending]) =>
+                                pending.consumer === consumer &&
+                                compareIds(streamId(id, 0), from) > 0
+                        )
+                        .slice(0, count)
+                        .map(([id]) => {
+                            const found = stream.entries.find(
+                                ([entry_id]) => entry_id === id
+                            )
+                            return [id, found ? found[1].slice() : null]
+                        })
+                    reply.push([key, entries])
+                    return
+                }
+                const last = streamId(state.last, 0)
+                const entries = stream.entries
+                    .filter(([id]) => compareIds(streamId(id, 0), last) > 0)
+                    .slice(0, count)
+                if (!entries.length) return
+                state.last = entries[entries.length - 1][0]
+                for (const [id] of entries)
+                    if (!noack)
+                        state.pending.set(id, {
+                            consumer,
+                            deliveredAt: this.now(),
+                            count: 1,
+                        })
+                reply.push([
+                    key,
+                    entries.map(([id, fields]) => [id, fields.slice()]),
+                ])
+            })
+            return reply.length ? reply : null
+        }
+        const reply = read()
+        if (reply || block === null) return reply
+        return this._block(block, read)
+    },
+    xack(key, group, ...ids) {
+        const entry = this._lookup(key, 'stream')
+        if (!entry) return 0
+        const state = this._xgroups(entry).get(group)
+        if (!state) return 0
+        return ids.filter((id) =>
+            state.pending.delete(streamId(id, 0).join('-'))
+        ).length
+    },
+    xclaim(key, group, consumer, min_idle, ...args) {
+        let ids = []
+        let i = 0
+        for (; i < args.length && /^\d+(-\d+)?$/.test(args[i]); ++i)
+            ids.push(streamId(args[i], 0).join('-'))
+        let idle = null
+        let retry_count = null
+        let force = false
+        let justid = false
+        for (; i < args.length; ++i) {
+            const opt = args[i].toUpperCase()
+            if (opt === 'IDLE') {
+                idle = toInt(args[++i])
+            } else if (opt === 'TIME') {
+                idle = this.now() - toInt(args[++i])
+            } else if (opt === 'RETRYCOUNT') {
+                retry_count = toInt(args[++i])
+            } else if (opt === 'FORCE') {
+                force = true
+            } else if (opt === 'JUSTID') {
+                justid = true
+            } else if (opt === 'LASTID') {
+                ++i
+            } else {
+                throw syntaxError()
+            }
+        }
+        const state = this._xgroup(key, group, 'XCLAIM')
+        const stream = this._lookup(key).value
+        const now = this.now()
+        let claimed = []
+        for (const id of ids) {
+            const found = stream.entries.find(([entry_id]) => entry_id === id)
+            let pending = state.pending.get(id)
+            if (!pending && force && found) {
+                pending = { consumer, deliveredAt: now, count: 0 }
+                state.pending.set(id, pending)
+            }
+            if (!pending || now - pending.deliveredAt < toInt(min_idle))
+                continue
+            if (!found) {
+                state.pending.delete(id)
+                continue
+            }
+            pending.consumer = consumer
+            pending.deliveredAt = now - (idle || 0)
+            if (retry_count !== null) pending.count = retry_count
+            else if (!justid) ++pending.count
+            claimed.push(justid ? id : [id, found[1].slice()])
+        }
+        state.consumers.add(consumer)
+        return claimed
+    },
+    xautoclaim(key, group, consumer, min_idle, start, ...opts) {
+        let count = 100
+        let justid = false
+        for (let i = 0; i < opts.length; ++i) {
+            const opt = opts[i].toUpperCase()
+            if (opt === 'COUNT') {
+                count = toInt(opts[++i])
+            } else if (opt === 'JUSTID') {
+                justid = true
+            } else {
+                throw syntaxError()
+            }
+        }
+        const state = this._xgroup(key, group, 'XAUTOCLAIM')
+        const stream = this._lookup(key).value
+        const now = this.now()
+        const from = streamId(start, 0)
+        const candidates = [...state.pending.keys()]
+            .filter((id) => compareIds(streamId(id, 0), from) >= 0)
+            .sort((a, b) => compareIds(streamId(a, 0), streamId(b, 0)))
+        let claimed = []
+        let deleted = []
+        let next = '0-0'
+        for (let i = 0; i < candidates.length; ++i) {
+            if (claimed.length + deleted.length >= count) {
+                next = candidates[i]
+                break
+            }
+            const id = candidates[i]
+            const pending = state.pending.get(id)
+            if (now - pending.deliveredAt < toInt(min_idle)) continue
+            const found = stream.entries.find(([entry_id]) => entry_id === id)
+            if (!found) {
+                state.pending.delete(id)
+                deleted.push(id)
+                continue
+            }
+            pending.consumer = consumer
+            pending.deliveredAt = now
+            if (!justid) ++pending.count
+            claimed.push(justid ? id : [id, found[1].slice()])
+        }
+        state.consumers.add(consumer)
+        return [next, claimed, deleted]
+    },
+    xpending(key, group, ...args) {
+        const state = this._xgroup(key, group, 'XPENDING')
+        const now = this.now()
+        let pending = [...state.pending].sort((a, b) =>
+            compareIds(streamId(a[0], 0), streamId(b[0], 0))
+        )
+        if (!args.length) {
+            if (!pending.length) return [0, null, null, null]
+            let consumers = new Map()
+            for (const [, { consumer }] of pending)
+                consumers.set(consumer, (consumers.get(consumer) || 0) + 1)
+            return [
+                pending.length,
+                pending[0][0],
+                pending[pending.length - 1][0],
+                [...consumers].map(([consumer, n]) => [consumer, String(n)]),
+            ]
+        }
+        let min_idle = 0
+        if (args[0].toUpperCase() === 'IDLE') {
+            min_idle = toInt(args[1])
+            args = args.slice(2)
+        }
+        if (args.length < 3) throw syntaxError()
+        const [start, end, count, consumer] = args
+        const from = streamId(start, 0)
+        const to = streamId(end, Infinity)
+        return pending
+            .filter(
+                ([id, entry]) =>
+                    compareIds(streamId(id, 0), from) >= 0 &&
+                    compareIds(streamId(id, 0), to) <= 0 &&
+                    now - entry.deliveredAt >= min_idle &&
+                    (consumer === undefined || entry.consumer === consumer)
+            )
+            .slice(0, toInt(count))
+            .map(([id, entry]) => [
+                id,
+                entry.consumer,
+                now - entry.deliveredAt,
+                entry.count,
+            ])
+    },
+    xrange(key, start, end, ...opts) {
+        return this._xrange(key, start, end, opts, false)
+    },
+    xrevrange(key, end, start, ...opts) {
+        return this._xrange(key, start, end, opts, true)
+    },
+    xlen(key) {
+        const entry = this._lookup(key, 'stream')
+        return entry ? entry.value.entries.length : 0
+    },
+    xdel(key, ...ids) {
+        const entry = this._lookup(key, 'stream')
+        if (!entry) return 0
+        const size = entry.value.entries.length
+        const deleted = new Set(ids.map((id) => streamId(id, 0).join('-')))
+        entry.value.entries = entry.value.entries.filter(
+            ([id]) => !deleted.has(id)
+        )
+        return size - entry.value.entries.length
+    },
+    xtrim(key, strategy, ...args) {
+        if (strategy.toUpperCase() !== 'MAXLEN') throw syntaxError()
+        const entry = this._lookup(key, 'stream')
+        const maxlen = toInt(args[['=', '~'].includes(args[0]) ? 1 : 0])
+        if (!entry || entry.value.entries.length <= maxlen) return 0
+        return entry.value.entries.splice(
+            0,
+            entry.value.entries.length - maxlen
+        ).length
+    },
+
+    //scripts and functions
+    eval(lua, numkeys, ...args) {
+        const sha = sha1(lua)
+        if (this.state.shas[sha] === undefined) this.state.shas[sha] = ''
+        this.state.sources[sha] = lua
+        return this._script(sha, numkeys, args)
+    },
+    evalsha(sha, numkeys, ...args) {
+        if (this.state.shas[sha] === undefined)
+            throw replyError('NOSCRIPT No matching script. Please use EVAL.')
+        return this._script(sha, numkeys, args)
+    },
+    eval_ro(lua, numkeys, ...args) {
+        return COMMANDS.eval.call(this, lua, numkeys, ...args)
+    },
+    evalsha_ro(sha, numkeys, ...args) {
+        return COMMANDS.evalsha.call(this, sha, numkeys, ...args)
+    },
+    script(subcommand, ...args) {
+        subcommand = subcommand.toUpperCase()
+        if (subcommand === 'LOAD') {
+            const sha = sha1(args[0])
+            if (!this.state.shas[sha]) this.state.shas[sha] = ''
+            this.state.sources[sha] = args[0]
+            return sha
+        }
+        if (subcommand === 'EXISTS')
+            return args.map((sha) =>
+                this.state.shas[sha] !== undefined ? 1 : 0
+            )
+        if (subcommand === 'FLUSH') {
+            this.state.shas = {}
+            this.state.sources = {}
+            return 'OK'
+        }
+        throw replyError(
+            "ERR unknown subcommand '" + subcommand + "' of 'script'"
+        )
+    },
+    function(subcommand, ...args) {
+        subcommand = subcommand.toUpperCase()
+        const libraries = this.state.libraries
+        if (subcommand === 'LOAD') {
+            const replace = args[0].toUpperCase() === 'REPLACE'
+            const code = args[replace ? 1 : 0]
+            const name = /^#!lua name=(\w+)/.exec(code || '')
+            if (!name) throw replyError('ERR Missing library metadata')
+            if (libraries[name[1]] && !replace)
+                throw replyError("ERR Library '" + name[1] + "' already exists")
+            const engine = this._lua()
+            //the #!lua line is kept blank for the line numbers
+            const functions = engine
+                ? engine.load(code.replace(/^[^\n]*/, ''))
+                : [...code.matchAll(/register_function\(\s*'(\w+)'/g)].map(
+                      (match) => match[1]
+                  )
+            for (const fn of libraries[name[1]] || [])
+                if (engine && !functions.includes(fn))
+                    engine.functions.delete(fn)
+            libraries[name[1]] = functions
+            return name[1]
+        }
+        if (subcommand === 'DELETE') {
+            if (!libraries[args[0]]) throw replyError('ERR Library not found')
+            if (this._lua())
+                for (const fn of libraries[args[0]])
+                    this._lua().functions.delete(fn)
+            delete libraries[args[0]]
+            return 'OK'
+        }
+        if (subcommand === 'FLUSH') {
+            this.state.libraries = {}
+            if (this._lua()) this._lua().functions.clear()
+            return 'OK'
+        }
+        if (subcommand === 'LIST')
+            return Object.keys(libraries).map((name) => [
+                'library_name',
+                name,
+                'engine',
+                'LUA',
+                'functions',
+                libraries[name].map((fn) => ['name', fn]),
+            ])
+        throw replyError(
+            "ERR unknown subcommand '" + subcommand + "' of 'function'"
+        )
+    },
+    fcall(name, numkeys, ...args) {
+        const loaded = Object.values(this.state.libraries).some((functions) =>
+            functions.includes(name)
+        )
+        if (!loaded) throw replyError('ERR Function not found')
+        return this._script(name, numkeys, args, true)
+    },
+    fcall_ro(name, numkeys, ...args) {
+        return COMMANDS.fcall.call(this, name, numkeys, ...args)
+    },
+
+    //RedisJSON
+    'json.set'(key, path, json, ...opts) {
+        const mode = opts.length ? opts[0].toUpperCase() : null
+        if (opts.length > 1 || (mode && mode !== 'NX' && mode !== 'XX'))
+            throw syntaxError()
+        const value = parseJsonArg(json)
+        const { segments } = parseJsonPath(path)
+        const entry = this._lookup(key, JSON_TYPE)
+        if (!entry) {
+            if (segments.length)
+                throw replyError('ERR new objects must be created at the root')
+            if (mode === 'XX') return null
+            this._store(key, JSON_TYPE, value)
+            return 'OK'
+        }
+        const matches = jsonResolve(entry.value, segments)
+        if (matches.length) {
+            if (mode === 'NX') return null
+            for (const match of matches)
+                this._json_assign(entry, match, cloneJson(value))
+            return 'OK'
+        }
+        if (mode === 'XX') return null
+        const name = segments[segments.length - 1]
+        if (typeof name !== 'string') return null
+        const parents = jsonResolve(entry.value, segments.slice(0, -1)).filter(
+            (match) => isObject(match.value)
+        )
+        for (const parent of parents) parent.value[name] = cloneJson(value)
+        return parents.length ? 'OK' : null
+    },
+    'json.mset'(...triplets) {
+        if (triplets.length % 3)
+            throw replyError(
+                "ERR wrong number of arguments for 'json.mset' command"
+            )
+        for (let i = 0; i < triplets.length; i += 3)
+            COMMANDS['json.set'].call(
+                this,
+                triplets[i],
+                triplets[i + 1],
+                triplets[i + 2]
+            )
+        return 'OK'
+    },
+    'json.get'(key, ...paths) {
+        //formatting options are ignored
+        for (let i = 0; i < paths.length;) {
+            if (
+                ['INDENT', 'NEWLINE', 'SPACE'].includes(paths[i].toUpperCase())
+            ) {
+                paths.splice(i, 2)
+            } else {
+                ++i
+            }
+        }
+        const entry = this._lookup(key, JSON_TYPE)
+        if (!entry) return null
+        if (paths.length <= 1)
+            return JSON.stringify(this._json_get(entry.value, paths[0]))
+        let out = {}
+        for (const path of paths) out[path] = this._json_get(entry.value, path)
+        return JSON.stringify(out)
+    },
+    'json.mget'(...args) {
+        const path = args.pop()
+        return args.map((key) => {
+            const entry = this._lookup(key)
+            if (!entry || entry.type !== JSON_TYPE) return null
+            try {
+                return JSON.stringify(this._json_get(entry.value, path))
+            } catch (_err) {
+                return null
+            }
+        })
+    },
+    'json.del'(key, path) {
+        const entry = this._lookup(key, JSON_TYPE)
+        if (!entry) return 0
+        const { segments } = parseJsonPath(path || '$')
+        if (!segments.length) return this._delete(key) ? 1 : 0
+        const matches = jsonResolve(entry.value, segments)
+        //array items from the last one, so that the indexes of the others don't move
+        matches
+            .filter((match) => Array.isArray(match.parent))
+            .sort((a, b) => b.key - a.key)
+            .forEach((match) => match.parent.splice(match.key, 1))
+        matches
+            .filter((match) => !Array.isArray(match.parent))
+            .forEach((match) => delete match.parent[match.key])
+        return matches.length
+    },
+    'json.forget'(key, path) {
+        return COMMANDS['json.del'].call(this, key, path)
+    },
+    'json.merge'(key, path, json) {
+        const patch = parseJsonArg(json)
+        const { segments } = parseJsonPath(path)
+        const entry = this._lookup(key, JSON_TYPE)
+        if (!entry) {
+            if (segments.length)
+                throw replyError('ERR new objects must be created at the root')
+            this._store(key, JSON_TYPE, jsonMerge(undefined, patch))
+            return 'OK'
+        }
+        const matches = jsonResolve(entry.value, segments)
+        if (!matches.length)
+            return COMMANDS['json.set'].call(
+                this,
+                key,
+                path,
+                JSON.stringify(jsonMerge(undefined, patch))
+            )
+        for (const match of matches) {
+            if (patch === null && match.parent) {
+                if (Array.isArray(match.parent)) {
+                    match.parent.splice(match.key, 1)
+                } else {
+                    delete match.parent[match.key]
+                }
+            } else {
+                this._json_assign(entry, match, jsonMerge(match.value, patch))
+            }
+        }
+        return 'OK'
+    },
+    'json.type'(key, path) {
+        return this._json_each(key, path, false, (match) =>
+            jsonTypeName(match.value)
+        )
+    },
+    'json.objkeys'(key, path) {
+        return this._json_each(key, path, false, (match) =>
+            isObject(match.value) ? Object.keys(match.value) : null
+        )
+    },
+    'json.objlen'(key, path) {
+        return this._json_each(key, path, false, (match) =>
+            isObject(match.value) ? Object.keys(match.value).length : null
+        )
+    },
+    'json.arrlen'(key, path) {
+        return this._json_each(key, path, false, (match) =>
+            Array.isArray(match.value) ? match.value.length : null
+        )
+    },
+    'json.strlen'(key, path) {
+        return this._json_each(key, path, false, (match) =>
+            typeof match.value === 'string' ? match.value.length : null
+        )
+    },
+    'json.arrappend'(key, path, ...values) {
+        values = values.map(parseJsonArg)
+        return this._json_each(key, path, true, (match) => {
+            if (!Array.isArray(match.value)) return null
+            match.value.push(...values.map(cloneJson))
+            return match.value.length
+        })
+    },
+    'json.arrinsert'(key, path, index, ...values) {
+        index = toInt(index)
+        values = values.map(parseJsonArg)
+        return this._json_each(key, path, true, (match) => {
+            if (!Array.isArray(match.value)) return null
+            const at = index < 0 ? match.value.length + index : index
+            if (at < 0 || at > match.value.length)
+                throw replyError('ERR index out of bounds')
+            match.value.splice(at, 0, ...values.map(cloneJson))
+            return match.value.length
+        })
+    },
+    'json.arrpop'(key, path, index) {
+        index = index === undefined ? -1 : toInt(index)
+        return this._json_each(key, path || '$', true, (match) => {
+            if (!Array.isArray(match.value) || !match.value.length) return null
+            let at = index < 0 ? match.value.length + index : index
+            at = Math.min(Math.max(at, 0), match.value.length - 1)
+            return JSON.stringify(match.value.splice(at, 1)[0])
+        })
+    },
+    'json.numincrby'(key, path, num) {
+        return this._json_number(key, path, (value) => value + toFloat(num))
+    },
+    'json.nummultby'(key, path, num) {
+        return this._json_number(key, path, (value) => value * toFloat(num))
+    },
+    'json.clear'(key, path) {
+        const cleared = this._json_each(key, path || '$', true, (match) => {
+            if (Array.isArray(match.value)) {
+                match.value.length = 0
+            } else if (isObject(match.value)) {
+                for (const name of Object.keys(match.value))
+                    delete match.value[name]
+            } else if (typeof match.value === 'number') {
+                this._json_assign(this._lookup(key), match, 0)
+            } else {
+                return 0
+            }
+            return 1
+        })
+        return [].concat(cleared).reduce((sum, num) => sum + (num || 0), 0)
+    },
+    'json.toggle'(key, path) {
+        return this._json_each(key, path, true, (match) => {
+            if (typeof match.value !== 'boolean') return null
+            this._json_assign(this._lookup(key), match, !match.value)
+            return match.value ? 0 : 1
+        })
+    },
+}
+
+/**
+ * Replies the client changes before resolving, as ioredis does.
+ */
+const REPLY_TRANSFORMERS = {
+    hgetall: (reply) => {
+        let out = {}
+        for (let i = 0; i < reply.length; i += 2) out[reply[i]] = reply[i + 1]
+        return out
+    },
+}
+
+/**
+ * Turns the string replies into Buffers, for the `*Buffer` variants of the commands.
+ */
+const bufferReply = function (reply) {
+    if (typeof reply === 'string') return Buffer.from(reply)
+    if (Array.isArray(reply)) return reply.map(bufferReply)
+    return reply
+}
+
+/**
+ * Flattens the arguments as ioredis does, objects and Maps becoming field and value pairs,
+ * and turns them into strings.
+ */
+const flattenArgs = function (args) {
+    let out = []
+    for (const arg of args) {
+        if (Array.isArray(arg)) {
+            out.push(...flattenArgs(arg))
+        } else if (arg instanceof Map) {
+            out.push(...flattenArgs([...arg].flat()))
+        } else if (arg && typeof arg === 'object' && !Buffer.isBuffer(arg)) {
+            out.push(...flattenArgs(Object.entries(arg).flat()))
+        } else {
+            out.push(
+                arg === null || arg === undefined
+                    ? ''
+                    : Buffer.isBuffer(arg)
+                      ? arg.toString()
+                      : String(arg)
+            )
+        }
+    }
+    return out
+}
+
+/**
+ * Sends the arguments of a command with a callback, the last argument if it is a function.
+ * @returns {{args: Array, cb: function|null}}
+ */
+const splitCallback = function (args) {
+    if (typeof args[args.length - 1] !== 'function') return { args, cb: null }
+    return { args: args.slice(0, -1), cb: args[args.length - 1] }
+}
+
+const NOTIFY_CLASSES = 'g$lshzxetd'
+
+/**
+ * Parses the value of `notify-keyspace-events` into the form CONFIG GET replies.
+ * @param {string} value - the flags, e.g. 'KEA'
+ * @returns {string} the normalised flags
+ */
+const notifyFlags = function (value) {
+    const flags = new Set(String(value).replace('A', NOTIFY_CLASSES))
+    for (const flag of flags)
+        if (!(NOTIFY_CLASSES + 'KEmn').includes(flag))
+            throw replyError(
+                "ERR Invalid argument '" +
+                    value +
+                    "' for CONFIG SET 'notify-keyspace-events'"
+            )
+    const classes = [...NOTIFY_CLASSES].filter((flag) => flags.has(flag))
+    return (
+        (classes.length === NOTIFY_CLASSES.length ? 'A' : classes.join('')) +
+        [...'nKEm'].filter((flag) => flags.has(flag)).join('')
+    )
+}
+
+/**
+ * The keyspace events of the write commands, by command: the event of every key,
+ * a function of the arguments returning the event of every key, or true if the event
+ * is the command name. The keys are the first argument, the even arguments of MSET,
+ * every argument of DEL, and the source and target of RENAME, COPY and the moves.
+ */
+const KEYSPACE_EVENTS = {
+    set: true,
+    setnx: 'set',
+    setex: 'set',
+    psetex: 'set',
+    getset: 'set',
+    getdel: 'del',
+    mset: 'set',
+    msetnx: 'set',
+    incr: 'incrby',
+    decr: 'decrby',
+    incrby: true,
+    decrby: true,
+    incrbyfloat: true,
+    append: true,
+    del: true,
+    unlink: 'del',
+    expire: true,
+    pexpire: 'expire',
+    expireat: 'expire',
+    pexpireat: 'expire',
+    persist: true,
+    rename: ['rename_from', 'rename_to'],
+    renamenx: ['rename_from', 'rename_to'],
+    copy: [null, 'copy_to'],
+    restore: true,
+    hset: true,
+    hmset: 'hset',
+    hsetnx: 'hset',
+    hdel: true,
+    hincrby: true,
+    hincrbyfloat: true,
+    lpush: true,
+    rpush: true,
+    lpushx: 'lpush',
+    rpushx: 'rpush',
+    lpop: true,
+    rpop: true,
+    ltrim: true,
+    lset: true,
+    lrem: true,
+    lmove: (args) => [
+        args[2].toUpperCase() === 'LEFT' ? 'lpop' : 'rpop',
+        args[3].toUpperCase() === 'LEFT' ? 'lpush' : 'rpush',
+    ],
+    sadd: true,
+    srem: true,
+    spop: true,
+    smove: ['srem', 'sadd'],
+    sunionstore: true,
+    sinterstore: true,
+    sdiffstore: true,
+    zadd: true,
+    zincrby: 'zincr',
+    zrem: true,
+    zremrangebyrank: true,
+    zremrangebyscore: true,
+    zpopmin: true,
+    zpopmax: true,
+    zunionstore: true,
+    zinterstore: true,
+    zrangestore: true,
+    xadd: true,
+    xdel: true,
+    xtrim: true,
+}
+for (const command of 'set mset del forget merge arrappend arrinsert arrpop numincrby nummultby clear toggle'.split(
+    ' '
+))
+    KEYSPACE_EVENTS['json.' + command] = true
+
+/**
+ * The commands whose reply may be 0 when they change the key.
+ */
+const ZERO_REPLY_EVENTS =
+    'incr decr incrby decrby hset hmset hincrby zadd zincrby'.split(' ')
+
+/**
+ * The events of the `g` class, the others having the class of the type of the key.
+ */
+const GENERIC_EVENTS =
+    'del expire persist rename_from rename_to copy_to restore'.split(' ')
+
+const TYPE_CLASSES = {
+    string: '$',
+    list: 'l',
+    set: 's',
+    zset: 'z',
+    hash: 'h',
+    stream: 't',
+    [JSON_TYPE]: 'd',
+}
+
+class FakeRedis extends EventEmitter {
+    /**
+     * @param {object} [opts] - additional options
+     * @param {number} [opts.time] - freezes the clock at this time in milliseconds,
+     * it then only moves with advance() and setTime(), it follows Date.now() by default
+     * @param {Object<string, function>} [opts.scripts] - script handlers by name, see registerScript()
+     * @param {boolean} [opts.lua=true] - false to run the scripts with their JavaScript handlers
+     * even if fengari is installed
+     */
+    constructor(opts) {
+        super()
+        if (!opts) opts = {}
+        this.state = {
+            data: new Map(),
+            seq: 0,
+            time: opts.time === undefined ? null : opts.time,
+            offset: 0,
+            scripts: Object.assign({}, opts.scripts),
+            shas: {},
+            sources: {},
+            lua: opts.lua === false ? false : null,
+            libraries: {},
+            config: { 'notify-keyspace-events': '' },
+            subscribers: new Set(),
+            blocked: new Set(),
+        }
+        this.status = 'ready'
+        this.isCluster = false
+        this._scripts = {}
+        this._subscriptions = {
+            subscribe: new Set(),
+            psubscribe: new Set(),
+            ssubscribe: new Set(),
+        }
+        this._blocked = new Set()
+    }
+
+    /**
+     * Returns the current time of the fake server, in milliseconds.
+     * @returns {number}
+     */
+    now() {
+        const state = this.state
+        return (state.time === null ? Date.now() : state.time) + state.offset
+    }
+
+    /**
+     * Moves the clock forward, expiring the keys whose TTL is over.
+     * @param {number} ms - the time to move forward, in milliseconds
+     * @returns {number} the new time
+     */
+    advance(ms) {
+        if (this.state.time === null) {
+            this.state.offset += ms
+        } else {
+            this.state.time += ms
+        }
+        this._expire_keys()
+        return this.now()
+    }
+
+    /**
+     * Freezes the clock at the given time.
+     * @param {number} ms - the time in milliseconds
+     * @returns {number} the new time
+     */
+    setTime(ms) {
+        this.state.time = ms
+        this.state.offset = 0
+        this._expire_keys()
+        return this.now()
+    }
+
+    /**
+     * Registers the handler of a script, called by the commands defined with defineCommand()
+     * and by FCALL with the name of the script, and by EVAL with its Lua source if it is given,
+     * instead of the Lua source.
+     * The scripts of RedisUtilFunctions have built-in handlers, used when fengari isn't installed.
+     * @example
+     * fake.registerScript('getdel_if', (redis, KEYS, ARGV) =>
+     *     redis.call('get', KEYS[0]) === ARGV[0] ? redis.call('del', KEYS[0]) : 0
+     * )
+     * @param {string} name - the name of the script
+     * @param {function(Object, Array<string>, Array<string>): *} handler - called with `redis`,
+     * whose `call()` sends a command as in Lua, and the KEYS and ARGV arrays (starting at 0).
+     * Its result is converted as Redis converts a Lua result
+     * @param {string} [lua] - the Lua source of the script
+     * @returns {FakeRedis} this instance
+     */
+    registerScript(name, handler, lua) {
+        this.state.scripts[name] = handler
+        if (lua) {
+            this.state.shas[sha1(lua)] = name
+            this.state.sources[sha1(lua)] = lua
+        }
+        return this
+    }
+
+    /**
+     * Defines a script as a command, as ioredis does. The script runs with the handler
+     * registered with its name if there is one, see registerScript().
+     * @param {string} name - the name of the command
+     * @param {{lua: string, numberOfKeys: number}} definition - the script and its number of keys,
+     * the first argument being the number of keys if it is not given
+     */
+    defineCommand(name, definition) {
+        const sha = sha1(definition.lua)
+        this.state.shas[sha] = name
+        this.state.sources[sha] = definition.lua
+        const script = {
+            sha,
+            args: (args) =>
+                definition.numberOfKeys === undefined
+                    ? [sha, ...args]
+                    : [sha, definition.numberOfKeys, ...args],
+        }
+        this._scripts[name] = script
+        this[name] = (...args) => this._send('evalsha', script.args(args))
+    }
+
+    /**
+     * Sends a command by name, as `call` of ioredis.
+     * @async
+     * @param {string} command - the command name, e.g. 'JSON.GET'
+     * @param {...*} args - the arguments, with an optional callback at the end
+     * @returns {Promise<*>} the reply
+     */
+    call(command, ...args) {
+        return this._send(String(command).toLowerCase(), args)
+    }
+
+    /**
+     * Returns a pipeline, whose commands are queued and sent by exec().
+     * @param {Array<Array>} [commands] - commands to queue, `[name, ...args]`
+     * @returns {FakePipeline}
+     */
+    pipeline(commands) {
+        return new FakePipeline(this, false, commands)
+    }
+
+    /**
+     * Returns a transaction, whose commands are queued and run atomically by exec().
+     * @param {Array<Array>} [commands] - commands to queue, `[name, ...args]`
+     * @returns {FakePipeline}
+     */
+    multi(commands) {
+        return new FakePipeline(this, true, commands)
+    }
+
+    /**
+     * Returns a new client of the same fake server.
+     * @returns {FakeRedis}
+     */
+    duplicate() {
+        let client = new FakeRedis()
+        client.state = this.state
+        return client
+    }
+
+    /**
+     * Connects a closed client again, with its subscriptions, as ioredis resubscribes.
+     */
+    connect() {
+        if (this.status !== 'ready') {
+            this.status = 'ready'
+            if (this._subscription_count()) this.state.subscribers.add(this)
+            this.emit('ready')
+        }
+        return Promise.resolve()
+    }
+
+    quit() {
+        this.disconnect()
+        return Promise.resolve('OK')
+    }
+
+    disconnect() {
+        if (this.status === 'end') return
+        this.status = 'end'
+        this.state.subscribers.delete(this)
+        for (const unblock of this._blocked) unblock()
+        this.emit('close')
+        this.emit('end')
+    }
+
+    /**
+     * Runs a command and returns its reply, synchronously.
+     * @throws {ReplyError} the error reply
+     */
+    _run(command, args) {
+        this._check(command, args)
+        args = flattenArgs(args)
+        const notify = this._keyspace_events(command, args)
+        const reply = COMMANDS[command].apply(this, args)
+        if (notify) notify(reply)
+        return reply
+    }
+
+    /**
+     * Throws the error Redis replies to an unknown command or a wrong number of arguments.
+     */
+    _check(command, args) {
+        if (!COMMANDS[command])
+            throw replyError("ERR unknown command '" + command + "'")
+        const arity = ARITY[command]
+        const count = flattenArgs(args).length + 1
+        if (arity > 0 ? count !== arity : count < -arity)
+            throw replyError(
+                "ERR wrong number of arguments for '" + command + "' command"
+            )
+    }
+
+    _reply(command, args, buffer) {
+        let reply = this._run(command, args)
+        if (REPLY_TRANSFORMERS[command])
+            reply = REPLY_TRANSFORMERS[command](reply)
+        return buffer ? bufferReply(reply) : reply
+    }
+
+    _send(command, args, buffer) {
+        let cb
+        ;({ args, cb } = splitCallback(args))
+        let ret
+        if (this.status === 'end') {
+            ret = Promise.reject(new Error('Connection is closed.'))
+        } else {
+            try {
+                ret = Promise.resolve(this._reply(command, args, buffer))
+            } catch (err) {
+                ret = Promise.reject(err)
+            }
+        }
+        if (cb)
+            ret.then(
+                (reply) => cb(null, reply),
+                (err) => cb(err)
+            )
+        return ret
+    }
+
+    /**
+     * Returns the Lua engine of the fake, null if fengari isn't installed or the option `lua` is false.
+     */
+    _lua() {
+        if (this.state.lua === null) {
+            const fengari = loadFengari()
+            this.state.lua = fengari ? new LuaEngine(fengari) : false
+        }
+        return this.state.lua || null
+    }
+
+    /**
+     * Runs a script with its keys and arguments: its registered handler, its Lua source,
+     * or its built-in handler.
+     * @param {string} id - the SHA1 of the script, or the name of a function if is_function is true
+     */
+    _script(id, numkeys, args, is_function) {
+        const name = is_function ? id : this.state.shas[id]
+        const num = toInt(numkeys)
+        if (num < 0 || num > args.length)
+            throw replyError(
+                "ERR Number of keys can't be greater than number of args"
+            )
+        const engine = !this.state.scripts[name] && this._lua()
+        if (engine && is_function && engine.functions.has(name))
+            return engine.fcall(this, name, args.slice(0, num), args.slice(num))
+        if (engine && !is_function && this.state.sources[id] !== undefined)
+            return engine.eval(
+                this,
+                this.state.sources[id],
+                args.slice(0, num),
+                args.slice(num)
+            )
+        const handler = this.state.scripts[name] || SCRIPTS[name]
+        if (!handler)
+            throw replyError(
+                name
+                    ? 'ERR FakeRedis has no handler of the script "' +
+                          name +
+                          '", register it with registerScript()'
+                    : 'ERR FakeRedis cannot run Lua without fengari, register a handler of the script with registerScript()'
+            )
+        const redis = {
+            call: (command, ...command_args) =>
+                this._run(String(command).toLowerCase(), command_args),
+            pcall: (command, ...command_args) => {
+                try {
+                    return redis.call(command, ...command_args)
+                } catch (err) {
+                    return err
+                }
+            },
+        }
+        return luaReply(handler(redis, args.slice(0, num), args.slice(num)))
+    }
+
+    /**
+     * Returns the entry of a key: `{type, value, expiresAt, seq}`, null if it doesn't exist or is expired.
+     * @throws {ReplyError} WRONGTYPE if the key exists with another type
+     */
+    _lookup(key, type) {
+        const entry = this.state.data.get(key)
+        if (!entry) return null
+        if (entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+            this.state.data.delete(key)
+            this._notify('x', 'expired', key)
+            return null
+        }
+        if (type && entry.type !== type) throw replyError(WRONGTYPE)
+        return entry
+    }
+
+    /**
+     * Sets the value of a key, replacing its entry. The entry keeps its place in the SCAN order.
+     */
+    _store(key, type, value, keep_ttl) {
+        const old = this._lookup(key)
+        const entry = {
+            type,
+            value,
+            expiresAt: keep_ttl && old ? old.expiresAt : null,
+            seq: old ? old.seq : ++this.state.seq,
+        }
+        this.state.data.set(key, entry)
+        return entry
+    }
+
+    _create(key, type, init) {
+        return this._lookup(key, type) || this._store(key, type, init())
+    }
+
+    /**
+     * Expires the keys whose TTL is over, as the active expiration of Redis does.
+     */
+    _expire_keys() {
+        for (const key of [...this.state.data.keys()]) this._lookup(key)
+    }
+
+    /**
+     * Returns a function sending the keyspace notifications of a write command once
+     * it has run with the given reply, or null if there are none to send.
+     */
+    _keyspace_events(command, args) {
+        const spec = KEYSPACE_EVENTS[command]
+        if (!spec || !/[KE]/.test(this.state.config['notify-keyspace-events']))
+            return null
+        let keys = [args[0]]
+        if (command === 'mset' || command === 'msetnx') {
+            keys = args.filter((arg, i) => i % 2 === 0)
+        } else if (command === 'del' || command === 'unlink') {
+            keys = args
+        } else if (Array.isArray(spec) || typeof spec === 'function') {
+            keys = args.slice(0, 2)
+        }
+        const events =
+            typeof spec === 'function'
+                ? spec(args)
+                : Array.isArray(spec)
+                  ? spec
+                  : keys.map(() => (spec === true ? command : spec))
+        const before = keys.map((key) => {
+            const entry = this._lookup(key)
+            return entry && entry.type
+        })
+        return (reply) => {
+            if (
+                reply === null ||
+                (reply === 0 && !ZERO_REPLY_EVENTS.includes(command)) ||
+                (Array.isArray(reply) && !reply.length)
+            )
+                return
+            keys.forEach((key, i) => {
+                const event = events[i]
+                const entry = this.state.data.get(key)
+                const type = entry ? entry.type : before[i]
+                if (!event || !type || (event === 'del' && !before[i])) return
+                const generic = GENERIC_EVENTS.includes(event)
+                this._notify(generic ? 'g' : TYPE_CLASSES[type], event, key)
+                //a collection emptied by the command is deleted
+                if (before[i] && !entry && !generic)
+                    this._notify('g', 'del', key)
+            })
+        }
+    }
+
+    /**
+     * Publishes a keyspace notification, if its class is enabled.
+     * @param {string} cls - the class of the event, e.g. '$' or 'g'
+     */
+    _notify(cls, event, key) {
+        const flags = this.state.config['notify-keyspace-events'].replace(
+            'A',
+            NOTIFY_CLASSES
+        )
+        if (!flags.includes(cls)) return
+        if (flags.includes('K')) this._publish('__keyspace@0__:' + key, event)
+        if (flags.includes('E')) this._publish('__keyevent@0__:' + event, key)
+    }
+
+    /**
+     * Delivers a message to the subscribed clients of the fake, once the running command returns.
+     * @returns {number} the number of deliveries
+     */
+    _publish(channel, message, sharded) {
+        let count = 0
+        for (const client of this.state.subscribers) {
+            const subscriptions = client._subscriptions
+            let deliveries = []
+            if (sharded) {
+                if (subscriptions.ssubscribe.has(channel))
+                    deliveries.push(['smessage', channel, message])
+            } else {
+                if (subscriptions.subscribe.has(channel))
+                    deliveries.push(['message', channel, message])
+                for (const ptn of subscriptions.psubscribe)
+                    if (globRegExp(ptn).test(channel))
+                        deliveries.push(['pmessage', ptn, channel, message])
+            }
+            count += deliveries.length
+            for (const delivery of deliveries)
+                queueMicrotask(() => client.emit(...delivery))
+        }
+        return count
+    }
+
+    /**
+     * Blocks a command until `read` returns a reply, tried again after every XADD,
+     * or until the timeout (in real milliseconds, 0 blocks for ever), when the reply is null.
+     * The command is rejected if the client is disconnected meanwhile.
+     * @returns {Promise<*>} the reply
+     */
+    _block(timeout, read) {
+        return new Promise((resolve, reject) => {
+            let timer = null
+            const done = (err, reply) => {
+                clearTimeout(timer)
+                this.state.blocked.delete(wake)
+                this._blocked.delete(unblock)
+                if (err) return reject(err)
+                resolve(reply)
+            }
+            const wake = () => {
+                let reply
+                try {
+                    reply = read()
+                } catch (err) {
+                    return done(err)
+                }
+                if (reply) done(null, reply)
+            }
+            const unblock = () => done(new Error('Connection is closed.'))
+            if (timeout) timer = setTimeout(() => done(null, null), timeout)
+            this.state.blocked.add(wake)
+            this._blocked.add(unblock)
+        })
+    }
+
+    _subscribe(kind, names) {
+        for (const name of names) this._subscriptions[kind].add(name)
+        this.state.subscribers.add(this)
+        return this._subscription_count()
+    }
+
+    _unsubscribe(kind, names) {
+        const subscriptions = this._subscriptions[kind]
+        if (!names.length) subscriptions.clear()
+        for (const name of names) subscriptions.delete(name)
+        const count = this._subscription_count()
+        if (!count) this.state.subscribers.delete(this)
+        return count
+    }
+
+    _subscription_count() {
+        const { subscribe, psubscribe, ssubscribe } = this._subscriptions
+        return subscribe.size + psubscribe.size + ssubscribe.size
+    }
+
+    /**
+     * Returns the consumer groups of a stream entry, by name.
+     * @returns {Map<string, {last: string, pending: Map, consumers: Set<string>}>}
+     */
+    _xgroups(entry) {
+        if (!entry.value.groups) entry.value.groups = new Map()
+        return entry.value.groups
+    }
+
+    /**
+     * Returns a consumer group, throwing the NOGROUP error if it doesn't exist.
+     */
+    _xgroup(key, group, command) {
+        const entry = this._lookup(key, 'stream')
+        const state = entry && this._xgroups(entry).get(group)
+        if (!state)
+            throw replyError(
+                "NOGROUP No such key '" +
+                    key +
+                    "' or consumer group '" +
+                    group +
+                    "' in " +
+                    command +
+                    ' command'
+            )
+        return state
+    }
+
+    _delete(key) {
+        return !!this._lookup(key) && this.state.data.delete(key)
+    }
+
+    /**
+     * Deletes a collection key once it is empty, as Redis does.
+     */
+    _reap(key, entry) {
+        const size =
+            entry.value instanceof Map || entry.value instanceof Set
+                ? entry.value.size
+                : entry.value.length
+        if (!size && this.state.data.get(key) === entry)
+            this.state.data.delete(key)
+    }
+
+    _incr(key, num) {
+        const entry = this._lookup(key, 'string')
+        const value = (entry ? toInt(entry.value) : 0) + num
+        if (!Number.isSafeInteger(value))
+            throw replyError('ERR increment or decrement would overflow')
+        this._store(key, 'string', String(value), true)
+        return value
+    }
+
+    _expire(key, at, flags) {
+        const entry = this._lookup(key)
+        if (!entry) return 0
+        const flag = (flags[0] || '').toUpperCase()
+        if (flag && !['NX', 'XX', 'GT', 'LT'].includes(flag))
+            throw replyError('ERR Unsupported option ' + flags[0])
+        const current = entry.expiresAt
+        if (
+            (flag === 'NX' && current !== null) ||
+            (flag === 'XX' && current === null) ||
+            (flag === 'GT' && (current === null || at <= current)) ||
+            (flag === 'LT' && current !== null && at >= current)
+        )
+            return 0
+        if (at <= this.now()) {
+            this.state.data.delete(key)
+        } else {
+            entry.expiresAt = at
+        }
+        return 1
+    }
+
+    _pop(key, count, left) {
+        const entry = this._lookup(key, 'list')
+        if (!entry) return null
+        const num = count === undefined ? 1 : toInt(count)
+        const popped = left
+            ? entry.value.splice(0, num)
+            : entry.value
+                  .splice(Math.max(entry.value.length - num, 0))
+                  .reverse()
+        this._reap(key, entry)
+        return count === undefined ? popped[0] : popped
+    }
+
+    /**
+     * Combines sets for SUNION, SINTER and SDIFF.
+     */
+    _combine(op, keys) {
+        const sets = keys.map((key) => {
+            const entry = this._lookup(key, 'set')
+            return entry ? entry.value : new Set()
+        })
+        let out = new Set(sets[0])
+        for (const set of sets.slice(1)) {
+            if (op === 'union') {
+                for (const member of set) out.add(member)
+            } else {
+                for (const member of out)
+                    if (set.has(member) === (op === 'diff')) out.delete(member)
+            }
+        }
+        return out
+    }
+
+    _combine_store(target, op, keys) {
+        const out = this._combine(op, keys)
+        this._delete(target)
+        if (out.size) this._store(target, 'set', out)
+        return out.size
+    }
+
+    _zrange_opts(opts) {
+        let parsed = {}
+        for (let i = 0; i < opts.length; ++i) {
+            const opt = opts[i].toUpperCase()
+            if (opt === 'BYSCORE') {
+                parsed.byScore = true
+            } else if (opt === 'REV') {
+                parsed.rev = true
+            } else if (opt === 'WITHSCORES') {
+                parsed.withScores = true
+            } else if (opt === 'LIMIT' && i + 2 < opts.length) {
+                parsed.limit = [toInt(opts[i + 1]), toInt(opts[i + 2])]
+                i += 2
+            } else if (opt === 'BYLEX') {
+                throw replyError('ERR FakeRedis does not support BYLEX')
+            } else {
+                throw syntaxError()
+            }
+        }
+        if (parsed.limit && !parsed.byScore)
+            throw replyError(
+                'ERR syntax error, LIMIT is only supported in combination with either BYSCORE or BYLEX'
+            )
+        return parsed
+    }
+
+    /**
+     * Returns the `[member, score]` of a sorted set in a range of ranks, or of scores with `byScore`.
+     * With `rev`, the range is `max min` for scores and the ranks count from the greatest score.
+     */
+    _zitems(key, start, stop, opts) {
+        let min
+        let max
+        if (opts.byScore) {
+            min = scoreBound(opts.rev ? stop : start)
+            max = scoreBound(opts.rev ? start : stop)
+        }
+        const entry = this._lookup(key, 'zset')
+        if (!entry) return []
+        let items = zsorted(entry.value)
+        if (opts.rev) items.reverse()
+        if (!opts.byScore) {
+            const range = listRange(start, stop, items.length)
+            return range ? items.slice(range[0], range[1] + 1) : []
+        }
+        items = items.filter(([, score]) => inBounds(score, min, max))
+        if (opts.limit) {
+            const [offset, count] = opts.limit
+            items = items.slice(
+                Math.max(offset, 0),
+                count < 0 ? undefined : Math.max(offset, 0) + count
+            )
+        }
+        return items
+    }
+
+    _zreply(items, with_scores) {
+        return with_scores
+            ? items.flatMap(([member, score]) => [member, formatFloat(score)])
+            : items.map(([member]) => member)
+    }
+
+    _zremove(key, items) {
+        const entry = this._lookup(key, 'zset')
+        if (!entry) return 0
+        for (const [member] of items) entry.value.delete(member)
+        this._reap(key, entry)
+        return items.length
+    }
+
+    _zpop(key, count, max) {
+        const num = count === undefined ? 1 : toInt(count)
+        const items = this._zitems(key, 0, num - 1, { rev: max })
+        if (num > 0) this._zremove(key, items)
+        return this._zreply(num > 0 ? items : [], true)
+    }
+
+    /**
+     * ZUNIONSTORE and ZINTERSTORE, with WEIGHTS and AGGREGATE. Sets are sorted sets of score 1.
+     */
+    _zcombine_store(target, op, numkeys, args) {
+        const num = toInt(numkeys)
+        if (num < 1 || num > args.length)
+            throw replyError(
+                'ERR at least 1 input key is needed for ' +
+                    (op === 'union' ? 'ZUNIONSTORE' : 'ZINTERSTORE')
+            )
+        const keys = args.slice(0, num)
+        let weights = keys.map(() => 1)
+        let aggregate = 'SUM'
+        for (let i = num; i < args.length; ++i) {
+            const opt = args[i].toUpperCase()
+            if (opt === 'WEIGHTS' && i + num < args.length) {
+                weights = args.slice(i + 1, i + 1 + num).map((w) => toFloat(w))
+                i += num
+            } else if (opt === 'AGGREGATE' && i + 1 < args.length) {
+                aggregate = args[++i].toUpperCase()
+                if (!['SUM', 'MIN', 'MAX'].includes(aggregate))
+                    throw syntaxError()
+            } else {
+                throw syntaxError()
+            }
+        }
+        const sources = keys.map((key) => {
+            const entry = this._lookup(key)
+            if (!entry) return new Map()
+            if (entry.type === 'set')
+                return new Map([...entry.value].map((member) => [member, 1]))
+            if (entry.type !== 'zset') throw replyError(WRONGTYPE)
+            return entry.value
+        })
+        const combine = (a, b) =>
+            aggregate === 'SUM'
+                ? a + b
+                : aggregate === 'MIN'
+                  ? Math.min(a, b)
+                  : Math.max(a, b)
+        let out = new Map()
+        sources.forEach((source, i) => {
+            for (const [member, score] of source) {
+                const weighted = score * weights[i]
+                out.set(
+                    member,
+                    out.has(member)
+                        ? combine(out.get(member), weighted)
+                        : weighted
+                )
+            }
+        })
+        if (op === 'inter')
+            for (const member of [...out.keys()])
+                if (!sources.every((source) => source.has(member)))
+                    out.delete(member)
+        this._delete(target)
+        if (out.size) this._store(target, 'zset', out)
+        return out.size
+    }
+
+    _xrange(key, start, end, opts, rev) {
+        let count = Infinity
+        if (opts.length) {
+            if (opts.length !== 2 || opts[0].toUpperCase() !== 'COUNT')
+                throw syntaxError()
+            count = toInt(opts[1])
+        }
+        const bound = (id, seq) => {
+            const exclusive = id[0] === '('
+            return {
+                id: streamId(exclusive ? id.substring(1) : id, seq),
+                exclusive,
+            }
+        }
+        const from = bound(start, 0)
+        const to = bound(end, Infinity)
+        const entry = this._lookup(key, 'stream')
+        if (!entry) return []
+        let entries = entry.value.entries.filter(([id]) => {
+            const parsed = streamId(id, 0)
+            const low = compareIds(parsed, from.id)
+            const high = compareIds(parsed, to.id)
+            return (
+                (from.exclusive ? low > 0 : low >= 0) &&
+                (to.exclusive ? high < 0 : high <= 0)
+            )
+        })
+        if (rev) entries = entries.reverse()
+        return entries
+            .slice(0, count)
+            .map(([id, fields]) => [id, fields.slice()])
+    }
+
+    _scan_opts(opts, command) {
+        let parsed = { match: null, count: 10, type: null, novalues: false }
+        for (let i = 0; i < opts.length; ++i) {
+            const opt = opts[i].toUpperCase()
+            if (opt === 'MATCH' && i + 1 < opts.length) {
+                parsed.match = globRegExp(opts[++i])
+            } else if (opt === 'COUNT' && i + 1 < opts.length) {
+                parsed.count = toInt(opts[++i])
+                if (parsed.count < 1) throw syntaxError()
+            } else if (
+                opt === 'TYPE' &&
+                command === 'scan' &&
+                i + 1 < opts.length
+            ) {
+                parsed.type = opts[++i].toLowerCase()
+            } else if (opt === 'NOVALUES' && command === 'hscan') {
+                parsed.novalues = true
+            } else {
+                throw syntaxError()
+            }
+        }
+        return parsed
+    }
+
+    /**
+     * One page of HSCAN, SSCAN or ZSCAN, the cursor being the index of the next item.
+     */
+    _scan_items(items, cursor, count, reply) {
+        const from = toInt(cursor, 'ERR invalid cursor')
+        const to = from + count
+        let out = []
+        for (const item of items.slice(from, to)) out.push(...reply(item))
+        return [String(to < items.length ? to : 0), out]
+    }
+
+    _json_get(root, path) {
+        const parsed = parseJsonPath(path)
+        const matches = jsonResolve(root, parsed.segments)
+        if (!parsed.legacy) return matches.map((match) => match.value)
+        if (!matches.length)
+            throw replyError("ERR Path '" + path + "' does not exist")
+        return matches[0].value
+    }
+
+    _json_assign(entry, match, value) {
+        if (match.parent) {
+            match.parent[match.key] = value
+        } else {
+            entry.value = value
+        }
+    }
+
+    /**
+     * Calls `fn` with every match of a path, and returns the array of the results for a JSONPath,
+     * or the result of the first match for a legacy path.
+     * Read commands return null if the key doesn't exist, write commands (`write`) refuse it.
+     */
+    _json_each(key, path, write, fn) {
+        const entry = this._lookup(key, JSON_TYPE)
+        if (!entry) {
+            if (write)
+                throw replyError(
+                    "ERR could not perform this operation on a key that doesn't exist"
+                )
+            return null
+        }
+        const parsed = parseJsonPath(path)
+        const matches = jsonResolve(entry.value, parsed.segments)
+        const results = matches.map(fn)
+        if (!parsed.legacy) return results
+        if (!matches.length)
+            throw replyError("ERR Path '" + path + "' does not exist")
+        return results[0]
+    }
+
+    _json_number(key, path, fn) {
+        const results = this._json_each(key, path, true, (match) => {
+            if (typeof match.value !== 'number') return null
+            const value = fn(match.value)
+            this._json_assign(this._lookup(key), match, value)
+            return value
+        })
+        if (results === null && parseJsonPath(path).legacy)
+            throw replyError("ERR Path '" + path + "' does not hold a number")
+        return JSON.stringify(results)
+    }
+}
+
+/**
+ * A pipeline or a transaction of a FakeRedis: the commands are queued, and exec() runs them
+ * all at once, so a transaction is atomic. A transaction with an unknown command
+ * or a wrong number of arguments is refused with EXECABORT, as Redis does.
+ */
+class FakePipeline {
+    constructor(redis, transaction, commands) {
+        this.redis = redis
+        this.transaction = transaction
+        this.isPipeline = true
+        this._queue = []
+        for (const name of Object.keys(redis._scripts)) {
+            const script = redis._scripts[name]
+            this[name] = (...args) => this._add('evalsha', script.args(args))
+        }
+        for (const [command, ...args] of commands || [])
+            this.call(command, ...args)
+    }
+
+    get length() {
+        return this._queue.length
+    }
+
+    call(command, ...args) {
+        return this._add(String(command).toLowerCase(), args)
+    }
+
+    /**
+     * Runs the queued commands.
+     * @async
+     * @param {function} [cb] - called with the error and the results
+     * @returns {Promise<Array>} the `[error, reply]` of every command
+     */
+    exec(cb) {
+        const redis = this.redis
+        let ret
+        if (redis.status === 'end') {
+            ret = Promise.reject(new Error('Connection is closed.'))
+        } else if (this.transaction && !this._valid()) {
+            ret = Promise.reject(
+                replyError(
+                    'EXECABORT Transaction discarded because of previous errors.'
+                )
+            )
+        } else {
+            const results = this._queue.map(({ command, args, buffer }) => {
+                try {
+                    return [null, redis._reply(command, args, buffer)]
+                } catch (err) {
+                    return [err, null]
+                }
+            })
+            this._queue.forEach(({ cb: command_cb }, i) => {
+                if (command_cb) command_cb(results[i][0], results[i][1])
+            })
+            ret = Promise.resolve(results)
+        }
+        if (cb)
+            ret.then(
+                (results) => cb(null, results),
+                (err) => cb(err)
+            )
+        return ret
+    }
+
+    _add(command, args, buffer) {
+        const { args: command_args, cb } = splitCallback(args)
+        this._queue.push({ command, args: command_args, cb, buffer })
+        return this
+    }
+
+    _valid() {
+        return this._queue.every(({ command, args }) => {
+            try {
+                this.redis._check(command, args)
+                return true
+            } catch (_err) {
+                return false
+            }
+        })
+    }
+}
+
+for (const command of Object.keys(COMMANDS)) {
+    FakeRedis.prototype[command] = function (...args) {
+        return this._send(command, args)
+    }
+    FakeRedis.prototype[command + 'Buffer'] = function (...args) {
+        return this._send(command, args, true)
+    }
+    FakePipeline.prototype[command] = function (...args) {
+        return this._add(command, args)
+    }
+    FakePipeline.prototype[command + 'Buffer'] = function (...args) {
+        return this._add(command, args, true)
+    }
+}
+
+module.exports = FakeRedis
+module.exports.FakeRedis = FakeRedis
+module.exports.FakePipeline = FakePipeline
+module.exports.SCRIPTS = SCRIPTS
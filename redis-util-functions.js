@@ -1,4 +1,11 @@
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const readline = require('readline')
 const Redis = require('ioredis')
+const calculateSlot = require('cluster-key-slot')
 
 /**
  * Returns JSON-parsed input string `s` if it is a string,
@@ -14,510 +21,6178 @@ const parseJson = function (s, dflt) {
     return dflt
 }
 
-class RedisUtilFunctions {
+/**
+ * Normalises a RedisJSON path to JSONPath syntax, `$` being the root.
+ * @param {string} [path] - the path, with or without the leading `$.`
+ * @returns {string} the JSONPath
+ */
+const jsonPath = function (path) {
+    if (!path || path === '$') return '$'
+    if (path.substr(0, 2) !== '$.') return '$.' + path
+    return path
+}
+
+/**
+ * Unwraps a single-element JSONPath result, JSON-parsing it first if it is a string.
+ * Missing keys stay null, missing paths give [].
+ * @param {*} res - the reply of the JSON command
+ * @returns {*} the decoded value
+ */
+const jsonUnwrap = function (res) {
+    if (res === null || res === undefined) return null
+    if (typeof res === 'string') res = parseJson(res, res)
+    if (Array.isArray(res) && res.length === 1) return res[0]
+    return res
+}
+
+/**
+ * The RedisJSON helpers, by method name.
+ * `build` takes the helper arguments (unprefixed) and returns the raw command,
+ * `decode` turns the reply into the helper result.
+ * Their names can also be used as commands in rpipemulti() and rpipemulti2array().
+ */
+const JSON_HELPERS = {
+    rjset: {
+        build: (hkey, path, value, mode) => {
+            let command = [
+                'JSON.SET',
+                hkey,
+                jsonPath(path),
+                JSON.stringify(value),
+            ]
+            if (mode && typeof mode === 'object')
+                mode = mode.nx ? 'NX' : mode.xx ? 'XX' : null
+            if (mode) command.push(String(mode).toUpperCase())
+            return command
+        },
+        decode: (res) => res === 'OK',
+    },
+    rjmerge: {
+        build: (hkey, path, value) => [
+            'JSON.MERGE',
+            hkey,
+            jsonPath(path),
+            JSON.stringify(value),
+        ],
+        decode: (res) => res === 'OK',
+    },
+    rjdel: {
+        build: (hkey, path) => ['JSON.DEL', hkey, jsonPath(path)],
+        decode: (res) => res - 0,
+    },
+    rjmget: {
+        build: (hkeys, path) => ['JSON.MGET', ...hkeys, jsonPath(path)],
+        decode: (res) => (Array.isArray(res) ? res.map(jsonUnwrap) : []),
+    },
+    rjarrappend: {
+        build: (hkey, path, ...values) => [
+            'JSON.ARRAPPEND',
+            hkey,
+            jsonPath(path),
+            ...values.map((value) => JSON.stringify(value)),
+        ],
+        decode: jsonUnwrap,
+    },
+    rjarrpop: {
+        build: (hkey, path, index) =>
+            index === undefined || index === null
+                ? ['JSON.ARRPOP', hkey, jsonPath(path)]
+                : ['JSON.ARRPOP', hkey, jsonPath(path), index],
+        decode: (res) =>
+            jsonUnwrap(
+                Array.isArray(res)
+                    ? res.map((value) => parseJson(value, null))
+                    : res
+            ),
+    },
+    rjnumincrby: {
+        build: (hkey, path, num) => [
+            'JSON.NUMINCRBY',
+            hkey,
+            jsonPath(path),
+            num,
+        ],
+        decode: jsonUnwrap,
+    },
+    rjtype: {
+        build: (hkey, path) => ['JSON.TYPE', hkey, jsonPath(path)],
+        decode: jsonUnwrap,
+    },
+    rjobjkeys: {
+        build: (hkey, path) => ['JSON.OBJKEYS', hkey, jsonPath(path)],
+        decode: jsonUnwrap,
+    },
+}
+
+/**
+ * Client events that are re-emitted by RedisUtilFunctions instances.
+ * `error` is re-emitted too, but only if the instance has `error` listeners.
+ */
+const CLIENT_EVENTS = [
+    'connect',
+    'ready',
+    'reconnecting',
+    'close',
+    'end',
+    '+node',
+    '-node',
+    'node error',
+]
+
+/**
+ * The `notify-keyspace-events` classes of the keyspace events, see {@link RedisUtilFunctions#watchKeys}.
+ * The `json.*` events of RedisJSON are in the `d` (module) class, the unknown events turn on all the classes.
+ */
+const KEYSPACE_CLASSES = {
+    g: 'del expire rename_from rename_to copy_to restore persist move',
+    $: 'set setrange incrby decrby incrbyfloat append',
+    l: 'lpush rpush lpop rpop linsert lset lrem ltrim',
+    s: 'sadd srem spop sinterstore sunionstore sdiffstore',
+    h: 'hset hdel hincrby hincrbyfloat hexpire hpersist hexpired',
+    z: 'zadd zincr zrem zremrangebyscore zremrangebyrank zpopmin zpopmax zinterstore zunionstore zdiffstore zrangestore',
+    x: 'expired',
+    e: 'evicted',
+    t: 'xadd xtrim xdel xsetid xgroup-create xgroup-createconsumer xgroup-delconsumer xgroup-destroy xgroup-setid',
+    n: 'new',
+    m: 'keymiss',
+}
+
+/**
+ * The classes `A` stands for in `notify-keyspace-events`.
+ */
+const KEYSPACE_ALL = 'g$lshzxetd'
+
+/**
+ * Returns the `notify-keyspace-events` flags the keyspace notifications of some events need.
+ * @param {Set<string>|null} events - the events, all of them if null
+ * @returns {string} the flags, e.g. 'K$g'
+ */
+const keyspaceFlags = function (events) {
+    let flags = new Set('K')
+    for (const event of events || ['*']) {
+        const cls = event.startsWith('json.')
+            ? 'd'
+            : Object.keys(KEYSPACE_CLASSES).find((key) =>
+                  KEYSPACE_CLASSES[key].split(' ').includes(event)
+              )
+        for (const flag of cls || KEYSPACE_ALL) flags.add(flag)
+    }
+    return [...flags].join('')
+}
+
+/**
+ * The commands removing the subscriptions of each subscribing command.
+ */
+const UNSUBSCRIBE_COMMANDS = {
+    subscribe: 'unsubscribe',
+    psubscribe: 'punsubscribe',
+    ssubscribe: 'sunsubscribe',
+}
+
+/**
+ * Parses a `host:port` string or a redis:// / rediss:// URL into a cluster node.
+ * Credentials and TLS of the URL are set on `redis_options`, as the cluster nodes share them.
+ * @param {string|Object} node - the node string, objects are returned as they are
+ * @param {Object} redis_options - the cluster `redisOptions` to set credentials and TLS on
+ * @returns {Object} the node, `{host, port}`
+ */
+const parseClusterNode = function (node, redis_options) {
+    if (typeof node !== 'string') return node
+    if (node.indexOf('://') === -1) {
+        const at = node.lastIndexOf(':')
+        if (at === -1) return { host: node, port: 6379 }
+        return {
+            host: node.substring(0, at),
+            port: parseInt(node.substring(at + 1)) || 6379,
+        }
+    }
+    const url = new URL(node)
+    if (url.protocol === 'rediss:' && !redis_options.tls) redis_options.tls = {}
+    if (url.username && redis_options.username === undefined)
+        redis_options.username = decodeURIComponent(url.username)
+    if (url.password && redis_options.password === undefined)
+        redis_options.password = decodeURIComponent(url.password)
+    return {
+        host: url.hostname.replace(/^\[|\]$/g, ''),
+        port: parseInt(url.port) || 6379,
+    }
+}
+
+/**
+ * Builds the connection settings from the environment variables:
+ * `REDIS_CONNECTION` - the connection URL (redis:// or rediss://),
+ * or comma separated URLs or `host:port` of the cluster seed nodes,
+ * `REDIS_SENTINELS` - comma separated `host:port` of the sentinels, instead of `REDIS_CONNECTION`,
+ * `REDIS_SENTINEL_NAME` - the sentinel master name, `mymaster` by default,
+ * `REDIS_TLS` - 1 to connect with TLS,
+ * `REDIS_OPTIONS` - JSON of additional ioredis options (cluster options for a cluster).
+ * @returns {Object|string|null} the settings, or null if there is no connection in the environment
+ */
+const settingsFromEnv = function () {
+    const env = process.env
+    let options = env.REDIS_OPTIONS ? JSON.parse(env.REDIS_OPTIONS) : {}
+    if (Number(env.REDIS_TLS)) options.tls = true
+    if (env.REDIS_SENTINELS) {
+        return Object.assign(options, {
+            sentinels: env.REDIS_SENTINELS.split(',').map((sentinel) =>
+                parseClusterNode(sentinel.trim(), {})
+            ),
+            name: env.REDIS_SENTINEL_NAME || 'mymaster',
+        })
+    }
+    if (!env.REDIS_CONNECTION) return null
+    if (!Object.keys(options).length) return env.REDIS_CONNECTION
+    const urls = env.REDIS_CONNECTION.split(',').map((url) => url.trim())
+    if (urls.length > 1 || Number(env.REDIS_CLUSTER)) {
+        const tls = options.tls
+        delete options.tls
+        return { nodes: urls, clusterOptions: options, tls }
+    }
+    return Object.assign(options, { url: urls[0] })
+}
+
+/**
+ * Creates a client from connection settings, which can be:
+ * a connection URL (redis:// or rediss://), or comma separated URLs of cluster seed nodes,
+ * or ioredis options (including `sentinels` and `name` for Sentinel),
+ * or ioredis options with a `url`,
+ * or cluster settings: `{nodes, clusterOptions, redisOptions, natMap, tls}`.
+ * `tls: true` stands for the default TLS options.
+ * @param {Object|string} settings - the connection settings
+ * @param {boolean} [is_cluster] - whether the Redis server is a cluster,
+ * a settings object without `nodes` is then the only seed node
+ * @returns {Redis|Redis.Cluster} the client
+ */
+const createClient = function (settings, is_cluster) {
+    if (typeof settings === 'string') {
+        const urls = settings.split(',').map((url) => url.trim())
+        if (!is_cluster && urls.length === 1) return new Redis(settings)
+        settings = { nodes: urls }
+    }
+    let options = Object.assign({}, settings)
+    if (options.tls === true) options.tls = {}
+
+    if (!options.nodes && !is_cluster) {
+        const url = options.url
+        delete options.url
+        return url ? new Redis(url, options) : new Redis(options)
+    }
+
+    if (!options.nodes) return new Redis.Cluster([settings])
+    let cluster_options = Object.assign({}, options.clusterOptions)
+    let redis_options = Object.assign(
+        {},
+        cluster_options.redisOptions,
+        options.redisOptions
+    )
+    if (options.tls && !redis_options.tls) redis_options.tls = options.tls
+    if (options.natMap) cluster_options.natMap = options.natMap
+    const nodes = options.nodes.map((node) =>
+        parseClusterNode(node, redis_options)
+    )
+    if (Object.keys(redis_options).length)
+        cluster_options.redisOptions = redis_options
+    return new Redis.Cluster(nodes, cluster_options)
+}
+
+/**
+ * Whether a value can be used as the client: an ioredis client,
+ * or an object with the same interface (sending commands by name, pipelines and transactions).
+ * @param {*} client - the value to check
+ * @returns {boolean}
+ */
+const isClient = function (client) {
+    if (client instanceof Redis || client instanceof Redis.Cluster) return true
+    return (
+        !!client &&
+        typeof client.call === 'function' &&
+        typeof client.pipeline === 'function' &&
+        typeof client.multi === 'function' &&
+        typeof client.defineCommand === 'function'
+    )
+}
+
+/**
+ * Resolves after `ms` milliseconds.
+ * @param {number} ms - the time to wait
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Deletes KEYS[1] only if its value is ARGV[1], i.e. if the lock is still ours.
+ */
+const UNLOCK_SCRIPT =
+    "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0"
+
+/**
+ * Sets KEYS[1] to the ARGV[2] ms TTL only if its value is ARGV[1].
+ */
+const EXTEND_SCRIPT =
+    "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) end return 0"
+
+/**
+ * Sets the lock KEYS[1] to ARGV[1] with a ARGV[2] ms TTL if it is not set,
+ * and returns the next fencing token from the counter KEYS[2], or nil if the lock is taken.
+ */
+const LOCK_SCRIPT =
+    "if redis.call('set', KEYS[1], ARGV[1], 'PX', ARGV[2], 'NX') then return redis.call('incr', KEYS[2]) end return false"
+
+/**
+ * Checks and consumes rate limits atomically, with the server time.
+ * KEYS are the limit keys, ARGV[1] the cost, then `algorithm, limit, window` for every key.
+ * The cost is consumed only if every limit allows it.
+ * A fixed window key without a TTL, e.g. restored or written by another client, gets one, so that it can't block forever.
+ * Returns the allowed flag, then `remaining, reset ms` for every limit.
+ */
+const RATE_LIMIT_SCRIPT = `
+local t = redis.call('TIME')
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+local cost = tonumber(ARGV[1])
+local allowed = 1
+local states = {}
+for i = 1, #KEYS do
+    local algorithm = ARGV[i * 3 - 1]
+    local limit = tonumber(ARGV[i * 3])
+    local window = tonumber(ARGV[i * 3 + 1])
+    local state = {used = 0, reset = 0}
+    if algorithm == 'fixed' then
+        state.used = tonumber(redis.call('get', KEYS[i]) or '0')
+        state.reset = redis.call('pttl', KEYS[i])
+        if state.reset == -1 then redis.call('pexpire', KEYS[i], window) end
+        if state.reset < 0 then state.reset = window end
+        state.remaining = limit - state.used
+    elseif algorithm == 'sliding' then
+        redis.call('zremrangebyscore', KEYS[i], '-inf', now - window)
+        state.used = redis.call('zcard', KEYS[i])
+        local oldest = redis.call('zrange', KEYS[i], 0, 0, 'WITHSCORES')
+        if oldest[2] then state.reset = tonumber(oldest[2]) + window - now end
+        state.remaining = limit - state.used
+    else
+        local bucket = redis.call('hmget', KEYS[i], 'tokens', 'ts')
+        local tokens = tonumber(bucket[1] or limit)
+        local ts = tonumber(bucket[2] or now)
+        tokens = math.min(limit, tokens + (now - ts) * limit / window)
+        state.tokens = tokens
+        state.remaining = math.floor(tokens)
+    end
+    if state.remaining < cost then allowed = 0 end
+    states[i] = state
+end
+local out = {allowed}
+for i = 1, #KEYS do
+    local algorithm = ARGV[i * 3 - 1]
+    local limit = tonumber(ARGV[i * 3])
+    local window = tonumber(ARGV[i * 3 + 1])
+    local state = states[i]
+    if allowed == 1 then
+        state.remaining = state.remaining - cost
+        if algorithm == 'fixed' then
+            redis.call('incrby', KEYS[i], cost)
+            if state.used == 0 then redis.call('pexpire', KEYS[i], window) end
+        elseif algorithm == 'sliding' then
+            for j = 1, cost do
+                redis.call('zadd', KEYS[i], now, now .. ':' .. (state.used + j))
+            end
+            redis.call('pexpire', KEYS[i], window)
+            if state.used == 0 then state.reset = window end
+        else
+            state.tokens = state.tokens - cost
+            redis.call('hset', KEYS[i], 'tokens', tostring(state.tokens), 'ts', now)
+            redis.call('pexpire', KEYS[i], window)
+        end
+    end
+    if algorithm == 'token' then
+        state.reset = math.ceil((limit - state.tokens) * window / limit)
+    end
+    table.insert(out, math.max(state.remaining, 0))
+    table.insert(out, math.max(state.reset, 0))
+end
+return out
+`
+
+/**
+ * Sets KEYS[1] to ARGV[3] only if its current value is ARGV[2], or if it doesn't exist when ARGV[1] is 0.
+ * ARGV[4] is an optional TTL in ms. Returns 1 if the value is set, 0 otherwise.
+ */
+const CAS_SCRIPT = `
+local current = redis.call('get', KEYS[1])
+if ARGV[1] == '0' then
+    if current then return 0 end
+elseif current ~= ARGV[2] then
+    return 0
+end
+if ARGV[4] and tonumber(ARGV[4]) > 0 then
+    redis.call('set', KEYS[1], ARGV[3], 'PX', ARGV[4])
+else
+    redis.call('set', KEYS[1], ARGV[3])
+end
+return 1
+`
+
+/**
+ * Returns the ARGV[1] path of the JSON key KEYS[1], and sets its TTL to ARGV[2] ms if it exists.
+ */
+const JSON_GETEX_SCRIPT = `
+local value = redis.call('JSON.GET', KEYS[1], ARGV[1])
+if value then redis.call('pexpire', KEYS[1], ARGV[2]) end
+return value
+`
+
+/**
+ * Pushes ARGV[2..] to the head of the list KEYS[1] and trims it to ARGV[1] elements.
+ * Returns the length of the list.
+ */
+const CAPPED_PUSH_SCRIPT = `
+redis.call('lpush', KEYS[1], unpack(ARGV, 2))
+redis.call('ltrim', KEYS[1], 0, tonumber(ARGV[1]) - 1)
+return redis.call('llen', KEYS[1])
+`
+
+/**
+ * Removes the members ARGV[3..] from the set (ARGV[1] is 0) or sorted set (ARGV[1] is 1) KEYS[1],
+ * and deletes the key KEYS[i + 1] of every member ARGV[i + 2] it removes, with UNLINK if ARGV[2] is 'unlink'.
+ * A member already removed, e.g. by another client, leaves its key alone.
+ * Returns the number of members removed.
+ */
+const DEL_FROM_SET_SCRIPT = `
+local rem = ARGV[1] == '1' and 'zrem' or 'srem'
+local del = ARGV[2] == 'unlink' and 'unlink' or 'del'
+local removed = 0
+for i = 2, #KEYS do
+    if redis.call(rem, KEYS[1], ARGV[i + 1]) == 1 then
+        redis.call(del, KEYS[i])
+        removed = removed + 1
+    end
+end
+return removed
+`
+
+/**
+ * Adds the job ARGV[1], with the payload ARGV[2] and ARGV[5] failed attempts, to the work queue
+ * stream KEYS[1], or to the sorted set KEYS[2] of the delayed jobs, scored by the time the job is
+ * due, when the delay ARGV[3] in ms is not 0. When the TTL ARGV[4] in ms is not 0, the job is only
+ * added if KEYS[3] is not set, and KEYS[3] is set for that long.
+ * Returns the id of the job, or false if it is a duplicate.
+ */
+const QUEUE_ADD_SCRIPT = `
+if ARGV[4] ~= '0' and not redis.call('set', KEYS[3], ARGV[1], 'PX', ARGV[4], 'NX') then
+    return false
+end
+local delay = tonumber(ARGV[3])
+if delay > 0 then
+    local time = redis.call('time')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+    redis.call('zadd', KEYS[2], now + delay, cjson.encode({ ARGV[1], ARGV[2], tonumber(ARGV[5]) }))
+else
+    redis.call('xadd', KEYS[1], '*', 'id', ARGV[1], 'payload', ARGV[2], 'attempts', ARGV[5])
+end
+return ARGV[1]
+`
+
+/**
+ * Moves at most ARGV[1] of the delayed jobs of the sorted set KEYS[1] that are due to the work
+ * queue stream KEYS[2]. Returns the number of jobs moved.
+ */
+const QUEUE_PROMOTE_SCRIPT = `
+local time = redis.call('time')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local due = redis.call('zrangebyscore', KEYS[1], '-inf', now, 'LIMIT', 0, ARGV[1])
+for _, member in ipairs(due) do
+    local job = cjson.decode(member)
+    redis.call('xadd', KEYS[2], '*', 'id', job[1], 'payload', job[2], 'attempts', job[3])
+    redis.call('zrem', KEYS[1], member)
+end
+return #due
+`
+
+/**
+ * Acknowledges and deletes the entry ARGV[2] of the work queue stream KEYS[1] read by the consumer
+ * group ARGV[1], for the job ARGV[3] with the payload ARGV[4] that failed its ARGV[5]th attempt.
+ * The job is retried in ARGV[6] ms through the sorted set KEYS[2] of the delayed jobs, or, when
+ * ARGV[6] is negative, added with the error ARGV[7] to the dead-letter stream KEYS[3], trimmed to
+ * about ARGV[8] entries.
+ * Returns 1 if the job is retried, 0 if it is dead, -1 if the entry was already acknowledged.
+ */
+const QUEUE_FAIL_SCRIPT = `
+if redis.call('xack', KEYS[1], ARGV[1], ARGV[2]) == 0 then return -1 end
+redis.call('xdel', KEYS[1], ARGV[2])
+local delay = tonumber(ARGV[6])
+if delay < 0 then
+    redis.call('xadd', KEYS[3], 'MAXLEN', '~', ARGV[8], '*',
+        'id', ARGV[3], 'payload', ARGV[4], 'attempts', ARGV[5], 'error', ARGV[7])
+    return 0
+end
+local time = redis.call('time')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+redis.call('zadd', KEYS[2], now + delay, cjson.encode({ ARGV[3], ARGV[4], tonumber(ARGV[5]) }))
+return 1
+`
+
+/**
+ * Increments the field ARGV[1] of the hash KEYS[1] by ARGV[2], from ARGV[3] if it is not set
+ * and ARGV[3] is not empty, and scores the member ARGV[4] of the index KEYS[2] with the new value.
+ * Returns the new value.
+ */
+const MODEL_INCR_SCRIPT = `
+if ARGV[3] ~= '' then redis.call('hsetnx', KEYS[1], ARGV[1], ARGV[3]) end
+local value = redis.call('hincrbyfloat', KEYS[1], ARGV[1], ARGV[2])
+redis.call('zadd', KEYS[2], value, ARGV[4])
+return value
+`
+
+/**
+ * The scripts every instance defines, see {@link RedisUtilFunctions#defineScript}.
+ * Without `numberOfKeys`, the first argument is the number of keys.
+ */
+const BUILTIN_SCRIPTS = {
+    rutil_lock: { lua: LOCK_SCRIPT, numberOfKeys: 2 },
+    rutil_extend: { lua: EXTEND_SCRIPT, numberOfKeys: 1 },
+    rutil_unlock: { lua: UNLOCK_SCRIPT, numberOfKeys: 1 },
+    rutil_ratelimit: { lua: RATE_LIMIT_SCRIPT },
+    rutil_cas: { lua: CAS_SCRIPT, numberOfKeys: 1 },
+    rutil_jgetex: { lua: JSON_GETEX_SCRIPT, numberOfKeys: 1 },
+    rutil_cappedpush: { lua: CAPPED_PUSH_SCRIPT, numberOfKeys: 1 },
+    rutil_delfromset: { lua: DEL_FROM_SET_SCRIPT },
+    rutil_qadd: { lua: QUEUE_ADD_SCRIPT, numberOfKeys: 3 },
+    rutil_qpromote: { lua: QUEUE_PROMOTE_SCRIPT, numberOfKeys: 2 },
+    rutil_qfail: { lua: QUEUE_FAIL_SCRIPT, numberOfKeys: 3 },
+    rutil_modelincr: { lua: MODEL_INCR_SCRIPT, numberOfKeys: 2 },
+}
+
+/**
+ * How exportKeys() reads and importKeys() writes the values, by the type name of the records.
+ * `read` returns the command reading the value, `decode` turns its reply into the record value,
+ * `write` returns the commands writing the record value.
+ */
+const EXPORT_TYPES = {
+    string: {
+        read: (hkey) => ['get', hkey],
+        decode: (raw) => raw,
+        write: (hkey, value) => [['set', hkey, value]],
+    },
+    hash: {
+        read: (hkey) => ['hgetall', hkey],
+        decode: (raw) => raw,
+        write: (hkey, value) => [['hset', hkey, value]],
+    },
+    list: {
+        read: (hkey) => ['lrange', hkey, 0, -1],
+        decode: (raw) => raw,
+        write: (hkey, value) => [['rpush', hkey, ...value]],
+    },
+    set: {
+        read: (hkey) => ['smembers', hkey],
+        decode: (raw) => raw,
+        write: (hkey, value) => [['sadd', hkey, ...value]],
+    },
+    zset: {
+        read: (hkey) => ['zrange', hkey, 0, -1, 'WITHSCORES'],
+        decode: (raw) => {
+            let out = []
+            for (let i = 0; i < raw.length; i += 2)
+                out.push([raw[i], Number(raw[i + 1])])
+            return out
+        },
+        write: (hkey, value) => [
+            [
+                'zadd',
+                hkey,
+                ...value.flatMap(([member, score]) => [score, member]),
+            ],
+        ],
+    },
+    stream: {
+        read: (hkey) => ['xrange', hkey, '-', '+'],
+        decode: (raw) => raw,
+        write: (hkey, value) =>
+            value.map(([id, fields]) => ['xadd', hkey, id, ...fields]),
+    },
+    json: {
+        read: (hkey) => ['call', 'JSON.GET', hkey, '$'],
+        decode: jsonUnwrap,
+        write: (hkey, value) => [['rjset', hkey, '$', value]],
+    },
+}
+
+/**
+ * The commands counting the elements of a key, by type, for analyzeKeyspace().
+ */
+const LENGTH_COMMANDS = {
+    string: 'strlen',
+    hash: 'hlen',
+    list: 'llen',
+    set: 'scard',
+    zset: 'zcard',
+    stream: 'xlen',
+}
+
+/**
+ * The TTL ranges of the keyspace reports: the upper bound in milliseconds, excluded, and the label.
+ */
+const TTL_BUCKETS = [
+    [60000, '<1m'],
+    [3600000, '<1h'],
+    [86400000, '<1d'],
+    [604800000, '<7d'],
+    [Infinity, '>=7d'],
+]
+
+/**
+ * The number of key sizes analyzeKeyspace() keeps by group for the percentiles,
+ * a uniform sample (reservoir) of the sizes of the bigger groups.
+ */
+const KEYSPACE_SIZES = 1000
+
+/**
+ * Returns the TTL range of a key, 'none' if it doesn't expire.
+ * @param {number} ttl - the TTL in milliseconds, negative if the key doesn't expire
+ * @returns {string} the label of the range
+ */
+const ttlBucket = (ttl) =>
+    ttl < 0 ? 'none' : TTL_BUCKETS.find(([max]) => ttl < max)[1]
+
+const formatBytes = function (bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB']
+    let i = 0
+    while (bytes >= 1024 && i < units.length - 1) {
+        bytes /= 1024
+        ++i
+    }
+    return (i ? bytes.toFixed(1) : String(Math.round(bytes))) + ' ' + units[i]
+}
+
+const formatTtl = function (ttl) {
+    if (ttl < 0) return 'none'
+    if (ttl < 60000) return Math.ceil(ttl / 1000) + 's'
+    if (ttl < 3600000) return Math.round(ttl / 60000) + 'm'
+    if (ttl < 86400000) return Math.round(ttl / 3600000) + 'h'
+    return Math.round(ttl / 86400000) + 'd'
+}
+
+/**
+ * Formats rows of cells as aligned columns.
+ */
+const formatColumns = function (rows) {
+    const widths = rows[0].map((cell, i) =>
+        Math.max(...rows.map((row) => String(row[i]).length))
+    )
+    return rows.map((row) =>
+        row
+            .map((cell, i) => String(cell).padEnd(widths[i]))
+            .join('  ')
+            .trimEnd()
+    )
+}
+
+/**
+ * Formats a report of {@link RedisUtilFunctions#analyzeKeyspace} as a readable table:
+ * a line per group, the biggest first, then the biggest keys.
+ * With a sample rate, the numbers of keys and the sizes of the groups are the estimated ones (`~`).
+ * @param {Object} report - the report
+ * @returns {string} the table
+ */
+const formatKeyspaceReport = function (report) {
+    const sampling = report.sampleRate < 1
+    const estimate = (value, format) =>
+        (sampling ? '~' : '') + (format ? format(value) : value)
+    let lines = [
+        'Keyspace ' +
+            report.pattern +
+            ': ' +
+            report.scanned +
+            ' keys scanned, ' +
+            report.sampled +
+            ' analyzed' +
+            (sampling ? ' (' + report.sampleRate * 100 + '%)' : '') +
+            ', ' +
+            estimate(report.estimatedBytes, formatBytes) +
+            ', ' +
+            report.noTtl +
+            ' without TTL',
+        '',
+    ]
+    lines.push(
+        ...formatColumns([
+            ['GROUP', 'KEYS', 'SIZE', 'AVG', 'P95', 'MAX', 'TYPES', 'TTL'],
+            ...report.groups.map((group) => [
+                group.group,
+                estimate(group.estimatedKeys),
+                estimate(group.estimatedBytes, formatBytes),
+                formatBytes(group.avgBytes),
+                formatBytes(group.p95Bytes),
+                formatBytes(group.maxBytes),
+                Object.keys(group.types).join(','),
+                Object.keys(group.ttl)
+                    .filter((bucket) => group.ttl[bucket])
+                    .map((bucket) => bucket + ':' + group.ttl[bucket])
+                    .join(' '),
+            ]),
+        ])
+    )
+    if (report.biggest.length) {
+        lines.push('', 'Biggest keys:')
+        lines.push(
+            ...formatColumns([
+                ['KEY', 'TYPE', 'SIZE', 'LENGTH', 'TTL'],
+                ...report.biggest.map((info) => [
+                    info.key,
+                    info.type,
+                    formatBytes(info.bytes),
+                    info.length === null ? '-' : info.length,
+                    formatTtl(info.ttl),
+                ]),
+            ]).map((line) => '  ' + line)
+        )
+    }
+    return lines.join('\n')
+}
+
+/**
+ * Whether a key has a hash tag, i.e. its cluster slot is the one of the tag.
+ * @param {string} hkey - the key
+ * @returns {boolean}
+ */
+const hasHashTag = function (hkey) {
+    const start = hkey.indexOf('{')
+    if (start === -1) return false
+    const end = hkey.indexOf('}', start + 1)
+    return end > start + 1
+}
+
+/**
+ * Escapes the glob special characters of a string, for SCAN MATCH.
+ * @param {string} str - the string to escape
+ * @returns {string} the escaped string
+ */
+const escapeGlob = (str) => str.replace(/[*?[\]\\]/g, '\\$&')
+
+/**
+ * Builds a regular expression matching the keys of a SCAN MATCH glob pattern,
+ * capturing every `*`, `?` and `[...]` part.
+ * @param {string} ptn - the glob pattern
+ * @returns {RegExp} the regular expression
+ */
+const globRegExp = function (ptn) {
+    const escape = (c) => c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    let out = ''
+    for (let i = 0; i < ptn.length; ++i) {
+        const c = ptn[i]
+        if (c === '\\' && i + 1 < ptn.length) {
+            out += escape(ptn[++i])
+        } else if (c === '*') {
+            out += '(.*)'
+        } else if (c === '?') {
+            out += '(.)'
+        } else if (c === '[' && ptn.indexOf(']', i + 2) !== -1) {
+            const end = ptn.indexOf(']', i + 2)
+            const cls = ptn.substring(i + 1, end).replace(/\\/g, '\\\\')
+            out += '([' + cls + '])'
+            i = end
+        } else {
+            out += escape(c)
+        }
+    }
+    return new RegExp('^' + out + '$', 's')
+}
+
+/**
+ * Server-side conversions of convertKey(), by `from>to`.
+ * Each one returns the command storing the source into the target.
+ */
+const CONVERT_SERVER = {
+    'set>set': (source, target) => ['sunionstore', target, source],
+    'set>zset': (source, target) => ['zunionstore', target, 1, source],
+    'zset>zset': (source, target) => ['zrangestore', target, source, 0, -1],
+    'list>list': (source, target) => ['copy', source, target, 'REPLACE'],
+    'hash>hash': (source, target) => ['copy', source, target, 'REPLACE'],
+}
+
+/**
+ * The length commands of the types convertKey() converts.
+ */
+const CONVERT_LENGTH = {
+    set: 'scard',
+    zset: 'zcard',
+    list: 'llen',
+    hash: 'hlen',
+}
+
+/**
+ * How cached() stores values, by codec name.
+ * `read` returns the command reading the value, `decode` turns its reply into the value,
+ * `write` returns the commands storing the value.
+ * `empty` tells if a reply or a value is empty, for the types Redis can't store empty:
+ * an empty reply is a miss, and an empty value is only recorded in the metadata.
+ */
+const CACHE_CODECS = {
+    json: {
+        read: (hkey) => ['call', 'JSON.GET', hkey, '$'],
+        decode: jsonUnwrap,
+        write: (hkey, value) => [['rjset', hkey, '$', value]],
+    },
+    string: {
+        read: (hkey) => ['get', hkey],
+        decode: (raw) => raw,
+        write: (hkey, value) => [['set', hkey, String(value)]],
+    },
+    hash: {
+        read: (hkey) => ['hgetall', hkey],
+        decode: (raw) => raw || {},
+        write: (hkey, value) => [
+            ['del', hkey],
+            ['hset', hkey, value],
+        ],
+        empty: (raw) => !raw || !Object.keys(raw).length,
+    },
+}
+
+/**
+ * The field types of rhmget(), rhmset() and the hash models, by name.
+ * `check` returns why a value can't be stored, null if it can, `encode` turns a valid value
+ * into the stored string (a Buffer for `buffer`), `decode` turns the stored string back,
+ * and `score` gives the score of a value in a secondary index, for the types that can be indexed.
+ * `field` is the field definition, e.g. `{type: 'enum', values: [...]}`.
+ */
+const FIELD_TYPES = {
+    string: {
+        check: (value) =>
+            typeof value === 'string' ? null : 'must be a string',
+        encode: (value) => value,
+        decode: (raw) => String(raw),
+    },
+    number: {
+        check: (value) =>
+            typeof value === 'number' && Number.isFinite(value)
+                ? null
+                : 'must be a finite number',
+        encode: (value) => String(value),
+        decode: (raw) => Number(raw),
+        score: (value) => value,
+    },
+    boolean: {
+        check: (value) =>
+            typeof value === 'boolean' ? null : 'must be a boolean',
+        encode: (value) => (value ? '1' : '0'),
+        decode: (raw) => String(raw) === '1',
+        score: (value) => (value ? 1 : 0),
+    },
+    date: {
+        check: (value) =>
+            toDate(value)
+                ? null
+                : 'must be a Date, a timestamp or a date string',
+        encode: (value) => String(toDate(value).getTime()),
+        decode: (raw) => new Date(Number(raw)),
+        score: (value) => toDate(value).getTime(),
+    },
+    json: {
+        check: (value) =>
+            value !== undefined && JSON.stringify(value) !== undefined
+                ? null
+                : 'must be JSON-serializable',
+        encode: (value) => JSON.stringify(value),
+        decode: (raw) => JSON.parse(String(raw)),
+    },
+    enum: {
+        check: (value, field) =>
+            field.values.includes(value)
+                ? null
+                : 'must be one of ' + field.values.join(', '),
+        encode: (value) => String(value),
+        decode: (raw, field) =>
+            field.values.find((value) => String(value) === String(raw)),
+        score: (value, field) => field.values.indexOf(value),
+    },
+    buffer: {
+        check: (value) =>
+            Buffer.isBuffer(value) || typeof value === 'string'
+                ? null
+                : 'must be a Buffer or a string',
+        encode: (value) =>
+            Buffer.isBuffer(value) ? value : Buffer.from(value),
+        decode: (raw) => (Buffer.isBuffer(raw) ? raw : Buffer.from(raw)),
+    },
+}
+
+/**
+ * Converts a Date, a timestamp in milliseconds or a date string to a valid Date.
+ * @param {Date|number|string} value - the value to convert
+ * @returns {Date|null} the date, null if the value is not a valid date
+ */
+const toDate = function (value) {
+    if (
+        !(value instanceof Date) &&
+        typeof value !== 'number' &&
+        typeof value !== 'string'
+    )
+        return null
+    const date = new Date(value)
+    return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Normalises the field definitions of rhmget(), rhmset() and the hash models:
+ * a type name stands for `{type}`.
+ * @param {Object<string, string|Object>} fields - the field types or definitions, by field name
+ * @returns {Object<string, Object>} the definitions, by field name
+ * @throws {TypeError} if a type is unknown, or an enum has no values
+ */
+const fieldDefinitions = function (fields) {
+    let out = {}
+    for (const name of Object.keys(fields)) {
+        const field =
+            typeof fields[name] === 'string'
+                ? { type: fields[name] }
+                : Object.assign({ type: 'string' }, fields[name])
+        if (!FIELD_TYPES[field.type])
+            throw new TypeError(
+                'field "' + name + '" has an unknown type "' + field.type + '"'
+            )
+        if (
+            field.type === 'enum' &&
+            (!Array.isArray(field.values) || !field.values.length)
+        )
+            throw new TypeError('enum field "' + name + '" has no values')
+        out[name] = field
+    }
+    return out
+}
+
+/**
+ * Checks and encodes field values for HSET.
+ * Null and undefined values are not encoded, they are the fields to delete.
+ * @param {Object<string, Object>} fields - the field definitions, from fieldDefinitions()
+ * @param {Object} values - the values, by field name
+ * @param {boolean} [strict] - whether the fields without a definition are refused,
+ * they are stored as strings otherwise
+ * @returns {{values: Object, deleted: Array<string>, errors: Array<{field: string, message: string}>}}
+ * the encoded values, the fields to delete, and the validation errors
+ */
+const encodeFields = function (fields, values, strict) {
+    let out = { values: {}, deleted: [], errors: [] }
+    for (const name of Object.keys(values)) {
+        const field = fields[name]
+        const value = values[name]
+        if (!field && strict) {
+            out.errors.push({ field: name, message: 'is not in the schema' })
+            continue
+        }
+        if (value === null || value === undefined) {
+            out.deleted.push(name)
+            continue
+        }
+        if (!field) {
+            out.values[name] = String(value)
+            continue
+        }
+        const type = FIELD_TYPES[field.type]
+        let message = type.check(value, field)
+        if (!message && field.validate) {
+            const valid = field.validate(value)
+            if (valid !== true && valid !== undefined)
+                message = typeof valid === 'string' ? valid : 'is not valid'
+        }
+        if (message) {
+            out.errors.push({ field: name, message })
+            continue
+        }
+        out.values[name] = type.encode(value, field)
+    }
+    return out
+}
+
+/**
+ * Decodes a stored field value, null if it is not set.
+ * @param {Object} [field] - the field definition, the value is returned as it is without one
+ * @param {string|Buffer|null} raw - the stored value
+ * @returns {*} the value
+ */
+const decodeField = function (field, raw) {
+    if (raw === null || raw === undefined) return null
+    if (!field) return Buffer.isBuffer(raw) ? raw.toString() : raw
+    return FIELD_TYPES[field.type].decode(raw, field)
+}
+
+/**
+ * Calls async `fn` on every item, running at most `limit` calls at the same time.
+ * @param {Array} items - the items to process
+ * @param {number} limit - the maximum number of parallel calls
+ * @param {function(*, number): Promise} fn - called with the item and its index
+ * @returns {Promise<Array>} the results, in the order of the items
+ */
+const mapLimit = async function (items, limit, fn) {
+    let out = new Array(items.length)
+    let next = 0
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++
+            out[i] = await fn(items[i], i)
+        }
+    }
+    let workers = []
+    for (let i = 0; i < Math.min(limit || 1, items.length); ++i)
+        workers.push(worker())
+    await Promise.all(workers)
+    return out
+}
+
+/**
+ * Key position resolvers.
+ * Each one takes the command arguments (without the command name)
+ * and returns the indexes of the arguments that are key names.
+ */
+
+/**
+ * Keys from `first` to `last` with the given `step`.
+ * A negative `last` counts from the end of the arguments (-1 is the last one).
+ * @param {number} first - the index of the first key
+ * @param {number} [last=first] - the index of the last key
+ * @param {number} [step=1] - the distance between two keys
+ * @returns {function(Array): Array<number>} the resolver
+ */
+const keyRange = function (first, last, step) {
+    if (last === undefined) last = first
+    return (args) => {
+        let _last = last < 0 ? args.length + last : last
+        let out = []
+        for (let i = first; i <= _last && i < args.length; i += step || 1)
+            out.push(i)
+        return out
+    }
+}
+
+/**
+ * Keys counted by a `numkeys` argument, e.g. EVAL, ZUNIONSTORE, LMPOP.
+ * @param {number} numkeys_index - the index of the `numkeys` argument, keys follow it
+ * @param {...number} [fixed] - indexes of other keys, e.g. the destination of ZUNIONSTORE
+ * @returns {function(Array): Array<number>} the resolver
+ */
+const keyNum = function (numkeys_index, ...fixed) {
+    return (args) => {
+        let out = fixed.filter((i) => i < args.length)
+        const num = parseInt(args[numkeys_index]) || 0
+        for (let i = numkeys_index + 1; i <= numkeys_index + num; ++i) {
+            if (i >= args.length) break
+            out.push(i)
+        }
+        return out
+    }
+}
+
+/**
+ * Keys following a keyword, e.g. STREAMS of XREAD or STORE of SORT.
+ * @param {string} word - the keyword, case insensitive
+ * @param {number} [divider] - if given, all the arguments after the keyword divided by it are keys
+ * (XREAD has as many IDs as keys, so it is 2), otherwise only one key follows the keyword
+ * @returns {function(Array): Array<number>} the resolver
+ */
+const keyWord = function (word, divider) {
+    word = word.toUpperCase()
+    return (args) => {
+        const found = args.findIndex(
+            (arg) => typeof arg === 'string' && arg.toUpperCase() === word
+        )
+        if (found === -1 || found + 1 >= args.length) return []
+        const num = divider
+            ? Math.floor((args.length - found - 1) / divider)
+            : 1
+        return keyRange(found + 1, found + num)(args)
+    }
+}
+
+/**
+ * Combines several resolvers into one.
+ * @param {...function(Array): Array<number>} resolvers - the resolvers to combine
+ * @returns {function(Array): Array<number>} the resolver
+ */
+const keyAll = function (...resolvers) {
+    return (args) => {
+        let out = []
+        for (const resolver of resolvers) {
+            for (const i of resolver(args)) if (!out.includes(i)) out.push(i)
+        }
+        return out
+    }
+}
+
+/**
+ * Builds a resolver from the server's `COMMAND INFO` reply of one command.
+ * Redis 7+ key specs are used if present, otherwise the legacy first key, last key and step.
+ * @param {Array} info - the `COMMAND INFO` reply of the command
+ * @returns {function(Array): Array<number>} the resolver
+ */
+const keyResolverFromInfo = function (info) {
+    const toObj = (arr) => {
+        let out = {}
+        if (!Array.isArray(arr)) return out
+        for (let i = 0; i < arr.length; i += 2) out[arr[i]] = arr[i + 1]
+        return out
+    }
+    const specs = Array.isArray(info[8]) ? info[8].map(toObj) : []
+    if (!specs.length || specs.some((spec) => !spec.begin_search)) {
+        //legacy: positions are counted with the command name at 0
+        const first = info[3] - 0
+        const last = info[4] - 0
+        if (!first) return () => []
+        return keyRange(first - 1, last < 0 ? last : last - 1, info[5] - 0)
+    }
+
+    const resolvers = specs.map((spec) => {
+        const begin_search = toObj(spec.begin_search)
+        const begin_spec = toObj(begin_search.spec)
+        const find_keys = toObj(spec.find_keys)
+        const find_spec = toObj(find_keys.spec)
+        return (args) => {
+            //key specs count positions with the command name at 0
+            const argv = [null, ...args]
+            let begin = -1
+            if (begin_search.type === 'index') {
+                begin = begin_spec.index - 0
+            } else if (begin_search.type === 'keyword') {
+                const word = String(begin_spec.keyword).toUpperCase()
+                let from = begin_spec.startfrom - 0
+                const backwards = from < 0
+                if (backwards) from += argv.length
+                for (
+                    let i = from;
+                    i > 0 && i < argv.length;
+                    i += backwards ? -1 : 1
+                ) {
+                    if (
+                        typeof argv[i] === 'string' &&
+                        argv[i].toUpperCase() === word
+                    ) {
+                        begin = i + 1
+                        break
+                    }
+                }
+            }
+            if (begin < 1 || begin >= argv.length) return []
+
+            let out = []
+            if (find_keys.type === 'range') {
+                let last = find_spec.lastkey - 0
+                const step = find_spec.keystep - 0 || 1
+                const limit = find_spec.limit - 0
+                if (last >= 0) {
+                    last += begin
+                } else {
+                    last += argv.length
+                    if (last === argv.length - 1 && limit > 1)
+                        last =
+                            begin +
+                            Math.floor((argv.length - begin) / limit) -
+                            1
+                }
+                for (let i = begin; i <= last && i < argv.length; i += step)
+                    out.push(i - 1)
+            } else if (find_keys.type === 'keynum') {
+                const num = parseInt(argv[begin + (find_spec.keynumidx - 0)])
+                const first = begin + (find_spec.firstkey - 0)
+                const step = find_spec.keystep - 0 || 1
+                for (let i = 0; i < (num || 0); ++i) {
+                    if (first + i * step >= argv.length) break
+                    out.push(first + i * step - 1)
+                }
+            }
+            return out
+        }
+    })
+    return keyAll(...resolvers)
+}
+
+/**
+ * Built-in positions of the keys of commands, by lowercase command name.
+ * Commands that are not here are looked up with `COMMAND INFO`.
+ * @see {@link RedisUtilFunctions#registerCommandKeys} to add custom (module) commands
+ */
+const KEY_POSITIONS = {}
+const setKeyPositions = (resolver, commands) =>
+    commands
+        .split(' ')
+        .forEach((command) => (KEY_POSITIONS[command] = resolver))
+
+setKeyPositions(
+    keyRange(0),
+    'get set setnx setex psetex getset getdel getex append strlen incr incrby incrbyfloat ' +
+        'decr decrby getrange setrange substr getbit setbit bitcount bitpos bitfield bitfield_ro ' +
+        'expire pexpire expireat pexpireat expiretime pexpiretime persist ttl pttl type dump dumpbuffer restore keys ' +
+        'hset hsetnx hget hmset hmget hmgetbuffer hdel hlen hstrlen hexists hkeys hvals hgetall hincrby hincrbyfloat ' +
+        'hrandfield hscan hexpire hpexpire hexpireat hpexpireat httl hpttl hpersist hgetdel hgetex hsetex ' +
+        'lpush lpushx rpush rpushx lpop rpop llen lindex lset linsert lrange ltrim lrem lpos ' +
+        'sadd srem scard sismember smismember smembers srandmember spop sscan ' +
+        'zadd zincrby zrem zcard zcount zlexcount zscore zmscore zrank zrevrank zrange zrevrange ' +
+        'zrangebyscore zrevrangebyscore zrangebylex zrevrangebylex zremrangebyrank zremrangebyscore ' +
+        'zremrangebylex zpopmin zpopmax zrandmember zscan sort_ro pfadd ' +
+        'geoadd geodist geohash geopos geosearch georadius_ro georadiusbymember_ro ' +
+        'xadd xlen xrange xrevrange xdel xtrim xack xclaim xautoclaim xpending xsetid ' +
+        'json.get json.set json.del json.forget json.type json.numincrby json.nummultby json.strappend ' +
+        'json.strlen json.arrappend json.arrindex json.arrinsert json.arrlen json.arrpop json.arrtrim ' +
+        'json.objkeys json.objlen json.clear json.toggle json.resp json.merge'
+)
+setKeyPositions(
+    keyRange(0, -1),
+    'del unlink exists touch mget watch pfcount pfmerge sunion sinter sdiff sunionstore sinterstore sdiffstore'
+)
+setKeyPositions(
+    keyRange(0, 1),
+    'rename renamenx copy smove lmove blmove rpoplpush brpoplpush zrangestore geosearchstore lcs'
+)
+setKeyPositions(keyRange(0, -1, 2), 'mset msetnx')
+setKeyPositions(keyRange(0, -2), 'blpop brpop bzpopmin bzpopmax json.mget')
+setKeyPositions(keyRange(0, -1, 3), 'json.mset')
+setKeyPositions(keyRange(1), 'object memory xinfo xgroup json.debug')
+setKeyPositions(keyRange(1, -1), 'bitop')
+setKeyPositions(keyNum(1, 0), 'zunionstore zinterstore zdiffstore')
+setKeyPositions(
+    keyNum(0),
+    'zunion zinter zdiff zintercard sintercard lmpop zmpop'
+)
+setKeyPositions(
+    keyNum(1),
+    'blmpop bzmpop eval evalsha eval_ro evalsha_ro fcall fcall_ro'
+)
+setKeyPositions(keyWord('STREAMS', 2), 'xread xreadgroup')
+setKeyPositions(keyAll(keyRange(0), keyWord('STORE')), 'sort')
+setKeyPositions(
+    keyAll(keyRange(0), keyWord('STORE'), keyWord('STOREDIST')),
+    'georadius georadiusbymember'
+)
+
+/**
+ * Reduces a key to its pattern, so that it can be used as a low-cardinality label:
+ * hash tags become `{*}`, and the numeric, UUID and long hexadecimal segments
+ * (between `:`, `/` and `.`) become `*`, e.g. `user:{42}:session:9f1c...` becomes `user:{*}:session:*`.
+ * @param {string} hkey - the key, without the prefix
+ * @returns {string} the pattern
+ */
+const keyPattern = function (hkey) {
+    if (typeof hkey !== 'string') return hkey === undefined ? '' : '*'
+    return hkey
+        .replace(/\{[^}]+\}/g, '{*}')
+        .split(/([:/.])/)
+        .map((segment, i) =>
+            i % 2 === 0 &&
+            (/^\d+$/.test(segment) ||
+                /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+                    segment
+                ) ||
+                /^[0-9a-f]{16,}$/i.test(segment))
+                ? '*'
+                : segment
+        )
+        .join('')
+}
+
+/**
+ * Returns the type of a command error: the Redis error code (e.g. `WRONGTYPE`, `MOVED`), or the error name.
+ * @param {Error} err - the error
+ * @returns {string} the type
+ */
+const errorType = function (err) {
+    const code = /^([A-Z][A-Z_]+)\b/.exec((err && err.message) || '')
+    return code && code[1].length > 2 ? code[1] : (err && err.name) || 'Error'
+}
+
+/**
+ * Whether a command error is worth retrying: a connection reset,
+ * or a MOVED, ASK, TRYAGAIN, CLUSTERDOWN or LOADING response.
+ * @param {Error} err - the error
+ * @returns {boolean}
+ */
+const retryableError = function (err) {
+    if (!err) return false
+    if (['ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'ECONNREFUSED'].includes(err.code))
+        return true
+    return /^(MOVED|ASK|TRYAGAIN|CLUSTERDOWN|LOADING)\b|Connection is closed/.test(
+        err.message || ''
+    )
+}
+
+/**
+ * The commands that can be retried, as sending them twice has the same effect as sending them once.
+ * SET and JSON.SET are only retried without NX, XX and GET, see {@link RedisUtilFunctions#_ridempotent}.
+ * The writes replying a count (HSET, HDEL, DEL, UNLINK, SADD, SREM, ZADD, ZREM) have the same effect,
+ * but after a retry their reply only counts what the second attempt changed: 0 if the first one was applied.
+ */
+const IDEMPOTENT_COMMANDS = new Set(
+    (
+        'get mget exists type ttl pttl expiretime pexpiretime strlen getrange substr getbit bitcount bitpos ' +
+        'hget hmget hgetall hkeys hvals hlen hexists hstrlen hrandfield ' +
+        'smembers sismember smismember scard srandmember sunion sinter sdiff sintercard ' +
+        'lrange llen lindex lpos zrange zrevrange zrangebyscore zrevrangebyscore zrangebylex zrevrangebylex ' +
+        'zscore zmscore zrank zrevrank zcard zcount zlexcount zrandmember zunion zinter zdiff zintercard ' +
+        'scan hscan sscan zscan dump dumpbuffer pfcount xrange xrevrange xlen xinfo ' +
+        'geodist geohash geopos geosearch georadius_ro georadiusbymember_ro sort_ro bitfield_ro ' +
+        'json.get json.mget json.type json.objkeys json.objlen json.arrlen json.strlen json.resp ' +
+        'set setex psetex mset hset hmset hdel del unlink touch sadd srem zadd zrem ' +
+        'expire pexpire expireat pexpireat persist setbit setrange ' +
+        'sunionstore sinterstore sdiffstore zunionstore zinterstore zdiffstore zrangestore ' +
+        'json.set json.del json.forget json.merge json.clear ' +
+        'ping echo command info time'
+    ).split(' ')
+)
+
+/**
+ * The error of a failed command, with the command and its key.
+ */
+class RedisCommandError extends Error {
+    /**
+     * @param {Error} cause - the error of the command
+     * @param {string} command - the command name
+     * @param {string} [key] - the key of the command (the pattern for SCAN)
+     */
+    constructor(cause, command, key) {
+        super(
+            String(command).toUpperCase() +
+                (key !== undefined && key !== null ? ' ' + key : '') +
+                ': ' +
+                (cause && cause.message)
+        )
+        this.name = 'RedisCommandError'
+        this.code = errorType(cause)
+        this.command = String(command).toLowerCase()
+        this.key = key
+        this.cause = cause
+    }
+}
+
+/**
+ * Command metrics collected by instrument(): latency histograms by command,
+ * error counts by command and error type, pipeline sizes and the slow command log.
+ * Latencies are in milliseconds, in seconds in the Prometheus format.
+ */
+class CommandMetrics {
+    /**
+     * @param {object} opts - the options of instrument()
+     */
+    constructor(opts) {
+        this.buckets = opts.buckets || [
+            1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500,
+        ]
+        this.sizeBuckets = opts.sizeBuckets || [1, 5, 10, 50, 100, 500, 1000]
+        this.slowThreshold =
+            opts.slowThreshold === undefined ? 100 : opts.slowThreshold
+        this.slowLogSize = opts.slowLogSize || 128
+        this.byPattern = !!opts.byPattern
+        this.reset()
+    }
+
+    reset() {
+        this.latency = new Map()
+        this.errors = new Map()
+        this.pipelines = this._histogram(this.sizeBuckets)
+        this.slow = []
+    }
+
+    _histogram(bounds) {
+        return { counts: bounds.map(() => 0), sum: 0, count: 0 }
+    }
+
+    _observe(histogram, bounds, value) {
+        const i = bounds.findIndex((bound) => value <= bound)
+        if (i !== -1) ++histogram.counts[i]
+        histogram.sum += value
+        ++histogram.count
+    }
+
+    /**
+     * Records a finished command.
+     * @param {Object} info - the command info, as passed to the `after` hooks
+     * @returns {boolean} whether the command is slow
+     */
+    record(info) {
+        const label = JSON.stringify(
+            this.byPattern ? [info.command, info.pattern] : [info.command]
+        )
+        if (!this.latency.has(label))
+            this.latency.set(label, this._histogram(this.buckets))
+        this._observe(this.latency.get(label), this.buckets, info.duration)
+
+        let errors = info.error ? [[info.command, info.error]] : []
+        if (info.commands) {
+            this._observe(this.pipelines, this.sizeBuckets, info.size)
+            if (Array.isArray(info.result))
+                info.result.forEach((result, i) => {
+                    if (result && result[0] && info.commands[i])
+                        errors.push([
+                            String(info.commands[i][0]).toLowerCase(),
+                            result[0],
+                        ])
+                })
+        }
+        for (const [command, err] of errors) {
+            const key = JSON.stringify([command, errorType(err)])
+            this.errors.set(key, (this.errors.get(key) || 0) + 1)
+        }
+
+        if (
+            this.slowThreshold === null ||
+            this.slowThreshold === false ||
+            info.duration < this.slowThreshold
+        )
+            return false
+        this.slow.push({
+            command: info.command,
+            pattern: info.pattern,
+            size: info.size,
+            duration: info.duration,
+            time: new Date(Date.now() - info.duration).toISOString(),
+        })
+        if (this.slow.length > this.slowLogSize) this.slow.shift()
+        return true
+    }
+
+    /**
+     * @returns {Object} the metrics as a plain object
+     */
+    snapshot() {
+        const buckets = (bounds, histogram) => {
+            let out = {}
+            bounds.forEach((bound, i) => (out[bound] = histogram.counts[i]))
+            return out
+        }
+        return {
+            commands: [...this.latency.entries()].map(([label, histogram]) => {
+                const [command, pattern] = JSON.parse(label)
+                return Object.assign(
+                    { command },
+                    this.byPattern ? { pattern } : {},
+                    {
+                        count: histogram.count,
+                        sum: histogram.sum,
+                        buckets: buckets(this.buckets, histogram),
+                    }
+                )
+            }),
+            errors: [...this.errors.entries()].map(([key, count]) => {
+                const [command, type] = JSON.parse(key)
+                return { command, type, count }
+            }),
+            pipelines: {
+                count: this.pipelines.count,
+                sum: this.pipelines.sum,
+                buckets: buckets(this.sizeBuckets, this.pipelines),
+            },
+            slow: this.slow.slice(),
+        }
+    }
+
+    /**
+     * @returns {string} the metrics in the Prometheus text format
+     */
+    prometheus() {
+        const esc = (value) =>
+            String(value)
+                .replace(/\\/g, '\\\\')
+                .replace(/"/g, '\\"')
+                .replace(/\n/g, '\\n')
+        const labels = (pairs) =>
+            '{' +
+            pairs
+                .map(([name, value]) => name + '="' + esc(value) + '"')
+                .join(',') +
+            '}'
+        const histogram = (name, bounds, histogram, pairs, scale) => {
+            let out = []
+            let total = 0
+            bounds.forEach((bound, i) => {
+                total += histogram.counts[i]
+                out.push(
+                    name +
+                        '_bucket' +
+                        labels([...pairs, ['le', bound / scale]]) +
+                        ' ' +
+                        total
+                )
+            })
+            out.push(
+                name +
+                    '_bucket' +
+                    labels([...pairs, ['le', '+Inf']]) +
+                    ' ' +
+                    histogram.count
+            )
+            out.push(
+                name +
+                    '_sum' +
+                    (pairs.length ? labels(pairs) : '') +
+                    ' ' +
+                    histogram.sum / scale
+            )
+            out.push(
+                name +
+                    '_count' +
+                    (pairs.length ? labels(pairs) : '') +
+                    ' ' +
+                    histogram.count
+            )
+            return out
+        }
+        let lines = [
+            '# HELP redis_util_command_duration_seconds Duration of the Redis commands and pipelines.',
+            '# TYPE redis_util_command_duration_seconds histogram',
+        ]
+        for (const [label, data] of this.latency.entries()) {
+            const [command, pattern] = JSON.parse(label)
+            let pairs = [['command', command]]
+            if (this.byPattern) pairs.push(['pattern', pattern])
+            lines.push(
+                ...histogram(
+                    'redis_util_command_duration_seconds',
+                    this.buckets,
+                    data,
+                    pairs,
+                    1000
+                )
+            )
+        }
+        lines.push(
+            '# HELP redis_util_command_errors_total Failed Redis commands.',
+            '# TYPE redis_util_command_errors_total counter'
+        )
+        for (const [key, count] of this.errors.entries()) {
+            const [command, type] = JSON.parse(key)
+            lines.push(
+                'redis_util_command_errors_total' +
+                    labels([
+                        ['command', command],
+                        ['type', type],
+                    ]) +
+                    ' ' +
+                    count
+            )
+        }
+        lines.push(
+            '# HELP redis_util_pipeline_size Number of commands in the pipelines and transactions.',
+            '# TYPE redis_util_pipeline_size histogram',
+            ...histogram(
+                'redis_util_pipeline_size',
+                this.sizeBuckets,
+                this.pipelines,
+                [],
+                1
+            )
+        )
+        return lines.join('\n') + '\n'
+    }
+}
+
+/**
+ * The error of values refused by a hash model, with every refused field.
+ */
+class ModelValidationError extends Error {
+    /**
+     * @param {string} model - the name of the model
+     * @param {Array<{field: string, message: string}>} errors - the refused fields and why
+     */
+    constructor(model, errors) {
+        super(
+            model +
+                ': ' +
+                errors
+                    .map((error) => error.field + ' ' + error.message)
+                    .join(', ')
+        )
+        this.name = 'ModelValidationError'
+        this.model = model
+        this.errors = errors
+    }
+}
+
+/**
+ * The error of a deletion refused by the guards of the deleting helpers, before anything is deleted,
+ * or for rdel_from_set() and rdel_from_set_atomic(), before the batch with the protected keys is deleted.
+ */
+class DeletionRefusedError extends Error {
+    /**
+     * @param {string} message - the error message
+     * @param {string} reason - 'requirePrefix', 'maxKeys' or 'protected'
+     * @param {Array<string>} keys - the protected keys, or the keys to delete if they are known, with the prefix
+     */
+    constructor(message, reason, keys) {
+        super(message)
+        this.name = 'DeletionRefusedError'
+        this.reason = reason
+        this.keys = keys
+    }
+}
+
+/**
+ * A typed hash model, see {@link RedisUtilFunctions#model}.
+ * The objects are stored in the `<name>:<id>` hashes, the secondary index of a field
+ * in the `<name>:index:<field>` sorted set, whose members are the IDs scored by the field value.
+ * An object and its index entries are written together, in a transaction or a script,
+ * except on a cluster if they are in different slots: give the model name a hash tag,
+ * e.g. `{user}`, to keep them in one slot.
+ */
+class HashModel {
+    /**
+     * @param {RedisUtilFunctions} redis_util - the instance to send the commands with
+     * @param {string} name - the name of the model, the prefix of its keys
+     * @param {Object<string, string|Object>} schema - the field types or definitions, by field name
+     */
+    constructor(redis_util, name, schema) {
+        this.redisUtil = redis_util
+        this.name = name
+        this.fields = fieldDefinitions(schema)
+        this.indexed = Object.keys(this.fields).filter(
+            (field) => this.fields[field].index
+        )
+        for (const field of this.indexed) {
+            if (!FIELD_TYPES[this.fields[field].type].score)
+                throw new TypeError(
+                    'model ' +
+                        name +
+                        ': a ' +
+                        this.fields[field].type +
+                        ' field can\'t be indexed, "' +
+                        field +
+                        '"'
+                )
+        }
+    }
+
+    /**
+     * Returns the key of an object.
+     * @param {string|number} id - the object ID
+     * @returns {string} the key, without the prefix
+     */
+    key(id) {
+        return this.name + ':' + id
+    }
+
+    /**
+     * Returns the key of the index of a field.
+     * @param {string} field - the indexed field
+     * @returns {string} the key, without the prefix
+     */
+    indexKey(field) {
+        return this.name + ':index:' + field
+    }
+
+    /**
+     * Reads fields of an object, decoded by their types.
+     * The fields that are not set get their default value, or null.
+     * @async
+     * @param {string|number} id - the object ID
+     * @param {Array<string>} [fields] - the fields to read, all the fields of the schema by default
+     * @returns {Promise<Object|null>} the values by field name, null if the object doesn't exist
+     */
+    async get(id, fields) {
+        if (!fields) fields = Object.keys(this.fields)
+        this._check_fields(fields)
+        const buffers = fields.some(
+            (field) => this.fields[field].type === 'buffer'
+        )
+        const [exists, raw] = await this.redisUtil.rpipemulti2array(
+            [
+                ['exists', this.key(id)],
+                [buffers ? 'hmgetBuffer' : 'hmget', this.key(id), ...fields],
+            ],
+            { mode: 'throw' }
+        )
+        if (!exists) return null
+        let out = {}
+        fields.forEach((field, i) => {
+            const value = decodeField(this.fields[field], raw[i])
+            out[field] = value === null ? this._default(field) : value
+        })
+        return out
+    }
+
+    /**
+     * Writes fields of an object, creating it if it doesn't exist, and updates their indexes.
+     * A null or undefined value deletes the field, which then reads as its default value.
+     * The indexed fields that are not set are indexed with their default value.
+     * The defaults given by a function are written instead, with HSETNX for the fields not set
+     * and in place of a null value, so that they don't change from a read to another, e.g. `() => new Date()`.
+     * @async
+     * @param {string|number} id - the object ID
+     * @param {Object} partial - the values to write, by field name
+     * @returns {Promise<number>} the number of fields written or deleted
+     * @throws {ModelValidationError} if a value doesn't fit its field, nothing is written then
+     */
+    async set(id, partial) {
+        let values = Object.assign({}, partial)
+        let created = {}
+        for (const field of Object.keys(this.fields)) {
+            if (typeof this.fields[field].default !== 'function') continue
+            const value = this._default(field)
+            if (value === null) continue
+            if (!(field in partial)) created[field] = value
+            else if (partial[field] === null || partial[field] === undefined)
+                values[field] = value
+        }
+        const encoded = encodeFields(this.fields, values, true)
+        const encoded_created = encodeFields(this.fields, created, true)
+        const errors = encoded.errors.concat(encoded_created.errors)
+        if (errors.length) throw new ModelValidationError(this.name, errors)
+        const key = this.key(id)
+        let commands = []
+        if (Object.keys(encoded.values).length)
+            commands.push(['hset', key, encoded.values])
+        if (encoded.deleted.length)
+            commands.push(['hdel', key, ...encoded.deleted])
+        for (const field of Object.keys(encoded_created.values))
+            commands.push(['hsetnx', key, field, encoded_created.values[field]])
+        for (const field of this.indexed) {
+            const value =
+                field in created ? created[field] : this._default(field)
+            if (!(field in partial)) {
+                //a new object is indexed with the default value
+                if (value !== null)
+                    commands.push([
+                        'zadd',
+                        this.indexKey(field),
+                        'NX',
+                        this._score(field, value),
+                        id,
+                    ])
+            } else if (!encoded.deleted.includes(field)) {
+                commands.push([
+                    'zadd',
+                    this.indexKey(field),
+                    this._score(field, values[field]),
+                    id,
+                ])
+            } else if (value !== null) {
+                commands.push([
+                    'zadd',
+                    this.indexKey(field),
+                    this._score(field, value),
+                    id,
+                ])
+            } else {
+                commands.push(['zrem', this.indexKey(field), id])
+            }
+        }
+        if (commands.length)
+            await this.redisUtil.rpipemulti2array(commands, {
+                mode: 'throw',
+                transaction: this._one_slot(id, this.indexed),
+            })
+        return Object.keys(encoded.values).length + encoded.deleted.length
+    }
+
+    /**
+     * Increments a number field, from its default value if it is not set, and updates its index.
+     * @async
+     * @param {string|number} id - the object ID
+     * @param {string} field - the number field
+     * @param {number} [n=1] - the value to add
+     * @returns {Promise<number>} the new value
+     * @throws {ModelValidationError} if the field is not a number field, or `n` is not a number
+     */
+    async incr(id, field, n) {
+        if (n === undefined) n = 1
+        this._check_fields([field])
+        if (this.fields[field].type !== 'number')
+            throw new ModelValidationError(this.name, [
+                { field, message: 'is not a number field' },
+            ])
+        if (typeof n !== 'number' || !Number.isFinite(n))
+            throw new ModelValidationError(this.name, [
+                { field, message: 'must be incremented by a finite number' },
+            ])
+        const key = this.key(id)
+        const initial = this._default(field)
+        if (this.fields[field].index && this._one_slot(id, [field]))
+            return Number(
+                await this.redisUtil.rr(
+                    'rutil_modelincr',
+                    key,
+                    this.indexKey(field),
+                    field,
+                    n,
+                    initial === null ? '' : initial,
+                    id
+                )
+            )
+        let commands = []
+        if (initial !== null) commands.push(['hsetnx', key, field, initial])
+        commands.push(['hincrbyfloat', key, field, n])
+        const results = await this.redisUtil.rpipemulti2array(commands, {
+            mode: 'throw',
+            transaction: true,
+        })
+        const value = Number(results[results.length - 1])
+        if (this.fields[field].index)
+            await this.redisUtil.rr('zadd', this.indexKey(field), value, id)
+        return value
+    }
+
+    /**
+     * Deletes objects and removes them from the indexes.
+     * @async
+     * @param {string|number|Array<string|number>} ids - the object IDs
+     * @returns {Promise<number>} the number of objects deleted
+     */
+    async del(ids) {
+        if (!Array.isArray(ids)) ids = [ids]
+        if (!ids.length) return 0
+        let commands = ids.map((id) => ['del', this.key(id)])
+        for (const field of this.indexed)
+            commands.push(['zrem', this.indexKey(field), ...ids])
+        const results = await this.redisUtil.rpipemulti2array(commands, {
+            mode: 'throw',
+        })
+        return results
+            .slice(0, ids.length)
+            .reduce((sum, deleted) => sum + deleted, 0)
+    }
+
+    /**
+     * Returns the IDs of the objects whose indexed field is in a range of values,
+     * ordered by the field value.
+     * @async
+     * @param {string} field - the indexed field
+     * @param {*} min - the lowest value, null for no lower bound
+     * @param {*} [max] - the highest value, null for no upper bound, `min` by default
+     * @param {object} [opts] - additional options
+     * @param {number} [opts.offset=0] - the number of IDs to skip
+     * @param {number} [opts.limit] - the maximum number of IDs to return
+     * @param {boolean} [opts.rev=false] - whether to order the IDs by decreasing value
+     * @returns {Promise<Array<string>>} the IDs
+     */
+    async find(field, min, max, opts) {
+        if (!opts) opts = {}
+        if (max === undefined) max = min
+        this._check_index(field)
+        const low = min === null ? '-inf' : this._score(field, min)
+        const high = max === null ? '+inf' : this._score(field, max)
+        let args = opts.rev
+            ? [high, low, 'BYSCORE', 'REV']
+            : [low, high, 'BYSCORE']
+        if (opts.limit !== undefined || opts.offset)
+            args.push(
+                'LIMIT',
+                opts.offset || 0,
+                opts.limit === undefined ? -1 : opts.limit
+            )
+        return this.redisUtil.rr('zrange', this.indexKey(field), ...args)
+    }
+
+    /**
+     * Keeps the IDs whose objects are in the index of a field, i.e. have the field set,
+     * or have the given value, as rinzset() does.
+     * @async
+     * @param {string} field - the indexed field
+     * @param {Array<string|number>} ids - the object IDs to check
+     * @param {*} [value] - the value the field must have
+     * @returns {Promise<Array<string|number>>} the IDs in the index, in the order given
+     */
+    async inIndex(field, ids, value) {
+        this._check_index(field)
+        if (!ids.length) return []
+        if (value === undefined)
+            return this.redisUtil.rinzset(this.indexKey(field), ids)
+        const score = this._score(field, value)
+        const scores = await this.redisUtil.rr(
+            'zmscore',
+            this.indexKey(field),
+            ...ids
+        )
+        return ids.filter(
+            (id, i) => scores[i] !== null && Number(scores[i]) === score
+        )
+    }
+
+    /**
+     * Rebuilds the index of a field from the objects, e.g. after indexing an existing field.
+     * The objects whose ID contains `:` are left out, as their keys can't be told
+     * from the ones of another model, e.g. `user:settings:1` of a `user:settings` model.
+     * @async
+     * @param {string} field - the indexed field
+     * @param {object} [opts] - additional options
+     * @param {number} [opts.count=1000] - the COUNT hint of the SCAN calls
+     * @returns {Promise<number>} the number of objects indexed
+     */
+    async reindex(field, opts) {
+        if (!opts) opts = {}
+        this._check_index(field)
+        const index_key = this.indexKey(field)
+        const tmp_key =
+            index_key + ':reindex-tmp:' + crypto.randomBytes(6).toString('hex')
+        const prefix = this.name + ':'
+        let count = 0
+        for await (const hkeys of this.redisUtil.scanIter(
+            escapeGlob(prefix) + '*',
+            {
+                batch: true,
+                count: opts.count || 1000,
+                type: 'hash',
+                stripPrefix: true,
+            }
+        )) {
+            const values = await this.redisUtil.rpipemulti2array(
+                hkeys.map((hkey) => ['hget', hkey, field])
+            )
+            let members = []
+            hkeys.forEach((hkey, i) => {
+                if (hkey.indexOf(':', prefix.length) !== -1) return
+                let value = decodeField(this.fields[field], values[i])
+                if (value === null) value = this._default(field)
+                if (value === null) return
+                members.push(
+                    this._score(field, value),
+                    hkey.substring(prefix.length)
+                )
+            })
+            if (!members.length) continue
+            await this.redisUtil.rr('zadd', tmp_key, ...members)
+            count += members.length / 2
+        }
+        if (count) {
+            await this.redisUtil.rrename(tmp_key, index_key)
+        } else {
+            await this.redisUtil.rr('del', index_key)
+        }
+        return count
+    }
+
+    /**
+     * Tells if an object and the indexes of the given fields are in one slot,
+     * so that they can be written in a transaction or a script.
+     */
+    _one_slot(id, fields) {
+        if (!this.redisUtil._is_cluster()) return true
+        const slot = calculateSlot(this.redisUtil._rpfx(this.key(id)))
+        return fields.every(
+            (field) =>
+                calculateSlot(this.redisUtil._rpfx(this.indexKey(field))) ===
+                slot
+        )
+    }
+
+    _default(field) {
+        const value = this.fields[field].default
+        if (value === undefined || value === null) return null
+        return typeof value === 'function' ? value() : value
+    }
+
+    _score(field, value) {
+        const def = this.fields[field]
+        const message = FIELD_TYPES[def.type].check(value, def)
+        if (message)
+            throw new ModelValidationError(this.name, [{ field, message }])
+        return FIELD_TYPES[def.type].score(value, def)
+    }
+
+    _check_fields(fields) {
+        const unknown = fields.filter((field) => !this.fields[field])
+        if (unknown.length)
+            throw new ModelValidationError(
+                this.name,
+                unknown.map((field) => ({
+                    field,
+                    message: 'is not in the schema',
+                }))
+            )
+    }
+
+    _check_index(field) {
+        this._check_fields([field])
+        if (!this.fields[field].index)
+            throw new ModelValidationError(this.name, [
+                { field, message: 'is not indexed' },
+            ])
+    }
+}
+
+/**
+ * A work queue on a Redis stream, see {@link RedisUtilFunctions#queue}.
+ * The jobs are the entries of the `queue:{<name>}` stream, read by the workers of a consumer group
+ * and deleted once done. The delayed and retried jobs wait in the `queue:{<name>}:delayed` sorted set,
+ * scored by the time they are due, and the jobs that failed every attempt go to the
+ * `queue:{<name>}:dead` stream. The `{<name>}` hash tag keeps the keys of a queue in one cluster slot.
+ */
+class WorkQueue {
+    /**
+     * @param {RedisUtilFunctions} redis_util - the instance to send the commands with
+     * @param {string} name - the name of the queue
+     * @param {Object} opts - the options of {@link RedisUtilFunctions#queue}
+     */
+    constructor(redis_util, name, opts) {
+        this.redisUtil = redis_util
+        this.name = name
+        this.group = opts.group || 'workers'
+        this.maxAttempts = opts.maxAttempts || 5
+        this.backoff = opts.backoff || {
+            delay: 1000,
+            factor: 2,
+            maxDelay: 3600000,
+        }
+        this.dedupeTtl = opts.dedupeTtl || 86400000
+        this.deadMaxLen = opts.deadMaxLen || 10000
+        const key = 'queue:{' + name + '}'
+        this.keys = {
+            stream: key,
+            delayed: key + ':delayed',
+            dead: key + ':dead',
+        }
+        this._group_created = null
+    }
+
+    /**
+     * Returns the key remembering a deduplication ID.
+     * @param {string} dedupe_id - the ID
+     * @returns {string} the key, without the prefix
+     */
+    dedupeKey(dedupe_id) {
+        return this.keys.stream + ':dedupe:' + dedupe_id
+    }
+
+    /**
+     * Adds a job to the queue, to run now or after a delay.
+     * @async
+     * @param {*} payload - the data of the job, JSON-encoded
+     * @param {object} [opts] - additional options
+     * @param {number} [opts.delay=0] - how long to wait before running the job, in ms
+     * @param {string} [opts.dedupeId] - the ID of the job, the job isn't added while the ID is remembered
+     * @param {number} [opts.dedupeTtl] - how long the ID is remembered in ms, the dedupeTtl of the queue by default
+     * @returns {Promise<string|null>} the job ID, or null if the job is a duplicate
+     */
+    async enqueue(payload, opts) {
+        if (!opts) opts = {}
+        const dedupe = opts.dedupeId !== undefined && opts.dedupeId !== null
+        const id = dedupe
+            ? String(opts.dedupeId)
+            : crypto.randomBytes(12).toString('hex')
+        const added = await this.redisUtil.rr(
+            'rutil_qadd',
+            this.keys.stream,
+            this.keys.delayed,
+            this.dedupeKey(dedupe ? id : ''),
+            id,
+            JSON.stringify(payload === undefined ? null : payload),
+            Math.max(0, Math.round(opts.delay || 0)),
+            dedupe ? opts.dedupeTtl || this.dedupeTtl : 0,
+            0
+        )
+        return added || null
+    }
+
+    /**
+     * Starts a worker running the jobs of the queue in its consumer group, created if needed.
+     * The worker reads the new jobs with XREADGROUP on its own connection, runs at most `concurrency`
+     * of them at once, and deletes a job once the handler resolves. When the handler throws, the job is
+     * retried after the backoff delay, or moved to the dead-letter stream after `maxAttempts` attempts.
+     * The worker refreshes the idle time of its running jobs with XCLAIM JUSTID every third of `claimIdle`,
+     * so the jobs pending for more than `claimIdle` ms are those of a dead worker: they are claimed with
+     * XAUTOCLAIM and count as a failed attempt. A job may then run more than once, the handlers should
+     * be idempotent.
+     * The instance emits `job failed` (error, job) when a job is retried, `job dead` (error, job)
+     * when it isn't, and `queue error` (error, queue name) when a command of the worker fails.
+     * @example
+     * const worker = await redisUtil.queue('mails').process(async (job) => send(job.payload), { concurrency: 5 })
+     * await worker.stop()
+     * @async
+     * @param {function(Object): Promise} handler - called with the job `{id, entryId, queue, attempt, payload}`,
+     * `attempt` counting from 1
+     * @param {object} [opts] - additional options
+     * @param {number} [opts.concurrency=1] - the number of jobs run at the same time
+     * @param {string} [opts.consumer] - the consumer name, `<hostname>:<pid>:<random>` by default
+     * @param {number} [opts.block=1000] - how long a read waits for new jobs in ms,
+     * the delayed jobs that are due are moved to the stream between the reads
+     * @param {number} [opts.claimIdle=60000] - how long a job is pending before it is claimed, in ms
+     * @returns {Promise<{consumer: string, stop: function(): Promise}>} the worker,
+     * stop() closes its connection, waits for the jobs running, and removes the consumer from the group
+     * if it has no pending job left
+     */
+    async process(handler, opts) {
+        opts = Object.assign(
+            { concurrency: 1, block: 1000, claimIdle: 60000 },
+            opts
+        )
+        const redis_util = this.redisUtil
+        const consumer =
+            opts.consumer ||
+            os.hostname() +
+                ':' +
+                process.pid +
+                ':' +
+                crypto.randomBytes(3).toString('hex')
+        await this._create_group()
+        const reader = redis_util.redisClient.duplicate()
+        reader.on('error', (err) =>
+            redis_util.emit('queue error', err, this.name)
+        )
+        const running = new Map()
+        let stopped = false
+        let claimed_at = 0
+        const run = (entry) => {
+            running.set(
+                entry[0],
+                this._run(entry, handler).finally(() =>
+                    running.delete(entry[0])
+                )
+            )
+        }
+        const loop = (async () => {
+            while (!stopped) {
+                try {
+                    await this._create_group()
+                    await redis_util.rr(
+                        'rutil_qpromote',
+                        this.keys.delayed,
+                        this.keys.stream,
+                        100
+                    )
+                    if (Date.now() - claimed_at >= opts.claimIdle / 3) {
+                        claimed_at = Date.now()
+                        if (running.size)
+                            await redis_util.rr(
+                                'xclaim',
+                                this.keys.stream,
+                                this.group,
+                                consumer,
+                                0,
+                                ...running.keys(),
+                                'JUSTID'
+                            )
+                        await this._claim(consumer, opts.claimIdle, running)
+                    }
+                    if (running.size >= opts.concurrency) {
+                        //wakes up for the next heartbeat even if the jobs run long
+                        await Promise.race([
+                            ...running.values(),
+                            sleep(opts.block),
+                        ])
+                        continue
+                    }
+                    const read = await redis_util._rsend(reader, 'xreadgroup', [
+                        'GROUP',
+                        this.group,
+                        consumer,
+                        'COUNT',
+                        opts.concurrency - running.size,
+                        'BLOCK',
+                        opts.block,
+                        'STREAMS',
+                        redis_util._rpfx(this.keys.stream),
+                        '>',
+                    ])
+                    if (read) for (const entry of read[0][1]) run(entry)
+                } catch (err) {
+                    if (stopped) break
+                    if (/NOGROUP/.test(err.message)) this._group_created = null
+                    redis_util.emit('queue error', err, this.name)
+                    await sleep(opts.block)
+                }
+            }
+        })()
+        const worker = {
+            consumer,
+            stop: async () => {
+                stopped = true
+                redis_util._workers.delete(worker)
+                reader.disconnect()
+                await loop
+                await Promise.allSettled([...running.values()])
+                try {
+                    const pending = await redis_util.rr(
+                        'xpending',
+                        this.keys.stream,
+                        this.group,
+                        '-',
+                        '+',
+                        1,
+                        consumer
+                    )
+                    if (!pending.length)
+                        await redis_util.rr(
+                            'xgroup',
+                            'DELCONSUMER',
+                            this.keys.stream,
+                            this.group,
+                            consumer
+                        )
+                } catch (err) {
+                    //quit() doesn't wait for the workers to stop
+                    if (!/Connection is closed/.test(err.message))
+                        redis_util.emit('queue error', err, this.name)
+                }
+            },
+        }
+        redis_util._workers.add(worker)
+        return worker
+    }
+
+    /**
+     * Counts the jobs of the queue.
+     * @async
+     * @returns {Promise<{waiting: number, running: number, delayed: number, dead: number}>}
+     * the jobs not read yet, read but not done yet (pending), waiting for their delay, and dead
+     */
+    async stats() {
+        const [length, pending, delayed, dead] =
+            await this.redisUtil.rpipemulti2array([
+                ['xlen', this.keys.stream],
+                ['xpending', this.keys.stream, this.group],
+                ['zcard', this.keys.delayed],
+                ['xlen', this.keys.dead],
+            ])
+        const running = pending ? Number(pending[0]) : 0
+        return { waiting: length - running, running, delayed, dead }
+    }
+
+    _create_group() {
+        if (!this._group_created)
+            this._group_created = this.redisUtil
+                .rr(
+                    'xgroup',
+                    'CREATE',
+                    this.keys.stream,
+                    this.group,
+                    '0',
+                    'MKSTREAM'
+                )
+                .catch((err) => {
+                    if (/BUSYGROUP/.test(err.message)) return
+                    this._group_created = null
+                    throw err
+                })
+        return this._group_created
+    }
+
+    _job(entry_id, fields) {
+        const values = {}
+        for (let i = 0; i < fields.length; i += 2)
+            values[fields[i]] = fields[i + 1]
+        return {
+            job: {
+                id: values.id,
+                entryId: entry_id,
+                queue: this.name,
+                attempt: Number(values.attempts) + 1,
+                payload: null,
+            },
+            payload: values.payload,
+        }
+    }
+
+    async _run([entry_id, fields], handler) {
+        const redis_util = this.redisUtil
+        const { job, payload } = this._job(entry_id, fields)
+        try {
+            job.payload = JSON.parse(payload)
+            await handler(job)
+        } catch (err) {
+            return this._fail(job, payload, err)
+        }
+        try {
+            await redis_util.rpipemulti(
+                [
+                    ['xack', this.keys.stream, this.group, entry_id],
+                    ['xdel', this.keys.stream, entry_id],
+                ],
+                't'
+            )
+        } catch (err) {
+            redis_util.emit('queue error', err, this.name)
+        }
+    }
+
+    async _fail(job, payload, err) {
+        const redis_util = this.redisUtil
+        let delay = -1
+        if (job.attempt < this.maxAttempts)
+            delay =
+                typeof this.backoff === 'function'
+                    ? this.backoff(job.attempt)
+                    : Math.min(
+                          this.backoff.delay *
+                              Math.pow(
+                                  this.backoff.factor || 2,
+                                  job.attempt - 1
+                              ),
+                          this.backoff.maxDelay || Infinity
+                      )
+        try {
+            const retried = await redis_util.rr(
+                'rutil_qfail',
+                this.keys.stream,
+                this.keys.delayed,
+                this.keys.dead,
+                this.group,
+                job.entryId,
+                job.id,
+                payload,
+                job.attempt,
+                Math.round(delay),
+                String((err && err.message) || err),
+                this.deadMaxLen
+            )
+            if (retried >= 0)
+                redis_util.emit(retried ? 'job failed' : 'job dead', err, job)
+        } catch (error) {
+            redis_util.emit('queue error', error, this.name)
+        }
+    }
+
+    /**
+     * Claims the jobs pending for too long and fails them, as their worker likely died.
+     * The running jobs of the worker are skipped, XAUTOCLAIM refreshing their idle time.
+     */
+    async _claim(consumer, min_idle, running) {
+        const redis_util = this.redisUtil
+        let start = '0-0'
+        do {
+            const [next, entries] = await redis_util.rr(
+                'xautoclaim',
+                this.keys.stream,
+                this.group,
+                consumer,
+                min_idle,
+                start,
+                'COUNT',
+                100
+            )
+            for (const [entry_id, fields] of entries) {
+                if (running.has(entry_id)) continue
+                if (!fields) {
+                    await redis_util.rr(
+                        'xack',
+                        this.keys.stream,
+                        this.group,
+                        entry_id
+                    )
+                    continue
+                }
+                const { job, payload } = this._job(entry_id, fields)
+                await this._fail(
+                    job,
+                    payload,
+                    new Error(
+                        'job stalled, pending for more than ' + min_idle + ' ms'
+                    )
+                )
+            }
+            start = next
+        } while (start !== '0-0')
+    }
+}
+
+/**
+ * Named instances, see {@link RedisUtilFunctions.create} and {@link RedisUtilFunctions.get}
+ * @type {Map<string, RedisUtilFunctions>}
+ */
+const instances = new Map()
+
+/**
+ * The patterns of the keys the deleting helpers refuse to delete, see {@link RedisUtilFunctions.protect}
+ * @type {Map<string, RegExp>}
+ */
+const protectedPatterns = new Map()
+
+class RedisUtilFunctions extends EventEmitter {
+    /**
+     * @param {Redis|Redis.Cluster|Object|string} [client_or_settings] - the Redis client, or settings object, or string connection string
+     * @param {boolean} [is_cluster] - whether the Redis server is a cluster
+     * @param {string} [prefix] - the string prefix to prepend to every Redis key
+     * @see {@link createClient} for the settings
+     */
+    constructor(client_or_settings, is_cluster, prefix) {
+        super()
+        this.redisClient = null
+        this._client_handlers = null
+        this._inflight = new Set()
+        this.on('newListener', (event) => {
+            if (event === 'error' && !this.listenerCount('error'))
+                this._rclient_listen(this.redisClient, ['error'])
+        })
+        this.commandKeys = {}
+        this.metrics = null
+        this._hooks = []
+        this.scripts = {}
+        this.scriptFunctions = false
+        this._functions = null
+        this._pubsub = {
+            client: null,
+            nodes: null,
+            handlers: new Map(),
+            notify: '',
+        }
+        this._workers = new Set()
+        for (const name of Object.keys(BUILTIN_SCRIPTS))
+            this.defineScript(
+                name,
+                BUILTIN_SCRIPTS[name].lua,
+                BUILTIN_SCRIPTS[name]
+            )
+        this.pipelineConcurrency =
+            Number(process.env.REDIS_PIPELINE_CONCURRENCY) || 4
+        this.retryOptions = {
+            attempts:
+                process.env.REDIS_RETRY_ATTEMPTS === undefined
+                    ? 2
+                    : Number(process.env.REDIS_RETRY_ATTEMPTS) || 0,
+            delay: 50,
+            factor: 2,
+            maxDelay: 1000,
+        }
+        this.deleteGuards = {
+            maxKeys: 0,
+            requirePrefix: false,
+            unlinkInsteadOfDel: true,
+            audit: null,
+        }
+        this.open(client_or_settings, is_cluster)
+        this.redisHprefix = prefix || process.env.REDIS_HPREFIX || ''
+    }
+
+    /**
+     * Creates a new instance, and registers it if a name is given.
+     * @param {object} [options] - the instance options
+     * @param {string} [options.name] - the name to register the instance under
+     * @param {Redis|Redis.Cluster|Object|string} [options.connection] - the Redis client, or settings object,
+     * or string connection string, `REDIS_CONNECTION` by default
+     * @param {boolean} [options.cluster] - whether the Redis server is a cluster, `REDIS_CLUSTER` by default
+     * @param {string} [options.prefix] - the string prefix to prepend to every Redis key, `REDIS_HPREFIX` by default
+     * @returns {RedisUtilFunctions} the new instance
+     */
+    static create(options) {
+        if (!options) options = {}
+        if (options.name && instances.has(options.name))
+            throw new Error(
+                'RedisUtilFunctions: instance "' +
+                    options.name +
+                    '" already exists'
+            )
+        const instance = new RedisUtilFunctions(
+            options.connection,
+            options.cluster
+        )
+        if (options.prefix !== undefined) instance.redisHprefix = options.prefix
+        if (options.name) instances.set(options.name, instance)
+        return instance
+    }
+
+    /**
+     * Returns a registered instance.
+     * @param {string} [name='default'] - the instance name, the default (module) instance if not given
+     * @returns {RedisUtilFunctions} the instance
+     */
+    static get(name) {
+        if (!name) name = 'default'
+        if (!instances.has(name))
+            throw new Error(
+                'RedisUtilFunctions: no instance named "' + name + '"'
+            )
+        return instances.get(name)
+    }
+
+    /**
+     * Protects keys from the deleting helpers of every instance: rdel(), rdel_from_set()
+     * and rdel_from_set_atomic() refuse to delete anything if a key to delete matches
+     * one of the patterns, with a DeletionRefusedError.
+     * The patterns are glob-style and match the whole key names, with their prefix.
+     * @param {string|Array<string>} patterns - the patterns, e.g. 'app:config:*'
+     */
+    static protect(patterns) {
+        for (const ptn of [].concat(patterns))
+            protectedPatterns.set(ptn, globRegExp(ptn))
+    }
+
+    /**
+     * Removes patterns from the protected ones.
+     * @param {string|Array<string>} [patterns] - the patterns, all of them if not given
+     */
+    static unprotect(patterns) {
+        if (patterns === undefined) return protectedPatterns.clear()
+        for (const ptn of [].concat(patterns)) protectedPatterns.delete(ptn)
+    }
+
+    /**
+     * Returns a lightweight child instance that uses a different key prefix.
+     * The child shares what belongs to the connection: the client, the scripts and the functions
+     * defined on it, the key positions of the commands, the metrics, the pub/sub subscriber,
+     * the queue workers (closing either instance stops them all) and the event listeners.
+     * It has its own command hooks, starting with the ones of this instance, and the settings
+     * it changes, e.g. with setDeleteGuards() or setRetry(), are its own.
+     * @param {string} prefix - the string prefix to prepend to every Redis key, replaces the current one
+     * @returns {RedisUtilFunctions} the child instance
+     */
+    withPrefix(prefix) {
+        let child = Object.create(this)
+        child.redisHprefix = prefix || ''
+        child._hooks = this._hooks.slice()
+        return child
+    }
+
+    /**
+     * Sets the Redis client instance.
+     * Besides ioredis clients, any object with the ioredis client interface is accepted,
+     * such as the in-memory FakeRedis of `fake-redis.js` in unit tests.
+     * @param {Redis|Redis.Cluster|FakeRedis} client - the Redis client instance
+     * @returns {boolean} true if the client is set successfully, false otherwise
+     */
+    setClient(client) {
+        if (isClient(client)) {
+            this._rclient_set(client)
+            return true
+        }
+        return false
+    }
+
+    /**
+     * Opens a connection to the Redis server.
+     * If the connection is not opened already, it opens a new connection to the Redis server.
+     * Without settings, they are taken from the environment variables,
+     * `REDIS_CONNECTION` or `REDIS_SENTINELS`, `REDIS_CLUSTER`, `REDIS_TLS` and `REDIS_OPTIONS`.
+     * @see {@link createClient} for the settings
+     * @see {@link settingsFromEnv} for the environment variables
+     * @param {Redis|Redis.Cluster|Object|string} [client_or_settings] - the Redis client, or settings object, or string connection string
+     * @param {boolean} [is_cluster] - whether the Redis server is a cluster
+     * @returns {boolean} true if the connection is opened successfully, false otherwise
+     */
+    open(client_or_settings, is_cluster) {
+        if (client_or_settings && this.setClient(client_or_settings))
+            return true
+        if (!client_or_settings) client_or_settings = settingsFromEnv()
+        if (!client_or_settings) return false
+        if (is_cluster === undefined && Number(process.env.REDIS_CLUSTER))
+            is_cluster = true
+        this._rclient_set(createClient(client_or_settings, is_cluster))
+        return true
+    }
+
+    /**
+     * Waits until the client is connected and ready to take commands.
+     * Connects the client if it was created with `lazyConnect`.
+     * @async
+     * @param {number} [timeout] - the maximum time to wait in milliseconds, no limit by default
+     * @returns {Promise<RedisUtilFunctions>} this instance, rejected if the connection has ended or ends,
+     * e.g. after close(), or if the time is out
+     */
+    ready(timeout) {
+        const client = this.redisClient
+        if (!client)
+            return Promise.reject(
+                new Error('RedisUtilFunctions: no client, open() it first')
+            )
+        if (client.status === 'ready') return Promise.resolve(this)
+        if (client.status === 'end')
+            return Promise.reject(
+                new Error('RedisUtilFunctions: the connection has ended')
+            )
+        return new Promise((resolve, reject) => {
+            let timer = null
+            const done = (err) => {
+                clearTimeout(timer)
+                client.off('ready', on_ready)
+                client.off('end', on_end)
+                if (err) return reject(err)
+                resolve(this)
+            }
+            const on_ready = () => done()
+            const on_end = () =>
+                done(
+                    new Error(
+                        'RedisUtilFunctions: connection ended before it was ready'
+                    )
+                )
+            client.once('ready', on_ready)
+            client.once('end', on_end)
+            if (timeout)
+                timer = setTimeout(
+                    () =>
+                        done(
+                            new Error(
+                                'RedisUtilFunctions: connection not ready after ' +
+                                    timeout +
+                                    'ms'
+                            )
+                        ),
+                    timeout
+                )
+            if (client.status === 'wait') client.connect().catch(() => {})
+        })
+    }
+
+    /**
+     * Closes the connection gracefully: waits for the commands in flight to finish,
+     * then sends QUIT. If that takes longer than the timeout, the connection is dropped.
+     * The connections of the subscriptions are closed first.
+     * @async
+     * @param {object} [opts] - additional options
+     * @param {number} [opts.timeout=5000] - the maximum time to wait in milliseconds
+     * @returns {Promise<void>}
+     */
+    async close(opts) {
+        if (!opts) opts = {}
+        await Promise.all([...this._workers].map((worker) => worker.stop()))
+        await this._rsub_close()
+        const client = this.redisClient
+        if (!client || client.status === 'end') return
+        if (client.status === 'wait') return client.disconnect()
+        const timeout = opts.timeout === undefined ? 5000 : opts.timeout
+        let timer = null
+        const drained = (async () => {
+            while (this._inflight.size)
+                await Promise.allSettled([...this._inflight])
+            await client.quit()
+        })()
+        const timed_out = new Promise((resolve) => {
+            timer = setTimeout(() => resolve(true), timeout)
+        })
+        try {
+            if (await Promise.race([drained.then(() => false), timed_out]))
+                client.disconnect()
+        } catch (_err) {
+            client.disconnect()
+        } finally {
+            clearTimeout(timer)
+        }
+    }
+
+    /**
+     * Sends QUIT right away, without waiting for the helpers in flight.
+     * @see {@link close} for the graceful version
+     * @async
+     * @returns {Promise<string>} the result of the Redis method
+     */
+    quit() {
+        if (!this.redisClient) return Promise.resolve()
+        for (const worker of this._workers) worker.stop()
+        this._rsub_close()
+        return this.redisClient.quit()
+    }
+
+    /**
+     * Registers the positions of the keys of a command, e.g. of a custom module command,
+     * so that all of them are prefixed with the stored prefix.
+     * Overrides the built-in positions and the ones loaded with `COMMAND INFO`.
+     * @param {string} redis_method - the Redis method (command name), case insensitive
+     * @param {number|Array<number>|function} positions - the index of the only key,
+     * or `[first, last, step]` (negative last counts from the end, -1 is the last argument),
+     * or a function that takes the command arguments and returns the key indexes.
+     * Indexes are counted in the arguments after the command name, the first one is 0
+     * @returns {RedisUtilFunctions} this instance
+     */
+    registerCommandKeys(redis_method, positions) {
+        let resolver = positions
+        if (typeof positions === 'number') {
+            resolver = keyRange(positions)
+        } else if (Array.isArray(positions)) {
+            resolver = keyRange(...positions)
+        } else if (typeof positions !== 'function') {
+            throw new TypeError(
+                'positions must be a number, an array or a function'
+            )
+        }
+        this.commandKeys[redis_method.toLowerCase()] = resolver
+        return this
+    }
+
+    /**
+     * Sets how the idempotent commands (reads, and writes like SET, HSET, DEL or EXPIRE) are retried
+     * when they fail with a connection reset, or a MOVED, ASK, TRYAGAIN, CLUSTERDOWN or LOADING response.
+     * Pipelines are retried as a whole if the connection fails and all their commands are idempotent,
+     * and their failed idempotent commands are retried one by one. Transactions are not retried.
+     * Commands sent with a callback are not retried either, nor SET and JSON.SET with NX, XX or GET.
+     * The writes replying a count (DEL, UNLINK, HSET, HDEL, SADD, SREM, ZADD, ZREM) are retried, but
+     * when the first attempt was applied, the reply only counts what the retry changed.
+     * @param {object} opts - the options to change
+     * @param {number} [opts.attempts=2] - the number of retries, `REDIS_RETRY_ATTEMPTS` by default, 0 not to retry
+     * @param {number} [opts.delay=50] - the delay before the first retry in milliseconds
+     * @param {number} [opts.factor=2] - the multiplier of the delay for every next retry
+     * @param {number} [opts.maxDelay=1000] - the maximum delay in milliseconds
+     * @returns {RedisUtilFunctions} this instance
+     */
+    setRetry(opts) {
+        this.retryOptions = Object.assign({}, this.retryOptions, opts)
+        return this
+    }
+
+    /**
+     * Sets the default guards of the deleting helpers, rdel(), rdel_from_set() and rdel_from_set_atomic().
+     * Their own options override them.
+     * @see {@link RedisUtilFunctions.protect} for the keys no helper deletes
+     * @param {object} opts - the options to change
+     * @param {number} [opts.maxKeys=0] - refuse to delete more keys than this, no limit if 0
+     * @param {boolean} [opts.requirePrefix=false] - refuse to delete anything if the instance has no prefix
+     * @param {boolean} [opts.unlinkInsteadOfDel=true] - whether to delete with UNLINK, which frees the memory
+     * in the background, rather than DEL
+     * @param {function(Object)|string} [opts.audit] - the audit log of the deletions: a function called with
+     * `{helper, time, keys, count, set}` after every deleted batch, or the stream to add it to
+     * (the keys are JSON-encoded)
+     * @returns {RedisUtilFunctions} this instance
+     */
+    setDeleteGuards(opts) {
+        this.deleteGuards = Object.assign({}, this.deleteGuards, opts)
+        return this
+    }
+
+    /**
+     * Adds hooks called before and after every command, pipeline and transaction sent by the helpers.
+     * They are called with an info object: `{command, key, pattern, size, commands, args}`,
+     * `pattern` being the key reduced with keyPattern(), `commands` the commands of a pipeline
+     * (whose `command` is 'pipeline' or 'multi'), and in the `after` hooks also
+     * `{duration, error, result}`, the duration in milliseconds.
+     * A hook that throws doesn't fail the command, its error is emitted as a `hook error` event.
+     * @param {object} hooks - the hooks
+     * @param {function(Object)} [hooks.before] - called before the command is sent
+     * @param {function(Object)} [hooks.after] - called when the command is done
+     * @returns {function()} removes the hooks
+     */
+    addCommandHook(hooks) {
+        this._hooks.push(hooks)
+        return () => {
+            const i = this._hooks.indexOf(hooks)
+            if (i !== -1) this._hooks.splice(i, 1)
+        }
+    }
+
+    /**
+     * Starts collecting command metrics: latency histograms by command, error counts by command and type,
+     * pipeline sizes, and the log of the slow commands, which are also emitted as `slow command` events.
+     * Calling it again resets the metrics, `instrument(false)` stops collecting them.
+     * @see {@link metricsSnapshot}
+     * @see {@link metricsText}
+     * @param {object|boolean} [opts] - additional options, false to stop
+     * @param {number|null} [opts.slowThreshold=100] - the duration in milliseconds from which a command is slow,
+     * null not to log slow commands
+     * @param {number} [opts.slowLogSize=128] - the number of slow commands kept
+     * @param {Array<number>} [opts.buckets] - the latency histogram buckets in milliseconds
+     * @param {Array<number>} [opts.sizeBuckets] - the pipeline size histogram buckets
+     * @param {boolean} [opts.byPattern=false] - whether to label the latencies with the key pattern too
+     * @returns {RedisUtilFunctions} this instance
+     */
+    instrument(opts) {
+        this.metrics = opts === false ? null : new CommandMetrics(opts || {})
+        return this
+    }
+
+    /**
+     * Returns the collected metrics as a plain object:
+     * `{commands: [{command, count, sum, buckets}], errors: [{command, type, count}],
+     * pipelines: {count, sum, buckets}, slow: [{command, pattern, size, duration, time}]}`.
+     * @returns {Object|null} the metrics, null if they are not collected
+     */
+    metricsSnapshot() {
+        return this.metrics ? this.metrics.snapshot() : null
+    }
+
+    /**
+     * Returns the collected metrics in the Prometheus text exposition format.
+     * @returns {string} the metrics, empty if they are not collected
+     */
+    metricsText() {
+        return this.metrics ? this.metrics.prometheus() : ''
+    }
+
+    /**
+     * Returns an HTTP request handler serving the metrics in the Prometheus text format,
+     * e.g. for an Express route or http.createServer().
+     * @returns {function(http.IncomingMessage, http.ServerResponse)} the handler
+     */
+    metricsHandler() {
+        return (req, res) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+            })
+            res.end(this.metricsText())
+        }
+    }
+
+    /**
+     * Starts an HTTP server serving the metrics at every path, for Prometheus to scrape.
+     * @param {object} [opts] - additional options
+     * @param {number} [opts.port=9464] - the port to listen on
+     * @param {string} [opts.host='127.0.0.1'] - the address to listen on
+     * @returns {http.Server} the server, close() it to stop
+     */
+    serveMetrics(opts) {
+        if (!opts) opts = {}
+        return http
+            .createServer(this.metricsHandler())
+            .listen(
+                opts.port === undefined ? 9464 : opts.port,
+                opts.host || '127.0.0.1'
+            )
+    }
+
+    /**
+     * Defines a Lua script, that can then be called by its name like a command:
+     * with rr(), r(), runScript() and in rpipemulti().
+     * Its keys are prefixed with the stored prefix, it is sent with EVALSHA,
+     * and with EVAL if the server doesn't have it yet (NOSCRIPT), or with FCALL after loadFunctions().
+     * @example
+     * redisUtil.defineScript('getdel_if', "if redis.call('get', KEYS[1]) == ARGV[1] then ...", { numberOfKeys: 1 })
+     * await redisUtil.rr('getdel_if', 'key', 'value')
+     * @param {string} name - the name of the script, letters, digits and underscores,
+     * it must not be the name of a Redis command or of a method of the client
+     * @param {string} lua - the Lua source
+     * @param {object} [opts] - additional options
+     * @param {number} [opts.numberOfKeys] - the number of keys, the first arguments;
+     * if not given, the first argument of every call is the number of keys that follow it
+     * @returns {RedisUtilFunctions} this instance
+     * @throws {Error} if the name is invalid, or is a command or a method of the client
+     */
+    defineScript(name, lua, opts) {
+        if (!opts) opts = {}
+        if (!/^\w+$/.test(name))
+            throw new Error('defineScript: invalid script name "' + name + '"')
+        //defineCommand() would replace the method of the client
+        if (
+            !Object.prototype.hasOwnProperty.call(this.scripts, name) &&
+            (name.toLowerCase() in Redis.prototype ||
+                name.toLowerCase() in Redis.Cluster.prototype)
+        )
+            throw new Error(
+                'defineScript: "' +
+                    name +
+                    '" is a command or a method of the client'
+            )
+        const script = { lua, numberOfKeys: opts.numberOfKeys }
+        this.scripts[name] = script
+        this.registerCommandKeys(
+            name,
+            script.numberOfKeys === undefined
+                ? keyNum(0)
+                : script.numberOfKeys
+                  ? [0, script.numberOfKeys - 1]
+                  : () => []
+        )
+        this._rscript_define(this.redisClient, name)
+        return this
+    }
+
+    /**
+     * Calls a script defined with defineScript(), prefixing its keys.
+     * @see {@link defineScript}
+     * @async
+     * @param {string} name - the name of the script
+     * @param {...*} args - the keys and the arguments, after the number of keys if it is not defined
+     * @returns {Promise<*>} the result of the script
+     */
+    runScript(name, ...args) {
+        if (!this.scripts[name])
+            return Promise.reject(
+                new Error('runScript: no script named "' + name + '"')
+            )
+        return this.rr(name, ...args)
+    }
+
+    /**
+     * Loads the defined scripts as a Redis 7+ FUNCTION library, replacing it if it exists,
+     * on every master of a cluster, and calls them with FCALL from then on.
+     * When a server doesn't have the library (restarted, FUNCTION FLUSH, new cluster node),
+     * it is loaded again, and the script is sent with EVALSHA if that fails.
+     * In pipelines, the scripts are still sent with EVALSHA.
+     * @async
+     * @param {object} [opts] - additional options
+     * @param {string} [opts.library='redisutil'] - the name of the library
+     * @returns {Promise<string>} the name of the library
+     */
+    async loadFunctions(opts) {
+        if (!opts) opts = {}
+        const library = opts.library || 'redisutil'
+        let code = '#!lua name=' + library + '\n'
+        for (const name of Object.keys(this.scripts))
+            code +=
+                "redis.register_function('" +
+                name +
+                "', function(KEYS, ARGV)\n" +
+                this.scripts[name].lua +
+                '\nend)\n'
+        this._functions = { library, code }
+        const ret = await this._rfunctions_load()
+        this.scriptFunctions = true
+        return ret
+    }
+
+    /**
+     * Atomic compare-and-set of a string key.
+     * @async
+     * @param {string} hkey - the key to set
+     * @param {string|null} expected - the value the key must have, null if it must not exist
+     * @param {string} value - the new value
+     * @param {number} [ttl] - the TTL of the new value in milliseconds
+     * @returns {Promise<boolean>} true if the value is set, false if the key had another value
+     */
+    async rcas(hkey, expected, value, ttl) {
+        const exists = expected === null || expected === undefined ? 0 : 1
+        const res = await this.rr(
+            'rutil_cas',
+            hkey,
+            exists,
+            exists ? expected : '',
+            value,
+            ttl || 0
+        )
+        return res === 1
+    }
+
+    /**
+     * Retrieves a value from a Redis JSON key, and sets the TTL of the key if it exists, atomically.
+     * @async
+     * @param {string} hkey - the key to access
+     * @param {string} path - the path to the value to retrieve
+     * @param {number} ttl - the new TTL of the key in milliseconds
+     * @returns {Promise<*>} the value, decoded as by rjmget(), null if the key doesn't exist
+     */
+    async rjgetex(hkey, path, ttl) {
+        return jsonUnwrap(
+            await this.rr('rutil_jgetex', hkey, this._rjpath(path), ttl)
+        )
+    }
+
+    /**
+     * Pushes values to the head of a list and trims it to a maximum length, atomically.
+     * @async
+     * @param {string} hkey - the list key
+     * @param {number} max - the maximum length of the list, the oldest values are removed
+     * @param {...string} values - the values to push
+     * @returns {Promise<number>} the length of the list
+     */
+    rcappedpush(hkey, max, ...values) {
+        return this.rr('rutil_cappedpush', hkey, max, ...values)
+    }
+
+    /**
+     * Async Calls a Redis method, prefixing every key with the stored prefix.
+     * The positions of the keys are taken from the built-in table, the registered ones,
+     * or the server's `COMMAND INFO` for unknown commands.
+     * If the last argument is a function, it is treated as a callback.
+     * If the callback is given, the function returns a Promise,
+     * and the callback is called with the result of the Redis call inside the Promise.
+     * @see {@link r} for the Sync version
+     * @async
+     * @param {string} redis_method - the Redis method to call
+     * @param {string} hkey - the Redis key to use
+     * @param {...*} rest_args - the arguments to pass to the Redis method
+     * @returns {Promise|*} the result of the Redis method, or a Promise resolved with the result
+     */
+    rr(redis_method, hkey, ...rest_args) {
+        if (!this._rkeys_known(redis_method))
+            return this._rkeys_load([redis_method]).then(() =>
+                this._rr(redis_method, hkey, rest_args)
+            )
+        return this._rr(redis_method, hkey, rest_args)
+    }
+
+    _rr(redis_method, hkey, rest_args) {
+        let cb =
+            rest_args.length > 0 &&
+            typeof rest_args[rest_args.length - 1] === 'function'
+                ? rest_args.pop()
+                : null
+        const args = this._rkeys(redis_method, [hkey, ...rest_args])
+        if (!cb) return this._redis_call(redis_method, ...args)
+
+        return new Promise(async (resolve, reject) => {
+            let f = (err, result) => {
+                if (err) return reject(err)
+                return resolve(cb(result))
+            }
+            args.push(f)
+            this._redis_call(redis_method, ...args)
+        })
+    }
+
+    /**
+     * Sync Calls a Redis method, prefixing every key with the stored prefix.
+     * If the last argument is not a function, it appends an empty function to the arguments.
+     * If the key positions of the method are not known yet, only the first key is prefixed
+     * and the positions are loaded for the next calls.
+     * @see {@link rr} for the Async version
+     * @param {string} redis_method - the Redis method to call
+     * @param {string} hkey - the Redis key to use
+     * @param {...*} rest_args - the arguments to pass to the Redis method
+     * @returns {*} the result of the Redis method
+     */
+    r(redis_method, hkey, ...rest_args) {
+        let cb =
+            rest_args.length > 0 &&
+            typeof rest_args[rest_args.length - 1] === 'function'
+                ? rest_args.pop()
+                : function () {}
+        let args
+        if (this._rkeys_known(redis_method)) {
+            args = this._rkeys(redis_method, [hkey, ...rest_args])
+        } else {
+            args = [this._rpfx(hkey), ...rest_args]
+            this._rkeys_load([redis_method])
+        }
+        args.push(cb)
+        return this._redis_call(redis_method, ...args)
+    }
+
+    /**
+     * If the given commands array contains only one command, call rr() on it.
+     * Otherwise, call rpipemulti() on the commands array.
+     * @see {@link rr}
+     * @see {@link rpipemulti}
+     * @async
+     * @param {Array} commands - the commands array to process
+     * @param {object} [opts] - options passed to rpipemulti()
+     * @returns {Promise|*} the result of the Redis method, or a Promise resolved with the result
+     */
+    rpipemaybe(commands, opts) {
+        if (commands.length !== 1) return this.rpipemulti(commands, opts)
+        const [redis_method, ...args] = commands[0]
+        return JSON_HELPERS[redis_method]
+            ? this[redis_method](...args)
+            : this.rr(redis_method, ...args)
+    }
+
+    /**
+     * Calls multiple Redis methods in a pipeline or a transaction,
+     * prefixing every key with the stored prefix.
+     * On a cluster, the commands are grouped by the node serving their hash slot,
+     * the groups are run in parallel, and the results are returned in the order of the commands.
+     * A transaction must have all its keys in one hash slot, otherwise it is refused.
+     * RedisJSON helpers can be used as commands, e.g. `['rjset', key, path, value]`,
+     * their results are decoded as the helpers do.
+     * @async
+     * @param {Array} commands - the commands array to process
+     * @param {string|function|object} [arg2] - 't' for transaction, or a callback function to call with the results,
+     * or an options object
+     * @param {boolean} [arg2.transaction] - whether to run the commands in a transaction
+     * @param {number} [arg2.concurrency] - the number of groups to run at the same time on a cluster,
+     * `pipelineConcurrency` by default
+     * @param {function} [cb] - callback function to call with the results
+     * @returns {Promise|*} the result of the Redis method, or a Promise resolved with the result
+     */
+    rpipemulti(commands, arg2, cb) {
+        let type = 'pipeline'
+        let opts = {}
+        if (arg2) {
+            if (typeof arg2 === 'function') {
+                cb = arg2
+            } else {
+                if (typeof arg2 === 'object') opts = arg2
+                if (arg2 === 't' || opts.transaction) type = 'multi'
+                if (cb && typeof cb !== 'function') cb = null
+            }
+        }
+
+        const expanded = this._rpipe_expand(commands)
+        const unknown = expanded.commands
+            .map((command) => command[0])
+            .filter((redis_method) => !this._rkeys_known(redis_method))
+        if (unknown.length)
+            return this._rkeys_load(unknown).then(() =>
+                this._rpipemulti(expanded, type, opts, cb)
+            )
+        return this._rpipemulti(expanded, type, opts, cb)
+    }
+
+    _rpipemulti(expanded, type, opts, cb) {
+        let groups
+        try {
+            groups = this._rpipe_groups(expanded.commands, type)
+        } catch (err) {
+            if (cb) return Promise.resolve(cb(err))
+            return Promise.reject(err)
+        }
+        const ret = (
+            groups.length > 1
+                ? this._rpipe_exec_groups(groups, type, opts.concurrency)
+                : this._rpipe_run(type, groups.length ? groups[0].commands : [])
+        ).then((results) => this._rpipe_decode(results, expanded.decoders))
+        return cb
+            ? ret.then(
+                  (results) => cb(null, results),
+                  (err) => cb(err)
+              )
+            : ret
+    }
+
+    /**
+     * Calls multiple Redis methods in a pipeline or a transaction, prefixing every key with the stored prefix.
+     * Returns a Promise resolved with an array of results, where each result is the result of the corresponding Redis method.
+     * On a cluster, the commands are grouped by node as in rpipemulti().
+     * The errors of the commands are reported according to `opts.mode`:
+     * 'values' - the result of a failed command is null,
+     * 'results' - every result is `{ok, value, error}`,
+     * 'throw' - the first failed command rejects the Promise.
+     * The errors are RedisCommandError, with the command and the key.
+     * @see {@link rpipemulti}
+     * @async
+     * @param {Array} commands - the commands array to process
+     * @param {object} [opts] - additional options
+     * @param {number} [opts.concurrency] - the number of groups to run at the same time on a cluster
+     * @param {string} [opts.mode='values'] - 'values', 'results' or 'throw'
+     * @param {boolean} [opts.transaction] - whether to run the commands in a transaction,
+     * which must have all its keys in one hash slot, as in rpipemulti()
+     * @returns {Promise<Array>} the result of the Redis method, or a Promise resolved with the result
+     */
+    async rpipemulti2array(commands, opts) {
+        if (!opts) opts = {}
+        const type = opts.transaction ? 'multi' : 'pipeline'
+        const expanded = this._rpipe_expand(commands)
+        await this._rkeys_load(expanded.commands.map((command) => command[0]))
+        const groups = this._rpipe_groups(expanded.commands, type)
+        let ret
+        if (groups.length > 1) {
+            ret = await this._rpipe_exec_groups(groups, type, opts.concurrency)
+        } else {
+            ret = await this._rpipe_run(
+                type,
+                groups.length ? groups[0].commands : []
+            )
+        }
+        ret = this._rpipe_decode(ret, expanded.decoders)
+        if (!Array.isArray(ret) || !ret.length) return Promise.resolve(ret)
+        const error = (i) => {
+            if (!ret[i] || !ret[i][0]) return null
+            const [redis_method, ...args] = expanded.commands[i]
+            return new RedisCommandError(
+                ret[i][0],
+                redis_method,
+                this._rkey_of(redis_method, args)
+            )
+        }
+        if (opts.mode === 'results')
+            return ret.map((r, i) => {
+                const err = error(i)
+                return { ok: !err, value: err ? null : r[1], error: err }
+            })
+        if (opts.mode === 'throw') {
+            const i = ret.findIndex((r) => r && r[0])
+            if (i !== -1) throw error(i)
+        }
+        return Promise.resolve(ret.map((r) => r[1]))
+    }
+
+    /**
+     * Calls Redis HMGET method, prefixing the key with the stored prefix.
+     * If a callback function is provided, it is called with the result of the Redis method,
+     * and the result of the callback function is returned as the Promise result.
+     * If to_num is true, the result is parsed to number.
+     * If to_num is an object of field types, every field is decoded by its type, as rhmset() encodes it,
+     * and the fields that are not set are null.
+     * @see {@link rhmset}
+     * @see {@link model} for typed hashes with defaults, validation and indexes
+     * @async
+     * @param {string} hkey - the key to access
+     * @param {Array<string>} keys - the keys to retrieve
+     * @param {boolean|Object<string, string|Object>} [to_num=false] - whether to parse the result to number,
+     * or the types of the fields: 'string', 'number', 'boolean', 'date', 'json', 'enum' or 'buffer',
+     * or field definitions such as `{type: 'enum', values: ['a', 'b']}`
+     * @param {function} [cb] - the callback function to call with the result
+     * @returns {Promise<Object>} the result of the Redis method, or a Promise resolved with the result
+     */
+    rhmget(hkey, keys, to_num, cb) {
+        if (cb && typeof cb !== 'function') cb = null
+        const fields =
+            to_num && typeof to_num === 'object'
+                ? fieldDefinitions(to_num)
+                : null
+        const buffers =
+            fields &&
+            keys.some((key) => fields[key] && fields[key].type === 'buffer')
+        return this.rr(buffers ? 'hmgetBuffer' : 'hmget', hkey, keys, (res) => {
+            let out = {}
+            for (let i = 0; i < keys.length; ++i) {
+                out[keys[i]] = cb
+                    ? cb(res[i])
+                    : fields
+                      ? decodeField(fields[keys[i]], res[i])
+                      : to_num
+                        ? res[i] - 0
+                        : res[i]
+            }
+            return out
+        })
+    }
+
+    /**
+     * Calls Redis HSET method with values encoded by their types, prefixing the key with the stored prefix.
+     * Null and undefined values delete their fields, with HDEL.
+     * @see {@link rhmget} for the field types
+     * @async
+     * @param {string} hkey - the key to access
+     * @param {Object} values - the values to set, by field name
+     * @param {Object<string, string|Object>} [types] - the types of the fields, the others are stored as strings
+     * @returns {Promise<number>} the number of fields set or deleted
+     * @throws {ModelValidationError} if a value doesn't fit its type, nothing is written then
+     */
+    async rhmset(hkey, values, types) {
+        const encoded = encodeFields(fieldDefinitions(types || {}), values)
+        if (encoded.errors.length)
+            throw new ModelValidationError(hkey, encoded.errors)
+        let commands = []
+        if (Object.keys(encoded.values).length)
+            commands.push(['hset', hkey, encoded.values])
+        if (encoded.deleted.length)
+            commands.push(['hdel', hkey, ...encoded.deleted])
+        if (commands.length)
+            await this.rpipemulti2array(commands, { mode: 'throw' })
+        return Object.keys(encoded.values).length + encoded.deleted.length
+    }
+
+    /**
+     * Defines a typed hash model: objects stored in hashes, whose fields are encoded and checked by their types,
+     * with defaults and optional secondary indexes in sorted sets, all under the stored prefix.
+     * @example
+     * const users = redisUtil.model('user', {
+     *     name: 'string',
+     *     age: { type: 'number', index: true },
+     *     role: { type: 'enum', values: ['admin', 'user'], default: 'user', index: true },
+     *     createdAt: { type: 'date', default: () => new Date() },
+     * })
+     * await users.set(42, { name: 'Ann', age: 31 })
+     * await users.get(42) // {name: 'Ann', age: 31, role: 'user', createdAt: Date}
+     * await users.find('age', 30, 39) // ['42']
+     * @param {string} name - the name of the model, the keys are `<name>:<id>` and `<name>:index:<field>`
+     * @param {Object<string, string|Object>} schema - the types of the fields, or their definitions:
+     * `{type, default, index, values, validate}`, `type` as in rhmget(), `default` a value or a function returning it,
+     * `index` whether to keep the index of a number, date, boolean or enum field (scored by the value,
+     * the position of the value for an enum), `values` the values of an enum,
+     * `validate` a function returning true, or why the value is refused
+     * @returns {HashModel} the model
+     * @throws {TypeError} if a type is unknown, or a field can't be indexed
+     */
+    model(name, schema) {
+        return new HashModel(this, name, schema)
+    }
+
+    /**
+     * Returns a work queue on a Redis stream: jobs added with enqueue(), run by the workers started with
+     * process() in a consumer group, acknowledged when done, retried with a backoff when they fail,
+     * then moved to a dead-letter stream. The delayed jobs wait in a sorted set.
+     * The keys are `queue:{<name>}`, `queue:{<name>}:delayed`, `queue:{<name>}:dead` and
+     * `queue:{<name>}:dedupe:<id>`, with the stored prefix, in one cluster slot.
+     * close() and quit() stop the workers.
+     * @example
+     * const mails = redisUtil.queue('mails', { maxAttempts: 3 })
+     * await mails.enqueue({ to: 'ann@example.com' }, { delay: 60000, dedupeId: 'welcome:42' })
+     * const worker = await mails.process(async (job) => send(job.payload), { concurrency: 5 })
+     * @param {string} name - the name of the queue
+     * @param {object} [opts] - the options of the queue
+     * @param {string} [opts.group='workers'] - the consumer group of the workers
+     * @param {number} [opts.maxAttempts=5] - the number of attempts before a job is dead
+     * @param {object|function} [opts.backoff] - the delay before retrying a job in ms,
+     * `{delay: 1000, factor: 2, maxDelay: 3600000}` by default, or a function of the attempt that failed
+     * @param {number} [opts.dedupeTtl=86400000] - how long the deduplication IDs are remembered, in ms
+     * @param {number} [opts.deadMaxLen=10000] - the approximate maximum length of the dead-letter stream
+     * @returns {WorkQueue} the queue
+     */
+    queue(name, opts) {
+        return new WorkQueue(this, name, opts || {})
+    }
+
+    /**
+     * Adds a job to a work queue with the default options, see {@link RedisUtilFunctions#queue}.
+     * @async
+     * @param {string} queue - the name of the queue
+     * @param {*} payload - the data of the job, JSON-encoded
+     * @param {object} [opts] - the options of {@link WorkQueue#enqueue}: `{delay, dedupeId, dedupeTtl}`
+     * @returns {Promise<string|null>} the job ID, or null if the job is a duplicate
+     */
+    enqueue(queue, payload, opts) {
+        return this.queue(queue).enqueue(payload, opts)
+    }
+
+    /**
+     * Calls Redis RENAME method, prefixing the key with the stored prefix.
+     * @see {@link renameByPattern} to rename many keys
+     * @async
+     * @param {string} from - the key to rename
+     * @param {string} to - the new key name
+     * @returns {Promise<string>} the result of the Redis method, or a Promise resolved with the result
+     */
+    rrename(from, to) {
+        return this._redis_call('rename', this._rpfx(from), this._rpfx(to))
+    }
+
+    /**
+     * Deletes all keys from the given set, using either SPop or ZPopMin depending on the set type.
+     * If a pattern is given, it is used to construct the key names to delete.
+     * The set is read first for a dry run, or to look for protected keys if there are protected patterns.
+     * As members can be added while it runs, every popped batch is checked again before it is deleted:
+     * a batch with protected keys is added back to the set, and the DeletionRefusedError is thrown
+     * after the previous batches are deleted. With `maxKeys`, it stops after popping that many members,
+     * leaving the members added since the check in the set.
+     * @see {@link rdel_from_set_atomic} for the crash-safe version
+     * @see {@link setDeleteGuards} for the guards
+     * @param {string} keys_set - the set key name
+     * @param {boolean} is_sorted - whether the set is sorted
+     * @param {string} [ptn] - the pattern to use for constructing key names
+     * @param {object} [opts] - the guards, overriding the ones of setDeleteGuards()
+     * @param {boolean} [opts.dryRun] - whether to only return the keys to delete, leaving the set as it is
+     * @param {number} [opts.maxKeys] - refuse to delete more keys than this
+     * @param {boolean} [opts.requirePrefix] - refuse to delete anything if the instance has no prefix
+     * @param {boolean} [opts.unlinkInsteadOfDel] - whether to delete with UNLINK rather than DEL
+     * @param {function(Object)|string} [opts.audit] - the audit log of the deletions
+     * @returns {Promise<number|Array<string>>} the number of members popped, or the keys to delete for a dry run,
+     * with a `protected` property listing the protected ones, if any
+     * @throws {DeletionRefusedError} if a guard refuses the deletion
+     */
+    async rdel_from_set(keys_set, is_sorted, ptn, opts) {
+        opts = this._rdel_guards(opts)
+        const planned = await this._rdel_set_plan(
+            keys_set,
+            is_sorted,
+            ptn,
+            opts
+        )
+        if (opts.dryRun) return planned
+        let _keys
+        let total = 0
+        const command = is_sorted ? 'zpopmin' : 'spop'
+        while (!opts.maxKeys || total < opts.maxKeys) {
+            const popped = await this.rr(
+                command,
+                keys_set,
+                opts.maxKeys ? Math.min(500, opts.maxKeys - total) : 500
+            )
+            if (!popped || !Array.isArray(popped) || !popped.length) break
+            const members = is_sorted
+                ? popped.filter((x, y) => !(y % 2))
+                : popped
+            _keys = members.map((member) =>
+                ptn ? ptn.replace('*', member) : member
+            )
+            const hkeys = _keys.map((_key) => this._rpfx(_key))
+            if (this._rdel_protected(hkeys).length) {
+                if (is_sorted)
+                    await this.rr(
+                        'zadd',
+                        keys_set,
+                        ...members.flatMap((member, i) => [
+                            popped[2 * i + 1],
+                            member,
+                        ])
+                    )
+                else await this.rr('sadd', keys_set, ...members)
+                this._rdel_check(hkeys, opts, 0)
+            }
+            await this.rpipemulti(
+                _keys.map((_key) => [
+                    opts.unlinkInsteadOfDel ? 'unlink' : 'del',
+                    _key,
+                ])
+            )
+            total += _keys.length
+            await this._rdel_audit(opts, {
+                helper: 'rdel_from_set',
+                set: keys_set,
+                keys: _keys,
+                count: _keys.length,
+            })
+        }
+        return total
+    }
+
+    /**
+     * Same as rdel_from_set(), but every batch is removed from the set and deleted in one Lua script,
+     * so that the members are not lost if the client stops between the two.
+     * The members of a batch are read first, the smallest ones of a sorted set, and their keys are
+     * checked against the protected patterns and passed to the script, which removes the members
+     * and deletes the keys of the ones still in the set.
+     * On a cluster, the keys must be in the slot of the set, e.g. `ptn` with the hash tag of the set,
+     * otherwise it refuses before removing anything.
+     * @see {@link rdel_from_set}
+     * @async
+     * @param {string} keys_set - the set key name
+     * @param {boolean} is_sorted - whether the set is sorted
+     * @param {string} [ptn] - the pattern to use for constructing key names
+     * @param {number} [batch=500] - the number of members removed by every script call
+     * @param {object} [opts] - the guards, as for rdel_from_set(); the audit entries have no keys,
+     * only their count, as the script deletes them
+     * @returns {Promise<number|Array<string>>} the number of members removed, or the keys to delete for a dry run,
+     * with a `protected` property listing the protected ones, if any
+     * @throws {DeletionRefusedError} if a guard refuses the deletion
+     */
+    async rdel_from_set_atomic(keys_set, is_sorted, ptn, batch, opts) {
+        opts = this._rdel_guards(opts)
+        const planned = await this._rdel_set_plan(
+            keys_set,
+            is_sorted,
+            ptn,
+            opts
+        )
+        if (opts.dryRun) return planned
+        const slot = this._is_cluster()
+            ? calculateSlot(this._rpfx(keys_set))
+            : null
+        let total = 0
+        while (!opts.maxKeys || total < opts.maxKeys) {
+            const count = opts.maxKeys
+                ? Math.min(batch || 500, opts.maxKeys - total)
+                : batch || 500
+            const members = is_sorted
+                ? await this.rr('zrange', keys_set, 0, count - 1)
+                : await this.rr('srandmember', keys_set, count)
+            if (!members || !members.length) break
+            const _keys = members.map((member) =>
+                ptn ? ptn.replace('*', member) : member
+            )
+            const hkeys = _keys.map((_key) => this._rpfx(_key))
+            if (
+                slot !== null &&
+                hkeys.some((hkey) => calculateSlot(hkey) !== slot)
+            )
+                throw new Error(
+                    'rdel_from_set_atomic: the keys must be in the slot of the set on a cluster'
+                )
+            this._rdel_check(hkeys, opts, 0)
+            const removed = await this.rr(
+                'rutil_delfromset',
+                _keys.length + 1,
+                keys_set,
+                ..._keys,
+                is_sorted ? 1 : 0,
+                opts.unlinkInsteadOfDel ? 'unlink' : 'del',
+                ...members
+            )
+            total += removed
+            if (!removed) continue
+            await this._rdel_audit(opts, {
+                helper: 'rdel_from_set_atomic',
+                set: keys_set,
+                count: removed,
+            })
+        }
+        return total
+    }
+
+    /**
+     * Deletes keys or hash keys matching the given patterns.
+     * If a pattern contains '.', it is assumed to be a hash key name.
+     * If a pattern does not contain '*', it is used directly.
+     * If a pattern contains '*', it is scanned for using the `SCAN` command.
+     * On a cluster, the deletes are grouped by node and run in parallel.
+     * All the keys are found before anything is deleted, so that the guards can refuse the deletion.
+     * @see {@link scanIter}
+     * @see {@link rpipemulti}
+     * @see {@link setDeleteGuards} for the guards
+     * @async
+     * @param {string|string[]} ptns - the patterns to match
+     * @param {object} [opts] - additional options, and the guards overriding the ones of setDeleteGuards()
+     * @param {number} [opts.concurrency] - the number of node groups to delete from at the same time on a cluster
+     * @param {boolean} [opts.dryRun] - whether to only return the keys to delete
+     * @param {number} [opts.maxKeys] - refuse to delete more keys (and hash keys) than this
+     * @param {boolean} [opts.requirePrefix] - refuse to delete anything if the instance has no prefix
+     * @param {boolean} [opts.unlinkInsteadOfDel] - whether to delete with UNLINK rather than DEL
+     * @param {function(Object)|string} [opts.audit] - the audit log of the deletions
+     * @returns {Promise<boolean|Array<string>>} true, or the keys to delete for a dry run,
+     * without the prefix, a hash key as `key.field`, with a `protected` property listing the protected ones, if any
+     * @throws {DeletionRefusedError} if a guard refuses the deletion
+     */
+    async rdel(ptns, opts) {
+        opts = this._rdel_guards(opts)
+        if (!Array.isArray(ptns)) ptns = [ptns]
+        const del = opts.unlinkInsteadOfDel ? 'unlink' : 'del'
+        let commands = []
+        for (let ptn of ptns) {
+            if (!ptn) continue
+            if (ptn.indexOf('*') === -1) {
+                ptn = ptn.split('.')
+                commands.push(
+                    ptn.length === 1 ? [del, ptn[0]] : ['hdel', ...ptn]
+                )
+            } else {
+                for await (const _keys of this.scanIter(ptn, {
+                    batch: true,
+                    count: 1000,
+                }))
+                    commands = commands.concat(_keys.map((_key) => [del, _key]))
+            }
+        }
+        const keys = commands.map(([, hkey, ...fields]) =>
+            [this._runpfx(hkey), ...fields].join('.')
+        )
+        const hkeys = commands.map((command) => this._rpfx(command[1]))
+        const protected_keys = this._rdel_check(hkeys, opts)
+        if (opts.dryRun) {
+            if (protected_keys.length)
+                keys.protected = keys.filter((key, i) =>
+                    protected_keys.includes(hkeys[i])
+                )
+            return keys
+        }
+        if (commands.length) {
+            await this.rpipemaybe(commands, {
+                concurrency: opts.concurrency,
+            })
+            await this._rdel_audit(opts, {
+                helper: 'rdel',
+                keys,
+                count: keys.length,
+            })
+        }
+        return Promise.resolve(true)
+    }
+
+    /**
+     * Scans for keys or hash keys matching the given pattern.
+     * If a pattern contains '.', it is assumed to be a hash key name.
+     * If a pattern does not contain '*', it is used directly.
+     * If a pattern contains '*', it is scanned for using the `SCAN` command.
+     * On a cluster, `SCAN` walks every master node in turn, each one with its own cursor,
+     * and the cursor is a composite string of the remaining nodes and their positions,
+     * that can be passed back as `opts.cursor` to resume. It is 0 when all the nodes are done.
+     * A failed SCAN rejects with a RedisCommandError.
+     * The callback is called with the keys (or the fields and values) in the order of the SCAN replies.
+     * It used to be called from the end of every reply, but SCAN has no order to rely on anyway.
+     * @async
+     * @param {string|string[]} ptn - the pattern to match
+     * @param {function} [cb] - the callback to call with the matching keys
+     * @param {string} [hkey] - the hash key to scan, if different from the key name
+     * @param {object} [opts] - additional options
+     * @param {boolean} [opts.return] - whether to return the keys in an array, or the return value of the callback
+     * @param {boolean} [opts.return_cursor] - whether to return the final cursor value
+     * @param {boolean} [opts.one] - whether to stop after finding one matching key
+     * @param {number|string} [opts.cursor] - the initial cursor value, composite string on a cluster
+     * @param {boolean} [opts.cb_all] - whether to call the callback with the entire array of matching keys
+     * @param {number} [opts.count] - the number of keys to return each iteration
+     * @returns {Promise<string|string[]>} the result of the Redis method, or a Promise resolved with the result
+     */
+    async rscan(ptn, cb, hkey, opts) {
+        //opts: return, return_cursor, one, cursor, cb_all, count
+        if (!opts) opts = {}
+        if (hkey) {
+            hkey = this._rpfx(hkey)
+        } else if (ptn) {
+            ptn = this._rpfx(ptn)
+        }
+        let cb_ret
+        let keys = []
+
+        if (typeof cb !== 'function') cb = false
+        const func = hkey ? 'hscan' : 'scan'
+        const num_params = func === 'scan' ? 1 : 2
+        let i = opts.cursor || 0
+        for await (const result of this._rscan_iter(func, hkey, {
+            cursor: opts.cursor,
+            match: ptn,
+            count: opts.count,
+        })) {
+            i = result.cursor
+            if (result.items.length) {
+                if (cb) {
+                    if (opts.cb_all) {
+                        cb_ret = cb(result.items)
+                        if (cb_ret instanceof Promise) await cb_ret
+                    } else {
+                        for (
+                            let j = 0;
+                            j < result.items.length;
+                            j += num_params
+                        ) {
+                            cb_ret = cb(
+                                ...result.items.slice(j, j + num_params)
+                            )
+                            if (cb_ret instanceof Promise) await cb_ret
+                        }
+                    }
+                } else if (opts.return) {
+                    keys.splice(keys.length, 0, ...result.items)
+                }
+            }
+            if (opts.one) break
+        }
+        return opts.return_cursor ? [i, keys] : keys
+    }
+
+    /**
+     * Iterates over the keys matching a pattern with `SCAN`, the prefix is prepended to the pattern.
+     * On a cluster, every master node is scanned in turn, as in rscan().
+     * @example
+     * for await (const key of redisUtil.scanIter('user:*', { type: 'hash' })) console.log(key)
+     * @async
+     * @generator
+     * @param {string} [match='*'] - the pattern to match
+     * @param {object} [opts] - additional options
+     * @param {number} [opts.count] - the COUNT hint of every SCAN call
+     * @param {string} [opts.type] - only the keys of this type, e.g. 'hash' (Redis 6+)
+     * @param {boolean} [opts.batch] - whether to yield the arrays of keys of every SCAN call, instead of every key
+     * @param {boolean} [opts.stripPrefix] - whether to remove the prefix from the keys
+     * @param {number|string} [opts.cursor] - the cursor to resume from
+     * @param {AbortSignal} [opts.signal] - stops the iteration, with its abort reason thrown
+     * @yields {string|Array<string>} the keys, or arrays of keys in batch mode
+     */
+    async *scanIter(match, opts) {
+        if (!opts) opts = {}
+        const iter = this._rscan_iter(
+            'scan',
+            null,
+            Object.assign({}, opts, { match: this._rpfx(match || '*') })
+        )
+        for await (const { items } of iter) {
+            const keys = opts.stripPrefix
+                ? items.map((key) => this._runpfx(key))
+                : items
+            if (!opts.batch) yield* keys
+            else if (keys.length) yield keys
+        }
+    }
+
+    /**
+     * Iterates over the fields of a hash with `HSCAN`, the prefix is prepended to the key.
+     * @see {@link scanIter} for the common options
+     * @async
+     * @generator
+     * @param {string} hkey - the hash key
+     * @param {object} [opts] - additional options, as for scanIter(), except `type` and `stripPrefix`
+     * @param {string} [opts.match] - the pattern of the fields to match
+     * @param {boolean} [opts.novalues] - whether to yield the field names only (Redis 7.4+)
+     * @yields {Array<string>|string|Array} `[field, value]`, or the field with `novalues`,
+     * or arrays of them in batch mode
+     */
+    async *hscanIter(hkey, opts) {
+        if (!opts) opts = {}
+        yield* this._rscan_items('hscan', hkey, opts, opts.novalues ? 1 : 2)
+    }
+
+    /**
+     * Iterates over the members of a set with `SSCAN`, the prefix is prepended to the key.
+     * @see {@link scanIter} for the common options
+     * @async
+     * @generator
+     * @param {string} hkey - the set key
+     * @param {object} [opts] - additional options, as for scanIter(), except `type` and `stripPrefix`
+     * @param {string} [opts.match] - the pattern of the members to match
+     * @yields {string|Array<string>} the members, or arrays of members in batch mode
+     */
+    async *sscanIter(hkey, opts) {
+        yield* this._rscan_items('sscan', hkey, opts || {}, 1)
+    }
+
+    /**
+     * Iterates over the members of a sorted set with `ZSCAN`, the prefix is prepended to the key.
+     * @see {@link scanIter} for the common options
+     * @async
+     * @generator
+     * @param {string} hkey - the sorted set key
+     * @param {object} [opts] - additional options, as for scanIter(), except `type` and `stripPrefix`
+     * @param {string} [opts.match] - the pattern of the members to match
+     * @yields {Array|Array<Array>} `[member, score]` with a numeric score, or arrays of them in batch mode
+     */
+    async *zscanIter(hkey, opts) {
+        yield* this._rscan_items('zscan', hkey, opts || {}, 2, true)
+    }
+
+    /**
+     * Runs the SCAN family command until its cursor is back to 0,
+     * and yields the cursor and the reply items of every call.
+     * On a cluster, SCAN goes to every master, the other commands scan one key, which lives on one node anyway.
+     * @param {string} func - 'scan', 'hscan', 'sscan' or 'zscan'
+     * @param {string|null} hkey - the prefixed key to scan, null for SCAN
+     * @param {object} opts - `cursor, match, count, type, novalues, signal`, the match is used as it is
+     * @yields {{cursor: number|string, items: Array}} the cursor to resume from, 0 at the end, and the items
+     */
+    async *_rscan_iter(func, hkey, opts) {
+        const nodes =
+            func === 'scan' && this._is_cluster()
+                ? this._rscan_nodes(opts.cursor)
+                : null
+        let cursor = nodes
+            ? this._rscan_cursor(nodes)
+            : parseInt(opts.cursor) || 0
+        let params = []
+        if (opts.match) params.push('MATCH', opts.match)
+        if (opts.count) params.push('COUNT', opts.count)
+        if (opts.type && func === 'scan') params.push('TYPE', opts.type)
+        if (opts.novalues && func === 'hscan') params.push('NOVALUES')
+
+        while (!nodes || nodes.length) {
+            if (opts.signal && opts.signal.aborted) {
+                throw (
+                    opts.signal.reason ||
+                    Object.assign(new Error('The scan was aborted'), {
+                        name: 'AbortError',
+                    })
+                )
+            }
+            const execer = nodes ? nodes[0].node : this.redisClient
+            let args = [nodes ? nodes[0].cursor : cursor, ...params]
+            if (hkey) args.unshift(hkey)
+            let result
+            try {
+                result = await this._rsend(execer, func, args)
+            } catch (err) {
+                throw new RedisCommandError(err, func, hkey || opts.match)
+            }
+            const next = parseInt(result[0]) || 0
+            if (nodes) {
+                if (next) {
+                    nodes[0].cursor = next
+                } else {
+                    nodes.shift()
+                }
+                cursor = this._rscan_cursor(nodes)
+            } else {
+                cursor = next
+            }
+            yield {
+                cursor,
+                items: Array.isArray(result[1]) ? result[1] : [],
+            }
+            if (!cursor) return
+        }
+    }
+
+    /**
+     * Yields the items of HSCAN, SSCAN or ZSCAN one by one or in batches,
+     * grouped by `size` (2 for field and value, member and score).
+     */
+    async *_rscan_items(func, hkey, opts, size, numeric) {
+        const iter = this._rscan_iter(
+            func,
+            this._rpfx(hkey),
+            Object.assign({}, opts, { type: null })
+        )
+        for await (const { items } of iter) {
+            let out = []
+            for (let i = 0; i < items.length; i += size) {
+                if (size === 1) {
+                    out.push(items[i])
+                } else {
+                    out.push([
+                        items[i],
+                        numeric ? Number(items[i + 1]) : items[i + 1],
+                    ])
+                }
+            }
+            if (!opts.batch) yield* out
+            else if (out.length) yield out
+        }
+    }
+
+    /**
+     * Returns the master nodes to scan and their cursors, from a composite cursor,
+     * or all the masters from the start if there is no cursor.
+     * @param {string|number} [cursor] - the composite cursor, as returned by `_rscan_cursor`
+     * @returns {Array<{id: string, node: Redis, cursor: number}>} the nodes to scan, in order
+     */
+    _rscan_nodes(cursor) {
+        let masters = {}
+        for (const node of this.redisClient.nodes('master')) {
+            masters[node.options.host + ':' + node.options.port] = node
+        }
+        if (!cursor || cursor === '0') {
+            return Object.keys(masters)
+                .sort()
+                .map((id) => ({ id, node: masters[id], cursor: 0 }))
+        }
+        return String(cursor)
+            .split(',')
+            .map((part) => {
+                const at = part.lastIndexOf('@')
+                const id = part.substring(0, at)
+                if (at === -1 || !masters[id])
+                    throw new Error(
+                        'rscan: cursor node ' +
+                            part +
+                            ' is not a cluster master'
+                    )
+                return {
+                    id,
+                    node: masters[id],
+                    cursor: parseInt(part.substring(at + 1)) || 0,
+                }
+            })
+    }
+
+    /**
+     * Encodes the remaining nodes and their cursors as a composite cursor,
+     * e.g. `10.0.0.1:7000@1234,10.0.0.2:7001@0`, or 0 when there are no nodes left.
+     * @param {Array<{id: string, cursor: number}>} nodes - the nodes still to scan
+     * @returns {string|number} the composite cursor
+     */
+    _rscan_cursor(nodes) {
+        if (!nodes.length) return 0
+        return nodes.map((node) => node.id + '@' + node.cursor).join(',')
+    }
+
+    /**
+     * Retrieves a value from a Redis JSON key.
+     * If key doesn't exists, returns null.
+     * If key exists, but path doesn't - returns []
+     * If a callback function is provided, it is called with the result of the Redis method,
+     * and the result of the callback function is returned as the Promise result.
+     * If empty_array_null is true, and the result is an empty array, returns null
+     * If keep_array is false, and the result is an array with one element, returns that element
+     * @async
+     * @param {string} hkey - the key to access
+     * @param {string} path - the path to the value to retrieve
+     * @param {function} [callback] - the callback function to call with the result
+     * @param {...string|function} [rest_args] - additional arguments to pass to the callback, or function to call with the key and path
+     * @returns {Promise<Object>} the result of the Redis method, or a Promise resolved with the result
+     */
+    async rjget(hkey, path, callback, ...rest_args) {
+        path = this._rjpath(path)
+        hkey = this._rpfx(hkey)
+        let res = await this._rraw('JSON.GET', hkey, path)
+        let opts = {
+            rerun: false,
+            keep_array: false,
+            empty_array_null: false,
+        }
+
+        Object.keys(opts).forEach((_opt) => {
+            let _indx = rest_args.indexOf(_opt)
+            if (_indx !== -1) {
+                opts[_opt] = true
+                rest_args.splice(_indx, 1)
+            }
+        })
+
+        if (res !== null) {
+            if (typeof res === 'string') res = parseJson(res, res)
+            if (opts.empty_array_null && Array.isArray(res) && !res.length)
+                res = null
+            if (res !== null) {
+                if (!opts.keep_array && Array.isArray(res) && res.length === 1)
+                    res = res[0]
+                if (callback && typeof callback === 'function') {
+                    res = callback(res)
+                    if (res instanceof Promise) res = await res
+                }
+            }
+        }
+        if (res !== null || !rest_args.length) return Promise.resolve(res)
+
+        let ret
+        const _type = typeof rest_args[0]
+        if (_type === 'function') {
+            ret = rest_args[0](hkey, path)
+        } else {
+            return Promise.resolve(null)
+        }
+        if (opts.rerun) {
+            await ret
+            return this.rjget(hkey, path, callback)
+        } else {
+            return ret
+        }
+    }
+
+    /**
+     * Sets a value in a Redis JSON key.
+     * @async
+     * @param {string} hkey - the key to access
+     * @param {string} path - the path to set the value at, `$` for the whole document
+     * @param {*} value - the value to set, JSON-encoded
+     * @param {string|object} [mode] - 'NX' to set only if the path doesn't exist, 'XX' only if it does,
+     * or `{nx: true}` / `{xx: true}`
+     * @returns {Promise<boolean>} true if the value is set, false if the NX / XX condition is not met
+     */
+    rjset(hkey, path, value, mode) {
+        return this._rjcall('rjset', hkey, path, value, mode)
+    }
+
+    /**
+     * Merges a value into a Redis JSON key (JSON Merge Patch, null values delete).
+     * @async
+     * @param {string} hkey - the key to access
+     * @param {string} path - the path to merge the value at
+     * @param {*} value - the value to merge, JSON-encoded
+     * @returns {Promise<boolean>} true if the value is merged
+     */
+    rjmerge(hkey, path, value) {
+        return this._rjcall('rjmerge', hkey, path, value)
+    }
+
+    /**
+     * Deletes a path of a Redis JSON key, the whole key with `$`.
+     * @async
+     * @param {string} hkey - the key to access
+     * @param {string} [path='$'] - the path to delete
+     * @returns {Promise<number>} the number of paths deleted
+     */
+    rjdel(hkey, path) {
+        return this._rjcall('rjdel', hkey, path)
+    }
+
+    /**
+     * Retrieves the value of a path from many Redis JSON keys.
+     * Every value is decoded as by rjget(): null for a missing key, [] for a missing path.
+     * @async
+     * @param {Array<string>} hkeys - the keys to access
+     * @param {string} path - the path to the values to retrieve
+     * @returns {Promise<Array>} the values, in the order of the keys
+     */
+    rjmget(hkeys, path) {
+        return this._rjcall('rjmget', hkeys, path)
+    }
+
+    /**
+     * Appends values to an array in a Redis JSON key.
+     * @async
+     * @param {string} hkey - the key to access
+     * @param {string} path - the path to the array
+     * @param {...*} values - the values to append, JSON-encoded
+     * @returns {Promise<number|null>} the new length of the array, null if the path is not an array
+     */
+    rjarrappend(hkey, path, ...values) {
+        return this._rjcall('rjarrappend', hkey, path, ...values)
+    }
+
+    /**
+     * Removes and returns an element of an array in a Redis JSON key.
+     * @async
+     * @param {string} hkey - the key to access
+     * @param {string} path - the path to the array
+     * @param {number} [index=-1] - the index of the element, the last one by default
+     * @returns {Promise<*>} the element, null if the array is empty
+     */
+    rjarrpop(hkey, path, index) {
+        return this._rjcall('rjarrpop', hkey, path, index)
+    }
+
+    /**
+     * Increments a number in a Redis JSON key.
+     * @async
+     * @param {string} hkey - the key to access
+     * @param {string} path - the path to the number
+     * @param {number} num - the value to add
+     * @returns {Promise<number|null>} the new value, null if the path is not a number
+     */
+    rjnumincrby(hkey, path, num) {
+        return this._rjcall('rjnumincrby', hkey, path, num)
+    }
+
+    /**
+     * Returns the JSON type of a path in a Redis JSON key.
+     * @async
+     * @param {string} hkey - the key to access
+     * @param {string} [path='$'] - the path to check
+     * @returns {Promise<string|null>} the type, e.g. 'object' or 'integer', null if the key doesn't exist
+     */
+    rjtype(hkey, path) {
+        return this._rjcall('rjtype', hkey, path)
+    }
+
+    /**
+     * Returns the keys of an object in a Redis JSON key.
+     * @async
+     * @param {string} hkey - the key to access
+     * @param {string} [path='$'] - the path to the object
+     * @returns {Promise<Array<string>|null>} the object keys, null if the path is not an object
+     */
+    rjobjkeys(hkey, path) {
+        return this._rjcall('rjobjkeys', hkey, path)
+    }
+
+    /**
+     * Read-through cache: returns the cached value of the key, or calls the loader and caches its result.
+     * Only one caller at a time runs the loader of a key, guarded by a lock in Redis,
+     * the others wait for its result, or get the stale value if there is one.
+     * A stale value (older than `ttl` but within `staleTtl`) is returned right away
+     * and refreshed in the background; refresh errors are emitted as `cache error` events.
+     * A null or undefined loader result is cached too, for `negativeTtl`.
+     * @async
+     * @param {string} hkey - the key to cache the value in
+     * @param {function(string): Promise<*>|*} loader - called with the key to load the value
+     * @param {object} [opts] - additional options
+     * @param {number} [opts.ttl=60000] - the time in milliseconds the value is fresh
+     * @param {number} [opts.staleTtl=0] - the time in milliseconds the value can be served stale after `ttl`
+     * @param {number} [opts.negativeTtl] - the time in milliseconds a null result is cached, `ttl` by default,
+     * 0 not to cache it
+     * @param {number} [opts.lockTtl=10000] - the time in milliseconds the loader can run before the lock expires,
+     * and the maximum time the other callers wait for it
+     * @param {number} [opts.wait=50] - the time in milliseconds between two checks of the waiting callers
+     * @param {string|object} [opts.codec='json'] - how the value is stored: 'json' (RedisJSON document),
+     * 'string', 'hash', or a string codec `{encode: function(*): string, decode: function(string): *}`
+     * @param {Array<string>} [opts.tags] - the tags of the value, see uncacheTags();
+     * the key of a tagged value can't contain `.` or `*`, as it is deleted with rdel()
+     * @returns {Promise<*>} the value
+     */
+    async cached(hkey, loader, opts) {
+        opts = Object.assign(
+            { ttl: 60000, staleTtl: 0, lockTtl: 10000, wait: 50 },
+            opts
+        )
+        if (opts.negativeTtl === undefined) opts.negativeTtl = opts.ttl
+        if (opts.tags && opts.tags.length && /[.*]/.test(hkey))
+            throw new Error(
+                'cached: the key of a tagged value can\'t contain "." or "*"'
+            )
+        const codec = this._rcache_codec(opts.codec)
+        const lock_key = hkey + ':cache-lock'
+
+        const entry = await this._rcache_read(hkey, codec)
+        if (entry && entry.fresh) return entry.value
+        const token = crypto.randomBytes(16).toString('hex')
+        if (await this._rlock_acquire(lock_key, token, opts.lockTtl)) {
+            const refresh = (async () => {
+                try {
+                    return await this._rcache_load(hkey, loader, codec, opts)
+                } finally {
+                    await this._rlock_release(lock_key, token)
+                }
+            })()
+            if (!entry) return refresh
+            refresh.catch((err) => this.emit('cache error', err, hkey))
+            return entry.value
+        }
+        if (entry) return entry.value
+
+        const until = Date.now() + opts.lockTtl
+        while (Date.now() < until) {
+            await sleep(opts.wait)
+            const loaded = await this._rcache_read(hkey, codec)
+            if (loaded) return loaded.value
+            if (!(await this.rr('exists', lock_key))) break
+        }
+        return loader(hkey)
+    }
+
+    /**
+     * Removes cached values, so that the next cached() call loads them again.
+     * @async
+     * @param {string|Array<string>} hkeys - the keys of the cached values
+     * @returns {Promise<void>}
+     */
+    async uncache(hkeys) {
+        if (!Array.isArray(hkeys)) hkeys = [hkeys]
+        if (!hkeys.length) return
+        await this.rpipemaybe(
+            hkeys.flatMap((hkey) => [
+                ['del', hkey],
+                ['del', hkey + ':cache'],
+            ])
+        )
+    }
+
+    /**
+     * Removes the cached values having any of the given tags.
+     * The keys of a tag are deleted with rdel(), batch by batch, and then removed from the tag.
+     * @see {@link rdel} for the guards
+     * @async
+     * @param {string|Array<string>} tags - the tags to invalidate
+     * @returns {Promise<void>}
+     */
+    async uncacheTags(tags) {
+        if (!Array.isArray(tags)) tags = [tags]
+        for (const tag of tags) {
+            const tag_key = 'cache-tag:' + tag
+            for await (const hkeys of this.sscanIter(tag_key, {
+                batch: true,
+            })) {
+                await this.rdel(hkeys)
+                await this.rr('srem', tag_key, ...hkeys)
+            }
+        }
+    }
+
+    /**
+     * Acquires a distributed lock on a resource, in the `lock:{resource}` key, so that it is cluster-safe.
+     * Every acquisition gets a fencing token, from the `lock-fence:{resource}` counter, which increases
+     * with every acquisition: pass it to the guarded resource to reject writes of an older holder.
+     * With several instances (Redlock), the lock is acquired when it is set on a majority of them
+     * within its TTL, without a fencing token: the counters of the instances are independent,
+     * so no token taken from them would increase with every acquisition.
+     * @async
+     * @param {string} resource - the name of the resource to lock
+     * @param {object} [opts] - additional options
+     * @param {number} [opts.ttl=10000] - the time in milliseconds the lock is held if it is not extended
+     * @param {number|object} [opts.retry] - the number of retries if the lock is taken,
+     * or `{count = 10, delay = 200, jitter = 100}`, delays in milliseconds
+     * @param {boolean} [opts.autoExtend=false] - whether to extend the lock every third of its TTL until released,
+     * a `lock lost` event is emitted with the resource and the handle if extending fails
+     * @param {Array<RedisUtilFunctions|string>} [opts.instances] - the (independent) instances to lock on,
+     * or their registered names, this instance by default
+     * @returns {Promise<{resource: string, token: string, fencingToken: number, expiresAt: number, lost: boolean,
+     * extend: function(number=): Promise<boolean>, release: function(): Promise<boolean>}>} the lock handle,
+     * without `fencingToken` with several instances, rejected if the lock is still taken after the retries
+     */
+    async lock(resource, opts) {
+        opts = Object.assign({ ttl: 10000 }, opts)
+        const retry = Object.assign(
+            { count: 10, delay: 200, jitter: 100 },
+            typeof opts.retry === 'number' ? { count: opts.retry } : opts.retry
+        )
+        const instances = (opts.instances || [this]).map((instance) =>
+            typeof instance === 'string'
+                ? RedisUtilFunctions.get(instance)
+                : instance
+        )
+        const quorum = Math.floor(instances.length / 2) + 1
+        const key = 'lock:{' + resource + '}'
+        const fence_key =
+            instances.length > 1 ? null : 'lock-fence:{' + resource + '}'
+        const token = crypto.randomBytes(16).toString('hex')
+        for (let attempt = 0; ; ++attempt) {
+            const start = Date.now()
+            const fences = (
+                await this._rlock_all(
+                    instances,
+                    '_rlock_acquire',
+                    key,
+                    token,
+                    opts.ttl,
+                    fence_key
+                )
+            ).filter((fence) => fence !== null && fence !== undefined)
+            //the clocks of the instances can drift, keep a margin
+            const validity =
+                opts.ttl - (Date.now() - start) - Math.ceil(opts.ttl / 100) - 2
+            if (fences.length >= quorum && validity > 0)
+                return this._rlock_handle(
+                    {
+                        instances,
+                        resource,
+                        key,
+                        token,
+                        fence: fence_key ? fences[0] - 0 : null,
+                        expiresAt: start + validity,
+                    },
+                    opts
+                )
+            if (fences.length)
+                await this._rlock_all(instances, '_rlock_release', key, token)
+            if (attempt >= retry.count)
+                throw new Error('lock: resource "' + resource + '" is locked')
+            await sleep(retry.delay + Math.floor(Math.random() * retry.jitter))
+        }
+    }
+
+    /**
+     * Runs `fn` holding a lock on the resource, and releases the lock when it is done.
+     * The lock is extended automatically while `fn` runs, unless `autoExtend` is false.
+     * @see {@link lock}
+     * @async
+     * @param {string} resource - the name of the resource to lock
+     * @param {function(Object): Promise<*>|*} fn - called with the lock handle
+     * @param {object} [opts] - the lock options
+     * @returns {Promise<*>} the result of `fn`
+     */
+    async withLock(resource, fn, opts) {
+        const handle = await this.lock(
+            resource,
+            Object.assign({ autoExtend: true }, opts)
+        )
+        try {
+            return await fn(handle)
+        } finally {
+            await handle.release()
+        }
+    }
+
+    /**
+     * Checks a rate limit and consumes it if the call is allowed, atomically in a Lua script.
+     * Algorithms: `fixed` - at most `limit` in a window starting with the first call,
+     * `sliding` - at most `limit` in any `window` (a log of the calls in a ZSET),
+     * `token` - a bucket of `limit` tokens refilled evenly over `window`.
+     * With several limits, the call is allowed only if all of them allow it, and consumes all of them.
+     * The limit keys share the `{key}` hash tag, so they are cluster-safe.
+     * @async
+     * @param {string} key - the name of the limited subject, e.g. a user ID
+     * @param {object} opts - the limit, or the limits in `opts.limits`
+     * @param {string} [opts.algorithm='fixed'] - 'fixed', 'sliding' or 'token'
+     * @param {number} opts.limit - the number of calls allowed in a window (the bucket size for `token`)
+     * @param {number} opts.window - the window in milliseconds
+     * @param {Array<{algorithm: string, limit: number, window: number}>} [opts.limits] - several limits
+     * @param {number} [opts.cost=1] - what the call consumes, a non-negative integer
+     * @returns {Promise<{allowed: boolean, remaining: number, resetMs: number, limits: Array<Object>}>}
+     * whether the call is allowed, what remains of the most restrictive limit and when it resets,
+     * and the same for every limit
+     */
+    async rateLimit(key, opts) {
+        const limits = (opts.limits || [opts]).map((limit) => ({
+            algorithm: limit.algorithm || 'fixed',
+            limit: limit.limit - 0,
+            window: limit.window - 0,
+        }))
+        for (const limit of limits) {
+            if (!['fixed', 'sliding', 'token'].includes(limit.algorithm))
+                throw new Error(
+                    'rateLimit: unknown algorithm "' + limit.algorithm + '"'
+                )
+            if (!(limit.limit > 0) || !(limit.window > 0))
+                throw new Error(
+                    'rateLimit: limit and window must be positive numbers'
+                )
+        }
+        const cost = opts.cost === undefined ? 1 : opts.cost - 0
+        if (!Number.isInteger(cost) || cost < 0)
+            throw new Error('rateLimit: cost must be a non-negative integer')
+        const keys = limits.map(
+            (limit) =>
+                'ratelimit:{' +
+                key +
+                '}:' +
+                limit.algorithm +
+                ':' +
+                limit.limit +
+                ':' +
+                limit.window
+        )
+        const res = await this.rr(
+            'rutil_ratelimit',
+            keys.length,
+            ...keys,
+            cost,
+            ...limits.flatMap((limit) => [
+                limit.algorithm,
+                limit.limit,
+                limit.window,
+            ])
+        )
+        const allowed = res[0] === 1
+        let out = limits.map((limit, i) =>
+            Object.assign(limit, {
+                allowed: allowed || res[1 + i * 2] >= cost,
+                remaining: res[1 + i * 2],
+                resetMs: res[2 + i * 2],
+            })
+        )
+        //the most restrictive: the longest wait of the denying ones, or the least remaining
+        let main = out[0]
+        for (const limit of out) {
+            if (
+                allowed
+                    ? limit.remaining < main.remaining
+                    : !limit.allowed &&
+                      (main.allowed || limit.resetMs > main.resetMs)
+            )
+                main = limit
+        }
+        return {
+            allowed,
+            remaining: main.remaining,
+            resetMs: main.resetMs,
+            limits: out,
+        }
+    }
+
+    /**
+     * Subscribes to channels, with the stored prefix applied to their names.
+     * The messages arrive on a duplicate connection of the client, opened with the first
+     * subscription and shared by the next ones. On a cluster, the channels are sharded (SSUBSCRIBE):
+     * publish to them with {@link publish}.
+     * The subscriptions are restored by ioredis after a reconnection.
+     * Errors of the handlers are emitted as `pubsub error` events, with the channel.
+     * @example
+     * const unsubscribe = await redis_util.subscribe('orders', (message, channel) => ...)
+     * await redis_util.publish('orders', JSON.stringify(order))
+     * await unsubscribe()
+     * @async
+     * @param {string|Array<string>} channels - the channels
+     * @param {function(string, string)} handler - called with the message and the channel, without the prefix
+     * @returns {Promise<function(): Promise<void>>} removes the handler, unsubscribing from the channels
+     * no other handler listens to
+     */
+    async subscribe(channels, handler) {
+        return this._rsub_add(
+            this._rsub_client(),
+            this._is_cluster() ? 'ssubscribe' : 'subscribe',
+            [].concat(channels).map((channel) => this._rpfx(channel)),
+            (message, channel) => handler(message, this._runpfx(channel))
+        )
+    }
+
+    /**
+     * Subscribes to the channels matching glob-style patterns, with the stored prefix applied to them.
+     * Patterns are not sharded: on a cluster, they get the messages published with
+     * `publish(channel, message, {sharded: false})`.
+     * @see {@link subscribe} for the connection
+     * @async
+     * @param {string|Array<string>} patterns - the patterns, e.g. 'orders:*'
+     * @param {function(string, string, string)} handler - called with the message, the channel
+     * and the pattern, without the prefix
+     * @returns {Promise<function(): Promise<void>>} removes the handler, unsubscribing from the patterns
+     * no other handler listens to
+     */
+    async psubscribe(patterns, handler) {
+        return this._rsub_add(
+            this._rsub_client(),
+            'psubscribe',
+            [].concat(patterns).map((ptn) => this._rpfx(ptn)),
+            (message, channel, ptn) =>
+                handler(message, this._runpfx(channel), this._runpfx(ptn))
+        )
+    }
+
+    /**
+     * Publishes a message to a channel, with the stored prefix applied to its name.
+     * On a cluster, it is sent with SPUBLISH to the shard of the channel, as {@link subscribe} expects.
+     * @async
+     * @param {string} channel - the channel
+     * @param {string|Buffer} message - the message
+     * @param {object} [opts] - additional options
+     * @param {boolean} [opts.sharded] - whether to send SPUBLISH, true on a cluster by default
+     * @returns {Promise<number>} the number of subscribers that got the message
+     */
+    publish(channel, message, opts) {
+        if (!opts) opts = {}
+        const sharded =
+            opts.sharded === undefined ? this._is_cluster() : opts.sharded
+        return this._redis_call(
+            sharded ? 'spublish' : 'publish',
+            this._rpfx(channel),
+            message
+        )
+    }
+
+    /**
+     * Watches the changes of the keys matching a pattern, with keyspace notifications.
+     * Turns the notifications of the events on, adding the missing flags to `notify-keyspace-events`
+     * (and again after a reconnection, as a restarted server may have lost them),
+     * then subscribes to the `__keyspace@*__:` channels of the keys.
+     * On a cluster, every node notifies the changes of its own keys: all the masters known
+     * at the time of the call are watched, with a connection each.
+     * @example
+     * const stop = await redis_util.watchKeys('session:*', ['del', 'expired'], ({ key, event }) =>
+     *     console.log(key, event)
+     * )
+     * @async
+     * @param {string} pattern - the glob-style pattern of the keys
+     * @param {string|Array<string>} [events] - the events to deliver, e.g. 'set', 'hset', 'del', 'expired',
+     * all of them if not given or '*'
+     * @param {function({key: string, event: string})} handler - called with the key, without the prefix, and the event
+     * @param {object} [opts] - additional options
+     * @param {boolean} [opts.configure=true] - whether to turn the notifications on with CONFIG SET,
+     * false if the server configuration does it already (CONFIG is often disabled on managed servers)
+     * @param {number} [opts.db] - the database to watch, all of them by default
+     * @returns {Promise<function(): Promise<void>>} stops watching
+     */
+    async watchKeys(pattern, events, handler, opts) {
+        if (typeof events === 'function') {
+            opts = handler
+            handler = events
+            events = null
+        }
+        if (!opts) opts = {}
+        const wanted =
+            !events || events === '*'
+                ? null
+                : new Set([].concat(events).map((event) => event.toLowerCase()))
+        if (opts.configure !== false)
+            await this._rsub_notify(keyspaceFlags(wanted))
+        const ptn =
+            '__keyspace@' +
+            (opts.db === undefined ? '*' : opts.db) +
+            '__:' +
+            this._rpfx(pattern || '*')
+        const listener = (event, channel) => {
+            if (wanted && !wanted.has(event)) return
+            return handler({
+                key: this._runpfx(
+                    channel.substring(channel.indexOf('__:') + 3)
+                ),
+                event,
+            })
+        }
+        const clients = this._is_cluster()
+            ? this._rsub_nodes()
+            : [this._rsub_client()]
+        const stops = await Promise.all(
+            clients.map((client) =>
+                this._rsub_add(client, 'psubscribe', [ptn], listener)
+            )
+        )
+        return async () => {
+            await Promise.all(stops.map((stop) => stop()))
+        }
+    }
+
+    /**
+     * Retrieves an array of members from a Redis ZSET key.
+     * Only members that have a score are included in the result.
+     * If key doesn't exists, returns []
+     * @async
+     * @param {string} rkey - the key to access
+     * @param {Array<string>} members_to_check - the members to check
+     * @returns {Promise<Array<string>>} the result of the Redis method, or a Promise resolved with the result
+     */
+    async rinzset(rkey, members_to_check) {
+        const res = await this.rr('zmscore', rkey, ...members_to_check)
+        if (!res || !res.length) return Promise.resolve([])
+        let out = []
+        for (let i = 0; i < members_to_check.length; ++i) {
+            if (res[i] !== null) out.push(members_to_check[i])
+        }
+        return Promise.resolve(out)
+    }
+
+    /**
+     * Copies all members from a Redis ZSET key to a Redis SET key.
+     * The copy is done in chunks using the ZSCAN method, so it won't block Redis
+     * for long periods of time.
+     * @see {@link zscanIter}
+     * @async
+     * @param {string} source_key - the ZSET key to copy from
+     * @param {string} target_key - the SET key to copy to
+     * @param {object} [opts] - additional options
+     * @param {string} [opts.match] - the pattern of the members to copy
+     * @param {number} [opts.count] - the COUNT hint of every ZSCAN call
+     * @returns {Promise<void>} the result of the Redis method, or a Promise resolved with the result
+     */
+    async zset2set_scan(source_key, target_key, opts) {
+        //slow
+        const iter = this.zscanIter(
+            source_key,
+            Object.assign({}, opts, { batch: true })
+        )
+        for await (const entries of iter)
+            await this.rr(
+                'sadd',
+                target_key,
+                ...entries.map(([member]) => member)
+            )
+    }
+
+    /**
+     * Copies all members from a Redis ZSET key to a Redis SET or LIST key.
+     * The copy is done in chunks using the ZRANGE method, so it won't block Redis
+     * for long periods of time.
+     * @see {@link convertKey} for the other types, and atomic conversions
+     * @async
+     * @param {string} source_key - the ZSET key to copy from
+     * @param {string} target_key - the LIST or SET key to copy to
+     * @param {string} [command='sadd'] - the Redis command to use to add the members to the
+     * target key, lpush for LIST, sadd for SET
+     * @param {number} [limit=1000] - the number of members to copy at once
+     * @param {boolean} [with_scores=false] - if true, every member is converted to a string with a comma separating the member value and its score
+     * @returns {Promise<void>} the result of the Redis method, or a Promise resolved with the result
+     */
+    async zset_convert(source_key, target_key, command, limit, with_scores) {
+        //command: to list - lpush, to set - sadd
+        if (!command || command !== 'lpush') command = 'sadd'
+        if (!limit) limit = 1000
+        let start = 0
+        while (true) {
+            let members = []
+            const _end = start + limit
+            let params = ['zrange', source_key, start, _end]
+            if (with_scores) params.push('WITHSCORES')
+            const _members = await this.rr(...params)
+            if (!_members || !_members.length) break
+            if (with_scores) {
+                for (let i = 0; i < _members.length; i += 2) {
+                    members.push(_members[i] + ',' + _members[i + 1])
+                }
+            } else {
+                members = _members
+            }
+            await this.rr(command, target_key, ...members)
+            start = _end + 1
+        }
+    }
+
+    /**
+     * Converts a key between the zset, set, list and hash types, into another key or the same one.
+     * Source entries are members for a set or a list, `[member, score]` for a zset, `[field, value]` for a hash.
+     * By default, a member becomes `[member, 1]` from a set and `[member, index]` from a list for a zset or a hash,
+     * `[member, score]` and `[field, value]` become the member (or `member,score` with `withScores`) for a set or a list,
+     * and `[field, value]` becomes `[field, score]` for a zset (the value must be a number).
+     * Same-type copies and set to zset without a transform run server-side (SUNIONSTORE, ZUNIONSTORE,
+     * ZRANGESTORE, COPY), if the keys are in the same cluster slot.
+     * Otherwise the source is read in batches and written into a temporary key,
+     * which is renamed to the target when it is complete, so that readers never see a half-built target.
+     * @async
+     * @param {string} source_key - the key to convert
+     * @param {string} target_key - the key to write, can be the source key
+     * @param {object} opts - additional options
+     * @param {string} [opts.from] - the type of the source, 'zset', 'set', 'list' or 'hash', taken with TYPE by default
+     * @param {string} opts.to - the type of the target, 'zset', 'set', 'list' or 'hash'
+     * @param {number} [opts.batch=1000] - the number of entries read and written at once
+     * @param {boolean} [opts.withScores=false] - whether zset and hash entries become `member,score` strings
+     * in a set or a list
+     * @param {function(string, number): number} [opts.score] - the score of a member in a zset target,
+     * called with the member and its index
+     * @param {function(*, number): *} [opts.transform] - called with every source entry and its index,
+     * returns the target entry (member, or `[member, score]` / `[field, value]`), or null to skip it
+     * @param {boolean} [opts.atomicSwap=true] - whether to build the target in a temporary key and rename it,
+     * if false the entries are added to the existing target as they are read
+     * @returns {Promise<number>} the number of entries in the target
+     */
+    async convertKey(source_key, target_key, opts) {
+        opts = Object.assign({ batch: 1000, atomicSwap: true }, opts)
+        let from = opts.from
+        if (!from) from = await this.rr('type', source_key)
+        if (!CONVERT_LENGTH[from] || !CONVERT_LENGTH[opts.to])
+            throw new Error(
+                'convertKey: cannot convert from "' +
+                    from +
+                    '" to "' +
+                    opts.to +
+                    '"'
+            )
+        const to = opts.to
+        const server = CONVERT_SERVER[from + '>' + to]
+        if (
+            server &&
+            opts.atomicSwap &&
+            !opts.transform &&
+            !opts.score &&
+            source_key !== target_key &&
+            (!this._is_cluster() ||
+                calculateSlot(this._rpfx(source_key)) ===
+                    calculateSlot(this._rpfx(target_key)))
+        ) {
+            const command = server(source_key, target_key)
+            await this.rr(...command)
+            //COPY doesn't overwrite the target with an empty source
+            if (command[0] === 'copy' && !(await this.rr('exists', source_key)))
+                await this.rr('del', target_key)
+            return this.rr(CONVERT_LENGTH[to], target_key)
+        }
+
+        const dest = opts.atomicSwap
+            ? (hasHashTag(target_key) ? target_key : '{' + target_key + '}') +
+              ':convert-tmp:' +
+              crypto.randomBytes(6).toString('hex')
+            : target_key
+        let index = 0
+        let count = 0
+        try {
+            for await (const entries of this._rconvert_read(
+                source_key,
+                from,
+                opts.batch
+            )) {
+                let out = []
+                for (const entry of entries) {
+                    const converted = opts.transform
+                        ? opts.transform(entry, index)
+                        : this._rconvert_entry(entry, index, from, to, opts)
+                    ++index
+                    if (converted !== null && converted !== undefined)
+                        out.push(converted)
+                }
+                if (!out.length) continue
+                count += out.length
+                if (to === 'set' || to === 'list') {
+                    await this.rr(to === 'set' ? 'sadd' : 'rpush', dest, ...out)
+                } else if (to === 'zset') {
+                    await this.rr(
+                        'zadd',
+                        dest,
+                        ...out.flatMap(([member, score]) => [score, member])
+                    )
+                } else {
+                    await this.rr('hset', dest, ...out.flat())
+                }
+            }
+            if (!opts.atomicSwap) return this.rr(CONVERT_LENGTH[to], dest)
+            if (count) {
+                await this.rrename(dest, target_key)
+            } else {
+                await this.rr('del', target_key)
+            }
+        } catch (err) {
+            if (opts.atomicSwap) await this.rr('del', dest).catch(() => {})
+            throw err
+        }
+        return this.rr(CONVERT_LENGTH[to], target_key)
+    }
+
+    /**
+     * Renames the keys matching a pattern, keeping their TTLs.
+     * The new names are built from the template, where `$1`, `$2`... are the parts matched by
+     * the `*`, `?` and `[...]` of the pattern, and every `*` is the next matched part,
+     * e.g. `renameByPattern('user:*:profile', 'profile:$1')`.
+     * The keys are renamed with RENAME, or with DUMP, RESTORE and DEL on a cluster
+     * if the old and the new name are in different slots. Those three are not atomic: if the process stops
+     * between the RESTORE and the DEL, the key is left under both names, and running it again copies
+     * the old key over the new one (or reports it as conflicted with `nx`), so writes to the new key
+     * in between would be lost. Stop the writers, or use hash tags keeping both names in the same slot.
+     * The new names are remembered during the scan, so that a renamed key is not renamed again.
+     * @see {@link scanIter}
+     * @async
+     * @param {string} from_ptn - the pattern of the keys to rename, without the prefix
+     * @param {string|function(string, Array<string>): string} to_template - the template of the new names,
+     * or a function called with the key and the matched parts, returning the new name
+     * (null to skip it, with the reason 'excluded')
+     * @param {object} [opts] - additional options
+     * @param {boolean} [opts.nx=false] - whether to leave the keys whose new name exists, they are overwritten otherwise
+     * @param {boolean} [opts.dryRun=false] - whether to only report what would be renamed
+     * @param {number} [opts.batch=500] - the number of keys renamed in one pipeline
+     * @param {function(Object)} [opts.onProgress] - called after every batch with the counts so far,
+     * `{scanned, moved, skipped, conflicted}`
+     * @returns {Promise<{moved: Array<{from: string, to: string}>, skipped: Array<{from: string, reason: string}>,
+     * conflicted: Array<{from: string, to: string}>}>} the renamed keys (or that would be, in dry-run),
+     * the skipped keys, and the keys not renamed because the new name exists (with `nx`)
+     */
+    async renameByPattern(from_ptn, to_template, opts) {
+        opts = Object.assign({ nx: false, dryRun: false, batch: 500 }, opts)
+        const re = globRegExp(from_ptn)
+        const rename =
+            typeof to_template === 'function'
+                ? to_template
+                : (hkey, parts) => {
+                      let next = 0
+                      return to_template.replace(/\$(\d+)|\*/g, (m, num) =>
+                          num ? parts[num - 1] || '' : parts[next++] || ''
+                      )
+                  }
+        let summary = { moved: [], skipped: [], conflicted: [] }
+        let scanned = 0
+        let renamed = new Set()
+        const iter = this.scanIter(from_ptn, {
+            batch: true,
+            count: opts.batch,
+            stripPrefix: true,
+        })
+        for await (const hkeys of iter) {
+            let plans = []
+            for (const hkey of hkeys) {
+                ++scanned
+                if (renamed.has(hkey)) continue
+                const parts = re.exec(hkey)
+                const to = parts ? rename(hkey, parts.slice(1)) : null
+                if (!to || to === hkey) {
+                    summary.skipped.push({
+                        from: hkey,
+                        reason: !parts
+                            ? 'no match'
+                            : to
+                              ? 'same name'
+                              : 'excluded',
+                    })
+                    continue
+                }
+                renamed.add(to)
+                plans.push({ from: hkey, to })
+            }
+            if (plans.length) await this._rrename_batch(plans, opts, summary)
+            if (opts.onProgress)
+                opts.onProgress({
+                    scanned,
+                    moved: summary.moved.length,
+                    skipped: summary.skipped.length,
+                    conflicted: summary.conflicted.length,
+                })
+        }
+        return summary
+    }
+
+    /**
+     * Moves the keys from one prefix to another, e.g. when `REDIS_HPREFIX` changes,
+     * including the keys with the prefix after a leading `{`, as the stored prefix is applied.
+     * The stored prefix of this instance is not changed.
+     * If the new prefix starts with the old one, e.g. `app1:` and `app1:v2:`, the keys that already have
+     * the new prefix are skipped as 'excluded', so that it can be run again after an interruption.
+     * On a cluster, the keys whose new name is in another slot are copied and then deleted, see
+     * renameByPattern() for what an interruption leaves behind.
+     * @see {@link renameByPattern} for the options and the result
+     * @async
+     * @param {string} old_prefix - the current prefix of the keys
+     * @param {string} new_prefix - the new prefix of the keys
+     * @param {object} [opts] - the options of renameByPattern()
+     * @returns {Promise<Object>} the summary, as returned by renameByPattern()
+     */
+    async migratePrefix(old_prefix, new_prefix, opts) {
+        const unprefixed = this.withPrefix('')
+        let summary = { moved: [], skipped: [], conflicted: [] }
+        for (const brace of ['', '{']) {
+            const part = await unprefixed.renameByPattern(
+                brace + escapeGlob(old_prefix) + '*',
+                (hkey, parts) =>
+                    new_prefix.startsWith(old_prefix) &&
+                    hkey.startsWith(brace + new_prefix)
+                        ? null
+                        : brace + new_prefix + parts[0],
+                opts
+            )
+            for (const field of Object.keys(summary))
+                summary[field] = summary[field].concat(part[field])
+        }
+        return summary
+    }
+
+    /**
+     * Exports the keys matching a pattern as NDJSON, one record per line:
+     * `{"key", "type", "ttl", "value"}`, or `{"key", "type", "ttl", "dump"}` with the `dump` option.
+     * The key is without the prefix, the TTL is in milliseconds, -1 if the key doesn't expire.
+     * Values: a string, an object for a hash, an array for a list or a set,
+     * `[member, score]` pairs for a zset, `[id, [field, value, ...]]` entries for a stream,
+     * the document for RedisJSON (type `json`).
+     * The keys are read in pipelined batches of the SCAN results.
+     * @see {@link scanIter}
+     * @see {@link importKeys}
+     * @async
+     * @param {string} ptn - the pattern of the keys to export
+     * @param {stream.Writable|string} stream - the stream to write to, or the path of the file to create
+     * (the stream is not ended, the file is)
+     * @param {object} [opts] - additional options
+     * @param {boolean} [opts.dump] - whether to export the DUMP payloads (base64) instead of the values,
+     * which is binary-safe and works with any type, but can only be restored on a compatible Redis version
+     * @param {number} [opts.count=1000] - the COUNT hint of the SCAN calls, i.e. the batch size
+     * @returns {Promise<{exported: number, skipped: number}>} the numbers of keys exported,
+     * and skipped because their type can't be exported or they are gone
+     * @throws {Error} the error of the stream, e.g. if the file can't be created
+     */
+    async exportKeys(ptn, stream, opts) {
+        if (!opts) opts = {}
+        const file = typeof stream === 'string'
+        if (file) stream = fs.createWriteStream(stream)
+        let summary = { exported: 0, skipped: 0 }
+        let error = null
+        const on_error = (err) => {
+            if (!error) error = err
+        }
+        stream.on('error', on_error)
+        const write = async (line) => {
+            if (error) throw error
+            if (!stream.write(line + '\n'))
+                await EventEmitter.once(stream, 'drain')
+        }
+        try {
+            const batches = this.scanIter(ptn, {
+                batch: true,
+                count: opts.count || 1000,
+            })
+            for await (const hkeys of batches) {
+                const meta = await this.rpipemulti2array(
+                    hkeys.flatMap((hkey) => [
+                        ['type', hkey],
+                        ['pttl', hkey],
+                    ])
+                )
+                let records = []
+                hkeys.forEach((hkey, i) => {
+                    let type = meta[i * 2]
+                    if (type === 'ReJSON-RL') type = 'json'
+                    if (!opts.dump && !EXPORT_TYPES[type]) type = null
+                    if (!type || type === 'none') {
+                        ++summary.skipped
+                        return
+                    }
+                    records.push({
+                        key: this._runpfx(hkey),
+                        type,
+                        ttl: meta[i * 2 + 1] - 0,
+                        hkey,
+                    })
+                })
+                if (!records.length) continue
+                const values = await this.rpipemulti2array(
+                    records.map((record) =>
+                        opts.dump
+                            ? ['dumpBuffer', record.hkey]
+                            : EXPORT_TYPES[record.type].read(record.hkey)
+                    )
+                )
+                for (let i = 0; i < records.length; ++i) {
+                    const record = records[i]
+                    delete record.hkey
+                    if (values[i] === null || values[i] === undefined) {
+                        ++summary.skipped
+                        continue
+                    }
+                    if (opts.dump) {
+                        record.dump = values[i].toString('base64')
+                    } else {
+                        record.value = EXPORT_TYPES[record.type].decode(
+                            values[i]
+                        )
+                    }
+                    await write(JSON.stringify(record))
+                    ++summary.exported
+                }
+            }
+        } finally {
+            if (file) await new Promise((resolve) => stream.end(resolve))
+            stream.removeListener('error', on_error)
+        }
+        if (error) throw error
+        return summary
+    }
+
+    /**
+     * Imports the NDJSON records written by exportKeys(), in pipelined batches.
+     * The keys are prefixed with the stored prefix, or with `opts.prefix` to move them to another namespace.
+     * @see {@link exportKeys}
+     * @async
+     * @param {stream.Readable|string} stream - the stream to read from, or the path of the file
+     * @param {object} [opts] - additional options
+     * @param {string} [opts.prefix] - the prefix of the imported keys, instead of the stored prefix
+     * @param {boolean} [opts.replace=false] - whether to replace the existing keys, they are skipped otherwise
+     * @param {boolean} [opts.keepTtl=true] - whether to set the exported TTLs, the keys don't expire otherwise
+     * @param {number} [opts.batch=500] - the number of records written in one pipeline
+     * @returns {Promise<{imported: number, skipped: number, failed: number, errors: Array<{key: string, error: Error}>}>}
+     * the numbers of keys imported, skipped because they exist, and failed, with the errors;
+     * a line that is not a record counts as failed, with `{line, error}`, its line number and the parsing error
+     * @throws {Error} the error of the stream, e.g. if the file can't be read
+     */
+    async importKeys(stream, opts) {
+        opts = Object.assign(
+            { replace: false, keepTtl: true, batch: 500 },
+            opts
+        )
+        if (typeof stream === 'string') stream = fs.createReadStream(stream)
+        const target =
+            opts.prefix === undefined ? this : this.withPrefix(opts.prefix)
+        let summary = { imported: 0, skipped: 0, failed: 0, errors: [] }
+        let records = []
+        const flush = async () => {
+            const batch = records
+            records = []
+            if (!batch.length) return
+            await target._rimport_batch(batch, opts, summary)
+        }
+        let error = null
+        const on_error = (err) => {
+            if (!error) error = err
+        }
+        stream.on('error', on_error)
+        const lines = readline.createInterface({
+            input: stream,
+            crlfDelay: Infinity,
+        })
+        let line_number = 0
+        try {
+            for await (const line of lines) {
+                ++line_number
+                if (!line.trim()) continue
+                let record
+                try {
+                    record = JSON.parse(line)
+                    if (!record || typeof record.key !== 'string')
+                        throw new Error('not an exported record')
+                } catch (err) {
+                    ++summary.failed
+                    summary.errors.push({ line: line_number, error: err })
+                    continue
+                }
+                records.push(record)
+                if (records.length >= opts.batch) await flush()
+            }
+        } finally {
+            stream.removeListener('error', on_error)
+        }
+        if (error) throw error
+        await flush()
+        return summary
+    }
+
+    /**
+     * Analyzes the keys matching a pattern: which key families use memory, and which don't expire.
+     * The keys are scanned with rscan(), and their TYPE, MEMORY USAGE, TTL and number of elements
+     * (STRLEN, HLEN, LLEN, SCARD, ZCARD, XLEN) are read in pipelined batches of the SCAN results.
+     * By default they are grouped by the keyPattern() of the key without the prefix,
+     * e.g. `user:{*}:session:*`. With a sample rate, only a part of the keys is read,
+     * and the estimated numbers of keys and sizes are extrapolated from it.
+     * @example
+     * console.log(await redis_util.analyzeKeyspace({ sampleRate: 0.1, format: 'table' }))
+     * @async
+     * @param {object} [opts] - additional options
+     * @param {string} [opts.pattern='*'] - the pattern of the keys to analyze
+     * @param {number} [opts.sampleRate=1] - the share of the scanned keys to read, more than 0 and up to 1
+     * @param {string|function(string, Object): string} [opts.groupBy='pattern'] - 'pattern', 'type',
+     * or a function called with the key, without the prefix, and its `{type, bytes, ttl, length}`,
+     * returning the name of its group
+     * @param {number} [opts.top=10] - the number of biggest keys to report, 3 per group
+     * @param {number} [opts.count=1000] - the COUNT hint of the SCAN calls, i.e. the batch size
+     * @param {string} [opts.format='json'] - 'json' for the report, 'table' for the report
+     * formatted by formatKeyspaceReport()
+     * @returns {Promise<Object|string>} the report, `{pattern, sampleRate, scanned, sampled, keys,
+     * estimatedKeys, bytes, estimatedBytes, noTtl, groups, biggest}`, `biggest` being the
+     * `{key, type, bytes, ttl, length}` of the biggest keys, and the groups, the biggest first,
+     * `{group, keys, estimatedKeys, bytes, estimatedBytes, avgBytes, p95Bytes, maxBytes, elements,
+     * types, ttl, biggest}`, with the number of keys by type and by TTL range
+     * (`none`, `<1m`, `<1h`, `<1d`, `<7d`, `>=7d`); the `p95Bytes` of a group of more than 1000 keys
+     * is the one of a random sample of 1000 of them
+     */
+    async analyzeKeyspace(opts) {
+        if (!opts) opts = {}
+        const rate = opts.sampleRate === undefined ? 1 : opts.sampleRate - 0
+        if (!(rate > 0 && rate <= 1))
+            throw new Error(
+                'analyzeKeyspace: sampleRate must be more than 0 and up to 1'
+            )
+        let group_by = opts.groupBy || 'pattern'
+        if (group_by === 'pattern') {
+            group_by = (key) => keyPattern(key)
+        } else if (group_by === 'type') {
+            group_by = (key, info) => info.type
+        } else if (typeof group_by !== 'function') {
+            throw new Error(
+                'analyzeKeyspace: unknown groupBy "' + group_by + '"'
+            )
+        }
+        const top = opts.top === undefined ? 10 : opts.top
+        const keep_top = (list, info, size) => {
+            list.push(info)
+            list.sort((a, b) => b.bytes - a.bytes)
+            if (list.length > size) list.pop()
+        }
+        let report = {
+            pattern: opts.pattern || '*',
+            sampleRate: rate,
+            scanned: 0,
+            sampled: 0,
+            keys: 0,
+            estimatedKeys: 0,
+            bytes: 0,
+            estimatedBytes: 0,
+            noTtl: 0,
+            groups: [],
+            biggest: [],
+        }
+        let groups = new Map()
+        const analyze = async (hkeys) => {
+            report.scanned += hkeys.length
+            if (rate < 1) hkeys = hkeys.filter(() => Math.random() < rate)
+            if (!hkeys.length) return
+            report.sampled += hkeys.length
+            const meta = await this.rpipemulti2array(
+                hkeys.flatMap((hkey) => [
+                    ['type', hkey],
+                    ['memory', 'USAGE', hkey],
+                    ['pttl', hkey],
+                ])
+            )
+            let infos = []
+            hkeys.forEach((hkey, i) => {
+                const type = meta[i * 3]
+                if (!type || type === 'none') return
+                infos.push({
+                    key: this._runpfx(hkey),
+                    type,
+                    bytes: meta[i * 3 + 1] - 0 || 0,
+                    ttl: meta[i * 3 + 2] - 0,
+                    length: null,
+                    hkey,
+                })
+            })
+            const counted = infos.filter((info) => LENGTH_COMMANDS[info.type])
+            if (counted.length) {
+                const lengths = await this.rpipemulti2array(
+                    counted.map((info) => [
+                        LENGTH_COMMANDS[info.type],
+                        info.hkey,
+                    ])
+                )
+                counted.forEach((info, i) => {
+                    if (lengths[i] !== null) info.length = lengths[i] - 0
+                })
+            }
+            for (const info of infos) {
+                delete info.hkey
+                const name = String(group_by(info.key, info))
+                let group = groups.get(name)
+                if (!group) {
+                    group = {
+                        group: name,
+                        keys: 0,
+                        bytes: 0,
+                        sizes: [],
+                        elements: 0,
+                        types: {},
+                        ttl: { none: 0 },
+                        biggest: [],
+                    }
+                    for (const [, bucket] of TTL_BUCKETS) group.ttl[bucket] = 0
+                    groups.set(name, group)
+                }
+                ++group.keys
+                group.bytes += info.bytes
+                if (group.sizes.length < KEYSPACE_SIZES) {
+                    group.sizes.push(info.bytes)
+                } else {
+                    const i = Math.floor(Math.random() * group.keys)
+                    if (i < KEYSPACE_SIZES) group.sizes[i] = info.bytes
+                }
+                group.elements += info.length || 0
+                group.types[info.type] = (group.types[info.type] || 0) + 1
+                ++group.ttl[ttlBucket(info.ttl)]
+                keep_top(group.biggest, info, 3)
+                keep_top(report.biggest, info, top)
+                ++report.keys
+                report.bytes += info.bytes
+                if (info.ttl < 0) ++report.noTtl
+            }
+        }
+        await this.rscan(report.pattern, analyze, null, {
+            cb_all: true,
+            count: opts.count || 1000,
+        })
+        report.estimatedKeys = Math.round(report.keys / rate)
+        report.estimatedBytes = Math.round(report.bytes / rate)
+        report.groups = [...groups.values()]
+            .map((group) => {
+                const sizes = group.sizes.sort((a, b) => a - b)
+                delete group.sizes
+                return Object.assign(group, {
+                    estimatedKeys: Math.round(group.keys / rate),
+                    estimatedBytes: Math.round(group.bytes / rate),
+                    avgBytes: Math.round(group.bytes / group.keys),
+                    p95Bytes: sizes[Math.ceil(sizes.length * 0.95) - 1],
+                    maxBytes: group.biggest[0].bytes,
+                })
+            })
+            .sort((a, b) => b.bytes - a.bytes)
+        return opts.format === 'table' ? formatKeyspaceReport(report) : report
+    }
+
+    _redis_call(redis_method, hkey, ...rest_args) {
+        const last = rest_args[rest_args.length - 1]
+        if (
+            this.scriptFunctions &&
+            this.scripts[redis_method] &&
+            !(last && last.exec)
+        )
+            return this._rfcall(redis_method, [hkey, ...rest_args])
+        if (redis_method.indexOf('.') !== -1) {
+            rest_args.unshift(hkey)
+            return this._rraw(redis_method, ...rest_args)
+        } else {
+            const execer = this._rexec(rest_args)
+            return this._rsend(execer, redis_method, [hkey, ...rest_args])
+        }
+    }
+
+    _rcache_codec(codec) {
+        if (!codec) return CACHE_CODECS.json
+        if (typeof codec === 'string') {
+            if (!CACHE_CODECS[codec])
+                throw new Error('cached: unknown codec "' + codec + '"')
+            return CACHE_CODECS[codec]
+        }
+        return {
+            read: CACHE_CODECS.string.read,
+            decode: (raw) => codec.decode(raw),
+            write: (hkey, value) => [['set', hkey, codec.encode(value)]],
+        }
+    }
+
+    /**
+     * Reads a cached value and its metadata, `<fresh until ms>:<1 if negative, 2 if empty>` in `<key>:cache`.
+     * @returns {Promise<{fresh: boolean, value: *}|null>} the entry, null if it is not cached
+     */
+    async _rcache_read(hkey, codec) {
+        const [meta, raw] = await this.rpipemulti2array([
+            ['get', hkey + ':cache'],
+            codec.read(hkey),
+        ])
+        if (!meta) return null
+        const [fresh_until, flag] = String(meta).split(':')
+        if (
+            flag === '0' &&
+            (raw === null ||
+                raw === undefined ||
+                (codec.empty && codec.empty(raw)))
+        )
+            return null
+        return {
+            fresh: Date.now() < fresh_until - 0,
+            value:
+                flag === '1' ? null : codec.decode(flag === '2' ? null : raw),
+        }
+    }
+
+    /**
+     * Calls the loader and stores its result with its metadata and tags.
+     * The tags are added first, so that uncacheTags() can't miss a stored value,
+     * then the value and the metadata are written in a transaction, if they are in the same slot.
+     */
+    async _rcache_load(hkey, loader, codec, opts) {
+        let value = await loader(hkey)
+        if (value === undefined) value = null
+        const negative = value === null
+        const ttl = negative ? opts.negativeTtl : opts.ttl
+        if (!ttl) return value
+        const px = ttl + (opts.staleTtl || 0)
+        const meta_key = hkey + ':cache'
+        const empty = !negative && codec.empty && codec.empty(value)
+        if (opts.tags && opts.tags.length)
+            await this.rpipemulti2array(
+                opts.tags.map((tag) => [
+                    'sadd',
+                    'cache-tag:' + tag,
+                    hkey,
+                    meta_key,
+                ]),
+                { mode: 'throw' }
+            )
+        let commands =
+            negative || empty
+                ? [['del', hkey]]
+                : [...codec.write(hkey, value), ['pexpire', hkey, px]]
+        commands.push([
+            'set',
+            meta_key,
+            Date.now() + ttl + ':' + (negative ? 1 : empty ? 2 : 0),
+            'PX',
+            px,
+        ])
+        const same_slot =
+            !this._is_cluster() ||
+            calculateSlot(this._rpfx(hkey)) ===
+                calculateSlot(this._rpfx(meta_key))
+        const results = await this.rpipemulti(
+            commands,
+            same_slot ? 't' : undefined
+        )
+        const failed = (results || []).find((result) => result && result[0])
+        if (failed) throw failed[0]
+        return value
+    }
+
+    /**
+     * Sets the lock key to the token if it is not set.
+     * With a fence key, the fence counter is incremented in the same script.
+     * @returns {Promise<number|boolean|null>} the fencing token, or true without a fence key,
+     * null if the lock is taken
+     */
+    async _rlock_acquire(lock_key, token, ttl, fence_key) {
+        if (fence_key)
+            return this.rr('rutil_lock', lock_key, fence_key, token, ttl)
+        const res = await this.rr('set', lock_key, token, 'PX', ttl, 'NX')
+        return res === 'OK' ? true : null
+    }
+
+    /**
+     * Sets the TTL of the lock key if it still holds the token.
+     * @returns {Promise<boolean>} true if the lock was extended
+     */
+    async _rlock_extend(lock_key, token, ttl) {
+        return !!(await this.rr('rutil_extend', lock_key, token, ttl))
+    }
+
     /**
-     * @param {Redis|Redis.Cluster|Object|string} [client_or_settings] - the Redis client, or settings object, or string connection string
-     * @param {boolean} [is_cluster] - whether the Redis server is a cluster
-     * @param {string} [prefix] - the string prefix to prepend to every Redis key
+     * Deletes the lock key if it still holds the token.
+     * @returns {Promise<boolean>} true if the lock was released
      */
-    constructor(client_or_settings, is_cluster, prefix) {
-        this.redisClient = null
-        this.open(client_or_settings, is_cluster)
-        this.redisHprefix = prefix || process.env.REDIS_HPREFIX || ''
+    async _rlock_release(lock_key, token) {
+        return !!(await this.rr('rutil_unlock', lock_key, token))
     }
 
     /**
-     * Sets the Redis client instance.
-     * @param {Redis|Redis.Cluster} client - the Redis client instance
-     * @returns {boolean} true if the client is set successfully, false otherwise
+     * Runs a lock primitive on every instance of the lock, failures count as false.
+     * @returns {Promise<Array>} the results, by instance
      */
-    setClient(client) {
-        if (client instanceof Redis || client instanceof Redis.Cluster) {
-            this.redisClient = client
-            return true
-        }
-        return false
+    _rlock_all(instances, method, ...args) {
+        return Promise.all(
+            instances.map((instance) =>
+                instance[method](...args).catch(() => null)
+            )
+        )
     }
 
     /**
-     * Opens a connection to the Redis server.
-     * If the connection is not opened already, it opens a new connection to the Redis server.
-     * @param {Redis|Redis.Cluster|Object|string} [client_or_settings] - the Redis client, or settings object, or string connection string
-     * @param {boolean} [is_cluster] - whether the Redis server is a cluster
-     * @returns {boolean} true if the connection is opened successfully, false otherwise
+     * Builds the handle of an acquired lock, and starts extending it if asked.
      */
-    open(client_or_settings, is_cluster) {
-        if (client_or_settings && this.setClient(client_or_settings))
-            return true
-        if (!client_or_settings && process.env.REDIS_CONNECTION)
-            client_or_settings = process.env.REDIS_CONNECTION
-        if (!client_or_settings) return false
-        if (is_cluster === undefined && Number(process.env.REDIS_CLUSTER))
-            is_cluster = true
-        if (is_cluster) {
-            this.redisClient = new Redis.Cluster([client_or_settings])
-        } else {
-            this.redisClient = new Redis(client_or_settings)
+    _rlock_handle(lock, opts) {
+        const quorum = Math.floor(lock.instances.length / 2) + 1
+        let timer = null
+        let handle = {
+            resource: lock.resource,
+            token: lock.token,
+            expiresAt: lock.expiresAt,
+            lost: false,
+            extend: async (ttl) => {
+                if (!ttl) ttl = opts.ttl
+                const start = Date.now()
+                const extended = await this._rlock_all(
+                    lock.instances,
+                    '_rlock_extend',
+                    lock.key,
+                    lock.token,
+                    ttl
+                )
+                if (extended.filter(Boolean).length < quorum) return false
+                handle.expiresAt = start + ttl
+                return true
+            },
+            release: async () => {
+                clearTimeout(timer)
+                timer = null
+                const released = await this._rlock_all(
+                    lock.instances,
+                    '_rlock_release',
+                    lock.key,
+                    lock.token
+                )
+                return released.filter(Boolean).length >= quorum
+            },
         }
-        return true
+        if (lock.fence !== null) handle.fencingToken = lock.fence
+        if (opts.autoExtend) {
+            const schedule = () => {
+                timer = setTimeout(
+                    async () => {
+                        const extended = await handle.extend()
+                        if (!timer) return
+                        if (extended) return schedule()
+                        handle.lost = true
+                        this.emit('lock lost', handle.resource, handle)
+                    },
+                    Math.max(Math.floor(opts.ttl / 3), 1)
+                )
+                if (timer.unref) timer.unref()
+            }
+            schedule()
+        }
+        return handle
     }
 
     /**
-     * Async Calls a Redis method, prefixing the key with the stored prefix.
-     * If the last argument is a function, it is treated as a callback.
-     * If the callback is given, the function returns a Promise,
-     * and the callback is called with the result of the Redis call inside the Promise.
-     * @see {@link r} for the Sync version
-     * @async
-     * @param {string} redis_method - the Redis method to call
-     * @param {string} hkey - the Redis key to use
-     * @param {...*} rest_args - the arguments to pass to the Redis method
-     * @returns {Promise|*} the result of the Redis method, or a Promise resolved with the result
+     * Returns the connection of the subscriptions, a duplicate of the client opened on first use.
      */
-    rr(redis_method, hkey, ...rest_args) {
-        hkey = this._rpfx(hkey)
-        let cb =
-            rest_args.length > 0 &&
-            typeof rest_args[rest_args.length - 1] === 'function'
-                ? rest_args.pop()
-                : null
-        if (!cb) return this._redis_call(redis_method, hkey, ...rest_args)
+    _rsub_client() {
+        const pubsub = this._pubsub
+        if (pubsub.client) return pubsub.client
+        const client = this.redisClient
+        if (!client)
+            throw new Error('RedisUtilFunctions: no client, open() it first')
+        //the sharded subscribers of a cluster, which SSUBSCRIBE needs, came with ioredis 5.6
+        pubsub.client = this._rsub_listen(
+            client.isCluster
+                ? client.duplicate([], { shardedSubscribers: true })
+                : client.duplicate({ autoResubscribe: true })
+        )
+        return pubsub.client
+    }
 
-        return new Promise(async (resolve, reject) => {
-            let f = (err, result) => {
-                if (err) return reject(err)
-                return resolve(cb(result))
+    /**
+     * Returns the connections to the cluster masters, for their keyspace notifications.
+     */
+    _rsub_nodes() {
+        const pubsub = this._pubsub
+        if (!pubsub.nodes) pubsub.nodes = new Map()
+        for (const node of this.redisClient.nodes('master')) {
+            const id = node.options.host + ':' + node.options.port
+            if (!pubsub.nodes.has(id))
+                pubsub.nodes.set(
+                    id,
+                    this._rsub_listen(node.duplicate({ autoResubscribe: true }))
+                )
+        }
+        return [...pubsub.nodes.values()]
+    }
+
+    /**
+     * Dispatches the messages of a subscribing connection to the handlers of its channels and patterns.
+     */
+    _rsub_listen(client) {
+        const dispatch = (mode, name, message, channel) => {
+            const handlers = this._rsub_handlers(client)[mode].get(name)
+            if (!handlers) return
+            for (const handler of [...handlers]) {
+                try {
+                    const ret = handler(message, channel, name)
+                    if (ret && typeof ret.catch === 'function')
+                        ret.catch((err) =>
+                            this.emit('pubsub error', err, channel)
+                        )
+                } catch (err) {
+                    this.emit('pubsub error', err, channel)
+                }
             }
-            rest_args.push(f)
-            this._redis_call(redis_method, hkey, ...rest_args)
+        }
+        client.on('message', (channel, message) =>
+            dispatch('subscribe', channel, message, channel)
+        )
+        client.on('smessage', (channel, message) =>
+            dispatch('ssubscribe', channel, message, channel)
+        )
+        client.on('pmessage', (ptn, channel, message) =>
+            dispatch('psubscribe', ptn, message, channel)
+        )
+        client.on('ready', () => {
+            if (this._pubsub.notify)
+                this._rsub_notify(this._pubsub.notify).catch((err) =>
+                    this.emit('pubsub error', err)
+                )
         })
+        client.on('error', (err) => this.emit('pubsub error', err))
+        return client
     }
 
     /**
-     * Sync Calls a Redis method, prefixing the key with the stored prefix.
-     * If the last argument is not a function, it appends an empty function to the arguments.
-     * @see {@link rr} for the Async version
-     * @param {string} redis_method - the Redis method to call
-     * @param {string} hkey - the Redis key to use
-     * @param {...*} rest_args - the arguments to pass to the Redis method
-     * @returns {*} the result of the Redis method
+     * Returns the handlers of the subscriptions of a connection, by mode and channel or pattern.
+     * @returns {{subscribe: Map<string, Set<function>>, psubscribe: Map<string, Set<function>>,
+     * ssubscribe: Map<string, Set<function>>}}
      */
-    r(redis_method, hkey, ...rest_args) {
-        hkey = this._rpfx(hkey)
-        if (
-            !rest_args.length ||
-            typeof rest_args[rest_args.length - 1] !== 'function'
+    _rsub_handlers(client) {
+        const handlers = this._pubsub.handlers
+        if (!handlers.has(client))
+            handlers.set(client, {
+                subscribe: new Map(),
+                psubscribe: new Map(),
+                ssubscribe: new Map(),
+            })
+        return handlers.get(client)
+    }
+
+    /**
+     * Adds a handler to channels or patterns, subscribing the connection to the new ones.
+     * @returns {Promise<function(): Promise<void>>} removes the handler
+     */
+    async _rsub_add(client, mode, names, handler) {
+        const handlers = this._rsub_handlers(client)[mode]
+        const remove = () => {
+            let removed = []
+            for (const name of names) {
+                const set = handlers.get(name)
+                if (!set || !set.delete(handler) || set.size) continue
+                handlers.delete(name)
+                removed.push(name)
+            }
+            return removed
+        }
+        let added = []
+        for (const name of names) {
+            if (!handlers.has(name)) {
+                handlers.set(name, new Set())
+                added.push(name)
+            }
+            handlers.get(name).add(handler)
+        }
+        try {
+            await this._rsub_send(client, mode, added)
+        } catch (err) {
+            remove()
+            throw err
+        }
+        return async () => {
+            const removed = remove()
+            if (client.status !== 'end')
+                await this._rsub_send(
+                    client,
+                    UNSUBSCRIBE_COMMANDS[mode],
+                    removed
+                )
+        }
+    }
+
+    /**
+     * Sends a (un)subscribing command, a channel at a time for the sharded ones, as they may be in different slots.
+     */
+    async _rsub_send(client, command, names) {
+        if (!names.length) return
+        if (command !== 'ssubscribe' && command !== 'sunsubscribe')
+            return this._rsend(client, command, names)
+        for (const name of names) await this._rsend(client, command, [name])
+    }
+
+    /**
+     * Turns keyspace notifications on, adding the missing flags to `notify-keyspace-events`,
+     * on every master of a cluster. The flags are kept to turn them on again after a reconnection.
+     */
+    async _rsub_notify(flags) {
+        const clients = this._is_cluster()
+            ? this.redisClient.nodes('master')
+            : [this.redisClient]
+        await Promise.all(
+            clients.map(async (client) => {
+                const res = await this._rsend(client, 'config', [
+                    'GET',
+                    'notify-keyspace-events',
+                ])
+                const current = (res && res[1]) || ''
+                const enabled = current.replace('A', KEYSPACE_ALL)
+                const missing = [...flags.replace('A', KEYSPACE_ALL)].filter(
+                    (flag) => !enabled.includes(flag)
+                )
+                if (missing.length)
+                    await this._rsend(client, 'config', [
+                        'SET',
+                        'notify-keyspace-events',
+                        current + missing.join(''),
+                    ])
+            })
         )
-            rest_args.push(function () {})
-        return this._redis_call(redis_method, hkey, ...rest_args)
+        for (const flag of flags)
+            if (!this._pubsub.notify.includes(flag)) this._pubsub.notify += flag
     }
 
     /**
-     * If the given commands array contains only one command, call rr() on it.
-     * Otherwise, call rpipemulti() on the commands array.
-     * @see {@link rr}
-     * @see {@link rpipemulti}
-     * @async
-     * @param {Array} commands - the commands array to process
-     * @returns {Promise|*} the result of the Redis method, or a Promise resolved with the result
+     * Closes the connections of the subscriptions, dropping their handlers.
      */
-    rpipemaybe(commands) {
-        return commands.length === 1
-            ? this.rr(...commands[0])
-            : this.rpipemulti(commands)
+    async _rsub_close() {
+        const pubsub = this._pubsub
+        const clients = [pubsub.client, ...(pubsub.nodes || new Map()).values()]
+        pubsub.client = null
+        pubsub.nodes = null
+        pubsub.handlers = new Map()
+        pubsub.notify = ''
+        await Promise.all(
+            clients
+                .filter((client) => client && client.status !== 'end')
+                .map((client) =>
+                    Promise.resolve(client.quit()).catch(() =>
+                        client.disconnect()
+                    )
+                )
+        )
     }
 
     /**
-     * Calls multiple Redis methods in a pipeline or a transaction,
-     * prefixing the key with the stored prefix.
-     * @async
-     * @param {Array} commands - the commands array to process
-     * @param {string|function} [arg2] - 't' for transaction, or a callback function to call with the results
-     * @param {function} [cb] - callback function to call with the results
-     * @returns {Promise|*} the result of the Redis method, or a Promise resolved with the result
+     * Merges the guards of a deleting helper with the instance ones, and applies `requirePrefix`.
      */
-    rpipemulti(commands, arg2, cb) {
-        let type = 'pipeline'
-        if (arg2) {
-            if (typeof arg2 === 'function') {
-                cb = arg2
+    _rdel_guards(opts) {
+        opts = Object.assign({}, this.deleteGuards, opts)
+        if (opts.requirePrefix && !this.redisHprefix)
+            throw new DeletionRefusedError(
+                'RedisUtilFunctions: refusing to delete without a key prefix',
+                'requirePrefix',
+                []
+            )
+        return opts
+    }
+
+    /**
+     * Returns the keys matching the protected patterns.
+     * @param {Array<string>} hkeys - the keys, with the prefix
+     * @returns {Array<string>} the protected ones
+     */
+    _rdel_protected(hkeys) {
+        const patterns = [...protectedPatterns.values()]
+        return hkeys.filter((hkey) =>
+            patterns.some((regexp) => regexp.test(hkey))
+        )
+    }
+
+    /**
+     * Refuses to delete protected keys, unless for a dry run, or more keys than `opts.maxKeys`.
+     * @param {Array<string>} hkeys - the keys to delete, with the prefix
+     * @param {object} opts - the guards
+     * @param {number} [count] - the number of keys to delete, if they are not all known
+     * @returns {Array<string>} the protected keys, for a dry run
+     */
+    _rdel_check(hkeys, opts, count) {
+        const protected_keys = this._rdel_protected(hkeys)
+        if (protected_keys.length && !opts.dryRun)
+            throw new DeletionRefusedError(
+                'RedisUtilFunctions: refusing to delete protected keys: ' +
+                    protected_keys.slice(0, 10).join(', '),
+                'protected',
+                protected_keys
+            )
+        if (count === undefined) count = hkeys.length
+        if (opts.maxKeys && count > opts.maxKeys)
+            throw new DeletionRefusedError(
+                'RedisUtilFunctions: refusing to delete ' +
+                    count +
+                    ' keys, more than maxKeys ' +
+                    opts.maxKeys,
+                'maxKeys',
+                hkeys
+            )
+        return protected_keys
+    }
+
+    /**
+     * Applies the guards to the keys named by a set, reading the set only if the keys are needed:
+     * for a dry run, or to look for protected keys.
+     * @returns {Promise<Array<string>|null>} the keys, without the prefix, if the set was read,
+     * with a `protected` property listing the protected ones, if any
+     */
+    async _rdel_set_plan(keys_set, is_sorted, ptn, opts) {
+        if (!opts.dryRun && !protectedPatterns.size) {
+            if (opts.maxKeys)
+                this._rdel_check(
+                    [],
+                    opts,
+                    await this.rr(is_sorted ? 'zcard' : 'scard', keys_set)
+                )
+            return null
+        }
+        let keys = []
+        const members = is_sorted
+            ? this.zscanIter(keys_set)
+            : this.sscanIter(keys_set)
+        for await (let member of members) {
+            if (is_sorted) member = member[0]
+            keys.push(ptn ? ptn.replace('*', member) : member)
+        }
+        const protected_keys = this._rdel_check(
+            keys.map((key) => this._rpfx(key)),
+            opts
+        )
+        if (protected_keys.length)
+            keys.protected = keys.filter((key) =>
+                protected_keys.includes(this._rpfx(key))
+            )
+        return keys
+    }
+
+    /**
+     * Records a deletion in the audit log of the guards: calls it if it is a function,
+     * or adds the entry to the stream it names.
+     */
+    async _rdel_audit(opts, entry) {
+        if (!opts.audit) return
+        entry = Object.assign({ time: Date.now() }, entry)
+        if (typeof opts.audit === 'function') return opts.audit(entry)
+        await this.rr(
+            'xadd',
+            opts.audit,
+            '*',
+            ...Object.keys(entry).flatMap((field) => [
+                field,
+                typeof entry[field] === 'object'
+                    ? JSON.stringify(entry[field])
+                    : entry[field],
+            ])
+        )
+    }
+
+    /**
+     * Sends the raw command of a RedisJSON helper, prefixing its keys, and decodes the reply.
+     */
+    _rjcall(name, ...args) {
+        const helper = JSON_HELPERS[name]
+        return this.rr('call', ...helper.build(...args)).then(helper.decode)
+    }
+
+    /**
+     * Reads the entries of a zset, set, list or hash in batches, in order for a zset and a list.
+     */
+    async *_rconvert_read(source_key, from, batch) {
+        if (from === 'set') {
+            yield* this.sscanIter(source_key, { batch: true, count: batch })
+            return
+        }
+        if (from === 'hash') {
+            yield* this.hscanIter(source_key, { batch: true, count: batch })
+            return
+        }
+        for (let start = 0; ; start += batch) {
+            const end = start + batch - 1
+            if (from === 'list') {
+                const members = await this.rr('lrange', source_key, start, end)
+                if (!members || !members.length) return
+                yield members
+                if (members.length < batch) return
             } else {
-                if (arg2 === 't') type = 'multi'
-                if (cb && typeof cb !== 'function') cb = null
+                const raw = await this.rr(
+                    'zrange',
+                    source_key,
+                    start,
+                    end,
+                    'WITHSCORES'
+                )
+                if (!raw || !raw.length) return
+                let entries = []
+                for (let i = 0; i < raw.length; i += 2)
+                    entries.push([raw[i], Number(raw[i + 1])])
+                yield entries
+                if (entries.length < batch) return
             }
         }
+    }
 
-        let rpipe = this.redisClient[type]()
-        for (let i = 0; i < commands.length; ++i) {
-            if (commands[i].length > 1)
-                commands[i][1] = this._rpfx(commands[i][1])
-            commands[i].push(rpipe)
-            this._redis_call(...commands[i])
+    /**
+     * The default conversion of a source entry, see convertKey().
+     */
+    _rconvert_entry(entry, index, from, to, opts) {
+        const pair = from === 'zset' || from === 'hash'
+        if (to === 'set' || to === 'list') {
+            if (!pair) return entry
+            return opts.withScores ? entry[0] + ',' + entry[1] : entry[0]
         }
-
-        let ret = cb
-            ? rpipe.exec((err, results) => cb(err, results))
-            : rpipe.exec()
-        return ret
+        if (pair) return to === 'zset' ? [entry[0], Number(entry[1])] : entry
+        if (opts.score) return [entry, opts.score(entry, index)]
+        return [entry, from === 'set' ? 1 : index]
     }
 
     /**
-     * Calls multiple Redis methods in a pipeline, prefixing the key with the stored prefix.
-     * Returns a Promise resolved with an array of results, where each result is the result of the corresponding Redis method.
-     * @see {@link rpipemulti}
-     * @async
-     * @param {Array} commands - the commands array to process
-     * @returns {Promise<Array>} the result of the Redis method, or a Promise resolved with the result
+     * Renames a batch of keys for renameByPattern(), with RENAME if the names are in the same slot,
+     * or DUMP, RESTORE and DEL if they are not (on a cluster).
      */
-    async rpipemulti2array(commands) {
-        let rpipe = this.redisClient.pipeline()
-        for (let i = 0; i < commands.length; ++i) {
-            if (commands[i].length > 1)
-                commands[i][1] = this._rpfx(commands[i][1])
-            commands[i].push(rpipe)
-            this._redis_call(...commands[i])
+    async _rrename_batch(plans, opts, summary) {
+        const cluster = this._is_cluster()
+        if (opts.dryRun) {
+            const exists = opts.nx
+                ? await this.rpipemulti2array(
+                      plans.map((plan) => ['exists', plan.to])
+                  )
+                : []
+            plans.forEach((plan, i) =>
+                (exists[i] ? summary.conflicted : summary.moved).push(plan)
+            )
+            return
+        }
+        let same = []
+        let cross = []
+        for (const plan of plans) {
+            if (
+                !cluster ||
+                calculateSlot(this._rpfx(plan.from)) ===
+                    calculateSlot(this._rpfx(plan.to))
+            ) {
+                same.push(plan)
+            } else {
+                cross.push(plan)
+            }
+        }
+        const failed = (plan, err) => {
+            if (/no such key/i.test(err.message)) {
+                summary.skipped.push({ from: plan.from, reason: 'gone' })
+            } else if (/BUSYKEY/.test(err.message)) {
+                summary.conflicted.push(plan)
+            } else {
+                throw err
+            }
         }
 
-        let ret = await rpipe.exec()
-        if (!Array.isArray(ret) || !ret.length) return Promise.resolve(ret)
-        return Promise.resolve(ret.map((r) => r[1]))
+        if (same.length) {
+            const results = await this.rpipemulti(
+                same.map((plan) => [
+                    opts.nx ? 'renamenx' : 'rename',
+                    plan.from,
+                    plan.to,
+                ])
+            )
+            same.forEach((plan, i) => {
+                const [err, res] = results[i] || [null, null]
+                if (err) return failed(plan, err)
+                if (opts.nx && !res) return summary.conflicted.push(plan)
+                summary.moved.push(plan)
+            })
+        }
+
+        if (!cross.length) return
+        const dumps = await this.rpipemulti2array(
+            cross.flatMap((plan) => [
+                ['pttl', plan.from],
+                ['dumpBuffer', plan.from],
+            ])
+        )
+        let restores = []
+        cross.forEach((plan, i) => {
+            const payload = dumps[i * 2 + 1]
+            if (!payload) {
+                summary.skipped.push({ from: plan.from, reason: 'gone' })
+                return
+            }
+            const ttl = dumps[i * 2] > 0 ? dumps[i * 2] : 0
+            restores.push(plan)
+            plan.command = ['restore', plan.to, ttl, payload]
+            if (!opts.nx) plan.command.push('REPLACE')
+        })
+        if (!restores.length) return
+        const results = await this.rpipemulti(
+            restores.map((plan) => plan.command)
+        )
+        let restored = []
+        restores.forEach((plan, i) => {
+            delete plan.command
+            const err = results[i] && results[i][0]
+            if (err) return failed(plan, err)
+            restored.push(plan)
+        })
+        if (!restored.length) return
+        await this.rpipemulti(restored.map((plan) => ['del', plan.from]))
+        summary.moved.push(...restored)
     }
 
     /**
-     * Calls Redis HMGET method, prefixing the key with the stored prefix.
-     * If a callback function is provided, it is called with the result of the Redis method,
-     * and the result of the callback function is returned as the Promise result.
-     * If to_num is true, the result is parsed to number.
-     * @async
-     * @param {string} hkey - the key to access
-     * @param {Array<string>} keys - the keys to retrieve
-     * @param {boolean} [to_num=false] - whether to parse the result to number
-     * @param {function} [cb] - the callback function to call with the result
-     * @returns {Promise<Object>} the result of the Redis method, or a Promise resolved with the result
+     * Writes a batch of exported records, skipping the existing keys unless they are replaced.
      */
-    rhmget(hkey, keys, to_num, cb) {
-        if (cb && typeof cb !== 'function') cb = null
-        return this.rr('hmget', hkey, keys, (res) => {
-            let out = {}
-            for (let i = 0; i < keys.length; ++i) {
-                out[keys[i]] = cb ? cb(res[i]) : to_num ? res[i] - 0 : res[i]
+    async _rimport_batch(records, opts, summary) {
+        if (!opts.replace) {
+            const exists = await this.rpipemulti2array(
+                records.map((record) => ['exists', record.key])
+            )
+            records = records.filter((record, i) => {
+                if (exists[i]) ++summary.skipped
+                return !exists[i]
+            })
+        }
+        let commands = []
+        let owners = []
+        for (const record of records) {
+            const ttl = opts.keepTtl && record.ttl > 0 ? record.ttl : 0
+            let record_commands
+            if (record.dump !== undefined) {
+                record_commands = [
+                    [
+                        'restore',
+                        record.key,
+                        ttl,
+                        Buffer.from(record.dump, 'base64'),
+                        ...(opts.replace ? ['REPLACE'] : []),
+                    ],
+                ]
+            } else if (EXPORT_TYPES[record.type]) {
+                record_commands = EXPORT_TYPES[record.type].write(
+                    record.key,
+                    record.value
+                )
+                if (opts.replace) record_commands.unshift(['del', record.key])
+                if (ttl) record_commands.push(['pexpire', record.key, ttl])
+            } else {
+                ++summary.failed
+                summary.errors.push({
+                    key: record.key,
+                    error: new Error(
+                        'importKeys: unknown type "' + record.type + '"'
+                    ),
+                })
+                continue
             }
-            return out
+            for (const command of record_commands) {
+                commands.push(command)
+                owners.push(record)
+            }
+        }
+        if (!commands.length) return
+        const written = new Set(owners)
+        const results = (await this.rpipemulti(commands)) || []
+        let failed = new Map()
+        results.forEach((result, i) => {
+            if (result && result[0] && !failed.has(owners[i]))
+                failed.set(owners[i], result[0])
+        })
+        for (const record of records) {
+            if (failed.has(record)) {
+                ++summary.failed
+                summary.errors.push({
+                    key: record.key,
+                    error: failed.get(record),
+                })
+            } else if (written.has(record)) {
+                ++summary.imported
+            }
+        }
+    }
+
+    _rclient_set(client) {
+        if (this.redisClient && this._client_handlers) {
+            for (const event of Object.keys(this._client_handlers))
+                this.redisClient.off(event, this._client_handlers[event])
+        }
+        this._client_handlers = {}
+        this.redisClient = client
+        for (const name of Object.keys(this.scripts))
+            this._rscript_define(client, name)
+        this._rclient_listen(client, CLIENT_EVENTS)
+        if (this.listenerCount('error')) this._rclient_listen(client, ['error'])
+    }
+
+    /**
+     * Loads the library of loadFunctions() on the server, on every master of a cluster.
+     * @returns {Promise<string>} the name of the library
+     */
+    async _rfunctions_load() {
+        const client = this.redisClient
+        const nodes = client.isCluster ? client.nodes('master') : [client]
+        await Promise.all(
+            nodes.map((node) =>
+                this._rsend(node, 'function', [
+                    'LOAD',
+                    'REPLACE',
+                    this._functions.code,
+                ])
+            )
+        )
+        return this._functions.library
+    }
+
+    /**
+     * Calls a script with FCALL, loading the library again if the server doesn't have it,
+     * and sending the script with EVALSHA if that fails.
+     */
+    async _rfcall(name, args) {
+        const num_keys = this.scripts[name].numberOfKeys
+        const fcall_args =
+            num_keys === undefined ? [name, ...args] : [name, num_keys, ...args]
+        try {
+            return await this._rsend(this.redisClient, 'fcall', fcall_args)
+        } catch (err) {
+            if (!/Function not found/i.test(err.message)) throw err
+        }
+        try {
+            await this._rfunctions_load()
+        } catch (_err) {
+            return this._rsend(this.redisClient, name, args)
+        }
+        return this._rsend(this.redisClient, 'fcall', fcall_args)
+    }
+
+    /**
+     * Defines a script as a command of the client, with EVALSHA and the NOSCRIPT fallback of ioredis.
+     */
+    _rscript_define(client, name) {
+        if (!client) return
+        client.defineCommand(name, {
+            lua: this.scripts[name].lua,
+            numberOfKeys: this.scripts[name].numberOfKeys,
         })
     }
 
+    _rclient_listen(client, events) {
+        if (!client || !this._client_handlers) return
+        for (const event of events) {
+            if (this._client_handlers[event]) continue
+            this._client_handlers[event] = (...args) =>
+                this.emit(event, ...args)
+            client.on(event, this._client_handlers[event])
+        }
+    }
+
+    /**
+     * Sends a command on the client (or a cluster node), calling the hooks and recording the metrics.
+     * Commands queued in a pipeline are only recorded with the pipeline, when it is executed.
+     * @param {Redis|Redis.Cluster|Pipeline} execer - what to send the command with
+     * @param {string} redis_method - the method of the execer
+     * @param {Array} args - the arguments, already prefixed
+     * @param {{type: string, commands: Array}} [pipeline] - the type and the commands, for exec()
+     * @returns {Promise|*} the result of the method
+     */
+    _rsend(execer, redis_method, args, pipeline) {
+        if (
+            !this.retryOptions.attempts ||
+            execer.isPipeline ||
+            args.some((arg) => typeof arg === 'function') ||
+            !this._ridempotent(redis_method, args)
+        )
+            return this._rsend_once(execer, redis_method, args, pipeline)
+        return this._rtrack(
+            this._rretry(() => this._rsend_once(execer, redis_method, args))
+        )
+    }
+
+    _rsend_once(execer, redis_method, args, pipeline) {
+        const observed =
+            (this.metrics || this._hooks.length) &&
+            (!execer.isPipeline || pipeline)
+        if (!observed) return this._rtrack(execer[redis_method](...args))
+
+        let info
+        if (pipeline) {
+            info = {
+                command: pipeline.type,
+                size: pipeline.commands.length,
+                commands: pipeline.commands,
+            }
+        } else {
+            let command = redis_method
+            let command_args = args
+            if (redis_method === 'call') {
+                command = String(args[0])
+                command_args = args.slice(1)
+            }
+            const key = this._rkey_of(command, command_args)
+            info = {
+                command: command.toLowerCase(),
+                key,
+                pattern: keyPattern(this._runpfx(key)),
+                size: 1,
+                args,
+            }
+        }
+        this._rhooks('before', info)
+        const start = process.hrtime.bigint()
+        const done = (error, result) => {
+            info.duration = Number(process.hrtime.bigint() - start) / 1e6
+            info.error = error
+            info.result = result
+            if (this.metrics && this.metrics.record(info))
+                this.emit('slow command', info)
+            this._rhooks('after', info)
+        }
+        let ret
+        try {
+            ret = execer[redis_method](...args)
+        } catch (err) {
+            done(err)
+            throw err
+        }
+        if (!ret || typeof ret.then !== 'function') {
+            done(null, ret)
+            return ret
+        }
+        ret.then(
+            (result) => done(null, result),
+            (err) => done(err)
+        )
+        return this._rtrack(ret)
+    }
+
     /**
-     * Calls Redis RENAME method, prefixing the key with the stored prefix.
-     * @async
-     * @param {string} from - the key to rename
-     * @param {string} to - the new key name
-     * @returns {Promise<string>} the result of the Redis method, or a Promise resolved with the result
+     * Calls `fn` again while it rejects with a retryable error, with an exponential backoff,
+     * emitting a `retry` event with the error and the attempt number before every retry.
      */
-    rrename(from, to) {
-        return this._redis_call('rename', this._rpfx(from), this._rpfx(to))
+    async _rretry(fn) {
+        const opts = this.retryOptions
+        for (let attempt = 0; ; ++attempt) {
+            try {
+                return await fn()
+            } catch (err) {
+                if (attempt >= opts.attempts || !retryableError(err)) throw err
+                this.emit('retry', err, attempt + 1)
+                await sleep(
+                    Math.min(
+                        opts.delay * Math.pow(opts.factor, attempt),
+                        opts.maxDelay
+                    )
+                )
+            }
+        }
     }
 
     /**
-     * Deletes all keys from the given set, using either SPop or ZPopMin depending on the set type.
-     * If a pattern is given, it is used to construct the key names to delete.     *
-     * @param {string} keys_set - the set key name
-     * @param {boolean} is_sorted - whether the set is sorted
-     * @param {string} [ptn] - the pattern to use for constructing key names
-     * @returns {Promise<void>} the result of the Redis method, or a Promise resolved with the result
+     * Whether a command can be sent again without changing its effect.
      */
-    async rdel_from_set(keys_set, is_sorted, ptn) {
-        let _keys
-        const command = is_sorted ? 'zpopmin' : 'spop'
-        while (true) {
-            _keys = await this.rr(command, keys_set, 500)
-            if (!_keys || !Array.isArray(_keys) || !_keys.length) break
-            if (is_sorted) _keys = _keys.filter((x, y) => !(y % 2))
-            await this.rpipemulti(
-                _keys.map((_key) => [
-                    'del',
-                    ptn ? ptn.replace('*', _key) : _key,
-                ])
+    _ridempotent(redis_method, args) {
+        redis_method = String(redis_method).toLowerCase()
+        if (redis_method === 'call')
+            return this._ridempotent(args[0], args.slice(1))
+        if (
+            redis_method === 'zadd' &&
+            args.some((arg) => String(arg).toUpperCase() === 'INCR')
+        )
+            return false
+        //a conditional SET that was applied replies null when it is sent again
+        if (
+            (redis_method === 'set' || redis_method === 'json.set') &&
+            args.some((arg) =>
+                ['NX', 'XX', 'GET'].includes(String(arg).toUpperCase())
             )
-        }
+        )
+            return false
+        return IDEMPOTENT_COMMANDS.has(redis_method)
     }
 
     /**
-     * Deletes keys or hash keys matching the given patterns.
-     * If a pattern contains '.', it is assumed to be a hash key name.
-     * If a pattern does not contain '*', it is used directly.
-     * If a pattern contains '*', it is scanned for using the `SCAN` command.
-     * @see {@link rscan}
-     * @async
-     * @param {string|string[]} ptns - the patterns to match
-     * @returns {Promise<boolean>} the result of the Redis method, or a Promise resolved with the result
+     * Returns the first key of a command, undefined if it has none.
      */
-    async rdel(ptns) {
-        if (!Array.isArray(ptns)) ptns = [ptns]
-        let commands = []
-        for (let ptn of ptns) {
-            if (!ptn) continue
-            if (ptn.indexOf('*') === -1) {
-                ptn = ptn.split('.')
-                commands.push(
-                    ptn.length === 1 ? ['del', ptn[0]] : ['hdel', ...ptn]
-                )
-            } else {
-                await this.rscan(
-                    ptn,
-                    (_keys) => {
-                        commands = commands.concat(
-                            _keys.map((_key) => ['del', _key])
-                        )
-                    },
-                    null,
-                    { cb_all: true, count: 1000 }
-                )
+    _rkey_of(redis_method, args) {
+        const resolver = this._rkeys_resolver(redis_method) || keyRange(0)
+        return args[resolver(args)[0]]
+    }
+
+    _rhooks(stage, info) {
+        for (const hooks of this._hooks.slice()) {
+            if (typeof hooks[stage] !== 'function') continue
+            try {
+                hooks[stage](info)
+            } catch (err) {
+                this.emit('hook error', err, info)
             }
         }
-        if (commands.length) await this.rpipemaybe(commands)
-        return Promise.resolve(true)
     }
 
     /**
-     * Scans for keys or hash keys matching the given pattern.
-     * If a pattern contains '.', it is assumed to be a hash key name.
-     * If a pattern does not contain '*', it is used directly.
-     * If a pattern contains '*', it is scanned for using the `SCAN` command.
-     * @async
-     * @param {string|string[]} ptn - the pattern to match
-     * @param {function} [cb] - the callback to call with the matching keys
-     * @param {string} [hkey] - the hash key to scan, if different from the key name
-     * @param {object} [opts] - additional options
-     * @param {boolean} [opts.return] - whether to return the keys in an array, or the return value of the callback
-     * @param {boolean} [opts.return_cursor] - whether to return the final cursor value
-     * @param {boolean} [opts.one] - whether to stop after finding one matching key
-     * @param {number} [opts.cursor] - the initial cursor value
-     * @param {boolean} [opts.cb_all] - whether to call the callback with the entire array of matching keys
-     * @param {number} [opts.count] - the number of keys to return each iteration
-     * @returns {Promise<string|string[]>} the result of the Redis method, or a Promise resolved with the result
+     * Keeps track of a command sent on the client, so that close() can wait for it.
      */
-    async rscan(ptn, cb, hkey, opts) {
-        //opts: return, return_cursor, one, cursor, cb_all, count
-        if (!opts) opts = {}
-        let params = []
-        if (hkey) {
-            hkey = this._rpfx(hkey)
-            params.push(hkey)
-        } else if (ptn) {
-            ptn = this._rpfx(ptn)
-        }
-        let cb_ret
-        let keys = []
+    _rtrack(ret) {
+        if (!ret || typeof ret.then !== 'function') return ret
+        this._inflight.add(ret)
+        const done = () => this._inflight.delete(ret)
+        ret.then(done, done)
+        return ret
+    }
 
-        let i = opts.cursor ? opts.cursor - 0 : 0
-        if (typeof cb !== 'function') cb = false
-        const func = hkey ? 'hscan' : 'scan'
-        const num_params = func === 'scan' ? 1 : 2
-        params.push(i)
-        if (ptn) params.push('MATCH', ptn)
-        if (opts.count) params.push('COUNT', opts.count)
+    _is_cluster() {
+        return !!(this.redisClient && this.redisClient.isCluster)
+    }
 
-        while (true) {
-            let result = await new Promise((resolve) =>
-                this.redisClient[func](...params, (_err, _result) => {
-                    resolve(_result)
-                })
-            )
+    /**
+     * Replaces the RedisJSON helper commands (e.g. `['rjset', key, path, value]`)
+     * with the raw commands they send, sent through `call` so they are not reencoded.
+     * @returns {{commands: Array, decoders: Array<function>}} the commands,
+     * and the decoders of the helper replies by command index
+     */
+    _rpipe_expand(commands) {
+        let decoders = []
+        const expanded = commands.map(([redis_method, ...args], i) => {
+            const helper = JSON_HELPERS[redis_method]
+            if (!helper) return [redis_method, ...args]
+            decoders[i] = helper.decode
+            return ['call', ...helper.build(...args)]
+        })
+        return { commands: expanded, decoders }
+    }
+
+    _rpipe_decode(results, decoders) {
+        if (!decoders.length || !Array.isArray(results)) return results
+        return results.map((result, i) =>
+            decoders[i] && Array.isArray(result) && !result[0]
+                ? [null, decoders[i](result[1])]
+                : result
+        )
+    }
 
-            if (!Array.isArray(result) || !result.length) break
-            //if()
-            i = parseInt(result[0])
-            params[func === 'scan' ? 0 : 1] = i
+    /**
+     * Runs the (prefixed) commands in a pipeline or a transaction.
+     * @returns {Promise<Array>} the results of exec()
+     */
+    async _rpipe_run(type, commands) {
+        const run = () => {
+            let rpipe = this.redisClient[type]()
+            this._rpipe_add(rpipe, commands)
+            return this._rsend(rpipe, 'exec', [], { type, commands })
+        }
+        //a transaction is not retried, its commands depend on each other
+        if (type !== 'pipeline' || !this.retryOptions.attempts) return run()
+        const idempotent = commands.map(([redis_method, ...args]) =>
+            this._ridempotent(redis_method, args)
+        )
+        let results = idempotent.every(Boolean)
+            ? await this._rretry(run)
+            : await run()
+        if (!Array.isArray(results)) return results
+        for (let i = 0; i < results.length; ++i) {
             if (
-                result.length > 1 &&
-                Array.isArray(result[1]) &&
-                result[1].length
-            ) {
-                if (cb) {
-                    if (opts.cb_all) {
-                        cb_ret = cb(result[1])
-                        if (cb_ret instanceof Promise) await cb_ret
-                    } else {
-                        while (result[1].length) {
-                            let params_cb = result[1].splice(-num_params)
-                            cb_ret = cb(...params_cb)
-                            if (cb_ret instanceof Promise) await cb_ret
-                        }
-                    }
-                } else if (opts.return) {
-                    keys.splice(keys.length, 0, ...result[1])
-                }
+                !results[i] ||
+                !results[i][0] ||
+                !idempotent[i] ||
+                !retryableError(results[i][0])
+            )
+                continue
+            await sleep(this.retryOptions.delay)
+            try {
+                results[i] = [null, await this._redis_call(...commands[i])]
+            } catch (err) {
+                results[i] = [err, null]
             }
-            if (!i || opts.one) break
         }
-        return opts.return_cursor ? [i, keys] : keys
+        return results
     }
 
-    /**
-     * Retrieves a value from a Redis JSON key.
-     * If key doesn't exists, returns null.
-     * If key exists, but path doesn't - returns []
-     * If a callback function is provided, it is called with the result of the Redis method,
-     * and the result of the callback function is returned as the Promise result.
-     * If empty_array_null is true, and the result is an empty array, returns null
-     * If keep_array is false, and the result is an array with one element, returns that element
-     * @async
-     * @param {string} hkey - the key to access
-     * @param {string} path - the path to the value to retrieve
-     * @param {function} [callback] - the callback function to call with the result
-     * @param {...string|function} [rest_args] - additional arguments to pass to the callback, or function to call with the key and path
-     * @returns {Promise<Object>} the result of the Redis method, or a Promise resolved with the result
-     */
-    async rjget(hkey, path, callback, ...rest_args) {
-        path = this._rjpath(path)
-        hkey = this._rpfx(hkey)
-        let res = await this._rraw('JSON.GET', hkey, path)
-        let opts = {
-            rerun: false,
-            keep_array: false,
-            empty_array_null: false,
+    _rpipe_add(rpipe, commands) {
+        for (const [redis_method, ...args] of commands) {
+            this._redis_call(redis_method, ...args, rpipe)
         }
+    }
 
-        Object.keys(opts).forEach((_opt) => {
-            let _indx = rest_args.indexOf(_opt)
-            if (_indx !== -1) {
-                opts[_opt] = true
-                rest_args.splice(_indx, 1)
+    /**
+     * Prefixes the keys of the commands and groups them, so that every group can run
+     * in one pipeline or transaction. There is only one group if not on a cluster.
+     * On a cluster, pipelines are grouped by the master node of the hash slot of the first key
+     * (or by slot if the slots are not known yet), transactions must be in one slot.
+     * Commands without keys go to the first group.
+     * @returns {Array<{indexes: Array<number>, commands: Array}>} the groups,
+     * with the indexes of their commands in the original array
+     */
+    _rpipe_groups(commands, type) {
+        let groups = {}
+        let keyless = []
+        let slots = new Set()
+        const cluster = this._is_cluster()
+        commands.forEach(([redis_method, ...args], i) => {
+            args = this._rkeys(redis_method, args)
+            const command = [redis_method, ...args]
+            if (!cluster) {
+                keyless.push([i, command])
+                return
             }
+            const keys = (this._rkeys_resolver(redis_method) || keyRange(0))(
+                args
+            )
+                .map((index) => args[index])
+                .filter((key) => key !== undefined && key !== null)
+            if (!keys.length) {
+                keyless.push([i, command])
+                return
+            }
+            const key_slots = keys.map((key) => calculateSlot(key))
+            key_slots.forEach((slot) => slots.add(slot))
+            let group_id = key_slots[0]
+            if (type !== 'multi') {
+                const node = (this.redisClient.slots || [])[group_id]
+                if (node && node[0]) group_id = node[0]
+            }
+            if (!groups[group_id])
+                groups[group_id] = { indexes: [], commands: [] }
+            groups[group_id].indexes.push(i)
+            groups[group_id].commands.push(command)
         })
+        if (type === 'multi' && slots.size > 1)
+            throw new Error(
+                'rpipemulti: transaction keys span ' +
+                    slots.size +
+                    ' hash slots, all keys of a transaction must be in one slot (use a {hash tag})'
+            )
 
-        if (res !== null) {
-            if (typeof res === 'string') res = parseJson(res, res)
-            if (opts.empty_array_null && Array.isArray(res) && !res.length)
-                res = null
-            if (res !== null) {
-                if (!opts.keep_array && Array.isArray(res) && res.length === 1)
-                    res = res[0]
-                if (callback && typeof callback === 'function') {
-                    res = callback(res)
-                    if (res instanceof Promise) res = await res
-                }
+        let out = Object.values(groups)
+        if (keyless.length) {
+            if (!out.length) out.push({ indexes: [], commands: [] })
+            for (const [i, command] of keyless) {
+                out[0].indexes.push(i)
+                out[0].commands.push(command)
             }
         }
-        if (res !== null || !rest_args.length) return Promise.resolve(res)
-
-        let ret
-        const _type = typeof rest_args[0]
-        if (_type === 'function') {
-            ret = rest_args[0](hkey, path)
-        } else {
-            return Promise.resolve(null)
-        }
-        if (opts.rerun) {
-            await ret
-            return this.rjget(hkey, path, callback)
-        } else {
-            return ret
-        }
+        return out
     }
 
     /**
-     * Retrieves an array of members from a Redis ZSET key.
-     * Only members that have a score are included in the result.
-     * If key doesn't exists, returns []
-     * @async
-     * @param {string} rkey - the key to access
-     * @param {Array<string>} members_to_check - the members to check
-     * @returns {Promise<Array<string>>} the result of the Redis method, or a Promise resolved with the result
+     * Runs the command groups in parallel pipelines, at most `concurrency` at the same time,
+     * and returns the results in the original order of the commands.
      */
-    async rinzset(rkey, members_to_check) {
-        const res = await this.rr('zmscore', rkey, ...members_to_check)
-        if (!res || !res.length) return Promise.resolve([])
+    async _rpipe_exec_groups(groups, type, concurrency) {
         let out = []
-        for (let i = 0; i < members_to_check.length; ++i) {
-            if (res[i] !== null) out.push(members_to_check[i])
-        }
-        return Promise.resolve(out)
+        await mapLimit(
+            groups,
+            concurrency || this.pipelineConcurrency,
+            async (group) => {
+                const results = await this._rpipe_run(type, group.commands)
+                group.indexes.forEach((index, i) => {
+                    out[index] = Array.isArray(results) ? results[i] : null
+                })
+            }
+        )
+        return out
     }
 
-    /**
-     * Copies all members from a Redis ZSET key to a Redis SET key.
-     * The copy is done in chunks using the ZSCAN method, so it won't block Redis
-     * for long periods of time.
-     * @async
-     * @param {string} source_key - the ZSET key to copy from
-     * @param {string} target_key - the SET key to copy to
-     * @returns {Promise<void>} the result of the Redis method, or a Promise resolved with the result
-     */
-    async zset2set_scan(source_key, target_key) {
-        //slow
-        let cursor = '0'
-        do {
-            const [new_cursor, members] = await this.rr(
-                'zscan',
-                source_key,
-                cursor
-            )
-            if (members.length > 0)
-                await this.rr('sadd', target_key, ...members)
-            cursor = new_cursor
-        } while (cursor !== '0')
+    _rkeys_resolver(redis_method) {
+        redis_method = redis_method.toLowerCase()
+        //generic `call`: the keys are the ones of the called command, shifted by its name
+        if (redis_method === 'call')
+            return (args) =>
+                (this._rkeys_resolver(String(args[0])) || keyRange(0))(
+                    args.slice(1)
+                ).map((i) => i + 1)
+        return this.commandKeys[redis_method] || KEY_POSITIONS[redis_method]
+    }
+
+    _rkeys_known(redis_method) {
+        return !!this._rkeys_resolver(redis_method)
     }
 
     /**
-     * Copies all members from a Redis ZSET key to a Redis SET or LIST key.
-     * The copy is done in chunks using the ZRANGE method, so it won't block Redis
-     * for long periods of time.
-     * @async
-     * @param {string} source_key - the ZSET key to copy from
-     * @param {string} target_key - the LIST or SET key to copy to
-     * @param {string} [command='sadd'] - the Redis command to use to add the members to the
-     * target key, lpush for LIST, sadd for SET
-     * @param {number} [limit=1000] - the number of members to copy at once
-     * @param {boolean} [with_scores=false] - if true, every member is converted to a string with a comma separating the member value and its score
-     * @returns {Promise<void>} the result of the Redis method, or a Promise resolved with the result
+     * Loads the key positions of the unknown commands with `COMMAND INFO`.
+     * Commands the server doesn't know fall back to the first argument being the only key.
+     * If the lookup fails, nothing is stored: the calls waiting for it use the same fallback,
+     * and the next calls look the commands up again.
      */
-    async zset_convert(source_key, target_key, command, limit, with_scores) {
-        //command: to list - lpush, to set - sadd
-        if (!command || command !== 'lpush') command = 'sadd'
-        if (!limit) limit = 1000
-        let start = 0
-        while (true) {
-            let members = []
-            const _end = start + limit
-            let params = ['zrange', source_key, start, _end]
-            if (with_scores) params.push('WITHSCORES')
-            const _members = await this.rr(...params)
-            if (!_members || !_members.length) break
-            if (with_scores) {
-                for (let i = 0; i < _members.length; i += 2) {
-                    members.push(_members[i] + ',' + _members[i + 1])
-                }
-            } else {
-                members = _members
-            }
-            await this.rr(command, target_key, ...members)
-            start = _end + 1
+    async _rkeys_load(redis_methods) {
+        const unknown = [
+            ...new Set(redis_methods.map((m) => m.toLowerCase())),
+        ].filter((m) => !this._rkeys_known(m))
+        if (!unknown.length) return
+        let infos
+        try {
+            infos = await this.redisClient.command('INFO', ...unknown)
+        } catch (_err) {
+            return
+        }
+        for (let i = 0; i < unknown.length; ++i) {
+            if (this._rkeys_known(unknown[i])) continue
+            this.commandKeys[unknown[i]] =
+                Array.isArray(infos) && Array.isArray(infos[i])
+                    ? keyResolverFromInfo(infos[i])
+                    : keyRange(0)
         }
     }
 
-    _redis_call(redis_method, hkey, ...rest_args) {
-        if (redis_method.indexOf('.') !== -1) {
-            rest_args.unshift(hkey)
-            return this._rraw(redis_method, ...rest_args)
-        } else {
+    /**
+     * Returns a copy of the command arguments with every key prefixed.
+     * Array arguments are flattened first, as the client does, except for module
+     * (dotted) commands, where an array can be a value.
+     */
+    _rkeys(redis_method, args) {
+        if (redis_method.indexOf('.') === -1) {
+            args = args.flat()
             if (
-                rest_args.length > 0 &&
-                hkey.substring(0, 1) === '{' &&
-                (redis_method === 'del' ||
-                    (redis_method.substring(0, 1) === 'z' &&
-                        redis_method.indexOf('store') !== -1))
+                ['mset', 'msetnx'].includes(redis_method.toLowerCase()) &&
+                args.length === 1 &&
+                args[0] &&
+                typeof args[0] === 'object' &&
+                !Buffer.isBuffer(args[0])
             )
-                rest_args = rest_args.map((rest_arg) =>
-                    typeof rest_arg !== 'string' ||
-                    rest_arg.substring(0, 1) !== '{'
-                        ? rest_arg
-                        : this._rpfx(rest_arg)
-                )
-
-            const execer = this._rexec(rest_args)
-            return execer[redis_method](hkey, ...rest_args)
+                args = (
+                    args[0] instanceof Map
+                        ? [...args[0].entries()]
+                        : Object.entries(args[0])
+                ).flat()
+        } else {
+            args = args.slice()
         }
+        const resolver = this._rkeys_resolver(redis_method) || keyRange(0)
+        for (const i of resolver(args)) args[i] = this._rpfx(args[i])
+        return args
     }
 
     _rraw(redis_method, ...rest_args) {
@@ -534,7 +6209,7 @@ class RedisUtilFunctions {
             rest_args[2] = JSON.stringify(rest_args[2])
         if (redis_method === 'JSON.ARRINSERT' && rest_args.length >= 4)
             [rest_args[3], rest_args[2]] = [rest_args[2], rest_args[3]]
-        return execer.call(redis_method, ...rest_args)
+        return this._rsend(execer, 'call', [redis_method, ...rest_args])
     }
 
     _rexec(rest_args) {
@@ -548,12 +6223,26 @@ class RedisUtilFunctions {
     }
 
     _rjpath(path) {
-        if (!path || path === '$') return '$'
-        if (path.substr(0, 2) !== '$.') return '$.' + path
-        return path
+        return jsonPath(path)
+    }
+
+    /**
+     * Removes the stored prefix from a key, the reverse of `_rpfx`.
+     */
+    _runpfx(hkey) {
+        if (typeof hkey !== 'string' || !this.redisHprefix) return hkey
+        let _slot_pfx = ''
+        if (hkey.substring(0, 1) === '{') {
+            _slot_pfx = '{'
+            hkey = hkey.substring(1)
+        }
+        if (hkey.indexOf(this.redisHprefix) === 0)
+            hkey = hkey.substring(this.redisHprefix.length)
+        return _slot_pfx + hkey
     }
 
     _rpfx(hkey) {
+        if (typeof hkey !== 'string') return hkey
         let _slot_pfx = ''
         if (hkey.substring(0, 1) === '{') {
             _slot_pfx = '{'
@@ -567,4 +6256,19 @@ class RedisUtilFunctions {
     }
 }
 
-module.exports = new RedisUtilFunctions()
+const defaultInstance = new RedisUtilFunctions()
+instances.set('default', defaultInstance)
+
+module.exports = defaultInstance
+module.exports.RedisUtilFunctions = RedisUtilFunctions
+module.exports.create = RedisUtilFunctions.create
+module.exports.get = RedisUtilFunctions.get
+module.exports.protect = RedisUtilFunctions.protect
+module.exports.unprotect = RedisUtilFunctions.unprotect
+module.exports.keyPattern = keyPattern
+module.exports.formatKeyspaceReport = formatKeyspaceReport
+module.exports.RedisCommandError = RedisCommandError
+module.exports.ModelValidationError = ModelValidationError
+module.exports.DeletionRefusedError = DeletionRefusedError
+module.exports.HashModel = HashModel
+module.exports.WorkQueue = WorkQueue
@@ -0,0 +1,537 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const FakeRedis = require('../fake-redis')
+const { RedisUtilFunctions } = require('../redis-util-functions')
+
+const NOW = 1700000000000
+
+test('strings, counters and TTLs on the controllable clock', async () => {
+    const fake = new FakeRedis({ time: NOW })
+    assert.equal(await fake.set('a', 1), 'OK')
+    assert.equal(await fake.get('a'), '1')
+    assert.equal(await fake.set('a', 2, 'NX'), null)
+    assert.equal(await fake.incrby('a', 5), 6)
+    await assert.rejects(fake.incr('missing:hash:x', 'extra'), /wrong number/)
+    await fake.hset('h', 'f', 'v')
+    await assert.rejects(fake.incr('h'), /^ReplyError: WRONGTYPE/)
+
+    assert.equal(await fake.set('t', 'v', 'PX', 1000), 'OK')
+    assert.equal(await fake.pttl('t'), 1000)
+    fake.advance(999)
+    assert.equal(await fake.get('t'), 'v')
+    fake.advance(1)
+    assert.equal(await fake.get('t'), null)
+    assert.equal(await fake.pttl('t'), -2)
+    assert.equal(await fake.pttl('a'), -1)
+
+    assert.deepEqual(await fake.time(), [String(NOW / 1000 + 1), '0'])
+})
+
+test('hashes, lists, sets and sorted sets', async () => {
+    const fake = new FakeRedis()
+    assert.equal(await fake.hset('h', { a: 1, b: 2 }), 2)
+    assert.deepEqual(await fake.hgetall('h'), { a: '1', b: '2' })
+    assert.deepEqual(await fake.hmget('h', ['a', 'c']), ['1', null])
+    assert.equal(await fake.hdel('h', 'a', 'b'), 2)
+    assert.equal(await fake.exists('h'), 0)
+
+    await fake.rpush('l', 'a', 'b', 'c')
+    await fake.lpush('l', 'z')
+    assert.deepEqual(await fake.lrange('l', 0, -1), ['z', 'a', 'b', 'c'])
+    await fake.ltrim('l', 0, 1)
+    assert.equal(await fake.llen('l'), 2)
+
+    await fake.sadd('s', 'a', 'b', 'c')
+    assert.equal((await fake.spop('s', 2)).length, 2)
+    assert.equal(await fake.scard('s'), 1)
+
+    assert.equal(await fake.zadd('z', 2, 'b', 1, 'a', 3, 'c'), 3)
+    assert.deepEqual(await fake.zrange('z', 0, -1, 'WITHSCORES'), [
+        'a',
+        '1',
+        'b',
+        '2',
+        'c',
+        '3',
+    ])
+    assert.deepEqual(await fake.zmscore('z', 'a', 'x'), ['1', null])
+    assert.deepEqual(await fake.zrange('z', '(1', '+inf', 'BYSCORE'), [
+        'b',
+        'c',
+    ])
+    assert.deepEqual(await fake.zpopmin('z'), ['a', '1'])
+    assert.equal(await fake.zadd('z', 'GT', 'CH', 1, 'b'), 0)
+    assert.equal(await fake.zadd('z', 'XX', 'INCR', 5, 'b'), '7')
+})
+
+test('SCAN and HSCAN with MATCH and TYPE walk every key once', async () => {
+    const fake = new FakeRedis()
+    for (let i = 0; i < 25; ++i) await fake.set('k:' + i, i)
+    await fake.hset('k:hash', 'f1', 'a', 'g1', 'b')
+    await fake.set('other', 1)
+
+    let seen = []
+    let cursor = '0'
+    do {
+        let keys
+        ;[cursor, keys] = await fake.scan(cursor, 'MATCH', 'k:*', 'COUNT', 7)
+        seen.push(...keys)
+    } while (cursor !== '0')
+    assert.equal(seen.length, 26)
+    assert.equal(new Set(seen).size, 26)
+
+    const [, hashes] = await fake.scan(0, 'TYPE', 'hash', 'COUNT', 100)
+    assert.deepEqual(hashes, ['k:hash'])
+    assert.deepEqual(await fake.hscan('k:hash', 0, 'MATCH', 'f*'), [
+        '0',
+        ['f1', 'a'],
+    ])
+    assert.deepEqual(await fake.hscan('k:hash', 0, 'NOVALUES'), [
+        '0',
+        ['f1', 'g1'],
+    ])
+})
+
+test('RENAME, COPY, DUMP and RESTORE keep the values and TTLs', async () => {
+    const fake = new FakeRedis({ time: NOW })
+    await fake.sadd('s', 'a', 'b')
+    await fake.pexpire('s', 5000)
+    assert.equal(await fake.rename('s', 't'), 'OK')
+    assert.equal(await fake.exists('s'), 0)
+    assert.equal(await fake.pttl('t'), 5000)
+    await assert.rejects(fake.rename('s', 'u'), /no such key/)
+
+    assert.equal(await fake.copy('t', 'c'), 1)
+    await fake.sadd('c', 'x')
+    assert.equal(await fake.scard('t'), 2)
+
+    const dump = await fake.dumpBuffer('t')
+    assert.ok(Buffer.isBuffer(dump))
+    await assert.rejects(fake.restore('c', 0, dump), /BUSYKEY/)
+    assert.equal(await fake.restore('c', 100, dump, 'REPLACE'), 'OK')
+    assert.deepEqual((await fake.smembers('c')).sort(), ['a', 'b'])
+    assert.equal(await fake.pttl('c'), 100)
+})
+
+test('pipelines and MULTI', async () => {
+    const fake = new FakeRedis()
+    const results = await fake
+        .pipeline()
+        .set('a', 1)
+        .incr('a')
+        .hget('a', 'f')
+        .exec()
+    assert.deepEqual(results.slice(0, 2), [
+        [null, 'OK'],
+        [null, 2],
+    ])
+    assert.match(results[2][0].message, /^WRONGTYPE/)
+
+    await assert.rejects(
+        fake.multi().set('b', 1).call('nope', 'b').exec(),
+        /EXECABORT/
+    )
+    assert.equal(await fake.exists('b'), 0)
+
+    let replies = []
+    const multi = fake.multi([['set', 'c', 'x']])
+    multi.get('c', (err, res) => replies.push(res))
+    assert.equal(multi.length, 2)
+    await multi.exec()
+    assert.deepEqual(replies, ['x'])
+})
+
+test('RedisJSON commands with JSONPath and legacy paths', async () => {
+    const fake = new FakeRedis()
+    const doc = { a: 1, list: [1, 2], nested: { b: 'x' } }
+    assert.equal(
+        await fake.call('JSON.SET', 'j', '$', JSON.stringify(doc)),
+        'OK'
+    )
+    assert.equal(await fake.call('JSON.GET', 'j', '$.a'), '[1]')
+    assert.equal(await fake.call('JSON.GET', 'j', '.nested.b'), '"x"')
+    assert.equal(await fake.call('JSON.GET', 'j', '$.missing'), '[]')
+    await assert.rejects(fake.call('JSON.GET', 'j', '.missing'), /not exist/)
+    assert.equal(await fake.call('JSON.SET', 'j', '$.c', '3', 'NX'), 'OK')
+    assert.equal(await fake.call('JSON.SET', 'j', '$.c', '4', 'NX'), null)
+    assert.deepEqual(await fake.call('JSON.ARRAPPEND', 'j', '$.list', '3'), [3])
+    assert.deepEqual(await fake.call('JSON.ARRPOP', 'j', '$.list', 0), ['1'])
+    assert.equal(await fake.call('JSON.NUMINCRBY', 'j', '$.a', 2), '[3]')
+    assert.equal(
+        await fake.call('JSON.MERGE', 'j', '$', '{"nested":null,"d":true}'),
+        'OK'
+    )
+    assert.deepEqual(await fake.call('JSON.OBJKEYS', 'j', '$'), [
+        ['a', 'list', 'c', 'd'],
+    ])
+    assert.deepEqual(await fake.call('JSON.TYPE', 'j', '$.*'), [
+        'integer',
+        'array',
+        'integer',
+        'boolean',
+    ])
+    assert.deepEqual(await fake.call('JSON.MGET', 'j', 'none', '$.c'), [
+        '[3]',
+        null,
+    ])
+    assert.equal(await fake.type('j'), 'ReJSON-RL')
+    assert.equal(await fake.call('JSON.DEL', 'j', '$.list[0]'), 1)
+    assert.equal(await fake.call('JSON.DEL', 'j', '$'), 1)
+    assert.equal(await fake.exists('j'), 0)
+})
+
+test('scripts run their registered handlers', async () => {
+    const fake = new FakeRedis()
+    fake.registerScript('getdel_if', (redis, KEYS, ARGV) =>
+        redis.call('get', KEYS[0]) === ARGV[0] ? redis.call('del', KEYS[0]) : 0
+    )
+    fake.defineCommand('getdel_if', { lua: '-- lua', numberOfKeys: 1 })
+    await fake.set('a', 'x')
+    assert.equal(await fake.getdel_if('a', 'y'), 0)
+    assert.deepEqual(await fake.pipeline().getdel_if('a', 'x').exec(), [
+        [null, 1],
+    ])
+    assert.deepEqual(
+        await fake.eval(
+            "return {KEYS[1], ARGV[1] * 2, false, 'x'}",
+            1,
+            'a',
+            '1.5'
+        ),
+        ['a', 3, null, 'x']
+    )
+    await assert.rejects(
+        fake.eval("return redis.call('incr', KEYS[1], 2)", 1, 'a'),
+        /wrong number of arguments/
+    )
+    await assert.rejects(
+        new FakeRedis({ lua: false }).eval('return 1', 0),
+        /cannot run Lua without fengari/
+    )
+
+    await assert.rejects(fake.fcall('getdel_if', 1, 'a', 'x'), /not found/)
+    assert.equal(
+        await fake.function(
+            'LOAD',
+            "#!lua name=lib\nredis.register_function('getdel_if', function() end)"
+        ),
+        'lib'
+    )
+    assert.equal(await fake.fcall('getdel_if', 1, 'a', 'x'), 0)
+    await fake.function(
+        'LOAD',
+        "#!lua name=lib2\nredis.register_function('hello', function(KEYS, ARGV) return 'hi ' .. ARGV[1] end)"
+    )
+    assert.equal(await fake.fcall('hello', 0, 'you'), 'hi you')
+})
+
+test('duplicate() shares the data, closed clients reject', async () => {
+    const fake = new FakeRedis()
+    const other = fake.duplicate()
+    await fake.set('a', 1)
+    assert.equal(await other.get('a'), '1')
+    await other.quit()
+    assert.equal(other.status, 'end')
+    await assert.rejects(other.get('a'), /Connection is closed/)
+    assert.equal(await fake.get('a'), '1')
+})
+
+test('pub/sub and keyspace notifications', async () => {
+    const fake = new FakeRedis({ time: NOW })
+    const sub = fake.duplicate()
+    let got = []
+    sub.on('message', (channel, message) => got.push([channel, message]))
+    sub.on('pmessage', (ptn, channel, message) => got.push([channel, message]))
+    assert.equal(await sub.subscribe('c'), 1)
+    assert.equal(await sub.psubscribe('__key*@0__:*'), 2)
+    assert.equal(await fake.publish('c', 'hi'), 1)
+    assert.equal(await fake.spublish('c', 'hi'), 0)
+
+    await assert.rejects(
+        fake.config('SET', 'notify-keyspace-events', 'KQ'),
+        /Invalid argument/
+    )
+    await fake.config('SET', 'notify-keyspace-events', 'KEA')
+    assert.deepEqual(await fake.config('GET', 'notify-*'), [
+        'notify-keyspace-events',
+        'AKE',
+    ])
+    await fake.set('a', 1, 'PX', 10)
+    await fake.set('a', 2, 'NX')
+    await fake.rpush('l', 'x')
+    await fake.lpop('l')
+    fake.advance(10)
+    //the messages are delivered once the running code yields
+    await new Promise(setImmediate)
+    assert.deepEqual(got, [
+        ['c', 'hi'],
+        ['__keyspace@0__:a', 'set'],
+        ['__keyevent@0__:set', 'a'],
+        ['__keyspace@0__:l', 'rpush'],
+        ['__keyevent@0__:rpush', 'l'],
+        ['__keyspace@0__:l', 'lpop'],
+        ['__keyevent@0__:lpop', 'l'],
+        ['__keyspace@0__:l', 'del'],
+        ['__keyevent@0__:del', 'l'],
+        ['__keyspace@0__:a', 'expired'],
+        ['__keyevent@0__:expired', 'a'],
+    ])
+    assert.equal(await sub.unsubscribe(), 1)
+})
+
+test('stream consumer groups, claims and blocking reads', async () => {
+    const fake = new FakeRedis({ time: NOW })
+    await assert.rejects(
+        fake.xreadgroup('GROUP', 'g', 'c1', 'STREAMS', 's', '>'),
+        /NOGROUP/
+    )
+    assert.equal(await fake.xgroup('CREATE', 's', 'g', '$', 'MKSTREAM'), 'OK')
+    await assert.rejects(fake.xgroup('CREATE', 's', 'g', '0'), /BUSYGROUP/)
+    const first = await fake.xadd('s', '*', 'n', '1')
+    const second = await fake.xadd('s', '*', 'n', '2')
+    assert.deepEqual(
+        await fake.xreadgroup(
+            'GROUP',
+            'g',
+            'c1',
+            'COUNT',
+            1,
+            'STREAMS',
+            's',
+            '>'
+        ),
+        [['s', [[first, ['n', '1']]]]]
+    )
+    assert.deepEqual(await fake.xpending('s', 'g'), [
+        1,
+        first,
+        first,
+        [['c1', '1']],
+    ])
+
+    fake.advance(5000)
+    assert.deepEqual(await fake.xautoclaim('s', 'g', 'c2', 1000, '0-0'), [
+        '0-0',
+        [[first, ['n', '1']]],
+        [],
+    ])
+    fake.advance(5000)
+    assert.deepEqual(await fake.xclaim('s', 'g', 'c1', 1000, first, 'JUSTID'), [
+        first,
+    ])
+    assert.deepEqual(await fake.xclaim('s', 'g', 'c2', 1000, first), [])
+    assert.equal(await fake.xack('s', 'g', first), 1)
+    assert.equal(await fake.xack('s', 'g', first), 0)
+
+    await fake.xreadgroup('GROUP', 'g', 'c1', 'STREAMS', 's', '>')
+    await fake.xdel('s', second)
+    assert.deepEqual(
+        await fake.xreadgroup('GROUP', 'g', 'c1', 'STREAMS', 's', '0'),
+        [['s', [[second, null]]]]
+    )
+
+    const blocked = fake.xreadgroup(
+        'GROUP',
+        'g',
+        'c1',
+        'BLOCK',
+        0,
+        'STREAMS',
+        's',
+        '>'
+    )
+    const third = await fake.duplicate().xadd('s', '*', 'n', '3')
+    assert.deepEqual(await blocked, [['s', [[third, ['n', '3']]]]])
+    assert.equal(
+        await fake.xreadgroup(
+            'GROUP',
+            'g',
+            'c1',
+            'BLOCK',
+            10,
+            'STREAMS',
+            's',
+            '>'
+        ),
+        null
+    )
+    const closed = fake.xreadgroup(
+        'GROUP',
+        'g',
+        'c1',
+        'BLOCK',
+        0,
+        'STREAMS',
+        's',
+        '>'
+    )
+    fake.disconnect()
+    await assert.rejects(closed, /Connection is closed/)
+})
+
+test('the JavaScript handlers of the built-in scripts match their Lua source', async () => {
+    const run = async (fake) => {
+        const rutil = new RedisUtilFunctions(fake, false, 'p:')
+        let replies = []
+        const rr = async (...args) =>
+            replies.push(await rutil.rr(...args).catch((err) => err.message))
+        await rr('rutil_lock', 'lock', 'fence', 'tok', 1000)
+        await rr('rutil_lock', 'lock', 'fence', 'other', 1000)
+        await rr('rutil_extend', 'lock', 'tok', 5000)
+        await rr('rutil_unlock', 'lock', 'other')
+        await rr('rutil_unlock', 'lock', 'tok')
+        for (let i = 0; i < 4; ++i) {
+            for (const algorithm of ['fixed', 'sliding', 'token'])
+                await rr(
+                    'rutil_ratelimit',
+                    1,
+                    'rl:' + algorithm,
+                    1,
+                    algorithm,
+                    2,
+                    1000
+                )
+            await fake.set('p:rl:stale', 5)
+            await rr('rutil_ratelimit', 1, 'rl:stale', 1, 'fixed', 2, 1000)
+            await rr(
+                'rutil_ratelimit',
+                2,
+                'a',
+                'b',
+                2,
+                'fixed',
+                5,
+                1000,
+                'token',
+                3,
+                900
+            )
+            fake.advance(300)
+        }
+        await rr('rutil_cas', 'c', 0, '', 'v1', 0)
+        await rr('rutil_cas', 'c', 1, 'v1', 'v2', 500)
+        await rr('rutil_cas', 'c', 1, 'nope', 'v3', 0)
+        await fake.call('JSON.SET', 'p:j', '$', '{"a":[1,2]}')
+        await rr('rutil_jgetex', 'j', '$.a', 1000)
+        await rr('rutil_cappedpush', 'l', 2, 'a', 'b', 'c')
+        await rr('rutil_modelincr', 'm:1', 'm:index:n', 'n', 2, 5, '1')
+        await rr('rutil_modelincr', 'm:1', 'm:index:n', 'n', 0.5, 5, '1')
+        await rr('rutil_modelincr', 'm:2', 'm:index:n', 'n', 1, '', '2')
+        await fake.sadd('p:s', 'x', 'y', 'z')
+        await fake.zadd('p:z', 1, 'x', 2, 'y')
+        await fake.mset('p:item:x', 1, 'p:item:y', 1, 'p:item:z', 1)
+        await rr(
+            'rutil_delfromset',
+            4,
+            's',
+            'item:x',
+            'item:y',
+            'item:z',
+            0,
+            'unlink',
+            'x',
+            'y',
+            'z'
+        )
+        await fake.mset('{p:item:x', 1, '{p:item:w', 1)
+        await rr(
+            'rutil_delfromset',
+            3,
+            'z',
+            '{item:x',
+            '{item:w',
+            1,
+            'del',
+            'x',
+            'w'
+        )
+        const keys = ['q', 'q:delayed', 'q:dead']
+        await rr(
+            'rutil_qadd',
+            'q',
+            'q:delayed',
+            'q:dd:a',
+            'a',
+            '{"n":1}',
+            0,
+            1000,
+            0
+        )
+        await rr(
+            'rutil_qadd',
+            'q',
+            'q:delayed',
+            'q:dd:a',
+            'a',
+            '{"n":1}',
+            0,
+            1000,
+            0
+        )
+        await rr('rutil_qadd', 'q', 'q:delayed', 'q:dd:', 'b', '{}', 500, 0, 1)
+        await rr('rutil_qpromote', 'q:delayed', 'q', 10)
+        fake.advance(500)
+        await rr('rutil_qpromote', 'q:delayed', 'q', 10)
+        await fake.xgroup('CREATE', 'p:q', 'g', '0')
+        const [[, entries]] = await fake.xreadgroup(
+            'GROUP',
+            'g',
+            'c',
+            'STREAMS',
+            'p:q',
+            '>'
+        )
+        await rr(
+            'rutil_qfail',
+            ...keys,
+            'g',
+            entries[0][0],
+            'a',
+            '{"n":1}',
+            1,
+            100,
+            'boom',
+            10
+        )
+        await rr(
+            'rutil_qfail',
+            ...keys,
+            'g',
+            entries[1][0],
+            'b',
+            '{}',
+            2,
+            -1,
+            'dead',
+            10
+        )
+        await rr(
+            'rutil_qfail',
+            ...keys,
+            'g',
+            entries[1][0],
+            'b',
+            '{}',
+            2,
+            -1,
+            'dead',
+            10
+        )
+
+        const data = [...fake.state.data.keys()].sort().map((key) => {
+            const entry = fake.state.data.get(key)
+            const value = JSON.stringify(entry.value, (_key, value) =>
+                value instanceof Map || value instanceof Set
+                    ? [...value]
+                    : value
+            )
+            return [key, entry.type, entry.expiresAt, value]
+        })
+        return { replies, data }
+    }
+    const lua = new FakeRedis({ time: NOW })
+    const js = new FakeRedis({ time: NOW, lua: false })
+    assert.deepEqual(await run(lua), await run(js))
+    //every built-in script ran its Lua source
+    assert.equal(lua.state.lua.chunks.size, 12)
+})
@@ -0,0 +1,1550 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const FakeRedis = require('../fake-redis')
+const calculateSlot = require('cluster-key-slot')
+const {
+    RedisUtilFunctions,
+    RedisCommandError,
+    ModelValidationError,
+    DeletionRefusedError,
+    keyPattern,
+} = require('../redis-util-functions')
+
+const NOW = 1700000000000
+
+/**
+ * A fresh fake server with a frozen clock, and an instance using it with the `p:` prefix.
+ */
+const setup = function (prefix) {
+    const fake = new FakeRedis({ time: NOW })
+    const rutil = new RedisUtilFunctions(
+        fake,
+        false,
+        prefix === undefined ? 'p:' : prefix
+    )
+    return { fake, rutil }
+}
+
+const collect = async function (iter) {
+    let out = []
+    for await (const item of iter) out.push(item)
+    return out
+}
+
+test('setClient() accepts the fake client', () => {
+    const { fake, rutil } = setup()
+    assert.equal(rutil.redisClient, fake)
+    assert.equal(rutil.setClient({}), false)
+    assert.equal(rutil.setClient(fake.duplicate()), true)
+})
+
+test('rr() and r() prefix the keys', async () => {
+    const { fake, rutil } = setup()
+    assert.equal(await rutil.rr('set', 'a', 1), 'OK')
+    assert.equal(await fake.get('p:a'), '1')
+    assert.equal(await rutil.rr('get', 'a', (res) => res + '!'), '1!')
+    await rutil.rr('mset', { b: 2, c: 3 })
+    assert.deepEqual(await rutil.rr('mget', 'a', 'b', 'c'), ['1', '2', '3'])
+    assert.equal(await rutil.rr('get', '{p:a'), null)
+
+    await new Promise((resolve) =>
+        rutil.r('set', 'd', 4, (err, res) => {
+            assert.equal(err, null)
+            assert.equal(res, 'OK')
+            resolve()
+        })
+    )
+    assert.equal(await fake.get('p:d'), '4')
+
+    //a failed COMMAND INFO lookup falls back for the waiting calls only
+    const command = fake.command
+    fake.command = async () => {
+        throw new Error('NOPERM')
+    }
+    assert.deepEqual(await rutil.rr('getBuffer', 'a'), Buffer.from('1'))
+    assert.deepEqual(await rutil.rpipemulti([['getBuffer', 'd']]), [
+        [null, Buffer.from('4')],
+    ])
+    assert.ok(!('getbuffer' in rutil.commandKeys))
+    fake.command = command
+    assert.deepEqual(await rutil.rr('getBuffer', 'a'), Buffer.from('1'))
+    assert.ok('getbuffer' in rutil.commandKeys)
+})
+
+test('rpipemaybe(), rpipemulti() and transactions', async () => {
+    const { fake, rutil } = setup()
+    assert.equal(await rutil.rpipemaybe([['set', 'a', 1]]), 'OK')
+    assert.deepEqual(
+        await rutil.rpipemaybe([
+            ['incr', 'a'],
+            ['rjset', 'j', '$', { n: 1 }],
+        ]),
+        [
+            [null, 2],
+            [null, true],
+        ]
+    )
+    assert.deepEqual(
+        await rutil.rpipemulti(
+            [
+                ['incr', 'a'],
+                ['get', 'a'],
+            ],
+            't'
+        ),
+        [
+            [null, 3],
+            [null, '3'],
+        ]
+    )
+    const results = await rutil.rpipemulti(
+        [['rjnumincrby', 'j', 'n', 2]],
+        (err, res) => (err ? err : res)
+    )
+    assert.deepEqual(results, [[null, 3]])
+    await assert.rejects(
+        rutil.rpipemulti(
+            [
+                ['set', 'b', 1],
+                ['call', 'nope', 'b'],
+            ],
+            { transaction: true }
+        ),
+        /EXECABORT/
+    )
+    assert.equal(await fake.exists('p:b'), 0)
+})
+
+test('rpipemulti() groups the commands by node on a cluster', async () => {
+    const { fake, rutil } = setup()
+    //p:a and p:c on the first node, p:b and p:d on the second one
+    let slots = []
+    for (const [key, node] of [
+        ['p:a', '127.0.0.1:7000'],
+        ['p:b', '127.0.0.1:7001'],
+        ['p:c', '127.0.0.1:7000'],
+        ['p:d', '127.0.0.1:7001'],
+    ])
+        slots[calculateSlot(key)] = [node]
+    Object.assign(fake, { isCluster: true, slots })
+    let pipelines = []
+    const remove = rutil.addCommandHook({
+        before: (info) =>
+            pipelines.push(info.commands.map((command) => command[1])),
+    })
+    try {
+        assert.deepEqual(
+            await rutil.rpipemulti([
+                ['set', 'a', 1],
+                ['set', 'b', 2],
+                ['incr', 'a'],
+                ['set', 'c', 3],
+                ['get', 'b'],
+                ['get', 'd'],
+                ['get', 'c'],
+            ]),
+            [
+                [null, 'OK'],
+                [null, 'OK'],
+                [null, 2],
+                [null, 'OK'],
+                [null, '2'],
+                [null, null],
+                [null, '3'],
+            ]
+        )
+        assert.deepEqual(pipelines, [
+            ['p:a', 'p:a', 'p:c', 'p:c'],
+            ['p:b', 'p:b', 'p:d'],
+        ])
+
+        pipelines = []
+        await assert.rejects(
+            rutil.rpipemulti(
+                [
+                    ['incr', 'a'],
+                    ['incr', 'c'],
+                ],
+                't'
+            ),
+            /span 2 hash slots/
+        )
+        assert.deepEqual(pipelines, [])
+        assert.deepEqual(
+            await rutil.rpipemulti2array(
+                [
+                    ['set', '{t}:a', 1],
+                    ['incr', '{t}:a'],
+                    ['get', '{t}:b'],
+                ],
+                { transaction: true }
+            ),
+            ['OK', 2, null]
+        )
+        assert.deepEqual(pipelines, [['{p:t}:a', '{p:t}:a', '{p:t}:b']])
+    } finally {
+        remove()
+        fake.isCluster = false
+    }
+    assert.equal(await fake.get('p:a'), '2')
+})
+
+test('rpipemulti2array() in every mode', async () => {
+    const { rutil } = setup()
+    await rutil.rr('hset', 'h', 'f', 'v')
+    const commands = [
+        ['set', 'a', 1],
+        ['incr', 'h'],
+        ['get', 'a'],
+    ]
+    assert.deepEqual(await rutil.rpipemulti2array(commands), ['OK', null, '1'])
+
+    const results = await rutil.rpipemulti2array(commands, {
+        mode: 'results',
+    })
+    assert.equal(results[0].ok, true)
+    assert.equal(results[1].ok, false)
+    assert.ok(results[1].error instanceof RedisCommandError)
+    assert.equal(results[1].error.command, 'incr')
+    assert.equal(results[1].error.key, 'h')
+
+    await assert.rejects(
+        rutil.rpipemulti2array(commands, { mode: 'throw' }),
+        (err) => err instanceof RedisCommandError && /WRONGTYPE/.test(err)
+    )
+})
+
+test('rhmget() and rrename()', async () => {
+    const { fake, rutil } = setup()
+    await rutil.rr('hset', 'h', { a: '1', b: '2' })
+    assert.deepEqual(await rutil.rhmget('h', ['a', 'c']), { a: '1', c: null })
+    assert.deepEqual(await rutil.rhmget('h', ['a', 'b'], true), { a: 1, b: 2 })
+    assert.deepEqual(
+        await rutil.rhmget('h', ['a'], false, (value) => 'v' + value),
+        { a: 'v1' }
+    )
+    assert.equal(await rutil.rrename('h', 'h2'), 'OK')
+    assert.deepEqual(await fake.hgetall('p:h2'), { a: '1', b: '2' })
+})
+
+test('rhmset() and rhmget() with field types', async () => {
+    const { fake, rutil } = setup()
+    const types = {
+        n: 'number',
+        b: 'boolean',
+        d: 'date',
+        j: 'json',
+        e: { type: 'enum', values: ['x', 'y'] },
+        buf: 'buffer',
+    }
+    const date = new Date(NOW)
+    const values = {
+        n: 1.5,
+        b: true,
+        d: date,
+        j: { a: [1] },
+        e: 'y',
+        buf: Buffer.from('raw'),
+        other: 'text',
+    }
+    assert.equal(await rutil.rhmset('h', values, types), 7)
+    assert.deepEqual(await fake.hgetall('p:h'), {
+        n: '1.5',
+        b: '1',
+        d: String(NOW),
+        j: '{"a":[1]}',
+        e: 'y',
+        buf: 'raw',
+        other: 'text',
+    })
+    assert.deepEqual(
+        await rutil.rhmget('h', [...Object.keys(values), 'none'], types),
+        Object.assign({}, values, { none: null })
+    )
+
+    assert.equal(await rutil.rhmset('h', { n: null, b: false }, types), 2)
+    assert.deepEqual(await rutil.rhmget('h', ['n', 'b'], types), {
+        n: null,
+        b: false,
+    })
+    await assert.rejects(
+        rutil.rhmset('h', { n: 'one', e: 'z', b: true }, types),
+        (err) =>
+            err instanceof ModelValidationError &&
+            err.errors.length === 2 &&
+            /n must be a finite number, e must be one of x, y/.test(err.message)
+    )
+    assert.equal(await fake.hget('p:h', 'b'), '0')
+    assert.throws(() => rutil.rhmget('h', ['n'], { n: 'int' }), /unknown type/)
+})
+
+test('hash models write the defaults given by a function', async () => {
+    const { fake, rutil } = setup()
+    const events = rutil.model('event', {
+        name: 'string',
+        createdAt: {
+            type: 'date',
+            default: () => new Date(fake.now()),
+            index: true,
+        },
+    })
+    await events.set(1, { name: 'a' })
+    const created = (await events.get(1)).createdAt
+    fake.advance(5000)
+    assert.deepEqual((await events.get(1)).createdAt, created)
+    await events.set(1, { name: 'b' })
+    assert.deepEqual(await events.get(1), { name: 'b', createdAt: created })
+    assert.deepEqual(await events.find('createdAt', created), ['1'])
+
+    //a null value writes a new default
+    await events.set(1, { createdAt: null })
+    const reset = (await events.get(1)).createdAt
+    assert.equal(reset.getTime(), created.getTime() + 5000)
+    fake.advance(5000)
+    assert.deepEqual((await events.get(1)).createdAt, reset)
+    assert.deepEqual(await events.find('createdAt', reset), ['1'])
+})
+
+test('hash models with defaults, validation and indexes', async () => {
+    const { fake, rutil } = setup()
+    const users = rutil.model('user', {
+        name: 'string',
+        age: { type: 'number', index: true },
+        role: {
+            type: 'enum',
+            values: ['admin', 'user'],
+            default: 'user',
+            index: true,
+        },
+        active: { type: 'boolean', default: true },
+        visits: { type: 'number', default: 10 },
+        since: { type: 'date', default: () => new Date(NOW) },
+        email: {
+            type: 'string',
+            validate: (value) => value.includes('@') || 'must be an email',
+        },
+    })
+    assert.throws(
+        () => rutil.model('bad', { data: { type: 'json', index: true } }),
+        /can't be indexed/
+    )
+
+    assert.equal(await users.get(1), null)
+    assert.equal(await users.set(1, { name: 'Ann', age: 31 }), 2)
+    assert.equal(await users.set(2, { name: 'Bob', age: 25, role: 'admin' }), 3)
+    await users.set(3, { name: 'Cid', age: 40 })
+    assert.deepEqual(await users.get(1), {
+        name: 'Ann',
+        age: 31,
+        role: 'user',
+        active: true,
+        visits: 10,
+        since: new Date(NOW),
+        email: null,
+    })
+    assert.deepEqual(await users.get(2, ['role']), { role: 'admin' })
+    assert.deepEqual(await fake.zrange('p:user:index:age', 0, -1), [
+        '2',
+        '1',
+        '3',
+    ])
+
+    await assert.rejects(
+        users.set(1, { age: '31', email: 'ann', nope: 1 }),
+        (err) =>
+            err instanceof ModelValidationError &&
+            err.model === 'user' &&
+            err.errors.map((error) => error.field).join() === 'age,email,nope'
+    )
+    await assert.rejects(users.get(1, ['nope']), /nope is not in the schema/)
+
+    let commands = []
+    const remove = rutil.addCommandHook({
+        before: (info) => commands.push(info.command),
+    })
+    assert.equal(await users.incr(1, 'visits'), 11)
+    assert.equal(await users.incr(1, 'age', 2), 33)
+    await users.set(1, { age: 33 })
+    remove()
+    assert.deepEqual(commands, ['multi', 'rutil_modelincr', 'multi'])
+    assert.deepEqual(await fake.zscore('p:user:index:age', '1'), '33')
+    assert.equal(await users.incr(2, 'visits', 0.5), 10.5)
+    await assert.rejects(users.incr(1, 'name'), /is not a number field/)
+
+    assert.deepEqual(await users.find('age', 30, 40), ['1', '3'])
+    assert.deepEqual(await users.find('age', null, 35, { rev: true }), [
+        '1',
+        '2',
+    ])
+    assert.deepEqual(
+        await users.find('age', 0, null, { offset: 1, limit: 1 }),
+        ['1']
+    )
+    assert.deepEqual(await users.find('role', 'admin'), ['2'])
+    await assert.rejects(users.find('name', 'Ann'), /name is not indexed/)
+    assert.deepEqual(await users.inIndex('age', [3, 4, 1]), [3, 1])
+    assert.deepEqual(await users.inIndex('role', [1, 2, 3], 'user'), [1, 3])
+
+    await users.set(3, { age: null })
+    assert.deepEqual(await users.inIndex('age', [3]), [])
+    assert.equal(await users.del([2, 5]), 1)
+    assert.deepEqual(await users.find('role', 'admin', 'user'), ['1', '3'])
+
+    await fake.del('p:user:index:age')
+    await rutil.rr('hset', 'user:9', 'age', 7)
+    await rutil.rr('hset', 'user:settings:1', 'age', 1)
+    assert.equal(await users.reindex('age'), 2)
+    assert.deepEqual(await users.find('age', null, null), ['9', '1'])
+
+    const files = rutil.model('file', { data: 'buffer' })
+    await files.set(1, { data: Buffer.from('x') })
+    assert.deepEqual((await files.get(1)).data, Buffer.from('x'))
+    assert.ok(!('hmgetbuffer' in rutil.commandKeys))
+})
+
+test('rdel_from_set() and rdel_from_set_atomic()', async () => {
+    for (const method of ['rdel_from_set', 'rdel_from_set_atomic']) {
+        const { fake, rutil } = setup()
+        await rutil.rpipemulti([
+            ['set', 'item:1', 1],
+            ['set', 'item:2', 2],
+            ['set', 'item:3', 3],
+            ['sadd', 'items', 1, 2],
+            ['zadd', 'zitems', 1, 3],
+        ])
+        await rutil[method]('items', false, 'item:*')
+        await rutil[method]('zitems', true, 'item:*')
+        assert.deepEqual(await fake.keys('*'), [], method)
+    }
+
+    //on a cluster, the atomic version refuses keys out of the slot of the set
+    const { fake, rutil } = setup()
+    await rutil.rpipemulti([
+        ['set', '{items}:1', 1],
+        ['set', 'item:2', 2],
+        ['sadd', '{items}', 1],
+        ['sadd', 'items', 2],
+    ])
+    fake.isCluster = true
+    try {
+        await assert.rejects(
+            rutil.rdel_from_set_atomic('items', false, 'item:*'),
+            /must be in the slot of the set/
+        )
+        assert.equal(await fake.scard('p:items'), 1)
+        assert.equal(
+            await rutil.rdel_from_set_atomic('{items}', false, '{items}:*'),
+            1
+        )
+    } finally {
+        fake.isCluster = false
+    }
+    assert.deepEqual((await fake.keys('*')).sort(), ['p:item:2', 'p:items'])
+})
+
+test('rdel() deletes keys, patterns and hash fields', async () => {
+    const { fake, rutil } = setup()
+    await rutil.rpipemulti([
+        ['set', 'a', 1],
+        ['set', 'b:1', 1],
+        ['set', 'b:2', 1],
+        ['hset', 'h', 'f', 1, 'g', 2],
+    ])
+    await fake.set('q:b:3', 1)
+    assert.equal(await rutil.rdel(['a', 'b:*', 'h.f']), true)
+    assert.deepEqual((await fake.keys('*')).sort(), ['p:h', 'q:b:3'])
+    assert.deepEqual(await fake.hgetall('p:h'), { g: '2' })
+})
+
+test('deletion guards: dry runs, limits, protected keys and audit', async () => {
+    const { fake, rutil } = setup()
+    const seed = () =>
+        rutil.rpipemulti([
+            ['set', 'b:1', 1],
+            ['set', 'b:2', 1],
+            ['set', 'cfg:main', 1],
+            ['hset', 'h', 'f', 1],
+            ['sadd', 'items', 1, 2],
+        ])
+    await seed()
+    let commands = []
+    rutil.addCommandHook({
+        after: (info) =>
+            commands.push(
+                ...(info.commands || [[info.command]]).map(
+                    (command) => command[0]
+                )
+            ),
+    })
+
+    assert.deepEqual(
+        (await rutil.rdel(['b:*', 'h.f'], { dryRun: true })).sort(),
+        ['b:1', 'b:2', 'h.f']
+    )
+    assert.deepEqual(
+        (
+            await rutil.rdel_from_set('items', false, 'b:*', { dryRun: true })
+        ).sort(),
+        ['b:1', 'b:2']
+    )
+    assert.equal(await fake.exists('p:b:1', 'p:b:2', 'p:items'), 3)
+
+    await assert.rejects(rutil.rdel('b:*', { maxKeys: 1 }), (err) => {
+        assert.ok(err instanceof DeletionRefusedError)
+        assert.equal(err.reason, 'maxKeys')
+        return true
+    })
+    await assert.rejects(
+        rutil.rdel_from_set_atomic('items', false, 'b:*', 10, { maxKeys: 1 }),
+        /more than maxKeys 1/
+    )
+    await assert.rejects(
+        rutil.withPrefix('').rdel('*', { requirePrefix: true }),
+        /without a key prefix/
+    )
+
+    RedisUtilFunctions.protect('p:cfg:*')
+    try {
+        await assert.rejects(rutil.rdel('*'), (err) => {
+            assert.equal(err.reason, 'protected')
+            assert.deepEqual(err.keys, ['p:cfg:main'])
+            return true
+        })
+        await rutil.rpipemulti([['sadd', 'cfgs', 'main']])
+        await assert.rejects(
+            rutil.rdel_from_set('cfgs', false, 'cfg:*'),
+            /protected keys: p:cfg:main/
+        )
+        assert.equal(await fake.scard('p:cfgs'), 1)
+
+        const dry = await rutil.rdel('*', { dryRun: true })
+        assert.ok(dry.includes('b:1'))
+        assert.deepEqual(dry.protected, ['cfg:main'])
+        assert.deepEqual(
+            (
+                await rutil.rdel_from_set('cfgs', false, 'cfg:*', {
+                    dryRun: true,
+                })
+            ).protected,
+            ['cfg:main']
+        )
+        await assert.rejects(
+            rutil.rdel_from_set_atomic('cfgs', false, 'cfg:*'),
+            /protected keys: p:cfg:main/
+        )
+        assert.equal(await fake.scard('p:cfgs'), 1)
+
+        // members added after the set is checked are checked in their batch
+        await fake.del('p:cfgs')
+        await rutil.rpipemulti([['zadd', 'zcfgs', 1, 'b:9']])
+        const remove = rutil.addCommandHook({
+            before: (info) => {
+                if (info.command === 'zpopmin')
+                    fake.zadd('p:zcfgs', 0, 'cfg:main')
+            },
+        })
+        await assert.rejects(
+            rutil.rdel_from_set('zcfgs', true),
+            /protected keys: p:cfg:main/
+        )
+        remove()
+        assert.deepEqual(await fake.zrange('p:zcfgs', 0, -1, 'WITHSCORES'), [
+            'cfg:main',
+            '0',
+            'b:9',
+            '1',
+        ])
+    } finally {
+        RedisUtilFunctions.unprotect()
+    }
+    assert.equal(await fake.exists('p:b:1', 'p:cfg:main'), 2)
+
+    // maxKeys caps the members popped, even if more are added after the check
+    await rutil.rpipemulti([['sadd', 'more', 'x', 'y']])
+    let added = false
+    const remove = rutil.addCommandHook({
+        before: (info) => {
+            if (info.command === 'rutil_delfromset' && !added)
+                added = fake.sadd('p:more', 'z')
+        },
+    })
+    assert.equal(
+        await rutil.rdel_from_set_atomic('more', false, null, 1, {
+            maxKeys: 2,
+        }),
+        2
+    )
+    remove()
+    assert.equal(await fake.scard('p:more'), 1)
+
+    let entries = []
+    rutil.setDeleteGuards({ audit: (entry) => entries.push(entry) })
+    assert.equal(await rutil.rdel_from_set('items', false, 'b:*'), 2)
+    assert.equal(await rutil.rdel('h.f'), true)
+    assert.deepEqual(
+        entries.map(({ helper, keys, count, set }) => [
+            helper,
+            keys.sort(),
+            count,
+            set,
+        ]),
+        [
+            ['rdel_from_set', ['b:1', 'b:2'], 2, 'items'],
+            ['rdel', ['h.f'], 1, undefined],
+        ]
+    )
+    assert.ok(commands.includes('unlink'))
+    assert.ok(!commands.includes('del'))
+
+    await seed()
+    rutil.setDeleteGuards({ audit: 'audit', unlinkInsteadOfDel: false })
+    await rutil.rdel('b:*')
+    assert.ok(commands.includes('del'))
+    const [[, fields]] = await fake.xrange('p:audit', '-', '+')
+    assert.equal(fields[0], 'time')
+    assert.deepEqual(fields.slice(2), [
+        'helper',
+        'rdel',
+        'keys',
+        '["b:1","b:2"]',
+        'count',
+        '2',
+    ])
+})
+
+test('rscan() and the scan iterators', async () => {
+    const { fake, rutil } = setup()
+    for (let i = 0; i < 30; ++i) await rutil.rr('set', 'k:' + i, i)
+    await rutil.rr('hset', 'h', { f1: 'a', f2: 'b', g: 'c' })
+    await rutil.rr('sadd', 's', 'a', 'b', 'c')
+    await rutil.rr('zadd', 'z', 1, 'a', 2, 'b')
+    await fake.set('k:unprefixed', 1)
+
+    const keys = await rutil.rscan('k:*', null, null, {
+        return: true,
+        count: 7,
+    })
+    assert.equal(keys.length, 30)
+    assert.ok(keys.every((key) => key.indexOf('p:k:') === 0))
+
+    let order = []
+    let batches = []
+    await rutil.rscan('k:*', (key) => order.push(key), null, { count: 7 })
+    await rutil.rscan('k:*', (batch) => batches.push(...batch), null, {
+        count: 7,
+        cb_all: true,
+    })
+    assert.deepEqual(order, batches)
+
+    let fields = {}
+    await rutil.rscan('f*', (field, value) => (fields[field] = value), 'h')
+    assert.deepEqual(fields, { f1: 'a', f2: 'b' })
+
+    const [cursor, first] = await rutil.rscan('k:*', null, null, {
+        return: true,
+        return_cursor: true,
+        one: true,
+        count: 5,
+    })
+    assert.ok(cursor > 0 && first.length <= 5)
+
+    const stripped = await collect(
+        rutil.scanIter('k:1*', { stripPrefix: true, count: 4 })
+    )
+    assert.deepEqual(stripped.sort(), [
+        'k:1',
+        'k:10',
+        'k:11',
+        'k:12',
+        'k:13',
+        'k:14',
+        'k:15',
+        'k:16',
+        'k:17',
+        'k:18',
+        'k:19',
+    ])
+    assert.deepEqual(await collect(rutil.scanIter('*', { type: 'set' })), [
+        'p:s',
+    ])
+    assert.deepEqual(await collect(rutil.hscanIter('h', { novalues: true })), [
+        'f1',
+        'f2',
+        'g',
+    ])
+    assert.deepEqual(
+        (await collect(rutil.sscanIter('s', { batch: true })))[0].sort(),
+        ['a', 'b', 'c']
+    )
+    assert.deepEqual(await collect(rutil.zscanIter('z')), [
+        ['a', 1],
+        ['b', 2],
+    ])
+
+    const controller = new AbortController()
+    controller.abort(new Error('stop'))
+    await assert.rejects(
+        collect(rutil.scanIter('*', { signal: controller.signal })),
+        /stop/
+    )
+})
+
+test('RedisJSON helpers', async () => {
+    const { fake, rutil } = setup()
+    assert.equal(
+        await rutil.rjset('j', '$', { a: 1, list: [1], o: { x: 1 } }),
+        true
+    )
+    assert.equal(await fake.type('p:j'), 'ReJSON-RL')
+    assert.equal(await rutil.rjset('j', 'a', 5, 'NX'), false)
+    assert.equal(await rutil.rjset('j', 'b', 'new', { nx: true }), true)
+    assert.equal(await rutil.rjget('j', 'a'), 1)
+    assert.deepEqual(await rutil.rjget('j', 'list', null, 'keep_array'), [[1]])
+    assert.deepEqual(await rutil.rjget('j', 'missing'), [])
+    assert.equal(
+        await rutil.rjget('j', 'missing', null, 'empty_array_null'),
+        null
+    )
+    assert.equal(await rutil.rjget('none', '$'), null)
+    assert.equal(
+        await rutil.rjget(
+            'lazy',
+            '$',
+            (doc) => doc.v,
+            'rerun',
+            () => rutil.rjset('lazy', '$', { v: 'loaded' })
+        ),
+        'loaded'
+    )
+
+    assert.equal(await rutil.rjmerge('j', '$', { o: null, c: 2 }), true)
+    assert.deepEqual((await rutil.rjobjkeys('j')).sort(), [
+        'a',
+        'b',
+        'c',
+        'list',
+    ])
+    assert.equal(await rutil.rjtype('j', 'list'), 'array')
+    assert.equal(await rutil.rjarrappend('j', 'list', 2, { x: 3 }), 3)
+    assert.deepEqual(await rutil.rjarrpop('j', 'list'), { x: 3 })
+    assert.equal(await rutil.rjarrpop('j', 'list', 0), 1)
+    assert.equal(await rutil.rjnumincrby('j', 'a', 2.5), 3.5)
+    assert.deepEqual(await rutil.rjmget(['j', 'none'], 'c'), [2, null])
+    assert.equal(await rutil.rjdel('j', 'b'), 1)
+    assert.equal(await rutil.rjdel('j'), 1)
+    assert.equal(await fake.exists('p:j'), 0)
+})
+
+test('rcas(), rjgetex() and rcappedpush()', async () => {
+    const { fake, rutil } = setup()
+    assert.equal(await rutil.rcas('c', null, 'v1'), true)
+    assert.equal(await rutil.rcas('c', null, 'v2'), false)
+    assert.equal(await rutil.rcas('c', 'v1', 'v2', 1000), true)
+    assert.equal(await fake.get('p:c'), 'v2')
+    assert.equal(await fake.pttl('p:c'), 1000)
+
+    await rutil.rjset('j', '$', { a: { b: 1 } })
+    assert.deepEqual(await rutil.rjgetex('j', 'a', 500), { b: 1 })
+    assert.equal(await fake.pttl('p:j'), 500)
+    assert.equal(await rutil.rjgetex('none', 'a', 500), null)
+
+    assert.equal(await rutil.rcappedpush('l', 3, 'a', 'b'), 2)
+    assert.equal(await rutil.rcappedpush('l', 3, 'c', 'd'), 3)
+    assert.deepEqual(await fake.lrange('p:l', 0, -1), ['d', 'c', 'b'])
+})
+
+test('cached(), uncache() and uncacheTags()', async () => {
+    for (const codec of ['json', 'string', 'hash']) {
+        const { fake, rutil } = setup()
+        let loads = 0
+        const value = codec === 'string' ? 'v' : { a: '1' }
+        const loader = async () => {
+            ++loads
+            return value
+        }
+        const opts = { ttl: 1000, codec, tags: ['t'] }
+        assert.deepEqual(await rutil.cached('c', loader, opts), value, codec)
+        assert.deepEqual(await rutil.cached('c', loader, opts), value, codec)
+        assert.equal(loads, 1, codec)
+        fake.advance(1000)
+        await rutil.cached('c', loader, opts)
+        assert.equal(loads, 2, codec)
+        await rutil.uncache('c')
+        await rutil.cached('c', loader, opts)
+        assert.equal(loads, 3, codec)
+        await rutil.uncacheTags('t')
+        assert.deepEqual(await fake.keys('*'), [], codec)
+    }
+
+    const { fake, rutil } = setup()
+    let loads = 0
+    const loader = () => {
+        ++loads
+        return null
+    }
+    assert.equal(await rutil.cached('n', loader, { ttl: 1000 }), null)
+    assert.equal(await rutil.cached('n', loader, { ttl: 1000 }), null)
+    assert.equal(loads, 1)
+
+    // a hash gone before its metadata is a miss, an empty hash is cached
+    let commands = []
+    rutil.addCommandHook({ before: (info) => commands.push(info.command) })
+    const hash = { ttl: 1000, codec: 'hash' }
+    let hash_value = { a: '1' }
+    const hash_loader = () => {
+        ++loads
+        return hash_value
+    }
+    await rutil.cached('h', hash_loader, hash)
+    assert.ok(commands.includes('multi'))
+    await fake.del('p:h')
+    assert.deepEqual(await rutil.cached('h', hash_loader, hash), { a: '1' })
+    assert.equal(loads, 3)
+    hash_value = {}
+    await rutil.uncache('h')
+    assert.deepEqual(await rutil.cached('h', hash_loader, hash), {})
+    assert.deepEqual(await rutil.cached('h', hash_loader, hash), {})
+    assert.equal(loads, 4)
+
+    await assert.rejects(
+        rutil.cached('a.b', loader, { tags: ['t'] }),
+        /can't contain/
+    )
+})
+
+test('lock() and withLock()', async () => {
+    const { fake, rutil } = setup()
+    const handle = await rutil.lock('res', { ttl: 1000 })
+    assert.equal(handle.fencingToken, 1)
+    assert.equal(await fake.pttl('p:lock:{res}'), 1000)
+    await assert.rejects(rutil.lock('res', { retry: 0 }), /is locked/)
+    assert.equal(await handle.extend(5000), true)
+    assert.equal(await fake.pttl('p:lock:{res}'), 5000)
+    assert.equal(await handle.release(), true)
+    assert.equal(await handle.release(), false)
+
+    const result = await rutil.withLock('res', async (lock) => {
+        assert.equal(lock.fencingToken, 2)
+        return 'done'
+    })
+    assert.equal(result, 'done')
+    assert.equal(await fake.exists('p:lock:{res}'), 0)
+
+    //an expired lock can be taken again
+    await rutil.lock('other', { ttl: 100 })
+    fake.advance(100)
+    assert.equal((await rutil.lock('other', { retry: 0 })).fencingToken, 2)
+
+    //Redlock: a majority of the instances is enough, there is no fencing token then
+    const instances = [setup(), setup(), setup()]
+    const rutils = instances.map((instance) => instance.rutil)
+    instances[2].fake.disconnect()
+    const redlock = await rutils[0].lock('red', {
+        ttl: 1000,
+        instances: rutils,
+    })
+    assert.ok(!('fencingToken' in redlock))
+    for (const instance of instances.slice(0, 2))
+        assert.equal(await instance.fake.get('p:lock:{red}'), redlock.token)
+    assert.equal(await instances[0].fake.exists('p:lock-fence:{red}'), 0)
+    assert.equal(await redlock.extend(), true)
+    assert.equal(await redlock.release(), true)
+    assert.equal(await instances[0].fake.exists('p:lock:{red}'), 0)
+
+    //without a majority, the lock is refused and the instances that took it let it go
+    instances[1].fake.disconnect()
+    await assert.rejects(
+        rutils[0].lock('red', { instances: rutils, retry: 0 }),
+        /is locked/
+    )
+    assert.equal(await instances[0].fake.exists('p:lock:{red}'), 0)
+})
+
+test('rateLimit() with every algorithm', async () => {
+    const { fake, rutil } = setup()
+    const fixed = { limit: 2, window: 1000 }
+    assert.equal((await rutil.rateLimit('u', fixed)).remaining, 1)
+    assert.equal((await rutil.rateLimit('u', fixed)).allowed, true)
+    const denied = await rutil.rateLimit('u', fixed)
+    assert.equal(denied.allowed, false)
+    assert.equal(denied.resetMs, 1000)
+    fake.advance(1000)
+    assert.equal((await rutil.rateLimit('u', fixed)).allowed, true)
+
+    // a window without a TTL gets one, even when the request is denied
+    await fake.set('p:ratelimit:{v}:fixed:2:1000', 5)
+    assert.equal((await rutil.rateLimit('v', fixed)).allowed, false)
+    assert.equal(await fake.pttl('p:ratelimit:{v}:fixed:2:1000'), 1000)
+
+    const sliding = { algorithm: 'sliding', limit: 2, window: 1000 }
+    await rutil.rateLimit('s', sliding)
+    fake.advance(600)
+    await rutil.rateLimit('s', sliding)
+    assert.equal((await rutil.rateLimit('s', sliding)).allowed, false)
+    fake.advance(400)
+    assert.equal((await rutil.rateLimit('s', sliding)).allowed, true)
+
+    const token = { algorithm: 'token', limit: 4, window: 1000 }
+    assert.equal(
+        (await rutil.rateLimit('t', { ...token, cost: 4 })).allowed,
+        true
+    )
+    assert.equal((await rutil.rateLimit('t', token)).allowed, false)
+    fake.advance(250)
+    const refilled = await rutil.rateLimit('t', token)
+    assert.equal(refilled.allowed, true)
+    assert.equal(refilled.remaining, 0)
+
+    const both = await rutil.rateLimit('m', {
+        limits: [fixed, { limit: 1, window: 500 }],
+    })
+    assert.equal(both.allowed, true)
+    assert.equal(both.remaining, 0)
+    assert.equal(
+        (await rutil.rateLimit('m', { limits: both.limits })).allowed,
+        false
+    )
+    await assert.rejects(
+        rutil.rateLimit('x', { algorithm: 'leaky', limit: 1, window: 1 }),
+        /unknown algorithm/
+    )
+    for (const cost of [-1, 1.5, 'a', NaN])
+        await assert.rejects(
+            rutil.rateLimit('x', { ...fixed, cost }),
+            /cost must be a non-negative integer/
+        )
+    assert.equal(
+        (await rutil.rateLimit('x', { ...fixed, cost: 0 })).remaining,
+        2
+    )
+})
+
+test('rinzset(), zset2set_scan() and zset_convert()', async () => {
+    const { fake, rutil } = setup()
+    await rutil.rr('zadd', 'z', 1, 'a', 2, 'b', 3, 'c')
+    assert.deepEqual(await rutil.rinzset('z', ['a', 'x', 'c']), ['a', 'c'])
+    assert.deepEqual(await rutil.rinzset('none', ['a']), [])
+
+    await rutil.zset2set_scan('z', 's', { match: '[ab]' })
+    assert.deepEqual((await fake.smembers('p:s')).sort(), ['a', 'b'])
+
+    await rutil.zset_convert('z', 'l', 'lpush', 1, true)
+    assert.deepEqual(await fake.lrange('p:l', 0, -1), ['c,3', 'b,2', 'a,1'])
+    await rutil.zset_convert('z', 's2')
+    assert.equal(await fake.scard('p:s2'), 3)
+})
+
+test('convertKey() between the collection types', async () => {
+    const { fake, rutil } = setup()
+    await rutil.rr('zadd', 'z', 1, 'a', 2, 'b')
+    assert.equal(await rutil.convertKey('z', 'z2', { to: 'zset' }), 2)
+    assert.equal(await rutil.convertKey('z', 'h', { to: 'hash' }), 2)
+    assert.deepEqual(await fake.hgetall('p:h'), { a: '1', b: '2' })
+    assert.equal(
+        await rutil.convertKey('h', 'l', { to: 'list', withScores: true }),
+        2
+    )
+    assert.deepEqual(await fake.lrange('p:l', 0, -1), ['a,1', 'b,2'])
+    assert.equal(await rutil.convertKey('l', 's', { to: 'set' }), 2)
+    assert.equal(
+        await rutil.convertKey('s', 's', {
+            to: 'zset',
+            score: (member) => member.length,
+        }),
+        2
+    )
+    assert.equal(await fake.type('p:s'), 'zset')
+    assert.equal(
+        await rutil.convertKey('l', 'l', {
+            to: 'list',
+            transform: (member) => (member[0] === 'a' ? null : member + '!'),
+            atomicSwap: false,
+        }),
+        3
+    )
+    assert.equal(
+        await rutil.convertKey('none', 'l', { from: 'list', to: 'set' }),
+        0
+    )
+    assert.equal(await fake.exists('p:l'), 0)
+    await assert.rejects(
+        rutil.convertKey('z', 'x', { to: 'string' }),
+        /cannot convert/
+    )
+})
+
+test('renameByPattern() and migratePrefix()', async () => {
+    const { fake, rutil } = setup()
+    await rutil.rr('set', 'user:1:profile', 'a', 'PX', 5000)
+    await rutil.rr('set', 'user:2:profile', 'b')
+    await rutil.rr('set', 'profile:2', 'taken')
+
+    const dry = await rutil.renameByPattern('user:*:profile', 'profile:$1', {
+        dryRun: true,
+    })
+    assert.equal(dry.moved.length, 2)
+    assert.equal(await fake.exists('p:user:1:profile'), 1)
+
+    const summary = await rutil.renameByPattern(
+        'user:*:profile',
+        'profile:$1',
+        { nx: true }
+    )
+    assert.deepEqual(summary.moved, [
+        { from: 'user:1:profile', to: 'profile:1' },
+    ])
+    assert.deepEqual(summary.conflicted, [
+        { from: 'user:2:profile', to: 'profile:2' },
+    ])
+    assert.equal(await fake.pttl('p:profile:1'), 5000)
+
+    await fake.set('{p:tagged}', 't')
+    const migrated = await rutil.migratePrefix('p:', 'q:')
+    assert.equal(migrated.moved.length, 4)
+    assert.deepEqual((await fake.keys('*')).sort(), [
+        'q:profile:1',
+        'q:profile:2',
+        'q:user:2:profile',
+        '{q:tagged}',
+    ])
+
+    const again = () => rutil.migratePrefix('q:', 'q:v2:')
+    assert.equal((await again()).moved.length, 4)
+    const twice = await again()
+    assert.equal(twice.moved.length, 0)
+    assert.deepEqual(
+        twice.skipped.map((skip) => skip.reason),
+        ['excluded', 'excluded', 'excluded', 'excluded']
+    )
+    assert.deepEqual((await fake.keys('*')).sort(), [
+        'q:v2:profile:1',
+        'q:v2:profile:2',
+        'q:v2:user:2:profile',
+        '{q:v2:tagged}',
+    ])
+})
+
+test('exportKeys() and importKeys()', async () => {
+    const { fake, rutil } = setup()
+    await rutil.rpipemulti([
+        ['set', 'e:string', 'v', 'PX', 5000],
+        ['hset', 'e:hash', 'f', 'v'],
+        ['rpush', 'e:list', 'a', 'b'],
+        ['sadd', 'e:set', 'a'],
+        ['zadd', 'e:zset', 1.5, 'a'],
+        ['xadd', 'e:stream', '1-1', 'f', 'v'],
+        ['rjset', 'e:json', '$', { a: [1] }],
+    ])
+    const file = path.join(os.tmpdir(), 'rutil-export-' + process.pid)
+    const dump_file = file + '-dump'
+    try {
+        assert.deepEqual(await rutil.exportKeys('e:*', file), {
+            exported: 7,
+            skipped: 0,
+        })
+        const records = fs
+            .readFileSync(file, 'utf8')
+            .trim()
+            .split('\n')
+            .map((line) => JSON.parse(line))
+        assert.deepEqual(
+            records.find((record) => record.type === 'zset').value,
+            [['a', 1.5]]
+        )
+        assert.equal(
+            records.find((record) => record.type === 'string').ttl,
+            5000
+        )
+
+        const copy = new RedisUtilFunctions(fake.duplicate(), false, 'c:')
+        const imported = await copy.importKeys(file)
+        assert.equal(imported.imported, 7)
+        assert.deepEqual(await fake.hgetall('c:e:hash'), { f: 'v' })
+        assert.deepEqual(await copy.rjget('e:json', 'a'), [1])
+        assert.deepEqual(await fake.xrange('c:e:stream', '-', '+'), [
+            ['1-1', ['f', 'v']],
+        ])
+        assert.equal(await fake.pttl('c:e:string'), 5000)
+        assert.equal((await copy.importKeys(file)).skipped, 7)
+
+        await rutil.exportKeys('e:*', dump_file, { dump: true })
+        const restored = await rutil.importKeys(dump_file, {
+            prefix: 'd:',
+            keepTtl: false,
+        })
+        assert.equal(restored.imported, 7)
+        assert.deepEqual(await fake.lrange('d:e:list', 0, -1), ['a', 'b'])
+        assert.equal(await fake.pttl('d:e:string'), -1)
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n')
+        lines.splice(1, 0, '{"key": "e:cut', '[1]')
+        fs.writeFileSync(file, lines.join('\n'))
+        const partial = await rutil.importKeys(file, { prefix: 'b:' })
+        assert.equal(partial.imported, 7)
+        assert.equal(partial.failed, 2)
+        assert.deepEqual(
+            partial.errors.map((error) => error.line),
+            [2, 3]
+        )
+
+        const missing = path.join(file + '-missing', 'file')
+        await assert.rejects(rutil.exportKeys('e:*', missing), {
+            code: 'ENOENT',
+        })
+        await assert.rejects(rutil.importKeys(missing), { code: 'ENOENT' })
+    } finally {
+        fs.rmSync(file, { force: true })
+        fs.rmSync(dump_file, { force: true })
+    }
+})
+
+test('analyzeKeyspace() groups the keys by pattern', async () => {
+    const { fake, rutil } = setup()
+    for (let i = 1; i <= 20; ++i)
+        await rutil.rr('hset', 'user:' + i, 'name', 'x'.repeat(i * 10))
+    await rutil.rr(
+        'set',
+        'session:{7}:9f1c0b2e-8a4d-4c1e-9b3a-1d2e3f4a5b6c',
+        'v',
+        'PX',
+        90000
+    )
+    await rutil.rr('zadd', 'board', 1, 'a', 2, 'b')
+    await fake.set('unprefixed', 'v')
+
+    const report = await rutil.analyzeKeyspace({ top: 2, count: 7 })
+    assert.equal(report.scanned, 22)
+    assert.equal(report.keys, 22)
+    assert.equal(report.noTtl, 21)
+    assert.deepEqual(
+        report.groups.map((group) => [group.group, group.keys]),
+        [
+            ['user:*', 20],
+            ['session:{*}:*', 1],
+            ['board', 1],
+        ]
+    )
+    const users = report.groups[0]
+    assert.deepEqual(users.types, { hash: 20 })
+    assert.equal(users.elements, 20)
+    assert.equal(users.ttl.none, 20)
+    assert.equal(users.maxBytes, users.biggest[0].bytes)
+    assert.equal(users.p95Bytes, users.biggest[1].bytes)
+    assert.deepEqual(
+        report.biggest.map((info) => [info.key, info.length]),
+        [
+            ['user:20', 1],
+            ['user:19', 1],
+        ]
+    )
+    assert.equal(report.groups[1].ttl['<1h'], 1)
+
+    const by_type = await rutil.analyzeKeyspace({ groupBy: 'type' })
+    assert.deepEqual(
+        by_type.groups.map((group) => group.group),
+        ['hash', 'string', 'zset']
+    )
+    const table = await rutil.analyzeKeyspace({
+        pattern: 'user:*',
+        format: 'table',
+    })
+    assert.match(table, /^Keyspace user:\*: 20 keys scanned, 20 analyzed/)
+    assert.match(table, /\nuser:\*\s+20\s+.*hash\s+none:20\n/)
+    assert.match(table, /Biggest keys:\n  KEY\s+TYPE/)
+
+    const sampled = await rutil.analyzeKeyspace({ sampleRate: 0.5 })
+    assert.equal(sampled.scanned, 22)
+    assert.ok(sampled.sampled <= 22)
+    await assert.rejects(rutil.analyzeKeyspace({ sampleRate: 0 }), /sampleRate/)
+
+    // the percentiles of a group bigger than the sample of its sizes
+    let commands = []
+    for (let i = 0; i < 1200; ++i)
+        commands.push(['set', 'big:' + String(i).padStart(4, '0'), 'v'])
+    commands.push(['set', 'big:huge', 'x'.repeat(1000)])
+    await rutil.rpipemulti(commands)
+    const [big] = (
+        await rutil.analyzeKeyspace({ pattern: 'big:*', groupBy: 'type' })
+    ).groups
+    const small = await rutil.rr('memory', 'USAGE', 'big:0000')
+    assert.equal(big.keys, 1201)
+    assert.equal(big.p95Bytes, small)
+    assert.equal(big.maxBytes, await rutil.rr('memory', 'USAGE', 'big:huge'))
+    assert.ok(big.maxBytes > small)
+})
+
+test('defineScript(), runScript() and loadFunctions()', async () => {
+    const { fake, rutil } = setup()
+    fake.registerScript('setget', (redis, KEYS, ARGV) => {
+        redis.call('set', KEYS[0], ARGV[0])
+        return redis.call('get', KEYS[0])
+    })
+    rutil.defineScript('setget', "redis.call('set', KEYS[1], ARGV[1])", {
+        numberOfKeys: 1,
+    })
+    assert.equal(await rutil.runScript('setget', 'a', 'v'), 'v')
+    assert.equal(await fake.get('p:a'), 'v')
+    await assert.rejects(rutil.runScript('nope', 'a'), /no script named/)
+
+    assert.equal(await rutil.loadFunctions(), 'redisutil')
+    assert.equal(rutil.scriptFunctions, true)
+    assert.equal(await rutil.runScript('setget', 'b', 'w'), 'w')
+    assert.equal(await rutil.rcas('b', 'w', 'x'), true)
+    assert.deepEqual(
+        await rutil.rpipemulti([['rutil_cappedpush', 'l', 2, 'a', 'b', 'c']]),
+        [[null, 2]]
+    )
+
+    //the library is loaded again when the server lost it
+    await fake.function('FLUSH')
+    assert.equal(await rutil.runScript('setget', 'c', 'y'), 'y')
+    assert.equal((await fake.function('LIST')).length, 1)
+    const function_once = fake.function
+    fake.function = () => Promise.reject(new Error('ERR no FUNCTION here'))
+    await function_once.call(fake, 'FLUSH')
+    assert.equal(await rutil.runScript('setget', 'd', 'z'), 'z')
+    fake.function = function_once
+
+    //on a cluster, every master gets the library
+    const nodes = [new FakeRedis(), new FakeRedis()]
+    Object.assign(fake, { isCluster: true, nodes: () => nodes })
+    await rutil.loadFunctions({ library: 'lib2' })
+    fake.isCluster = false
+    for (const node of nodes)
+        assert.equal((await node.function('LIST'))[0][1], 'lib2')
+
+    for (const name of ['get', 'HSET', 'duplicate', 'on', 'constructor'])
+        assert.throws(
+            () => rutil.defineScript(name, 'return 1'),
+            /is a command or a method of the client/
+        )
+})
+
+test('hooks, metrics and retries', async () => {
+    const { fake, rutil } = setup()
+    let seen = []
+    const remove = rutil.addCommandHook({
+        before: (info) => seen.push('before ' + info.command),
+        after: (info) => seen.push('after ' + info.command + ' ' + info.key),
+    })
+    rutil.instrument({ slowThreshold: null })
+    await rutil.rr('set', 'user:42', 1)
+    await rutil.rpipemulti([
+        ['get', 'user:42'],
+        ['get', 'user:43'],
+    ])
+    remove()
+    await rutil.rr('get', 'user:42')
+    assert.deepEqual(seen, [
+        'before set',
+        'after set p:user:42',
+        'before pipeline',
+        'after pipeline undefined',
+    ])
+
+    const snapshot = rutil.metricsSnapshot()
+    const get = snapshot.commands.find((command) => command.command === 'get')
+    assert.equal(get.count, 1)
+    assert.equal(snapshot.pipelines.count, 1)
+    assert.match(
+        rutil.metricsText(),
+        /redis_util_command_duration_seconds_count\{command="set"\} 1/
+    )
+    assert.equal(keyPattern('user:42'), 'user:*')
+
+    //a connection reset is retried
+    rutil.setRetry({ delay: 1 })
+    const get_once = fake.get
+    let calls = 0
+    fake.get = function (...args) {
+        if (!calls++)
+            return Promise.reject(
+                Object.assign(new Error('reset'), { code: 'ECONNRESET' })
+            )
+        return get_once.apply(this, args)
+    }
+    assert.equal(await rutil.rr('get', 'user:42'), '1')
+    assert.equal(calls, 2)
+
+    //a conditional SET whose reply is lost is not retried
+    const set_once = fake.set
+    calls = 0
+    fake.set = async function (...args) {
+        const reply = await set_once.apply(this, args)
+        if (!calls++)
+            throw Object.assign(new Error('reset'), { code: 'ECONNRESET' })
+        return reply
+    }
+    await assert.rejects(
+        rutil.rr('set', 'lock', 'token', 'PX', 1000, 'NX'),
+        /reset/
+    )
+    assert.equal(calls, 1)
+    assert.equal(await fake.get('p:lock'), 'token')
+    calls = 0
+    assert.equal(await rutil.rr('set', 'user:45', 1), 'OK')
+    assert.equal(calls, 2)
+})
+
+test('subscribe(), psubscribe() and publish() with the prefix', async () => {
+    const { fake, rutil } = setup()
+    let got = []
+    const unsubscribe = await rutil.subscribe(['a', 'b'], (message, channel) =>
+        got.push([channel, message])
+    )
+    const punsubscribe = await rutil.psubscribe('o*', (message, channel, ptn) =>
+        got.push([channel, message, ptn])
+    )
+    assert.equal(await rutil.publish('a', 'x'), 1)
+    assert.equal(await rutil.publish('orders', 'y'), 1)
+    assert.equal(await fake.publish('a', 'not prefixed'), 0)
+    assert.deepEqual(got, [
+        ['a', 'x'],
+        ['orders', 'y', 'o*'],
+    ])
+
+    let errors = []
+    rutil.on('pubsub error', (err, channel) =>
+        errors.push([err.message, channel])
+    )
+    await rutil.subscribe('b', () => {
+        throw new Error('boom')
+    })
+    await unsubscribe()
+    await punsubscribe()
+    got = []
+    assert.equal(await rutil.publish('a', 'x'), 0)
+    assert.equal(await rutil.publish('b', 'z'), 1)
+    assert.deepEqual(got, [])
+    assert.deepEqual(errors, [['boom', 'p:b']])
+
+    //subscriptions are restored after a reconnection
+    const subscriber = rutil._pubsub.client
+    subscriber.disconnect()
+    assert.equal(await rutil.publish('b', 'z'), 0)
+    await subscriber.connect()
+    assert.equal(await rutil.publish('b', 'z'), 1)
+
+    await rutil.close()
+    assert.equal(subscriber.status, 'end')
+})
+
+test('watchKeys() turns notifications on and strips the prefix', async () => {
+    const { fake, rutil } = setup()
+    await fake.config('SET', 'notify-keyspace-events', 'Ex')
+    let got = []
+    const stop = await rutil.watchKeys(
+        's:*',
+        ['set', 'del', 'expired'],
+        (change) => got.push(change)
+    )
+    assert.deepEqual(await fake.config('GET', 'notify-keyspace-events'), [
+        'notify-keyspace-events',
+        'g$xKE',
+    ])
+    let all = []
+    await rutil.watchKeys('*', (change) => all.push(change.event))
+
+    await rutil.rr('set', 's:1', 'v', 'PX', 100)
+    await rutil.rr('hset', 's:2', 'f', 'v')
+    await rutil.rr('set', 'other', 'v')
+    await rutil.rr('del', 's:2')
+    fake.advance(100)
+    await new Promise(setImmediate)
+    assert.deepEqual(got, [
+        { key: 's:1', event: 'set' },
+        { key: 's:2', event: 'del' },
+        { key: 's:1', event: 'expired' },
+    ])
+    assert.deepEqual(all, ['set', 'hset', 'set', 'del', 'expired'])
+
+    await stop()
+    await rutil.rr('set', 's:3', 'v')
+    assert.equal(got.length, 3)
+    assert.equal(all.length, 6)
+    await rutil.close()
+})
+
+test('withPrefix(), create(), get() and close()', async () => {
+    const { fake, rutil } = setup()
+    const child = rutil.withPrefix('c:')
+    await child.rr('set', 'a', 1)
+    assert.equal(await fake.get('c:a'), '1')
+    assert.equal(await rutil.rr('get', 'a'), null)
+
+    // the hooks and the settings are the child's own, the scripts are shared
+    let hooked = []
+    rutil.addCommandHook({ before: () => hooked.push('parent') })
+    const other = rutil.withPrefix('o:')
+    other.addCommandHook({ before: () => hooked.push('child') })
+    other.setDeleteGuards({ maxKeys: 1 })
+    await other.rr('get', 'a')
+    await rutil.rr('get', 'a')
+    assert.deepEqual(hooked, ['parent', 'child', 'parent'])
+    assert.equal(rutil.deleteGuards.maxKeys, 0)
+    other.defineScript('shared_get', "return redis.call('get', KEYS[1])", {
+        numberOfKeys: 1,
+    })
+    assert.equal(await rutil.runScript('shared_get', 'a'), null)
+    assert.equal(await other.runScript('shared_get', 'a'), null)
+    assert.equal(await child.runScript('shared_get', 'a'), '1')
+
+    const named = RedisUtilFunctions.create({
+        name: 'fake-test',
+        connection: fake,
+        prefix: 'n:',
+    })
+    assert.equal(RedisUtilFunctions.get('fake-test'), named)
+    assert.throws(
+        () => RedisUtilFunctions.create({ name: 'fake-test' }),
+        /already exists/
+    )
+    assert.equal(await RedisUtilFunctions.get('fake-test').rr('get', 'a'), null)
+
+    assert.equal(await rutil.ready(), rutil)
+    const pending = rutil.rr('set', 'b', 2)
+    await rutil.close()
+    assert.equal(await pending, 'OK')
+    assert.equal(fake.status, 'end')
+    await assert.rejects(rutil.rr('incr', 'b'), /Connection is closed/)
+    await assert.rejects(rutil.ready(), /connection has ended/)
+})
+
+test('work queues: delays, dedupe, retries, dead letters and claims', async () => {
+    const { fake, rutil } = setup()
+    const until = async (check) => {
+        for (let i = 0; i < 400 && !(await check()); ++i)
+            await new Promise((resolve) => setTimeout(resolve, 5))
+    }
+    const mails = rutil.queue('mails', {
+        maxAttempts: 2,
+        backoff: { delay: 1000 },
+    })
+    assert.equal(mails.keys.delayed, 'queue:{mails}:delayed')
+    assert.equal(await mails.enqueue({ to: 'a' }, { dedupeId: 'a' }), 'a')
+    assert.equal(await mails.enqueue({ to: 'a' }, { dedupeId: 'a' }), null)
+    assert.equal(await fake.pttl('p:queue:{mails}:dedupe:a'), 86400000)
+    assert.match(
+        await rutil.enqueue('mails', { to: 'b' }, { delay: 5000 }),
+        /^[0-9a-f]{24}$/
+    )
+    assert.deepEqual(await mails.stats(), {
+        waiting: 1,
+        running: 0,
+        delayed: 1,
+        dead: 0,
+    })
+
+    let seen = []
+    let events = []
+    rutil.on('job failed', (err, job) =>
+        events.push(['failed', job.payload && job.payload.to, err.message])
+    )
+    rutil.on('job dead', (err, job) =>
+        events.push(['dead', job.payload.to, err.message])
+    )
+    rutil.on('queue error', (err) => events.push(['error', err.message]))
+    const handler = async (job) => {
+        seen.push([job.payload.to, job.attempt])
+        if (job.payload.to === 'b') throw new Error('bounced')
+    }
+    const worker = await mails.process(handler, { block: 10, concurrency: 2 })
+    await until(async () => (await fake.xlen('p:queue:{mails}')) === 0)
+    assert.deepEqual(seen, [['a', 1]])
+
+    fake.advance(5000)
+    await until(() => events.length === 1)
+    fake.advance(1000)
+    await until(async () => (await mails.stats()).dead === 1)
+    assert.deepEqual(seen, [
+        ['a', 1],
+        ['b', 1],
+        ['b', 2],
+    ])
+    assert.deepEqual(events, [
+        ['failed', 'b', 'bounced'],
+        ['dead', 'b', 'bounced'],
+    ])
+    const [[, fields]] = await fake.xrange('p:queue:{mails}:dead', '-', '+')
+    assert.deepEqual(fields.slice(2), [
+        'payload',
+        '{"to":"b"}',
+        'attempts',
+        '2',
+        'error',
+        'bounced',
+    ])
+    await worker.stop()
+
+    //a job read by a consumer that died is claimed, and counts as an attempt
+    await mails.enqueue({ to: 'c' })
+    await fake.xreadgroup(
+        'GROUP',
+        'workers',
+        'gone',
+        'STREAMS',
+        'p:queue:{mails}',
+        '>'
+    )
+    fake.advance(60000)
+    events = []
+    await mails.process(handler, { block: 10, claimIdle: 1000 })
+    await until(() => events.length === 1)
+    assert.match(events[0][2], /^job stalled/)
+    fake.advance(1000)
+    await until(
+        async () =>
+            seen.length === 4 && (await fake.xlen('p:queue:{mails}')) === 0
+    )
+    assert.deepEqual(seen[3], ['c', 2])
+    assert.deepEqual(await mails.stats(), {
+        waiting: 0,
+        running: 0,
+        delayed: 0,
+        dead: 1,
+    })
+    //close() stops the workers
+    await rutil.close()
+})
+
+test('work queues: running jobs are not claimed, stop() removes the consumer', async () => {
+    const { fake, rutil } = setup()
+    const tick = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+    const jobs = rutil.queue('jobs')
+    let events = []
+    rutil.on('job failed', (err) => events.push(err.message))
+    rutil.on('queue error', (err) => events.push(err.message))
+    let finish
+    let runs = 0
+    const worker = await jobs.process(
+        () => {
+            ++runs
+            return new Promise((resolve) => (finish = resolve))
+        },
+        { block: 5, claimIdle: 30, consumer: 'w1' }
+    )
+    await jobs.enqueue({ n: 1 })
+    while (!finish) await tick(5)
+    //the job runs longer than claimIdle, the worker refreshes its idle time
+    fake.advance(60000)
+    await tick(40)
+    const other = await jobs.process(() => ++runs, {
+        block: 5,
+        claimIdle: 30,
+        consumer: 'w2',
+    })
+    await tick(40)
+    finish()
+    for (let i = 0; i < 100 && (await jobs.stats()).running; ++i) await tick(5)
+    await Promise.all([worker.stop(), other.stop()])
+    assert.equal(runs, 1)
+    assert.deepEqual(events, [])
+    assert.equal(await fake.xlen('p:queue:{jobs}'), 0)
+    assert.equal(
+        await fake.xgroup('CREATECONSUMER', 'p:queue:{jobs}', 'workers', 'w1'),
+        1
+    )
+})